@@ -41,14 +41,98 @@ module.exports = {
   // ─── MOTOR IA ────────────────────────────────────────────────────────────
   // 'claude'   → usa el CLI `claude` (Claude Code)
   // 'opencode' → usa el CLI `opencode`
+  // 'mock'     → motor simulado, reproduce un guion (tests sin red)
+  // 'api'      → API de Anthropic vía SDK, sin CLI (requiere ANTHROPIC_API_KEY)
+  // o cualquier nombre definido en `engines` / en el directorio engines/
   engine: process.env.KANBAN_ENGINE || 'claude',
 
+  // ─── ENGINES ADICIONALES ─────────────────────────────────────────────────
+  // engines: {
+  //   claude: { args: ['--model', 'sonnet'] },                   // opciones de un built-in
+  //   aider:  { command: 'aider', args: ['--yes', '--message', '{prompt}'] },
+  //   mock:   { script: './mock-script.json' },                 // guion del motor mock
+  //   api:    { model: 'claude-sonnet-4-5', baseURL: 'http://localhost:8080' },
+  //   codex:  './engines/codex.js',                              // módulo con un adapter
+  // },
+
+  // ─── PIPELINE DE FASES ───────────────────────────────────────────────────
+  // Fases (plan, code, review, test, scope), iteraciones CODE→REVIEW→TEST y
+  // timeouts ('90s', '45m', '2h' o minutos). Se puede definir también en
+  // projects[nombre].pipeline y sobrescribir en el frontmatter de la tarea.
+  // pipeline: {
+  //   maxIterations: 3,
+  //   decompose: true,                 // PLAN puede dividir tareas grandes en subtareas
+  //   approve: ['plan'],               // esperar aprobación humana del plan antes de CODE
+  //   timeouts: { code: '45m', test: { total: '30m', inactivity: '15m' } },
+  //   types: {
+  //     docs: { phases: ['plan', 'code', 'scope'] },   // sin REVIEW ni TEST
+  //   },
+  // },
+
+  // ─── VERIFICACIÓN ────────────────────────────────────────────────────────
+  // Comando de tests real que se ejecuta en el proyecto tras la fase TEST.
+  // Si falla, la tarea vuelve a CODE con su output y nunca llega a Done.
+  // También en projects[nombre].verify o en el frontmatter (verify: false).
+  // verify: { command: 'npm test', timeout: '10m' },
+
+  // ─── COSTE Y PRESUPUESTO ─────────────────────────────────────────────────
+  // Cada fase guarda tokens y coste en el historial (engine 'api', o claude
+  // con engines.claude.outputFormat: 'stream-json'). Con budget, una tarea
+  // que supera el límite (sumando todas sus ejecuciones) se detiene antes de
+  // la siguiente fase. Un número = maxCostUsd. También en projects[nombre]
+  // .budget o en el frontmatter (budget: 2 | budget: false).
+  // budget: { maxCostUsd: 5, maxTokens: 2000000 },
+  // Precio USD por millón de tokens cuando el engine no reporta el coste
+  // (por subcadena del modelo; '*' = modelo desconocido).
+  // pricing: { sonnet: { input: 3, output: 15 }, '*': { input: 3, output: 15 } },
+
+  // ─── COLA DE TODO ────────────────────────────────────────────────────────
+  // Orden en que el motor coge las tareas: 'priority' (prioridad y antigüedad),
+  // 'fair' (reparto por etiqueta con weights), 'order' (orden manual del
+  // tablero) o 'fifo' (por ID). agingHours: cada N horas de espera sube un
+  // nivel de prioridad. `ai-kanban list todo --queue` muestra el orden.
+  // scheduling: { policy: 'priority', agingHours: 48 },
+  // scheduling: { policy: 'fair', weights: { backend: 2, ui: 1 } },
+
+  // ─── COLUMNAS Y TRANSICIONES ─────────────────────────────────────────────
+  // Columnas del tablero (carpetas de kanban/) y movimientos permitidos. Sin
+  // transitions cualquier movimiento vale. motor: de qué columna coge tareas
+  // el motor, dónde trabaja y adónde las manda al terminar bien o mal. Los
+  // movimientos del motor siempre están permitidos. También en
+  // projects[nombre].board, que sobrescribe a este.
+  // board: {
+  //   columns: ['backlog', 'todo', 'in_progress', { id: 'qa', label: 'QA', icon: '🧪' }, 'review', 'done', 'blocked'],
+  //   transitions: { backlog: ['todo'], todo: ['backlog'], qa: ['done', 'review'], review: '*', '*': ['blocked'], blocked: ['todo'] },
+  //   motor: { pickFrom: 'todo', working: 'in_progress', success: 'qa', failure: 'review' },
+  //   // Límite WIP por columna: crear o mover por encima falla salvo con
+  //   // force (--force en la CLI); el motor no coge más tareas si
+  //   // in_progress está lleno.
+  //   wip: { todo: 10, in_progress: 3 },
+  // },
+
   // ─── GIT (valores por defecto para todos los proyectos) ──────────────────
   git: {
     enabled: true,
     defaultBranch: 'main',
     autoPush: false,
     autoMerge: true,
+    // 'merge' → merge local a defaultBranch (autoMerge)
+    // 'pr'    → push + pull/merge request; la tarea espera en review al merge
+    strategy: 'merge',
+    // Si el merge choca, fase RESOLVE: la IA resuelve y se re-ejecuta verify
+    resolveConflicts: true,
+    // Antes del merge/PR: pull de la base, rebase ('rebase') o merge ('merge')
+    // del branch si va por detrás, y se repiten REVIEW/TEST/verify. false = no
+    refreshBeforeMerge: false,
+    // pr: {
+    //   provider: 'github',            // 'github' | 'gitlab' | 'gitea' (se deduce del remote)
+    //   // baseUrl: 'https://gitea.miempresa.com',  // API; por defecto según el remote
+    //   // repo: 'owner/repo',          // por defecto según el remote origin
+    //   token: process.env.GITHUB_TOKEN, // o KANBAN_GIT_TOKEN / GITLAB_TOKEN / GITEA_TOKEN
+    //   draft: false,
+    //   labels: ['ai-kanban'],
+    //   pollSeconds: 60,               // cada cuánto se consulta si se mergeó
+    // },
   },
 
   // ─── UI ──────────────────────────────────────────────────────────────────
@@ -62,5 +146,9 @@ module.exports = {
     autoRetry: true,           // Habilitar reintento automático
     maxRetries: 3,             // Máximo de reintentos antes de dejar en review
     retryDelayMinutes: 5,      // Minutos entre reintentos
+    // Ejecución paralela: con concurrency > 1 cada tarea corre en su propio
+    // git worktree y los merges a defaultBranch se hacen de uno en uno.
+    concurrency: 1,
+    // worktreeDir: '/tmp/kanban-worktrees',
   },
 };
@@ -0,0 +1,42 @@
+/**
+ * approve.js - Comando para aprobar o rechazar el plan de una tarea
+ *
+ *   ai-kanban approve 012                      # aprueba el plan tal cual
+ *   ai-kanban approve 012 --plan plan.md       # aprueba una versión editada
+ *   ai-kanban approve 012 --reject "Sin ORM"   # rechaza: PLAN se repite
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const { getTaskById } = require('../../kanban/board');
+const { getKanbanPath } = require('../../core/task');
+const { approvePlan, rejectPlan } = require('../../core/approval');
+const { getActiveKanbanPath } = require('./retry');
+
+function approveCommand(id, options = {}) {
+  const kanbanPath = options.project ? getKanbanPath(options.project) : getActiveKanbanPath();
+  const found = getTaskById(id, kanbanPath);
+  if (!found) {
+    console.error(chalk.red(`\n❌ Tarea ${id} no encontrada\n`));
+    process.exit(1);
+  }
+
+  try {
+    if (options.reject !== undefined) {
+      const approval = rejectPlan(id, options.reject, kanbanPath);
+      console.log(chalk.yellow(`\n↩ Plan de ${chalk.cyan(`#${found.task.id}`)} rechazado (${approval.comments.length} rechazo(s))`));
+      console.log(chalk.gray('   El loop repetirá PLAN con tu comentario como feedback\n'));
+      return;
+    }
+
+    const plan = options.plan ? fs.readFileSync(options.plan, 'utf8') : undefined;
+    const approval = approvePlan(id, kanbanPath, { plan });
+    console.log(chalk.green(`\n✅ Plan de ${chalk.cyan(`#${found.task.id}`)} aprobado${approval.edited ? ' (editado)' : ''}`));
+    console.log(chalk.gray('   El loop continuará con CODE usando este plan\n'));
+  } catch (err) {
+    console.error(chalk.red(`\n❌ Error: ${err.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = { approveCommand };
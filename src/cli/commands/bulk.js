@@ -0,0 +1,90 @@
+/**
+ * bulk.js - Comando para operar sobre varias tareas a la vez
+ *
+ *   ai-kanban bulk move todo --query "label:auth"
+ *   ai-kanban bulk add-label urgente --ids 003,007,012
+ *   ai-kanban bulk set-priority alta --view bugs-auth
+ *   ai-kanban bulk retry --query "column:review has:lastError" --dry-run
+ *   ai-kanban bulk delete --query "label:obsoleta" --yes
+ */
+
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { getTaskById } = require('../../kanban/board');
+const { getKanbanPath, KANBAN_PATH } = require('../../core/task');
+const { getViewQuery } = require('../../core/query');
+const { BULK_ACTIONS, resolveSelection, runBulk } = require('../../core/bulk');
+const { getActiveKanbanPath } = require('./retry');
+
+function fail(message) {
+  console.error(chalk.red(`\n❌ Error: ${message}\n`));
+  process.exit(1);
+}
+
+async function bulkCommand(action, value, options = {}) {
+  const kanbanPath = options.project ? getKanbanPath(options.project) : (getActiveKanbanPath() || KANBAN_PATH);
+  if (!BULK_ACTIONS.includes(action)) fail(`Acción desconocida: ${action}. Válidas: ${BULK_ACTIONS.join(', ')}`);
+
+  let query = options.query;
+  if (options.view) {
+    query = getViewQuery(options.view, kanbanPath);
+    if (query === null) fail(`Vista no encontrada: ${options.view}`);
+  }
+
+  let ids;
+  try {
+    ids = resolveSelection({ ids: options.ids, query }, kanbanPath);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  if (ids.length === 0) {
+    console.log(chalk.yellow('\nNinguna tarea cumple la selección\n'));
+    return;
+  }
+
+  const label = `${action}${value ? ` ${value}` : ''}`;
+  console.log(chalk.blue(`\n📦 ${label} → ${ids.length} tarea(s)\n`));
+  for (const id of ids) {
+    const found = getTaskById(id, kanbanPath);
+    console.log(`   ${chalk.cyan(id)} ${found ? `${found.task.title} ${chalk.gray(`[${found.column}]`)}` : chalk.red('no encontrada')}`);
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.gray('\n   (dry-run) No se ha cambiado nada\n'));
+    return;
+  }
+
+  if (action === 'delete' && !options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `¿Eliminar ${ids.length} tarea(s)?`,
+      default: false,
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('Cancelado.\n'));
+      return;
+    }
+  }
+
+  let summary;
+  try {
+    summary = runBulk(ids, action, value, kanbanPath, { force: Boolean(options.force) });
+  } catch (err) {
+    fail(err.message);
+  }
+
+  console.log('');
+  for (const result of summary.results.filter(r => !r.ok)) {
+    console.log(chalk.red(`   ✗ ${result.id}: ${result.error}`));
+  }
+  const unchanged = summary.results.filter(r => r.ok && r.unchanged).length;
+  console.log(chalk.green(`✅ ${label}: ${summary.succeeded - unchanged} tarea(s) cambiadas`)
+    + (unchanged ? chalk.gray(`, ${unchanged} ya estaban así`) : '')
+    + (summary.failed ? chalk.red(`, ${summary.failed} con error`) : ''));
+  console.log('');
+  if (summary.failed) process.exit(1);
+}
+
+module.exports = { bulkCommand };
@@ -0,0 +1,58 @@
+/**
+ * comment.js - Comando para comentar una tarea (y ver sus comentarios)
+ *
+ *   ai-kanban comment 012 "Usa la tabla users existente"
+ *   ai-kanban comment 012 "No toques la API pública" --ai   # lo verá la IA
+ *   ai-kanban comment 012                                   # lista la actividad
+ */
+
+const chalk = require('chalk');
+const { getTaskById } = require('../../kanban/board');
+const { getKanbanPath, KANBAN_PATH } = require('../../core/task');
+const { addComment, getActivity } = require('../../core/activity');
+const { getActiveKanbanPath } = require('./retry');
+
+function describeEvent(event) {
+  switch (event.type) {
+    case 'comment': return `${event.forAI ? chalk.magenta('[IA] ') : ''}${event.text}`;
+    case 'created': return chalk.gray(`creada en ${event.column}`);
+    case 'moved': return chalk.gray(`${event.from} → ${event.to}`);
+    case 'retried': return chalk.gray(`reintento: ${event.from} → ${event.to}`);
+    case 'edited': return chalk.gray(`editó ${event.fields.join(', ')}`);
+    case 'result': return chalk.gray(`resultado ${event.result}${event.summary ? `: ${event.summary}` : ''}`);
+    default: return chalk.gray(event.type);
+  }
+}
+
+function commentCommand(id, text, options = {}) {
+  const kanbanPath = options.project ? getKanbanPath(options.project) : (getActiveKanbanPath() || KANBAN_PATH);
+  const found = getTaskById(id, kanbanPath);
+  if (!found) {
+    console.error(chalk.red(`\n❌ Tarea ${id} no encontrada\n`));
+    process.exit(1);
+  }
+
+  if (text === undefined) {
+    const events = getActivity(found.task.id, kanbanPath);
+    console.log(chalk.bold(`\n💬 Actividad de #${found.task.id} ${found.task.title}\n`));
+    if (events.length === 0) console.log(chalk.gray('   Sin actividad registrada'));
+    for (const event of events) {
+      const when = new Date(event.at).toLocaleString();
+      console.log(`   ${chalk.gray(when)} ${chalk.cyan(event.author)} ${describeEvent(event)}`);
+    }
+    console.log('');
+    return;
+  }
+
+  try {
+    const comment = addComment(found.task.id, { text, author: options.author, forAI: options.ai }, kanbanPath);
+    console.log(chalk.green(`\n✅ Comentario añadido a ${chalk.cyan(`#${found.task.id}`)} por ${comment.author}`));
+    if (comment.forAI) console.log(chalk.gray('   La IA lo verá en su próxima ejecución (PLAN y CODE)'));
+    console.log('');
+  } catch (err) {
+    console.error(chalk.red(`\n❌ Error: ${err.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = { commentCommand };
@@ -6,11 +6,13 @@ const chalk = require('chalk');
 const path = require('path');
 const { nextId } = require('../../core/id-generator');
 const { generateBranchName, generateFileName, KANBAN_PATH } = require('../../core/task');
-const { createTask } = require('../../kanban/board');
+const { createTask, getTaskById } = require('../../kanban/board');
+const { normalizeSchedule } = require('../../core/schedule');
+const { getBoardSchema } = require('../../core/workflow');
+const { linkChild } = require('../../core/subtasks');
 
 const VALID_TYPES = ['feature', 'fix', 'bug'];
 const VALID_PRIORITIES = ['alta', 'media', 'baja'];
-const VALID_COLUMNS = ['backlog', 'todo', 'in_progress', 'review', 'done'];
 
 /**
  * Clasifica texto libre usando heurísticas simples (sin IA)
@@ -113,8 +115,23 @@ async function createCommand(freeText, options) {
     priority = 'media';
   }
 
-  if (!VALID_COLUMNS.includes(column)) {
-    column = 'backlog';
+  const { ids: columns } = getBoardSchema();
+  if (!columns.includes(column)) {
+    column = columns[0];
+  }
+
+  // Programación y recurrencia
+  let schedule;
+  try {
+    schedule = normalizeSchedule({ scheduledAt: options.at, recurrence: options.cron, template: options.template });
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (options.parent && !getTaskById(options.parent)) {
+    console.error(chalk.red(`Error: Tarea padre ${options.parent} no encontrada`));
+    process.exit(1);
   }
 
   // Generar ID y branch
@@ -150,11 +167,19 @@ ${criteria.map(c => `- ${c}`).join('\n')}`;
     priority,
     branch,
     labels: labelsArray,
+    ...schedule,
     status: column,
   };
 
   // Crear en el tablero
-  const task = createTask({ ...taskData, content }, column);
+  let task;
+  try {
+    task = createTask({ ...taskData, content }, column, KANBAN_PATH, { force: Boolean(options.force) });
+    if (options.parent) linkChild(options.parent, task.id, KANBAN_PATH);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
 
   // Mostrar resultado
   console.log(chalk.green.bold(`\n✅ Tarea creada exitosamente!\n`));
@@ -167,6 +192,15 @@ ${criteria.map(c => `- ${c}`).join('\n')}`;
   if (labelsArray.length > 0) {
     console.log(chalk.white(`  Labels:   ${labelsArray.map(l => chalk.magenta(l)).join(', ')}`));
   }
+  if (task.scheduledAt) {
+    console.log(chalk.white(`  Programada: ${chalk.cyan(new Date(task.scheduledAt).toLocaleString())}`));
+  }
+  if (options.parent) {
+    console.log(chalk.white(`  Padre:    ${chalk.cyan(`#${String(options.parent).padStart(3, '0')}`)}`));
+  }
+  if (task.recurrence) {
+    console.log(chalk.white(`  Cron:     ${chalk.cyan(task.recurrence)}${task.template ? chalk.gray(` (plantilla ${task.template})`) : ''}`));
+  }
   console.log(chalk.white(`  Archivo:  ${chalk.gray(task.filePath)}\n`));
 
   return task;
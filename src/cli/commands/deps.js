@@ -0,0 +1,63 @@
+/**
+ * deps.js - Comando para ver el árbol de dependencias de una tarea
+ *
+ *   ⬆ de qué tareas depende (y de qué dependen esas, hasta el final)
+ *   ⬇ qué tareas la esperan
+ */
+
+const chalk = require('chalk');
+const { getTaskById } = require('../../kanban/board');
+const { getKanbanPath } = require('../../core/task');
+const { dependencyTree } = require('../../core/deps');
+const { getActiveKanbanPath } = require('./retry');
+
+function nodeLabel(node) {
+  const id = chalk.cyan(`#${node.id}`);
+  if (node.missing) return `${id} ${chalk.red('(no existe)')}`;
+  const column = node.done ? chalk.green(`✅ ${node.column}`) : chalk.yellow(`⏳ ${node.column}`);
+  const cycle = node.cycle ? chalk.red(' ↻ ciclo') : '';
+  return `${id} ${node.title} ${chalk.gray('—')} ${column}${cycle}`;
+}
+
+function printTree(children, prefix = '    ') {
+  children.forEach((child, i) => {
+    const last = i === children.length - 1;
+    console.log(`${prefix}${chalk.gray(last ? '└── ' : '├── ')}${nodeLabel(child)}`);
+    printTree(child.children, prefix + (last ? '    ' : chalk.gray('│   ')));
+  });
+}
+
+function depsCommand(id, options = {}) {
+  const kanbanPath = options.project ? getKanbanPath(options.project) : getActiveKanbanPath();
+  const found = getTaskById(id, kanbanPath);
+  if (!found) {
+    console.error(chalk.red(`\n❌ Tarea ${id} no encontrada\n`));
+    process.exit(1);
+  }
+
+  const up = dependencyTree(id, kanbanPath, 'up');
+  const down = dependencyTree(id, kanbanPath, 'down');
+
+  if (options.json) {
+    console.log(JSON.stringify({ upstream: up, downstream: down }, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue.bold(`\n🔗 Dependencias de ${nodeLabel(up)}\n`));
+
+  console.log(chalk.white('  ⬆ Depende de:'));
+  if (up.children.length > 0) printTree(up.children);
+  else console.log(chalk.gray('    (ninguna)'));
+
+  console.log(chalk.white('\n  ⬇ La esperan:'));
+  if (down.children.length > 0) printTree(down.children);
+  else console.log(chalk.gray('    (ninguna)'));
+
+  const pending = up.children.filter(c => !c.done);
+  if (pending.length > 0 && !up.done) {
+    console.log(chalk.yellow(`\n  🔒 Bloqueada por: ${pending.map(c => `#${c.id}`).join(', ')}`));
+  }
+  console.log('');
+}
+
+module.exports = { depsCommand };
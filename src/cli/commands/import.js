@@ -0,0 +1,67 @@
+/**
+ * import.js - Comando para importar tareas desde Trello, Jira, GitHub o una lista markdown
+ *
+ *   ai-kanban import board.json --format trello --dry-run
+ *   ai-kanban import issues.csv --format jira-csv --map "In Progress=todo,Done=done"
+ *   gh issue list --json number,title,body,labels,state,url > issues.json
+ *   ai-kanban import issues.json --format github-json --column todo
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const { getKanbanPath, KANBAN_PATH } = require('../../core/task');
+const { IMPORT_FORMATS, importTasks } = require('../../core/importers');
+const { getActiveKanbanPath } = require('./retry');
+
+const ACTION_LABELS = {
+  create: chalk.green('+ nueva     '),
+  update: chalk.yellow('~ actualiza '),
+  unchanged: chalk.gray('= sin cambio'),
+  error: chalk.red('✗ error     '),
+};
+
+function importCommand(file, options = {}) {
+  const kanbanPath = options.project ? getKanbanPath(options.project) : (getActiveKanbanPath() || KANBAN_PATH);
+
+  if (!IMPORT_FORMATS.includes(options.format)) {
+    console.error(chalk.red(`\n❌ Indica el formato con --format: ${IMPORT_FORMATS.join(' | ')}\n`));
+    process.exit(1);
+  }
+
+  let summary;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    summary = importTasks(text, options.format, kanbanPath, {
+      column: options.column,
+      columnMap: options.map,
+      dryRun: Boolean(options.dryRun),
+      force: Boolean(options.force),
+    });
+  } catch (err) {
+    console.error(chalk.red(`\n❌ Error: ${err.message}\n`));
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue(`\n📥 Importando ${chalk.cyan(file)} (${summary.format})${summary.dryRun ? chalk.gray(' — dry-run') : ''}\n`));
+  for (const result of summary.results) {
+    const id = result.id ? chalk.cyan(String(result.id).padStart(3, '0')) : chalk.gray('---');
+    const detail = result.action === 'error'
+      ? chalk.red(result.error)
+      : result.action === 'update'
+        ? chalk.gray(`[${result.column}] ${result.fields.join(', ')}`)
+        : chalk.gray(`[${result.column}]`);
+    console.log(`  ${ACTION_LABELS[result.action]} ${id} ${result.title} ${detail}`);
+  }
+
+  console.log(chalk.bold(`\n  ${summary.created} nuevas, ${summary.updated} actualizadas, ${summary.unchanged} sin cambios, ${summary.failed} con error`));
+  if (summary.dryRun) console.log(chalk.gray('  (dry-run) No se ha escrito nada'));
+  console.log('');
+  if (summary.failed) process.exit(1);
+}
+
+module.exports = { importCommand };
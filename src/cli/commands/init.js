@@ -7,7 +7,7 @@ const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
 const inquirer = require('inquirer');
-const { detectAvailableEngine } = require('../../core/ai-executor');
+const { listEngines } = require('../../core/engines');
 
 const CONFIG_PATH = path.resolve(__dirname, '../../../kanban.config.js');
 
@@ -15,11 +15,9 @@ async function initCommand() {
   console.log(chalk.blue.bold('\n🛠  AI-Kanban — Configuración\n'));
 
   // Detectar engines disponibles
-  const hasClaude   = detectAvailableEngine('claude')   === 'claude';
-  const hasOpencode = detectAvailableEngine('opencode') === 'opencode';
-  const engineChoices = [];
-  if (hasClaude)   engineChoices.push({ name: 'claude   (Claude Code)', value: 'claude' });
-  if (hasOpencode) engineChoices.push({ name: 'opencode', value: 'opencode' });
+  const engineChoices = listEngines()
+    .filter(e => e.available && e.name !== 'mock')
+    .map(e => ({ name: e.name === e.label ? e.name : `${e.name.padEnd(9)}(${e.label})`, value: e.name }));
   if (engineChoices.length === 0) {
     engineChoices.push({ name: 'claude (no detectado, instalar después)', value: 'claude' });
   }
@@ -84,7 +82,7 @@ module.exports = {
   // Proyecto donde el agente leerá y escribirá código
   projectPath: '${answers.projectPath.trim()}',
 
-  // CLI a usar: 'claude' | 'opencode'
+  // Engine a usar: 'claude' | 'opencode' | 'mock' | nombre definido en `engines`
   engine: '${answers.engine}',
 
   git: {
@@ -3,8 +3,13 @@
  */
 
 const chalk = require('chalk');
+const path = require('path');
 const { getTasks, getTasksFromColumn } = require('../../kanban/board');
-const { COLUMNS } = require('../../core/task');
+const { KANBAN_PATH, getKanbanPath } = require('../../core/task');
+const { getBoardSchema, wipLimit } = require('../../core/workflow');
+const { resolveSchedulingConfig, orderQueue, policyName } = require('../../core/queue');
+const { isDue, scheduledDate } = require('../../core/schedule');
+const { parseQuery, matchesQuery, getViewQuery } = require('../../core/query');
 
 const TYPE_COLORS = {
   feature: chalk.blue,
@@ -24,9 +29,11 @@ const COLUMN_COLORS = {
   in_progress: chalk.blue,
   review: chalk.yellow,
   done: chalk.green,
+  blocked: chalk.red,
 };
 
 function formatTask(task, showErrors = false) {
+  const { motor } = getBoardSchema();
   const typeColor = TYPE_COLORS[task.type] || chalk.white;
   const priorityColor = PRIORITY_COLORS[task.priority] || chalk.white;
   const labels = task.labels && task.labels.length > 0
@@ -34,55 +41,169 @@ function formatTask(task, showErrors = false) {
     : '';
   
   let errorIndicator = '';
-  if (showErrors && task.lastError && task.status === 'review') {
+  if (showErrors && task.lastError && task.status === motor.failure) {
     const truncatedError = task.lastError.length > 40 
       ? task.lastError.substring(0, 40) + '...' 
       : task.lastError;
     errorIndicator = chalk.red(`\n       ⚠️ ${truncatedError}`);
   }
 
+  const scheduledAt = task.scheduledAt ? new Date(task.scheduledAt) : null;
+  const schedule = [
+    scheduledAt && scheduledAt > new Date() && task.status !== motor.success ? `⏰ ${scheduledAt.toLocaleString()}` : '',
+    task.recurrence ? `🔁 ${task.recurrence}` : '',
+  ].filter(Boolean).join(' ');
+
   return [
     `  ${chalk.cyan(task.id.toString().padStart(3, '0'))}`,
     typeColor(`[${(task.type || 'feature').padEnd(7)}]`),
     priorityColor(`[${(task.priority || 'media').padEnd(5)}]`),
     chalk.white(task.title),
     labels,
+    schedule ? chalk.gray(schedule) : '',
     errorIndicator,
   ].join(' ');
 }
 
-function printColumn(column, tasks, labelFilter) {
-  const filtered = labelFilter
-    ? tasks.filter(t => t.labels && t.labels.includes(labelFilter))
+/**
+ * Aviso si la columna está en su límite WIP o lo supera (movida con force), o null.
+ */
+function wipWarning(column, count) {
+  const limit = wipLimit(getBoardSchema(), column);
+  if (limit == null || count < limit) return null;
+  return count > limit
+    ? `${column} supera su límite WIP (${count}/${limit})`
+    : `${column} está en su límite WIP (${count}/${limit}): no admite más tareas sin --force`;
+}
+
+function printWipWarnings(warnings) {
+  for (const warning of warnings.filter(Boolean)) {
+    console.log(chalk.yellow(`  ⚠ ${warning}`));
+  }
+}
+
+function printColumn(column, tasks, terms) {
+  const filtered = terms.length > 0
+    ? tasks.filter(t => matchesQuery({ column, ...t }, terms))
     : tasks;
 
   const colColor = COLUMN_COLORS[column] || chalk.white;
   const colName = column.toUpperCase().replace('_', ' ');
+  const limit = wipLimit(getBoardSchema(), column);
+  const count = limit != null ? `${tasks.length}/${limit}` : filtered.length;
 
-  console.log(colColor.bold(`\n┌─ ${colName} (${filtered.length}) ─────────────────────`));
+  console.log(colColor.bold(`\n┌─ ${colName} (${count}) ─────────────────────`));
 
   if (filtered.length === 0) {
     console.log(chalk.gray('   (vacío)'));
   } else {
-    const showErrors = column === 'review';
+    const showErrors = column === getBoardSchema().motor.failure;
     filtered.forEach(task => console.log(formatTask(task, showErrors)));
   }
 }
 
+/**
+ * Config `scheduling` de kanban.config.js (y del proyecto cuyo kanban es este).
+ */
+function loadSchedulingConfig() {
+  let cfg = {};
+  try {
+    cfg = require(path.resolve(__dirname, '../../../kanban.config.js'));
+  } catch {}
+  const project = Object.values(cfg.projects || {}).find(p => p.path && getKanbanPath(p.path) === KANBAN_PATH);
+  return resolveSchedulingConfig(cfg.scheduling, project?.scheduling);
+}
+
+/**
+ * Motivo por el que el motor saltaría la tarea ahora, o null.
+ */
+function skipReason(task, doneIds, now) {
+  if (!isDue(task, now)) return `programada para ${scheduledDate(task).toLocaleString()}`;
+  const blocking = (Array.isArray(task.dependsOn) ? task.dependsOn : [])
+    .map(id => String(id).padStart(3, '0'))
+    .filter(id => !doneIds.has(id));
+  return blocking.length > 0 ? `bloqueada por: ${blocking.join(', ')}` : null;
+}
+
+/**
+ * `list todo --queue`: TODO en el orden exacto en que la cogerá el motor.
+ */
+function printQueue(options) {
+  const scheduling = loadSchedulingConfig();
+  const { motor } = getBoardSchema();
+  const now = new Date();
+  const queue = orderQueue(getTasksFromColumn(motor.pickFrom), scheduling, {
+    inProgress: getTasksFromColumn(motor.working),
+    now: now.getTime(),
+  });
+  const doneIds = new Set(getTasksFromColumn(motor.success).map(t => String(t.id).padStart(3, '0')));
+  const entries = queue.map((task, i) => ({ position: i + 1, skip: skipReason(task, doneIds, now), task }));
+
+  if (options.json) {
+    console.log(JSON.stringify({ policy: policyName(scheduling), queue: entries }, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyan.bold(`\n┌─ COLA DE ${motor.pickFrom.toUpperCase()} (${entries.length}) — política: ${policyName(scheduling)} ─────`));
+  if (entries.length === 0) console.log(chalk.gray('   (vacío)'));
+  for (const { position, skip, task } of entries) {
+    const line = `${String(position).padStart(3)}. ${formatTask(task)}`;
+    console.log(skip ? chalk.gray(`${line}\n       ↷ se salta: ${skip}`) : line);
+  }
+  console.log('');
+}
+
+/**
+ * Términos de --view, --query y --label juntos (AND). Sale con error si no son válidos.
+ */
+function resolveFilter(options) {
+  const parts = [];
+  if (options.view) {
+    const viewQuery = getViewQuery(options.view);
+    if (viewQuery === null) {
+      console.error(chalk.red(`Error: vista no encontrada: ${options.view}`));
+      process.exit(1);
+    }
+    parts.push(viewQuery);
+  }
+  if (options.query) parts.push(options.query);
+  if (options.label) parts.push(`label:"${options.label}"`);
+
+  try {
+    return parseQuery(parts.join(' '));
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+}
+
 function listCommand(column, options) {
-  const { json, label } = options;
+  const { json } = options;
+  const { ids: columns, motor } = getBoardSchema();
+  const terms = resolveFilter(options);
+  const keep = (col, tasks) => terms.length > 0 ? tasks.filter(t => matchesQuery({ column: col, ...t }, terms)) : tasks;
+
+  if (options.queue) {
+    if (column && column !== motor.pickFrom) {
+      console.error(chalk.red(`Error: --queue solo aplica a la columna ${motor.pickFrom}`));
+      process.exit(1);
+    }
+    printQueue(options);
+    return;
+  }
 
   // Si pide una columna específica
-  if (column && column !== 'all' && COLUMNS.includes(column)) {
+  if (column && column !== 'all' && columns.includes(column)) {
     const tasks = getTasksFromColumn(column);
 
     if (json) {
-      console.log(JSON.stringify(tasks, null, 2));
+      console.log(JSON.stringify(keep(column, tasks), null, 2));
       return;
     }
 
-    printColumn(column, tasks, label);
+    printColumn(column, tasks, terms);
     console.log('');
+    printWipWarnings([wipWarning(column, tasks.length)]);
     return;
   }
 
@@ -90,20 +211,22 @@ function listCommand(column, options) {
   const allTasks = getTasks();
 
   if (json) {
-    console.log(JSON.stringify(allTasks, null, 2));
+    const filtered = Object.fromEntries(Object.entries(allTasks).map(([col, tasks]) => [col, keep(col, tasks)]));
+    console.log(JSON.stringify(filtered, null, 2));
     return;
   }
 
   console.log(chalk.blue.bold('\n📋 AI-Kanban - Tablero de Tareas\n'));
 
   let total = 0;
-  for (const col of COLUMNS) {
+  for (const col of columns) {
     const tasks = allTasks[col] || [];
-    printColumn(col, tasks, label);
+    printColumn(col, tasks, terms);
     total += tasks.length;
   }
 
   console.log(chalk.gray(`\n  Total: ${total} tarea(s)\n`));
+  printWipWarnings(columns.map(col => wipWarning(col, (allTasks[col] || []).length)));
 }
 
 module.exports = { listCommand };
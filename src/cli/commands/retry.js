@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const { moveTask, getTasks } = require('../../kanban/board');
 const { getKanbanPath } = require('../../core/task');
+const { getBoardSchema } = require('../../core/workflow');
 
 const KANBAN_ROOT = path.resolve(__dirname, '../../../');
 const ACTIVE_PROJECT_FILE = path.join(KANBAN_ROOT, 'kanban', '.active-project.json');
@@ -22,15 +23,16 @@ function getActiveKanbanPath() {
   return undefined;
 }
 
-function retryCommand(id) {
+function retryCommand(id, options = {}) {
   console.log(chalk.blue(`\n🔄 Reintentando tarea ${chalk.cyan(id)}...\n`));
 
   try {
     const kanbanPath = getActiveKanbanPath();
-    const result = moveTask(id, 'todo', kanbanPath);
+    const { pickFrom } = getBoardSchema(kanbanPath).motor;
+    const result = moveTask(id, pickFrom, kanbanPath, { force: Boolean(options.force), event: 'retried' });
     
     console.log(chalk.green(`✅ Tarea ${chalk.cyan(id)} movida:`));
-    console.log(chalk.gray(`   ${result.fromColumn} → todo`));
+    console.log(chalk.gray(`   ${result.fromColumn} → ${pickFrom}`));
     console.log(chalk.gray(`   Lista para ser procesada nuevamente\n`));
   } catch (err) {
     console.error(chalk.red(`❌ Error: ${err.message}\n`));
@@ -43,10 +45,23 @@ function unstuckCommand(options) {
   
   console.log(chalk.blue.bold('\n🔍 Buscando tareas atascadas...\n'));
 
-  const inProgress = getTasks('in_progress', kanbanPath);
-  const review = getTasks('review', kanbanPath);
+  const { motor } = getBoardSchema(kanbanPath);
+  const inProgress = getTasks(motor.working, kanbanPath);
+  const review = getTasks(motor.failure, kanbanPath);
 
   let fixed = 0;
+  let failed = 0;
+  // Una tarea que no se puede mover (transición, límite WIP...) no para el resto
+  const tryMove = (task, to, force) => {
+    try {
+      moveTask(task.id, to, kanbanPath, { force });
+      console.log(chalk.green(`     → Movida a ${to.toUpperCase()}`));
+      fixed++;
+    } catch (err) {
+      console.log(chalk.red(`     ✖ No se pudo mover a ${to.toUpperCase()}: ${err.message}`));
+      failed++;
+    }
+  };
 
   const oneHourAgo = Date.now() - 60 * 60 * 1000;
   
@@ -57,17 +72,17 @@ function unstuckCommand(options) {
       console.log(chalk.yellow(`  ⚠ [${task.id}] ${task.title} - en progreso por más de 1 hora`));
       
       if (!options.dryRun) {
-        moveTask(task.id, 'review', kanbanPath);
-        console.log(chalk.green(`     → Movida a REVIEW`));
+        // Como el motor al terminar: sacarla de in_progress ignora el WIP
+        tryMove(task, motor.failure, true);
       } else {
-        console.log(chalk.gray(`     → (dry-run) Se movería a REVIEW`));
+        console.log(chalk.gray(`     → (dry-run) Se movería a ${motor.failure.toUpperCase()}`));
+        fixed++;
       }
-      fixed++;
     }
   }
 
   if (review.length > 0) {
-    console.log(chalk.yellow(`\n📋 Tareas en REVIEW (${review.length}):`));
+    console.log(chalk.yellow(`\n📋 Tareas en ${motor.failure.toUpperCase()} (${review.length}):`));
     for (const task of review) {
       const retryCount = task.retryCount || 0;
       const lastError = task.lastError || 'Sin info';
@@ -75,25 +90,27 @@ function unstuckCommand(options) {
       console.log(chalk.gray(`      Reintentos: ${retryCount} | Error: ${lastError.slice(0, 50)}...`));
       
       if (options.all && !options.dryRun) {
-        moveTask(task.id, 'todo', kanbanPath);
-        console.log(chalk.green(`     → Movida a TODO`));
-        fixed++;
+        tryMove(task, motor.pickFrom, Boolean(options.force));
       }
     }
   }
 
+  if (failed > 0) {
+    console.log(chalk.red(`\n✖ ${failed} tarea(s) no se pudieron mover (usa --force para ignorar el límite WIP)`));
+  }
+
   if (fixed === 0 && inProgress.length === 0 && review.length === 0) {
     console.log(chalk.green('✅ No hay tareas atascadas\n'));
-  } else if (fixed === 0) {
+  } else if (fixed === 0 && failed === 0) {
     console.log(chalk.green('\n✅ No se encontraron tareas atascadas (en progreso > 1 hora)\n'));
-  } else {
+  } else if (fixed > 0) {
     console.log(chalk.green(`\n✅ ${fixed} tarea(s) arregladas\n`));
   }
 
   if (review.length > 0 && !options.all) {
-    console.log(chalk.cyan('💡 Usa --all para mover todas las tareas de REVIEW a TODO'));
+    console.log(chalk.cyan(`💡 Usa --all para mover todas las tareas de ${motor.failure.toUpperCase()} a ${motor.pickFrom.toUpperCase()}`));
     console.log(chalk.cyan('💡 O usa: ai-kanban retry <id> para una tarea específica\n'));
   }
 }
 
-module.exports = { retryCommand, unstuckCommand };
+module.exports = { retryCommand, unstuckCommand, getActiveKanbanPath };
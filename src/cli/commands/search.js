@@ -0,0 +1,44 @@
+/**
+ * search.js - Comando para buscar texto en tareas, artefactos e historial
+ *
+ *   ai-kanban search login jwt
+ *   ai-kanban search "rate limit" --column done --label api
+ */
+
+const chalk = require('chalk');
+const { getKanbanPath, KANBAN_PATH } = require('../../core/task');
+const { SearchIndex } = require('../../core/search');
+const { getActiveKanbanPath } = require('./retry');
+
+const KIND_LABELS = {
+  task: 'tarea',
+  artifact: 'artefacto',
+  history: 'historial',
+};
+
+function searchCommand(query, options = {}) {
+  const kanbanPath = options.project ? getKanbanPath(options.project) : (getActiveKanbanPath() || KANBAN_PATH);
+  const results = new SearchIndex(kanbanPath).search(query, {
+    column: options.column,
+    type: options.type,
+    label: options.label,
+    limit: parseInt(options.limit, 10) || 20,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold(`\n🔎 "${query}": ${results.length} resultado${results.length === 1 ? '' : 's'}\n`));
+  for (const result of results) {
+    console.log(`  ${chalk.cyan(result.id)} ${chalk.white(result.title)} ${chalk.gray(`[${result.column}]`)}`);
+    for (const match of result.matches.slice(0, 3)) {
+      const where = match.kind === 'task' ? KIND_LABELS.task : `${KIND_LABELS[match.kind]} ${match.name}`;
+      console.log(`       ${chalk.magenta(where)} ${chalk.gray(match.snippet)}`);
+    }
+  }
+  console.log('');
+}
+
+module.exports = { searchCommand };
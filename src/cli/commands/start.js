@@ -3,15 +3,14 @@
  *
  * Flags:
  *   --project /ruta   → proyecto donde trabaja el agente (sobreescribe config)
- *   --engine claude   → fuerza uso de claude CLI
- *   --engine opencode → fuerza uso de opencode CLI
+ *   --engine <nombre> → fuerza un engine registrado (claude, opencode, mock, ...)
  *   --once            → procesa solo la primera tarea y termina
  *   --dry-run         → simula sin ejecutar
  *   --interactive     → modo interactivo (puedes escribir comandos)
  */
 
 const chalk = require('chalk');
-const { detectAvailableEngine } = require('../../core/ai-executor');
+const { listEngines } = require('../../core/engines');
 
 async function startCommand(options) {
   const { startLoop } = require('../../core/loop');
@@ -19,13 +18,15 @@ async function startCommand(options) {
   console.log(chalk.blue.bold('\n🤖 AI-Kanban — Motor de Automatización\n'));
 
   // Mostrar qué engines hay disponibles
-  const hasClaude   = detectAvailableEngine('claude')   === 'claude';
-  const hasOpencode = detectAvailableEngine('opencode') === 'opencode';
-  console.log(`  claude   : ${hasClaude   ? chalk.green('✓ disponible') : chalk.gray('✗ no encontrado')}`);
-  console.log(`  opencode : ${hasOpencode ? chalk.green('✓ disponible') : chalk.gray('✗ no encontrado')}`);
+  const engines = listEngines();
+  for (const e of engines) {
+    console.log(`  ${e.name.padEnd(9)}: ${e.available ? chalk.green('✓ disponible') : chalk.gray('✗ no encontrado')}`);
+  }
 
-  if (!hasClaude && !hasOpencode && !options.dryRun) {
-    console.log(chalk.red('\n  ❌ Ningún CLI disponible. Instala claude o opencode.\n'));
+  const requested = options.engine ? engines.find(e => e.name === options.engine) : null;
+  const usable = requested ? requested.available : engines.some(e => e.fallback && e.available);
+  if (!usable && !options.dryRun) {
+    console.log(chalk.red(`\n  ❌ ${requested ? `El engine '${options.engine}' no está disponible` : 'Ningún CLI disponible. Instala claude o opencode'}.\n`));
     process.exit(1);
   }
 
@@ -0,0 +1,47 @@
+/**
+ * view.js - Comando para gestionar las vistas guardadas (consultas con nombre)
+ *
+ *   ai-kanban view                                   # lista las vistas
+ *   ai-kanban view bugs-auth "type:bug label:auth"   # guarda (o reemplaza)
+ *   ai-kanban view bugs-auth                         # muestra su consulta
+ *   ai-kanban view bugs-auth --delete
+ *   ai-kanban list --view bugs-auth
+ */
+
+const chalk = require('chalk');
+const { getViews, saveView, deleteView, getViewQuery } = require('../../core/query');
+
+function viewCommand(name, query, options = {}) {
+  try {
+    if (!name) {
+      const views = getViews();
+      console.log(chalk.bold('\n🔖 Vistas guardadas\n'));
+      if (views.length === 0) console.log(chalk.gray('   Ninguna. Crea una con: ai-kanban view <nombre> "<consulta>"'));
+      for (const view of views) console.log(`   ${chalk.cyan(view.name.padEnd(20))} ${view.query}`);
+      console.log('');
+      return;
+    }
+
+    if (options.delete) {
+      deleteView(name);
+      console.log(chalk.green(`\n✅ Vista ${chalk.cyan(name)} borrada\n`));
+      return;
+    }
+
+    if (query === undefined) {
+      const viewQuery = getViewQuery(name);
+      if (viewQuery === null) throw new Error(`Vista no encontrada: ${name}`);
+      console.log(`\n   ${chalk.cyan(name)} ${viewQuery}\n`);
+      return;
+    }
+
+    const view = saveView(name, query);
+    console.log(chalk.green(`\n✅ Vista ${chalk.cyan(view.name)} guardada: ${view.query}`));
+    console.log(chalk.gray(`   Úsala con: ai-kanban list --view ${view.name}\n`));
+  } catch (err) {
+    console.error(chalk.red(`\n❌ Error: ${err.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = { viewCommand };
@@ -35,7 +35,12 @@ program
   .option('-T, --title <title>', 'Título de la tarea')
   .option('-p, --priority <priority>', 'Prioridad: alta | media | baja', 'media')
   .option('-l, --labels <labels>', 'Etiquetas separadas por coma (ej: auth,ui)')
-  .option('-c, --column <column>', 'Columna inicial', 'backlog')
+  .option('-c, --column <column>', 'Columna inicial (default: la primera del tablero, backlog)')
+  .option('--at <fecha>', 'Programar: el motor no la coge antes de esa fecha (ej: 2026-03-02T02:00)')
+  .option('--cron <expr>', 'Recurrente: crea una copia nueva tras cada ejecución (ej: "0 2 * * 1")')
+  .option('--template <nombre>', 'Plantilla de las siguientes ocurrencias (kanban/templates/<nombre>.md)')
+  .option('--force', 'Crear aunque la columna haya alcanzado su límite WIP')
+  .option('--parent <id>', 'Crear como subtarea de esa tarea (el padre pasa a done al terminar todas)')
   .option('--ai', 'Usar IA (claude/opencode) para clasificar texto libre')
   .option('--engine <engine>', 'CLI a usar para clasificar: claude | opencode')
   .action(async (freeText, options) => {
@@ -48,14 +53,65 @@ program
 // ─────────────────────────────────────────────
 program
   .command('list [column]')
-  .description('Listar tareas del tablero (all, backlog, todo, in_progress, review, done)')
+  .description('Listar tareas del tablero (all o una columna: backlog, todo, in_progress, review, done...)')
   .option('-l, --label <label>', 'Filtrar por etiqueta')
+  .option('-q, --query <query>', 'Filtrar con una consulta (ej: "type:bug label:auth -label:wip has:lastError")')
+  .option('--view <name>', 'Filtrar con una vista guardada (ver: ai-kanban view)')
+  .option('--queue', 'Mostrar TODO en el orden en que lo procesará el motor')
   .option('--json', 'Salida en formato JSON')
   .action((column, options) => {
     const { listCommand } = require('./commands/list');
     listCommand(column, options);
   });
 
+// ─────────────────────────────────────────────
+// COMANDO: import
+// ─────────────────────────────────────────────
+program
+  .command('import <file>')
+  .description('Importar tareas de un export de Trello, Jira (CSV), GitHub (JSON) o una lista markdown')
+  .option('--format <format>', 'Formato: trello | jira-csv | github-json | markdown-list')
+  .option('-c, --column <column>', 'Columna por defecto (default: la primera del tablero)')
+  .option('--map <mapa>', 'Columnas de origen → tablero (ej: "In Progress=todo,Done=done")')
+  .option('--dry-run', 'Mostrar qué se crearía o actualizaría sin escribir nada')
+  .option('-f, --force', 'Crear aunque la columna esté en su límite WIP')
+  .option('--project <path>', 'Ruta del proyecto')
+  .option('--json', 'Salida en formato JSON')
+  .action((file, options) => {
+    const { importCommand } = require('./commands/import');
+    importCommand(file, options);
+  });
+
+// ─────────────────────────────────────────────
+// COMANDO: bulk
+// ─────────────────────────────────────────────
+program
+  .command('bulk <action> [value]')
+  .description('Operación en lote: move <columna> | add-label <etiqueta> | remove-label <etiqueta> | set-priority <prioridad> | delete | retry')
+  .option('-q, --query <query>', 'Tareas que cumplen la consulta (ej: "label:auth -label:wip")')
+  .option('--view <name>', 'Tareas de una vista guardada')
+  .option('--ids <ids>', 'IDs separados por coma (ej: 003,007)')
+  .option('-f, --force', 'Mover aunque la columna destino esté en su límite WIP')
+  .option('--dry-run', 'Mostrar qué tareas se verían afectadas sin cambiar nada')
+  .option('-y, --yes', 'No pedir confirmación al eliminar')
+  .option('--project <path>', 'Ruta del proyecto')
+  .action(async (action, value, options) => {
+    const { bulkCommand } = require('./commands/bulk');
+    await bulkCommand(action, value, options);
+  });
+
+// ─────────────────────────────────────────────
+// COMANDO: view
+// ─────────────────────────────────────────────
+program
+  .command('view [name] [query]')
+  .description('Vistas guardadas: sin argumentos las lista; con nombre y consulta la guarda')
+  .option('-d, --delete', 'Borrar la vista')
+  .action((name, query, options) => {
+    const { viewCommand } = require('./commands/view');
+    viewCommand(name, query, options);
+  });
+
 // ─────────────────────────────────────────────
 // COMANDO: move
 // ─────────────────────────────────────────────
@@ -73,9 +129,68 @@ program
 program
   .command('retry <id>')
   .description('Mover tarea de REVIEW a TODO para reintentar')
-  .action((id) => {
+  .option('--force', 'Moverla aunque TODO haya alcanzado su límite WIP')
+  .action((id, options) => {
     const { retryCommand } = require('./commands/retry');
-    retryCommand(id);
+    retryCommand(id, options);
+  });
+
+// ─────────────────────────────────────────────
+// COMANDO: deps
+// ─────────────────────────────────────────────
+program
+  .command('deps <id>')
+  .description('Ver de qué tareas depende una tarea y cuáles la esperan')
+  .option('--project <path>', 'Ruta del proyecto')
+  .option('--json', 'Salida en formato JSON')
+  .action((id, options) => {
+    const { depsCommand } = require('./commands/deps');
+    depsCommand(id, options);
+  });
+
+// ─────────────────────────────────────────────
+// COMANDO: approve
+// ─────────────────────────────────────────────
+program
+  .command('approve <id>')
+  .description('Aprobar (o rechazar) el plan de una tarea que espera aprobación')
+  .option('--plan <file>', 'Aprobar una versión editada del plan (archivo markdown)')
+  .option('--reject <comment>', 'Rechazar el plan; el comentario guía el nuevo PLAN')
+  .option('--project <path>', 'Ruta del proyecto')
+  .action((id, options) => {
+    const { approveCommand } = require('./commands/approve');
+    approveCommand(id, options);
+  });
+
+// ─────────────────────────────────────────────
+// COMANDO: comment
+// ─────────────────────────────────────────────
+program
+  .command('comment <id> [text]')
+  .description('Comentar una tarea; sin texto muestra sus comentarios y actividad')
+  .option('--ai', 'La IA verá el comentario en su próxima ejecución')
+  .option('--author <name>', 'Autor del comentario (default: KANBAN_USER o el usuario del sistema)')
+  .option('--project <path>', 'Ruta del proyecto')
+  .action((id, text, options) => {
+    const { commentCommand } = require('./commands/comment');
+    commentCommand(id, text, options);
+  });
+
+// ─────────────────────────────────────────────
+// COMANDO: search
+// ─────────────────────────────────────────────
+program
+  .command('search <query...>')
+  .description('Buscar texto en tareas, artefactos de fase (plan, code, scope) e historial')
+  .option('-c, --column <column>', 'Solo tareas de esa columna')
+  .option('-t, --type <type>', 'Solo tareas de ese tipo: feature | fix | bug')
+  .option('-l, --label <label>', 'Solo tareas con esa etiqueta')
+  .option('-n, --limit <n>', 'Máximo de resultados', '20')
+  .option('--project <path>', 'Ruta del proyecto')
+  .option('--json', 'Salida en formato JSON')
+  .action((query, options) => {
+    const { searchCommand } = require('./commands/search');
+    searchCommand(query.join(' '), options);
   });
 
 // ─────────────────────────────────────────────
@@ -86,6 +201,7 @@ program
   .description('Detectar y arreglar tareas atascadas')
   .option('--all', 'Mover todas las tareas de REVIEW a TODO')
   .option('--dry-run', 'Solo mostrar qué se haría, sin cambios')
+  .option('-f, --force', 'Ignorar el límite WIP de TODO al mover con --all')
   .option('--project <path>', 'Ruta del proyecto')
   .action((options) => {
     const { unstuckCommand } = require('./commands/retry');
@@ -102,7 +218,7 @@ program
   .option('--dry-run', 'Simular ejecución sin cambios reales')
   .option('--interactive', 'Modo interactivo: puedes escribir comandos a la IA')
   .option('--project <path>', 'Ruta del proyecto donde trabaja el agente (sobreescribe config)')
-  .option('--engine <engine>', 'CLI a usar: claude | opencode (sobreescribe config)')
+  .option('--engine <engine>', 'Engine a usar: claude | opencode | mock | <custom> (sobreescribe config)')
   .action(async (options) => {
     const { startCommand } = require('./commands/start');
     await startCommand(options);
@@ -116,7 +232,7 @@ program
   .alias('i')
   .description('Abrir sesión interactiva con la IA (sin procesar tareas)')
   .option('--project <path>', 'Ruta del proyecto')
-  .option('--engine <engine>', 'CLI a usar: claude | opencode')
+  .option('--engine <engine>', 'Engine a usar: claude | opencode | mock | <custom>')
   .action(async (prompt, options) => {
     const { runInteractiveSession, detectAvailableEngine, notify } = require('../../core/ai-executor');
     const path = require('path');
@@ -125,7 +241,7 @@ program
     const engine = detectAvailableEngine(options.engine || 'claude');
     
     if (!engine) {
-      console.log(chalk.red('\n  ❌ No se encontró ningún CLI (claude ni opencode).\n'));
+      console.log(chalk.red('\n  ❌ No hay ningún engine disponible (instala claude u opencode, o configura uno en kanban.config.js).\n'));
       process.exit(1);
     }
     
@@ -0,0 +1,124 @@
+/**
+ * activity.js — Comentarios y registro de actividad por tarea
+ *
+ * kanban/.history/{id}/activity.jsonl guarda, una línea por evento y sin
+ * reescribir nunca las anteriores:
+ *
+ *   { id, type: comment, author, at, text, forAI }
+ *   { id, type: created, author, at, column }
+ *   { id, type: moved | retried, author, at, from, to }
+ *   { id, type: edited, author, at, fields: [title, content, ...] }
+ *   { id, type: result, author: motor, at, result, summary, column, aiComments }
+ *
+ * Los comentarios con `forAI` se añaden al prompt de PLAN y CODE de la
+ * siguiente ejecución. El `result` del motor lista en `aiComments` los que
+ * recibió: desde entonces dejan de estar pendientes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const ACTIVITY_TYPES = ['comment', 'created', 'moved', 'retried', 'edited', 'result'];
+
+// Autor de lo que hace el motor por su cuenta
+const MOTOR_AUTHOR = 'motor';
+
+function activityFile(kanbanPath, taskId) {
+  const padded = String(taskId).padStart(3, '0');
+  return path.join(kanbanPath, '.history', padded, 'activity.jsonl');
+}
+
+/**
+ * Autor por defecto: KANBAN_USER o el usuario del sistema.
+ */
+function defaultAuthor() {
+  if (process.env.KANBAN_USER) return process.env.KANBAN_USER;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return 'anónimo';
+  }
+}
+
+/**
+ * Añade un evento al registro de la tarea.
+ * @param {Object} entry - { type, author?, ...campos del tipo }
+ * @returns {Object} evento guardado (con id y at)
+ */
+function recordActivity(taskId, entry, kanbanPath) {
+  if (!ACTIVITY_TYPES.includes(entry.type)) {
+    throw new Error(`Tipo de actividad desconocido: '${entry.type}'`);
+  }
+  const event = {
+    id: crypto.randomBytes(4).toString('hex'),
+    ...entry,
+    author: entry.author || defaultAuthor(),
+    at: new Date().toISOString(),
+  };
+  const file = activityFile(kanbanPath, taskId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(event) + '\n', 'utf8');
+  return event;
+}
+
+/**
+ * Comentario de una persona. Con `forAI` la IA lo verá en su próxima ejecución.
+ */
+function addComment(taskId, { text, author, forAI = false } = {}, kanbanPath) {
+  const body = String(text || '').trim();
+  if (!body) throw new Error('El comentario no puede estar vacío');
+  return recordActivity(taskId, { type: 'comment', author, text: body, forAI: Boolean(forAI) }, kanbanPath);
+}
+
+/**
+ * Eventos de la tarea, del más antiguo al más reciente. Las líneas
+ * corruptas se ignoran.
+ */
+function getActivity(taskId, kanbanPath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(activityFile(kanbanPath, taskId), 'utf8');
+  } catch {
+    return [];
+  }
+  const events = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {}
+  }
+  return events;
+}
+
+/**
+ * Comentarios para la IA que ninguna ejecución ha recibido todavía.
+ */
+function pendingAIComments(taskId, kanbanPath) {
+  const events = getActivity(taskId, kanbanPath);
+  const delivered = new Set(events.filter(e => e.type === 'result').flatMap(e => e.aiComments || []));
+  return events.filter(e => e.type === 'comment' && e.forAI && !delivered.has(e.id));
+}
+
+/**
+ * Campos del frontmatter (y `content`) que cambian entre dos versiones.
+ */
+function editedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const ignored = new Set(['filePath', 'column', 'fileName', 'status']);
+  return [...keys].filter(key => !ignored.has(key)
+    && JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null));
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  MOTOR_AUTHOR,
+  defaultAuthor,
+  recordActivity,
+  addComment,
+  getActivity,
+  pendingAIComments,
+  editedFields,
+};
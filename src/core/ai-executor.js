@@ -10,16 +10,61 @@
  * Si REVIEW rechaza → vuelve a CODE con feedback
  * Si TEST falla     → vuelve a CODE con feedback
  * Máximo MAX_ITERATIONS intentos de CODE antes de renunciar
+ *
+ * Las fases, las iteraciones y los timeouts se pueden cambiar por proyecto
+ * y por tarea (ver pipeline.js). CODE siempre se ejecuta.
+ *
+ * Con `pipeline.decompose` PLAN puede dividir una tarea grande en subtareas
+ * (bloque SUBTAREAS, ver subtasks.js): la tarea termina ahí con
+ * `decomposed: true` y el loop crea las hijas.
+ *
+ * Con `pipeline.approve: [plan]` la tarea termina tras PLAN con
+ * `awaitingApproval: true` y espera a una persona (approval.js). Aprobada,
+ * la siguiente ejecución salta PLAN y usa el plan aprobado; rechazada, PLAN
+ * se repite con los comentarios del rechazo.
+ *
+ * Los comentarios marcados para la IA (`aiComments`, ver activity.js) se
+ * añaden a los prompts de PLAN y CODE.
+ *
+ * SCOPE da un veredicto por criterio de aceptación (bloque CRITERIOS, ver
+ * criteria.js). Un criterio no cumplido manda la tarea a Review y la tabla
+ * de veredictos se guarda como artefacto `criteria`.
+ *
+ * Si hay `verify` configurado, tras TEST se ejecuta el comando real de tests
+ * del proyecto (verify.js). Si falla, vuelve a CODE con su output como
+ * feedback: el marcador de la IA no basta para dar la tarea por buena.
+ *
+ * Tras cada fase completada se guarda un checkpoint (checkpoint.js). Con
+ * `resume` la ejecución continúa tras la última fase del checkpoint: se
+ * reutilizan el plan, el feedback y el registro de fases ya hechas.
+ *
+ * Cada fase registra tokens y coste (usage.js). Con `budget` configurado la
+ * tarea se detiene antes de la siguiente fase si ya superó el presupuesto.
+ *
+ * Fuera del ciclo: RESOLVE (resolveMergeConflicts) resuelve los conflictos
+ * cuando el merge del branch de la tarea a la rama base choca, y
+ * recheckAfterUpdate repite REVIEW/TEST si el branch se actualizó con la base.
  */
 
-const { spawn, exec, execSync } = require('child_process');
+const { spawn, exec } = require('child_process');
 const { PassThrough } = require('stream');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const readline = require('readline');
 const { readContext, getContextPath } = require('./project-context');
-const { getHistory } = require('./history');
+const { getHistory, getTaskUsage } = require('./history');
+const engines = require('./engines');
+const { cliExists } = require('./engines/cli');
+const { resolvePipeline } = require('./pipeline');
+const { MAX_SUBTASKS, parseSubtasks } = require('./subtasks');
+const { parseCriteria, parseVerdicts, failedCriteria, verdictTable } = require('./criteria');
+const { approvedPlan, rejectionFeedback } = require('./approval');
+const { saveCheckpoint, phaseDone } = require('./checkpoint');
+const { resolvePrompt } = require('./prompt-templates');
+const { resolveVerifyConfig, runVerifyCommand, outputTail } = require('./verify');
+const { normalizeUsage, parseUsage, addUsage, collectUsage, resolveBudgetConfig, checkBudget } = require('./usage');
 
 const MAX_ITERATIONS = 3;
 
@@ -78,8 +123,9 @@ function getPreviousAttemptsContext(kanbanPath, taskId) {
   return lines.join('\n\n');
 }
 
-// Proceso actual corriendo (claude/opencode) — para poder matarlo con SIGTERM
-let currentProc = null;
+// Procesos de IA corriendo (claude/opencode) — para poder matarlos con SIGTERM.
+// Con loop.concurrency > 1 hay uno por worker.
+const activeProcs = new Set();
 
 // ─── NOTIFICACIONES DEL SISTEMA ─────────────────────────────────────────────
 function notify(title, message) {
@@ -94,25 +140,27 @@ function notify(title, message) {
 }
 
 /**
- * Mata el subprocess de IA que esté corriendo en este momento.
+ * Mata los subprocesses de IA que estén corriendo en este momento.
  * Llamado desde loop.js al recibir SIGTERM.
  */
 function killCurrentPhase() {
-  if (currentProc) {
-    try { currentProc.kill('SIGTERM'); } catch {}
-    setTimeout(() => { try { currentProc?.kill('SIGKILL'); } catch {} }, 3000);
+  for (const proc of activeProcs) {
+    try { proc.kill('SIGTERM'); } catch {}
+    setTimeout(() => { try { proc.kill('SIGKILL'); } catch {} }, 3000);
   }
 }
 
 // ─── TIMEOUTS POR FASE ──────────────────────────────────────
 // CODE necesita mucho más tiempo: Claude lee archivos, piensa, escribe
-// PLAN/REVIEW/TEST son más cortos porque solo analizan
+// PLAN/REVIEW/TEST son más cortos porque solo analizan.
+// Son los defaults: config `pipeline.timeouts` y el frontmatter los sobrescriben.
 const PHASE_TIMEOUTS = {
   PLAN:   { total: 15 * 60 * 1000, inactivity:  8 * 60 * 1000 },  // 15min / 8min
   CODE:   { total: 30 * 60 * 1000, inactivity: 12 * 60 * 1000 },  // 30min / 12min
   REVIEW: { total: 15 * 60 * 1000, inactivity:  8 * 60 * 1000 },  // 15min / 8min
   TEST:   { total: 20 * 60 * 1000, inactivity: 10 * 60 * 1000 },  // 20min / 10min
   SCOPE:  { total: 15 * 60 * 1000, inactivity:  8 * 60 * 1000 },  // 15min / 8min
+  RESOLVE: { total: 20 * 60 * 1000, inactivity: 10 * 60 * 1000 }, // 20min / 10min
 };
 const DEFAULT_TIMEOUT = { total: 15 * 60 * 1000, inactivity: 8 * 60 * 1000 };
 
@@ -152,24 +200,17 @@ async function waitForInternet(maxWaitMin = 10, waitSec = 15) {
 }
 
 // ─────────────────────────────────────────────
-// DETECCIÓN DE CLIs
+// DETECCIÓN DE ENGINES (ver engines/index.js)
 // ─────────────────────────────────────────────
 
-function cliExists(name) {
-  try {
-    execSync(`which ${name}`, { stdio: 'pipe' });
-    return true;
-  } catch {
-    return false;
-  }
+function detectAvailableEngine(preferred) {
+  return engines.detectAvailableEngine(preferred);
 }
 
-function detectAvailableEngine(preferred) {
-  if (preferred === 'claude'    && cliExists('claude'))    return 'claude';
-  if (preferred === 'opencode'  && cliExists('opencode'))  return 'opencode';
-  if (cliExists('claude'))    return 'claude';
-  if (cliExists('opencode'))  return 'opencode';
-  return null;
+function getAdapter(engine) {
+  const adapter = engines.getEngine(engine);
+  if (!adapter) throw new Error(`Engine desconocido: ${engine}`);
+  return adapter;
 }
 
 // ─────────────────────────────────────────────
@@ -197,8 +238,20 @@ function getProjectContext(projectPath) {
 
 // ─────────────────────────────────────────────
 // PROMPTS POR FASE
+// Built-ins. Un proyecto puede sustituirlos con {kanbanPath}/prompts/*.md
+// (ver prompt-templates.js).
 // ─────────────────────────────────────────────
 
+/**
+ * Prompt de una fase: template del proyecto o, si no hay, el built-in.
+ */
+function phasePrompt(kanbanPath, phase, vars, builtin) {
+  const { prompt, file, warning } = resolvePrompt(kanbanPath, phase, vars, builtin);
+  if (file) console.log(chalk.gray(`  📝 Prompt ${phase}: ${path.relative(kanbanPath, file)}`));
+  if (warning) console.log(chalk.yellow(`  ⚠ ${warning}`));
+  return prompt;
+}
+
 function promptPlan(task, projectPath, projectContext, previousAttempts) {
   const ctx = getProjectContext(projectPath);
   const ctxSection = projectContext
@@ -241,6 +294,87 @@ PLAN: <plan detallado con los archivos a tocar y los cambios específicos>
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
 }
 
+/**
+ * Instrucciones que se añaden al prompt de PLAN cuando la tarea puede
+ * dividirse en subtareas (pipeline.decompose). Van al final para que
+ * también valgan con un prompt propio de kanban/prompts/.
+ */
+function promptDecompose(maxIterations) {
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+DIVISIÓN EN SUBTAREAS (opcional):
+Si la tarea es demasiado grande para implementarla en ${maxIterations} iteraciones de CODE,
+divídela en entre 2 y ${MAX_SUBTASKS} subtareas acotadas y verificables. Antes de la línea PLAN escribe:
+
+SUBTAREAS:
+\`\`\`json
+[
+  { "title": "...", "description": "...", "criteria": ["..."] },
+  { "title": "...", "criteria": ["..."], "dependsOn": [1] }
+]
+\`\`\`
+
+"dependsOn" son posiciones de la lista (1 = la primera); sin él cada subtarea depende de la anterior.
+Si la tarea cabe en una sola ejecución NO escribas el bloque SUBTAREAS.
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Instrucciones que se añaden al prompt de SCOPE cuando la tarea tiene
+ * criterios de aceptación: un veredicto por criterio con su evidencia.
+ */
+function promptCriteria(criteria) {
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+VEREDICTO POR CRITERIO:
+${criteria.map(c => `${c.n}. ${c.text}`).join('\n')}
+
+Antes de la línea SCOPE escribe un veredicto para CADA criterio de la lista:
+
+CRITERIOS:
+\`\`\`json
+[
+  { "n": 1, "met": true, "evidence": "archivo:línea o comprobación que lo demuestra" },
+  { "n": 2, "met": false, "evidence": "qué falta o qué falla" }
+]
+\`\`\`
+
+Si algún criterio no se cumple, la línea SCOPE debe ser "incompleto".
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Comentarios de quien rechazó planes anteriores; se añaden al prompt de
+ * PLAN para que el nuevo plan los tenga en cuenta.
+ */
+function promptPlanFeedback(feedback) {
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+⚠️ PLANES ANTERIORES RECHAZADOS EN REVISIÓN HUMANA:
+${feedback}
+
+El nuevo plan DEBE atender estos comentarios.
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Comentarios de personas marcados "para la IA" (ver activity.js).
+ */
+function promptAIComments(comments) {
+  const list = comments.map(c => `- ${c.author} (${c.at.slice(0, 10)}): ${c.text}`).join('\n');
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+💬 COMENTARIOS DEL EQUIPO PARA ESTA TAREA:
+${list}
+
+Tenlos en cuenta: tienen prioridad sobre la descripción si la contradicen.
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
 function promptCodeArchitecture(task, projectPath, plan) {
   return `Eres un arquitecto de software. Tu misión es crear la estructura base del proyecto desde cero.
 
@@ -408,27 +542,66 @@ TESTS: fallido - <qué test falló y por qué>
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
 }
 
+function promptResolve(task, projectPath, baseBranch, files, conflicts) {
+  return `Eres un agente de integración. El merge del branch de una tarea a '${baseBranch}' tiene conflictos y debes resolverlos.
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+PROYECTO: ${projectPath}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+TAREA #${task.id} — ${task.title}
+${task.content}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ARCHIVOS EN CONFLICTO:
+${files.map(f => `- ${f}`).join('\n')}
+
+BLOQUES EN CONFLICTO (HEAD = ${baseBranch}, el otro lado = la tarea):
+${conflicts}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+INSTRUCCIONES DE ESTA FASE:
+1. Edita cada archivo en conflicto y elimina TODOS los marcadores <<<<<<<, ======= y >>>>>>>
+2. Conserva los cambios de ambos lados: lo que ya hay en ${baseBranch} y lo que añade la tarea
+3. No toques archivos que no estén en conflicto salvo que sea imprescindible para compilar
+4. Ejecuta los tests del proyecto para comprobar que todo sigue funcionando
+5. NO hagas commit ni cambies de branch: el merge se cierra automáticamente
+
+En tu última línea escribe EXACTAMENTE una de estas dos opciones:
+RESUELTO: ok - <cómo se resolvió cada conflicto>
+RESUELTO: fallido - <por qué no se pudo resolver>
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
 // ─────────────────────────────────────────────
 // RUNNER DE FASE
 // ─────────────────────────────────────────────
 
-function buildCommand(engine, prompt, projectPath, interactive = false) {
+/**
+ * Construye el comando de una fase con el adapter del engine.
+ * @param {Object} [context] - { phase, task } para adapters que los necesiten
+ */
+function buildCommand(engine, prompt, projectPath, interactive = false, context = {}) {
+  const adapter = getAdapter(engine);
   const env = { ...process.env };
   delete env.CLAUDECODE;
 
-  if (engine === 'claude') {
-    if (interactive) {
-      return { cmd: 'claude', args: ['--dangerously-skip-permissions'], cwd: projectPath, env, interactive: true };
-    }
-    return { cmd: 'claude', args: ['--dangerously-skip-permissions', '-p', prompt], cwd: projectPath, env, interactive: false };
+  if (interactive && typeof adapter.interactiveCommand !== 'function') {
+    throw new Error(`El engine '${engine}' no soporta modo interactivo`);
   }
-  if (engine === 'opencode') {
-    if (interactive) {
-      return { cmd: 'opencode', args: [], cwd: projectPath, env, interactive: true };
-    }
-    return { cmd: 'opencode', args: ['run', prompt, '--dir', projectPath], cwd: projectPath, env, interactive: false };
+  if (!interactive && typeof adapter.buildCommand !== 'function') {
+    throw new Error(`El engine '${engine}' no usa un comando externo (usa run())`);
   }
-  throw new Error(`Engine desconocido: ${engine}`);
+
+  const built = interactive
+    ? adapter.interactiveCommand({ projectPath, initialPrompt: prompt })
+    : adapter.buildCommand({ prompt, projectPath, phase: context.phase, task: context.task });
+  return {
+    cmd: built.cmd,
+    args: built.args || [],
+    cwd: built.cwd || projectPath,
+    env: { ...env, ...(built.env || {}) },
+    interactive,
+  };
 }
 
 /**
@@ -448,19 +621,7 @@ function runInteractiveSession(engine, projectPath, initialPrompt = null) {
     console.log(chalk.gray(`  Trabaja ahí, cierra cuando termines, y presiona Enter aquí.`));
     console.log(chalk.magenta(`${'═'.repeat(60)}\n`));
 
-    const env = { ...process.env };
-    delete env.CLAUDECODE;
-
-    let cmd, args;
-    if (engine === 'claude') {
-      cmd = 'claude';
-      args = ['--dangerously-skip-permissions'];
-      if (initialPrompt) args.push('-p', initialPrompt);
-    } else {
-      cmd = 'opencode';
-      args = ['run'];
-      if (initialPrompt) args.push(initialPrompt, '--dir', projectPath);
-    }
+    const { cmd, args, env } = buildCommand(engine, initialPrompt, projectPath, true);
 
     // Crear script temporal que mantiene la ventana abierta
     const scriptContent = `#!/bin/bash
@@ -540,30 +701,18 @@ function runInteractiveBlocking(engine, projectPath, initialPrompt = null) {
     console.log(chalk.gray(`  Escribe tus comandos. Ctrl+C o /exit para terminar.`));
     console.log(chalk.magenta(`${'═'.repeat(60)}\n`));
 
-    const env = { ...process.env };
-    delete env.CLAUDECODE;
-
-    let cmd, args;
-    if (engine === 'claude') {
-      cmd = 'claude';
-      args = ['--dangerously-skip-permissions'];
-      if (initialPrompt) args.push('-p', initialPrompt);
-    } else {
-      cmd = 'opencode';
-      args = [];
-      if (initialPrompt) args.push('run', initialPrompt, '--dir', projectPath);
-    }
+    const { cmd, args, cwd, env } = buildCommand(engine, initialPrompt, projectPath, true);
 
     const proc = spawn(cmd, args, { 
-      cwd: projectPath, 
+      cwd, 
       env, 
       stdio: 'inherit',
       shell: process.platform === 'win32'
     });
-    currentProc = proc;
+    activeProcs.add(proc);
 
     proc.on('close', (code) => {
-      currentProc = null;
+      activeProcs.delete(proc);
       const duration = Date.now() - startTime;
       
       console.log(chalk.magenta(`\n${'═'.repeat(60)}`));
@@ -579,7 +728,7 @@ function runInteractiveBlocking(engine, projectPath, initialPrompt = null) {
     });
 
     proc.on('error', (err) => {
-      currentProc = null;
+      activeProcs.delete(proc);
       resolve({
         exitCode: 1,
         duration: Date.now() - startTime,
@@ -591,7 +740,69 @@ function runInteractiveBlocking(engine, projectPath, initialPrompt = null) {
 }
 
 /**
- * Ejecuta una fase y retorna { output, marker, value, timedOut? }
+ * Ejecuta adapter.run() dentro de este proceso presentándolo como si fuera
+ * un ChildProcess (stdout/stderr, kill(), eventos 'close' y 'error'), para
+ * que runPhase y killCurrentPhase lo traten igual que a un CLI.
+ * kill() aborta la señal que recibe el adapter → 'close' con código null.
+ * pid es null: no hay subprocess, y el PID de este proceso es el del motor
+ * (quien lo señalase mataría el loop entero, no la fase).
+ * El `usage` que devuelva run() queda en handle.usage.
+ */
+function startInProcessRun(adapter, { prompt, projectPath, phase, task }) {
+  const handle = new EventEmitter();
+  const controller = new AbortController();
+  handle.pid = null;
+  handle.stdout = new PassThrough();
+  handle.stderr = new PassThrough();
+  handle.kill = () => {
+    if (controller.signal.aborted) return false;
+    controller.abort();
+    return true;
+  };
+  handle.usage = null;
+
+  const finish = (code) => {
+    handle.stdout.end();
+    handle.stderr.end();
+    setImmediate(() => handle.emit('close', controller.signal.aborted ? null : code));
+  };
+
+  Promise.resolve()
+    .then(() => adapter.run({
+      prompt,
+      projectPath,
+      phase,
+      task,
+      signal: controller.signal,
+      write: (chunk) => { if (!handle.stdout.writableEnded) handle.stdout.write(chunk); },
+    }))
+    .then(result => {
+      handle.usage = result?.usage || null;
+      finish(result?.exitCode ?? 0);
+    })
+    .catch(err => {
+      if (!controller.signal.aborted) handle.stderr.write(`  ✖ ${adapter.name}: ${err.message}\n`);
+      finish(1);
+    });
+
+  return handle;
+}
+
+/**
+ * Lanza una fase no interactiva: CLI del adapter o su run() en proceso.
+ * @param {Object} context - { phase, task }
+ */
+function startPhaseProcess(engine, prompt, projectPath, context = {}) {
+  const adapter = getAdapter(engine);
+  if (typeof adapter.run === 'function') {
+    return startInProcessRun(adapter, { prompt, projectPath, phase: context.phase, task: context.task || null });
+  }
+  const { cmd, args, cwd, env } = buildCommand(engine, prompt, projectPath, false, context);
+  return spawn(cmd, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Ejecuta una fase y retorna { output, marker, value, timedOut?, usage }
  *
  * @param {string} phaseType - Tipo de fase: PLAN, CODE, REVIEW, TEST, SCOPE
  *   Se usa para seleccionar timeouts de PHASE_TIMEOUTS.
@@ -601,10 +812,26 @@ function runInteractiveBlocking(engine, projectPath, initialPrompt = null) {
  *  - inactivity : tiempo máximo sin recibir ningún byte de output
  *
  * Si cualquiera se dispara → mata el proceso y retorna timedOut: true
+ *
+ * El marcador se extrae con adapter.parseOutput (o parseMarkers por defecto).
+ * El consumo, con el usage de run(), adapter.parseUsage o la línea JSON de
+ * resultado del output (usage.parseUsage); null si el engine no lo reporta.
+ *
+ * Si el adapter define run() (p.ej. el engine 'api') se ejecuta en proceso
+ * en lugar de lanzar un CLI: su output pasa por el mismo capture, así que
+ * timeouts, log y artefactos funcionan igual.
+ *
+ * @param {Object} [opts]
+ * @param {Function} [opts.onProcess] - callback(pid|null) al arrancar/terminar el
+ *   subprocess. loop.js lo usa para registrar el PID de cada worker. Las fases
+ *   en proceso (adapter.run) no tienen PID: se llama con null.
+ * @param {Object} [opts.task] - tarea en curso (contexto para el adapter)
+ * @param {Object} [opts.timeout] - { total, inactivity } del pipeline (si no, PHASE_TIMEOUTS)
  */
-function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN') {
+function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN', opts = {}) {
+  const { onProcess = null, task = null, timeout = null } = opts;
   return new Promise((resolve) => {
-    const timeouts = PHASE_TIMEOUTS[phaseType] || DEFAULT_TIMEOUT;
+    const timeouts = timeout || PHASE_TIMEOUTS[phaseType] || DEFAULT_TIMEOUT;
     const totalMs = timeouts.total;
     const inactivityMs = timeouts.inactivity;
     const mins = (ms) => `${Math.round(ms / 60000)}min`;
@@ -613,9 +840,10 @@ function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN') {
     process.stdout.write(chalk.gray(`  │  ⏱  max ${mins(totalMs)} · inactividad ${mins(inactivityMs)}\n`));
 
     const startTime = Date.now();
-    const { cmd, args, cwd, env } = buildCommand(engine, prompt, projectPath);
-    const proc = spawn(cmd, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
-    currentProc = proc;
+    const adapter = getAdapter(engine);
+    const proc = startPhaseProcess(engine, prompt, projectPath, { phase: phaseType, task });
+    activeProcs.add(proc);
+    if (onProcess) onProcess(proc.pid);
 
     let fullOutput = '';
     let resolved   = false;
@@ -666,7 +894,8 @@ function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN') {
     // Usamos proc.on('close') + un pequeño delay para asegurar
     // que capture haya procesado todos los chunks pendientes.
     proc.on('close', (code) => {
-      currentProc = null;
+      activeProcs.delete(proc);
+      if (onProcess) onProcess(null);
       clearTimers();
 
       // Dar tiempo a que capture procese los últimos chunks del pipe
@@ -676,6 +905,8 @@ function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN') {
 
         const duration = Date.now() - startTime;
         const timedOut = code === null || (code !== 0 && fullOutput.trim() === '');
+        const usage = normalizeUsage(proc.usage)
+          || (adapter.parseUsage ? normalizeUsage(adapter.parseUsage(fullOutput, phaseType)) : parseUsage(fullOutput));
 
         process.stdout.write(chalk.magenta(`  └─ FIN: ${label} (${Math.round(duration / 1000)}s)\n`));
 
@@ -688,35 +919,22 @@ function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN') {
             exitCode: -1,
             duration,
             timedOut: true,
+            usage,
           });
           return;
         }
 
-        // Buscar marcador en las últimas 30 líneas
-        const allLines = fullOutput.trim().split('\n');
-        const searchLines = allLines.slice(-30);
-        for (let i = searchLines.length - 1; i >= 0; i--) {
-          const trimmed = searchLines[i].trim();
-          for (const marker of ['PLAN', 'RESULTADO', 'REVIEW', 'TESTS', 'SCOPE']) {
-            if (trimmed.startsWith(`${marker}:`)) {
-              let value = trimmed.slice(marker.length + 1).trim();
-              // Si el valor está vacío, el contenido puede estar en las líneas siguientes
-              if (!value && i < searchLines.length - 1) {
-                value = searchLines.slice(i + 1).map(l => l.trim()).filter(Boolean).join('\n');
-              }
-              // Si aún vacío, tomar las últimas 2000 chars del output completo
-              if (!value) value = fullOutput.trim().slice(-2000);
-              resolve({ output: fullOutput, marker, value, exitCode: code, duration, timedOut: false });
-              return;
-            }
-          }
-        }
-
-        resolve({ output: fullOutput, marker: null, value: null, exitCode: code, duration, timedOut: false });
+        // Buscar marcador (por defecto en las últimas 30 líneas)
+        const { marker, value } = adapter.parseOutput
+          ? adapter.parseOutput(fullOutput, phaseType)
+          : engines.parseMarkers(fullOutput);
+        resolve({ output: fullOutput, marker: marker || null, value: value || null, exitCode: code, duration, timedOut: false, usage });
       }, 500);
     });
 
     proc.on('error', (err) => {
+      activeProcs.delete(proc);
+      if (onProcess) onProcess(null);
       clearTimers();
       if (resolved) return;
       resolved = true;
@@ -727,11 +945,296 @@ function runPhase(engine, prompt, projectPath, label, phaseType = 'PLAN') {
         exitCode: 1,
         duration: Date.now() - startTime,
         timedOut: false,
+        usage: null,
       });
     });
   });
 }
 
+// ─────────────────────────────────────────────
+// VERIFICACIÓN DETERMINISTA (comando de tests real)
+// ─────────────────────────────────────────────
+
+/**
+ * Ejecuta el comando de verificación, guarda el artefacto verify-iterN
+ * (o `artifact`) y devuelve el resultado junto con la entrada para
+ * phasesRecord.verify.
+ */
+async function runVerifyGate(verify, { projectPath, kanbanPath, task, iteration, artifact = null }) {
+  const label = `VERIFY — ${verify.command}`;
+  process.stdout.write(chalk.magenta(`\n  ┌─ FASE: ${label} ${'─'.repeat(Math.max(0, 50 - label.length))}\n`));
+  const result = await runVerifyCommand(verify.command, projectPath, { timeoutMs: verify.timeoutMs, procs: activeProcs });
+  process.stdout.write(chalk.magenta(`  └─ FIN: VERIFY (${Math.round(result.duration / 1000)}s) exit ${result.exitCode}\n`));
+
+  const status = result.ok ? 'ok' : (result.timedOut ? 'timeout' : 'failed');
+  const summary = result.ok
+    ? `${verify.command} OK`
+    : `${verify.command} ${result.timedOut ? 'agotó el tiempo' : `salió con código ${result.exitCode}`}`;
+
+  saveArtifact(
+    kanbanPath, task.id, artifact || `verify-iter${iteration}`,
+    `# Verify — Tarea #${task.id} (${artifact || `iter ${iteration}`})\n\n` +
+    `**Comando:** \`${verify.command}\`\n` +
+    `**Resultado:** ${result.ok ? 'OK' : 'FALLIDO'}\n` +
+    `**ExitCode:** ${result.exitCode}\n` +
+    `**TimedOut:** ${result.timedOut}\n` +
+    `**Duración:** ${Math.round(result.duration / 1000)}s\n\n` +
+    (result.ok ? '' : `## Últimas líneas\n\n\`\`\`\n${outputTail(result.output, 40)}\n\`\`\`\n\n`) +
+    `---\n_Generado: ${new Date().toISOString()}_\n`,
+    result.output || '(sin output)'
+  );
+
+  return {
+    result,
+    record: { iteration, status, duration: result.duration, summary, exitCode: result.exitCode, command: verify.command },
+  };
+}
+
+// ─────────────────────────────────────────────
+// RESOLVE — conflictos de merge
+// ─────────────────────────────────────────────
+
+const CONFLICT_MARKER = /^(<{7}|>{7})( |$)/m;
+const MAX_CONFLICT_LINES = 200; // por archivo, para no inflar el prompt
+
+/**
+ * Extrae los bloques <<<<<<< … >>>>>>> de los archivos en conflicto.
+ */
+function readConflictHunks(projectPath, files) {
+  return files.map((file) => {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(projectPath, file), 'utf8');
+    } catch {
+      return `### ${file}\n(no se pudo leer — puede ser un archivo borrado en un lado)`;
+    }
+    const hunks = [];
+    let current = null;
+    for (const line of content.split('\n')) {
+      if (line.startsWith('<<<<<<<')) current = [];
+      if (current) current.push(line);
+      if (current && line.startsWith('>>>>>>>')) {
+        hunks.push(current.join('\n'));
+        current = null;
+      }
+    }
+    const lines = hunks.join('\n\n').split('\n');
+    const body = lines.length > MAX_CONFLICT_LINES
+      ? `${lines.slice(0, MAX_CONFLICT_LINES).join('\n')}\n[... ${lines.length - MAX_CONFLICT_LINES} líneas más ...]`
+      : lines.join('\n');
+    return `### ${file}\n\`\`\`\n${body || '(conflicto sin marcadores: binario o borrado)'}\n\`\`\``;
+  }).join('\n\n');
+}
+
+/**
+ * Archivos que todavía tienen marcadores de conflicto.
+ */
+function filesWithConflictMarkers(projectPath, files) {
+  return files.filter((file) => {
+    try {
+      return CONFLICT_MARKER.test(fs.readFileSync(path.join(projectPath, file), 'utf8'));
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Fase RESOLVE: la IA resuelve los conflictos de un merge que quedó a medias
+ * en projectPath. Solo cuenta como resuelto si no quedan marcadores y, con
+ * verify configurado, el comando de tests pasa. Guarda el artefacto `resolve`.
+ *
+ * @param {Object} task
+ * @param {Object} options - { projectPath, kanbanPath, engine, files, baseBranch, verify, onProcess }
+ * @returns {Promise<{ success: boolean, reason?: string, record: Object }>}
+ */
+async function resolveMergeConflicts(task, options = {}) {
+  const {
+    projectPath,
+    kanbanPath = null,
+    engine: preferredEngine = 'claude',
+    files = [],
+    baseBranch = 'main',
+    verify: verifyConfig = null,
+    onProcess = null,
+  } = options;
+  const startTime = Date.now();
+  const finish = (success, status, summary, extra = {}) => {
+    const record = { status, duration: Date.now() - startTime, summary, files, ...extra };
+    console.log(success ? chalk.green(`  ✔ RESOLVE OK: ${summary}`) : chalk.yellow(`  ⚠ RESOLVE ${status}: ${summary}`));
+    return { success, reason: success ? undefined : summary, record };
+  };
+
+  const engine = detectAvailableEngine(preferredEngine);
+  if (!engine) return finish(false, 'failed', `No hay ningún engine disponible (preferido: ${preferredEngine})`);
+
+  let verify;
+  try {
+    verify = resolveVerifyConfig(verifyConfig, task.verify);
+  } catch (err) {
+    return finish(false, 'failed', err.message);
+  }
+
+  const conflicts = readConflictHunks(projectPath, files);
+  const result = await runPhase(
+    engine,
+    phasePrompt(kanbanPath, 'resolve', { task, projectPath, baseBranch, files, conflicts },
+      () => promptResolve(task, projectPath, baseBranch, files, conflicts)),
+    projectPath,
+    `RESOLVE — ${files.length} archivo(s) en conflicto`,
+    'RESOLVE',
+    { onProcess, task },
+  );
+
+  const aiOk = result.marker === 'RESUELTO'
+    ? result.value?.toLowerCase().startsWith('ok')
+    : result.exitCode === 0;
+  const aiSummary = result.value?.replace(/^(ok|fallido)\s*-?\s*/i, '') || '';
+  const remaining = filesWithConflictMarkers(projectPath, files);
+
+  let outcome;
+  let verifyRecord = null;
+  if (result.timedOut) {
+    outcome = finish(false, 'timeout', `RESOLVE no respondió en ${Math.round(PHASE_TIMEOUTS.RESOLVE.total / 60000)} minutos`);
+  } else if (!aiOk) {
+    outcome = finish(false, 'failed', aiSummary || 'La IA no pudo resolver los conflictos');
+  } else if (remaining.length > 0) {
+    outcome = finish(false, 'failed', `Quedan marcadores de conflicto en: ${remaining.join(', ')}`);
+  } else if (verify.enabled) {
+    ({ record: verifyRecord } = await runVerifyGate(verify, { projectPath, kanbanPath, task, iteration: null, artifact: 'resolve-verify' }));
+    outcome = verifyRecord.status === 'ok'
+      ? finish(true, 'ok', aiSummary || 'Conflictos resueltos', { verify: verifyRecord })
+      : finish(false, 'verify-failed', `Conflictos resueltos pero ${verifyRecord.summary}`, { verify: verifyRecord });
+  } else {
+    outcome = finish(true, 'ok', aiSummary || 'Conflictos resueltos');
+  }
+  outcome.record.usage = result.usage;
+
+  saveArtifact(
+    kanbanPath, task.id, 'resolve',
+    `# Resolve — Tarea #${task.id}\n\n` +
+    `**Merge:** ${task.branch || '(branch de la tarea)'} → ${baseBranch}\n` +
+    `**Resultado:** ${outcome.success ? 'RESUELTO' : 'FALLIDO'}\n` +
+    `**Duración:** ${Math.round(outcome.record.duration / 1000)}s\n` +
+    (verifyRecord ? `**Verify:** ${verifyRecord.summary}\n` : '') +
+    `\n## Archivos en conflicto\n\n${files.map(f => `- ${f}`).join('\n')}\n\n` +
+    `## Resumen\n\n${outcome.record.summary}\n\n` +
+    `## Conflictos originales\n\n${conflicts}\n\n` +
+    `---\n_Generado: ${new Date().toISOString()}_\n`,
+    result.output || '(sin output)'
+  );
+
+  return outcome;
+}
+
+// ─────────────────────────────────────────────
+// RE-VERIFICACIÓN TRAS ACTUALIZAR CON LA BASE
+// ─────────────────────────────────────────────
+
+/**
+ * Re-ejecuta REVIEW y TEST (las que tenga el pipeline de la tarea) y verify
+ * sobre el branch ya actualizado con la rama base. Sin iteraciones: el
+ * código ya estaba aprobado, aquí solo se comprueba que lo nuevo de la base
+ * no lo rompe. Artefactos: review-rebase, test-rebase, verify-rebase.
+ *
+ * @param {Object} options - { projectPath, kanbanPath, engine, pipeline, verify, plan, baseBranch, behind, onProcess }
+ * @returns {Promise<{ success: boolean, reason?: string, failedPhase?: string, record: { review, test, verify } }>}
+ */
+async function recheckAfterUpdate(task, options = {}) {
+  const {
+    projectPath,
+    kanbanPath = null,
+    engine: preferredEngine = 'claude',
+    pipeline: pipelineConfig = {},
+    verify: verifyConfig = null,
+    plan = '',
+    baseBranch = 'main',
+    behind = 0,
+    onProcess = null,
+  } = options;
+  const record = { review: null, test: null, verify: null };
+  const fail = (failedPhase, reason) => {
+    console.log(chalk.yellow(`  ⚠ ${reason}`));
+    return { success: false, failedPhase, reason, record };
+  };
+  const generated = () => `---\n_Generado: ${new Date().toISOString()}_\n`;
+
+  const engine = detectAvailableEngine(preferredEngine);
+  if (!engine) return fail('review', `No hay ningún engine disponible (preferido: ${preferredEngine})`);
+
+  let pipeline;
+  let verify;
+  try {
+    pipeline = resolvePipeline(pipelineConfig, task, { timeouts: PHASE_TIMEOUTS, maxIterations: MAX_ITERATIONS });
+    verify = resolveVerifyConfig(verifyConfig, task.verify);
+  } catch (err) {
+    return fail('review', `Pipeline inválido: ${err.message}`);
+  }
+  const phaseOpts = (phase) => ({ onProcess, task, timeout: pipeline.timeouts[phase] });
+  const vars = { task, projectPath, projectInfo: getProjectContext(projectPath), plan, iteration: 'rebase' };
+
+  console.log(chalk.cyan(`  ↻ Re-verificando tras integrar ${behind} commit(s) de '${baseBranch}'`));
+
+  if (pipeline.phases.includes('REVIEW')) {
+    const r = await runPhase(
+      engine,
+      phasePrompt(kanbanPath, 'review', vars, () => promptReview(task, projectPath, plan)),
+      projectPath,
+      `REVIEW — Tras actualizar con ${baseBranch}`,
+      'REVIEW',
+      phaseOpts('REVIEW'),
+    );
+    const ok = !r.timedOut && (r.marker === 'REVIEW' ? r.value?.toLowerCase().startsWith('aprobado') : r.exitCode === 0);
+    const summary = r.timedOut
+      ? 'REVIEW no respondió a tiempo'
+      : (r.value?.replace(/^(aprobado|rechazado)\s*-?\s*/i, '') || (ok ? 'OK' : 'Problemas no especificados'));
+    record.review = { status: ok ? 'approved' : (r.timedOut ? 'timeout' : 'rejected'), duration: r.duration, summary, usage: r.usage };
+    saveArtifact(
+      kanbanPath, task.id, 'review-rebase',
+      `# Review tras actualizar con ${baseBranch} — Tarea #${task.id}\n\n` +
+      `**Commits integrados:** ${behind}\n` +
+      `**Veredicto:** ${ok ? 'Aprobado' : 'Rechazado'}\n` +
+      `**Comentario:** ${summary}\n\n` + generated(),
+      r.output
+    );
+    if (!ok) return fail('review', `REVIEW tras actualizar con ${baseBranch}: ${summary}`);
+  }
+
+  if (pipeline.phases.includes('TEST')) {
+    const r = await runPhase(
+      engine,
+      phasePrompt(kanbanPath, 'test', vars, () => promptTest(task, projectPath)),
+      projectPath,
+      `TEST — Tras actualizar con ${baseBranch}`,
+      'TEST',
+      phaseOpts('TEST'),
+    );
+    const ok = !r.timedOut && (r.marker === 'TESTS' ? r.value?.toLowerCase().startsWith('ok') : r.exitCode === 0);
+    const summary = r.timedOut
+      ? 'TEST no respondió a tiempo'
+      : (r.value?.replace(/^(ok|fallido)\s*-?\s*/i, '') || (ok ? 'Tests pasaron' : 'Tests fallaron'));
+    record.test = { status: ok ? 'ok' : (r.timedOut ? 'timeout' : 'failed'), duration: r.duration, summary, usage: r.usage };
+    saveArtifact(
+      kanbanPath, task.id, 'test-rebase',
+      `# Tests tras actualizar con ${baseBranch} — Tarea #${task.id}\n\n` +
+      `**Commits integrados:** ${behind}\n` +
+      `**Resultado:** ${ok ? 'OK' : 'FALLIDO'}\n` +
+      `**Resumen:** ${summary}\n\n` + generated(),
+      r.output
+    );
+    if (!ok) return fail('test', `TEST tras actualizar con ${baseBranch}: ${summary}`);
+  }
+
+  if (verify.enabled) {
+    const { record: v } = await runVerifyGate(verify, { projectPath, kanbanPath, task, iteration: null, artifact: 'verify-rebase' });
+    record.verify = v;
+    if (v.status !== 'ok') return fail('verify', `${v.summary} tras actualizar con ${baseBranch}`);
+  }
+
+  console.log(chalk.green(`  ✔ Sigue OK tras actualizar con '${baseBranch}'`));
+  return { success: true, record };
+}
+
 // ─────────────────────────────────────────────
 // EJECUTOR PRINCIPAL — CICLO MULTI-FASE
 // ─────────────────────────────────────────────
@@ -743,6 +1246,12 @@ async function executeTask(task, options = {}) {
     dryRun = false,
     kanbanPath = null,
     interactive = false,
+    onProcess = null,
+    pipeline: pipelineConfig = {},
+    verify: verifyConfig = null,
+    budget: budgetConfig = null,
+    resume = null,
+    aiComments = [],
   } = options;
 
   if (dryRun) {
@@ -767,7 +1276,7 @@ async function executeTask(task, options = {}) {
   if (!engine) {
     return { 
       success: false, 
-      reason: 'No se encontró `claude` ni `opencode` en el sistema.', 
+      reason: `No hay ningún engine disponible (preferido: ${preferredEngine}).`, 
       iterations: 0,
       phasesRecord: { 
         plan: { status: 'skipped', duration: 0, summary: 'Sin motor IA disponible' },
@@ -781,6 +1290,37 @@ async function executeTask(task, options = {}) {
     };
   }
 
+  // ── PIPELINE: fases, iteraciones y timeouts de esta tarea ─────
+  let pipeline;
+  let verify;
+  let budget;
+  try {
+    pipeline = resolvePipeline(pipelineConfig, task, { timeouts: PHASE_TIMEOUTS, maxIterations: MAX_ITERATIONS });
+    verify = resolveVerifyConfig(verifyConfig, task.verify);
+    budget = resolveBudgetConfig(budgetConfig, task.budget);
+  } catch (err) {
+    return {
+      success: false,
+      reason: `Pipeline inválido: ${err.message}`,
+      iterations: 0,
+      phasesRecord: {
+        plan: { status: 'skipped', duration: 0, summary: 'Pipeline inválido' },
+        code: [],
+        review: [],
+        test: [],
+        scope: { status: 'skipped', duration: 0, summary: '' },
+        result: 'invalid-pipeline',
+        totalDuration: 0,
+      },
+    };
+  }
+  const hasPhase = (phase) => pipeline.phases.includes(phase);
+  // Las subtareas no se vuelven a dividir
+  const decompose = pipeline.decompose && hasPhase('PLAN') && !task.parent;
+  const maxIterations = pipeline.maxIterations;
+  const timeoutMin = (phase) => Math.round(pipeline.timeouts[phase].total / 60000);
+  const phaseOpts = (phase) => ({ onProcess, task, timeout: pipeline.timeouts[phase] });
+
   // ── MODO INTERACTIVO ─────────────────────────────────────────
   if (interactive) {
     const initialPrompt = `TAREA #${task.id}: ${task.title}
@@ -790,6 +1330,17 @@ ${task.content}
 Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     
     const result = await runInteractiveBlocking(engine, projectPath, initialPrompt);
+
+    // La sesión manual también pasa por el comando de verificación
+    const verifyRecords = [];
+    if (result.success && verify.enabled) {
+      const gate = await runVerifyGate(verify, { projectPath, kanbanPath, task, iteration: 1 });
+      verifyRecords.push(gate.record);
+      if (!gate.result.ok) {
+        result.success = false;
+        console.log(chalk.red(`  ✖ VERIFY falló: ${gate.record.summary}`));
+      }
+    }
     
     notify(
       `AI-Kanban: Tarea #${task.id} ${result.success ? 'completada' : 'fallida'}`,
@@ -799,14 +1350,17 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     return {
       success: result.success,
       summary: result.success ? 'Sesión interactiva completada' : 'Sesión terminada con errores',
+      reason: result.success ? undefined : (verifyRecords[0]?.summary || 'Sesión terminada con errores'),
+      failedPhase: verifyRecords.some(v => v.status !== 'ok') ? 'verify' : undefined,
       iterations: 1,
       phasesRecord: { 
         plan: { status: 'skipped', duration: 0, summary: 'Modo interactivo' },
         code: [{ iteration: 1, status: result.success ? 'ok' : 'failed', duration: result.duration, summary: 'Sesión interactiva' }],
         review: [],
         test: [],
+        verify: verifyRecords,
         scope: { status: 'skipped', duration: 0, summary: '' },
-        result: result.success ? 'success' : 'failed',
+        result: result.success ? 'success' : (verifyRecords.some(v => v.status !== 'ok') ? 'verify-failed' : 'failed'),
         totalDuration: result.duration,
         interactive: true,
       },
@@ -826,14 +1380,37 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     console.log(chalk.yellow(`  📋 Historial: ${getHistory(task.id, kanbanPath).length} intento(s) anteriores cargados`));
   }
 
+  // Variables comunes para los templates de prompts del proyecto
+  const promptVars = {
+    task,
+    projectPath,
+    projectInfo: getProjectContext(projectPath),
+    projectContext,
+    previousAttempts,
+  };
+
+  // Engines locales (mock, wrappers offline) no necesitan esperar conexión
+  const needsInternet = getAdapter(engine).requiresInternet !== false;
+  const isOnline = () => (needsInternet ? checkInternet() : Promise.resolve(true));
+
   const isArchitecture = task.type === 'architecture';
-  const cycleLabel = isArchitecture
-    ? 'PLAN → CODE(scaffold) → SCOPE'
-    : 'PLAN → CODE → REVIEW → TEST → SCOPE';
+  const cycleLabel = pipeline.phases
+    .map(p => (p === 'CODE' && isArchitecture ? 'CODE(scaffold)' : p))
+    .join(' → ');
 
   console.log(chalk.blue(`\n  🤖 Engine : ${chalk.bold(engine)}`));
   console.log(chalk.blue(`  📁 Proyecto: ${chalk.bold(projectPath)}`));
-  console.log(chalk.blue(`  🔄 Ciclo   : ${cycleLabel}`));
+  console.log(chalk.blue(`  🔄 Ciclo   : ${cycleLabel}${verify.enabled ? ' + VERIFY' : ''}`));
+  if (budget.enabled) {
+    const limits = [
+      budget.maxCostUsd != null ? `$${budget.maxCostUsd}` : null,
+      budget.maxTokens != null ? `${budget.maxTokens.toLocaleString()} tokens` : null,
+    ].filter(Boolean);
+    console.log(chalk.blue(`  💰 Presupuesto: ${limits.join(' · ')}`));
+  }
+  if (pipeline.source.length) {
+    console.log(chalk.gray(`     (pipeline: ${pipeline.source.join(' + ')} · máx ${maxIterations} iteraciones)`));
+  }
   if (kanbanPath) {
     console.log(chalk.gray(`  📂 Artefactos: ${getArtifactsDir(kanbanPath, task.id)}/`));
   }
@@ -847,11 +1424,28 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     code: [],
     review: [],
     test: [],
+    verify: [],
     scope: { status: 'pending', duration: 0, summary: '' },
+    ...(resume?.phasesRecord || {}),
+  };
+
+  // ── PRESUPUESTO: cuenta lo gastado en ejecuciones anteriores ─
+  // Se comprueba antes de lanzar cada fase; la que está en curso termina.
+  const spentBefore = budget.enabled ? getTaskUsage(task.id, kanbanPath) : null;
+  const overBudget = () => checkBudget(budget, addUsage(spentBefore, collectUsage(phasesRecord)));
+  const stopOverBudget = (reason, iterations) => {
+    console.log(chalk.red(`  ✖ ${reason} — tarea detenida`));
+    return {
+      success: false,
+      reason,
+      failedPhase: 'budget',
+      iterations,
+      phasesRecord: { ...phasesRecord, result: 'over-budget', totalDuration: Date.now() - executionStart },
+    };
   };
 
   // ── VERIFICAR INTERNET ANTES DE EMPEZAR ──────────────────
-  const online = await checkInternet();
+  const online = await isOnline();
   if (!online) {
     console.log(chalk.yellow(`  ⚠ Sin internet — esperando conexión...`));
     const recovered = await waitForInternet();
@@ -866,60 +1460,150 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     console.log(chalk.green(`  ✔ Internet recuperado — continuando`));
   }
 
-  // ── FASE 1: PLAN ──────────────────────────────────────────
-  const planResult = await runPhase(
-    engine,
-    promptPlan(task, projectPath, projectContext, previousAttempts),
-    projectPath,
-    'PLAN — Análisis y planificación',
-    'PLAN',
-  );
+  const overAtStart = overBudget();
+  if (overAtStart) return stopOverBudget(overAtStart, 0);
 
+  // ── FASE 1: PLAN ──────────────────────────────────────────
   let plan;
-  if (planResult.timedOut) {
-    phasesRecord.plan = { status: 'timeout', duration: planResult.duration, summary: 'PLAN no respondió a tiempo' };
-    console.log(chalk.red(`  ✖ PLAN agotó el tiempo — abortando tarea`));
-    return {
-      success: false,
-      reason: `PLAN no respondió en ${PHASE_TIMEOUTS.PLAN.total / 60000} minutos`,
-      iterations: 0,
-      phasesRecord: { ...phasesRecord, result: 'timeout', totalDuration: Date.now() - executionStart },
-    };
-  } else if (planResult.marker === 'PLAN' && planResult.value) {
-    plan = planResult.value;
-    phasesRecord.plan = { status: 'ok', duration: planResult.duration, summary: plan.slice(0, 200) };
-    console.log(chalk.cyan(`\n  ✔ Plan generado`));
+  const approved = approvedPlan(task);
+  const rejections = rejectionFeedback(task);
+  if (!hasPhase('PLAN')) {
+    plan = 'Sin fase PLAN en el pipeline — proceder directamente con la descripción de la tarea.';
+    phasesRecord.plan = { status: 'skipped', duration: 0, summary: 'Omitida (pipeline)' };
+    console.log(chalk.gray('  ⏭  PLAN omitida por el pipeline'));
+  } else if (resume?.plan) {
+    // Ejecución interrumpida (ver checkpoint.js): el plan ya estaba hecho
+    plan = resume.plan;
+    console.log(chalk.green(`  ↻ Retomando con el plan guardado — PLAN no se repite`));
+  } else if (approved) {
+    // Plan ya revisado por una persona (ver approval.js): se sigue con CODE
+    plan = approved;
+    phasesRecord.plan = { status: 'approved', duration: 0, summary: plan.slice(0, 200), edited: Boolean(task.approval.edited) };
+    console.log(chalk.green(`  ✔ Plan aprobado${task.approval.edited ? ' (editado)' : ''} — PLAN no se repite`));
   } else {
-    // Sin marcador formal → usar todo el output como plan
-    plan = planResult.output.trim().slice(-2000) || 'Sin plan explícito — proceder con la descripción de la tarea.';
-    phasesRecord.plan = { status: 'no-marker', duration: planResult.duration, summary: plan.slice(0, 200) };
-    console.log(chalk.yellow(`  ⚠ Plan sin marcador formal, usando output completo`));
-  }
+    const planResult = await runPhase(
+      engine,
+      phasePrompt(kanbanPath, 'plan', promptVars,
+        () => promptPlan(task, projectPath, projectContext, previousAttempts))
+        + (rejections ? promptPlanFeedback(rejections) : '')
+        + (aiComments.length ? promptAIComments(aiComments) : '')
+        + (decompose ? promptDecompose(maxIterations) : ''),
+      projectPath,
+      'PLAN — Análisis y planificación',
+      'PLAN',
+      phaseOpts('PLAN'),
+    );
 
-  // Guardar artefacto del plan
-  const planFile = saveArtifact(
-    kanbanPath, task.id, 'plan',
-    `# Plan — Tarea #${task.id}: ${task.title}\n\n` +
-    `**Engine:** ${engine}\n` +
-    `**Duración:** ${Math.round(planResult.duration / 1000)}s\n` +
-    `**ExitCode:** ${planResult.exitCode}\n` +
-    `**TimedOut:** ${planResult.timedOut}\n\n` +
-    `---\n\n${plan}\n`,
-    planResult.output
-  );
-  if (planFile) console.log(chalk.gray(`  💾 Plan guardado: ${planFile}`));
+    if (planResult.timedOut) {
+      phasesRecord.plan = { status: 'timeout', duration: planResult.duration, summary: 'PLAN no respondió a tiempo', usage: planResult.usage };
+      console.log(chalk.red(`  ✖ PLAN agotó el tiempo — abortando tarea`));
+      return {
+        success: false,
+        reason: `PLAN no respondió en ${timeoutMin('PLAN')} minutos`,
+        iterations: 0,
+        phasesRecord: { ...phasesRecord, result: 'timeout', totalDuration: Date.now() - executionStart },
+      };
+    } else if (planResult.marker === 'PLAN' && planResult.value) {
+      plan = planResult.value;
+      phasesRecord.plan = { status: 'ok', duration: planResult.duration, summary: plan.slice(0, 200), usage: planResult.usage };
+      console.log(chalk.cyan(`\n  ✔ Plan generado`));
+    } else {
+      // Sin marcador formal → usar todo el output como plan
+      plan = planResult.output.trim().slice(-2000) || 'Sin plan explícito — proceder con la descripción de la tarea.';
+      phasesRecord.plan = { status: 'no-marker', duration: planResult.duration, summary: plan.slice(0, 200), usage: planResult.usage };
+      console.log(chalk.yellow(`  ⚠ Plan sin marcador formal, usando output completo`));
+    }
+
+    // Guardar artefacto del plan
+    const planFile = saveArtifact(
+      kanbanPath, task.id, 'plan',
+      `# Plan — Tarea #${task.id}: ${task.title}\n\n` +
+      `**Engine:** ${engine}\n` +
+      `**Duración:** ${Math.round(planResult.duration / 1000)}s\n` +
+      `**ExitCode:** ${planResult.exitCode}\n` +
+      `**TimedOut:** ${planResult.timedOut}\n\n` +
+      `---\n\n${plan}\n`,
+      planResult.output
+    );
+    if (planFile) console.log(chalk.gray(`  💾 Plan guardado: ${planFile}`));
 
-  // ── CICLO: CODE → REVIEW → TEST  (architecture: solo CODE) ──
-  let feedback = null;
-  let iteration = 0;
+    // ── DESCOMPOSICIÓN: el loop crea las subtareas y el padre espera ──
+    if (decompose) {
+      let subtasks = null;
+      try {
+        subtasks = parseSubtasks(planResult.output);
+      } catch (err) {
+        console.log(chalk.yellow(`  ⚠ ${err.message} — se sigue sin dividir`));
+      }
+      if (subtasks) {
+        phasesRecord.plan = { ...phasesRecord.plan, status: 'decomposed' };
+        console.log(chalk.cyan(`  🧩 PLAN divide la tarea en ${subtasks.length} subtareas`));
+        return {
+          success: true,
+          decomposed: true,
+          subtasks,
+          plan,
+          summary: `Dividida en ${subtasks.length} subtareas`,
+          iterations: 0,
+          phasesRecord: { ...phasesRecord, result: 'decomposed', totalDuration: Date.now() - executionStart },
+        };
+      }
+    }
+
+    // ── APROBACIÓN: el loop deja la tarea esperando a una persona ──
+    if (pipeline.approve.includes('PLAN')) {
+      console.log(chalk.cyan(`  ⏸  Plan pendiente de aprobación — CODE espera`));
+      notify(`AI-Kanban: Plan pendiente de aprobación`, `#${task.id} ${task.title}`);
+      return {
+        success: true,
+        awaitingApproval: true,
+        plan,
+        summary: 'Plan pendiente de aprobación',
+        iterations: 0,
+        phasesRecord: { ...phasesRecord, result: 'awaiting-approval', totalDuration: Date.now() - executionStart },
+      };
+    }
+  }
+
+  // ── CICLO: CODE → REVIEW → TEST  (según las fases del pipeline) ──
+  // Al retomar a mitad de una iteración se entra en ella otra vez y se
+  // saltan las fases que el checkpoint da por hechas
+  const midIteration = resume?.phase && resume.phase !== 'PLAN';
+  let feedback = resume?.feedback || null;
+  let iteration = midIteration ? resume.iteration - 1 : (resume?.iteration || 0);
   let finalCodeSummary = '';
 
-  while (iteration < MAX_ITERATIONS) {
+  const checkpoint = (phase, fields = {}) => kanbanPath && saveCheckpoint(kanbanPath, task.id, {
+    phase, iteration, plan, feedback, phasesRecord, ...fields,
+  });
+  const resumed = (phase) => phaseDone(resume, phase, iteration);
+
+  // Con CODE ya hecho no se pierde el trabajo, pero tampoco se da por bueno:
+  // budgetExceeded → el loop lo commitea en su rama sin merge ni PR
+  const pauseOverBudget = (reason, pending) => {
+    console.log(chalk.yellow(`  ⚠ ${reason} — ${pending} sin ejecutar, a revisión manual`));
+    return {
+      success: false,
+      budgetExceeded: true,
+      reason: `${reason}. ${pending} sin ejecutar: revisar manualmente.`,
+      failedPhase: 'budget',
+      summary: finalCodeSummary,
+      iterations: iteration,
+      plan,
+      phasesRecord: { ...phasesRecord, result: 'over-budget', totalDuration: Date.now() - executionStart },
+    };
+  };
+
+  while (iteration < maxIterations) {
+    const overBeforeCode = overBudget();
+    if (overBeforeCode) return stopOverBudget(overBeforeCode, iteration);
+
+    if (!phaseDone(resume, 'CODE', iteration + 1)) checkpoint('PLAN');
     iteration++;
-    console.log(chalk.blue(`\n  ━━━ Iteración ${iteration}/${MAX_ITERATIONS} ━━━`));
+    console.log(chalk.blue(`\n  ━━━ Iteración ${iteration}/${maxIterations} ━━━`));
 
     // ── Verificar internet antes de CODE ────────────────────
-    if (!(await checkInternet())) {
+    if (!(await isOnline())) {
       console.log(chalk.yellow(`  ⚠ Sin internet antes de CODE — esperando...`));
       const recovered = await waitForInternet();
       if (!recovered) {
@@ -938,274 +1622,369 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     }
 
     // ── FASE 2: CODE ────────────────────────────────────────
-    const codePrompt = isArchitecture
-      ? promptCodeArchitecture(task, projectPath, plan)
-      : promptCode(task, projectPath, plan, feedback);
-
-    const codeResult = await runPhase(
-      engine,
-      codePrompt,
-      projectPath,
-      `CODE — ${isArchitecture ? 'Scaffolding' : 'Implementación'} (iter ${iteration})`,
-      'CODE',
-    );
+    let codeSummary;
+    if (resumed('CODE')) {
+      codeSummary = resume.codeSummary || 'Implementado';
+      finalCodeSummary = codeSummary;
+      console.log(chalk.green(`  ↻ CODE ya completado antes de la interrupción: ${codeSummary}`));
+    } else {
+      const codePrompt = phasePrompt(kanbanPath, 'code', { ...promptVars, plan, feedback, iteration },
+        () => (isArchitecture
+          ? promptCodeArchitecture(task, projectPath, plan)
+          : promptCode(task, projectPath, plan, feedback)))
+        + (aiComments.length ? promptAIComments(aiComments) : '');
+
+      const codeResult = await runPhase(
+        engine,
+        codePrompt,
+        projectPath,
+        `CODE — ${isArchitecture ? 'Scaffolding' : 'Implementación'} (iter ${iteration})`,
+        'CODE',
+        phaseOpts('CODE'),
+      );
 
-    const codeOk = codeResult.marker === 'RESULTADO'
-      ? codeResult.value?.toLowerCase().startsWith('completado')
-      : codeResult.exitCode === 0;
-
-    if (codeResult.timedOut || !codeOk) {
-      const reason = codeResult.timedOut
-        ? `CODE no respondió en ${PHASE_TIMEOUTS.CODE.total / 60000} minutos (proceso colgado)`
-        : (codeResult.value || `Salió con código ${codeResult.exitCode}`);
-      const status = codeResult.timedOut ? 'timeout' : 'failed';
-      phasesRecord.code.push({ iteration, status, duration: codeResult.duration, summary: reason });
-      console.log(chalk.red(`  ✖ CODE ${status}: ${reason}`));
-
-      // ── TIMEOUT NO CUENTA COMO ITERACIÓN ──────────────────
-      // Si fue timeout, puede ser que la tarea simplemente necesite más tiempo
-      // o que se cayó internet. No desperdiciar un intento.
-      if (codeResult.timedOut) {
-        iteration--;
-        console.log(chalk.yellow(`  ↩ Timeout no cuenta como iteración (quedan ${MAX_ITERATIONS - iteration})`));
-        // Verificar si fue por internet
-        if (!(await checkInternet())) {
-          console.log(chalk.yellow(`  ⚠ Parece que se perdió internet — esperando...`));
-          const recovered = await waitForInternet();
-          if (!recovered) {
-            return {
-              success: false,
-              reason: 'Sin conexión a internet tras timeout',
-              iterations: iteration,
-              phasesRecord: { ...phasesRecord, result: 'no-internet', totalDuration: Date.now() - executionStart },
-            };
+      const codeOk = codeResult.marker === 'RESULTADO'
+        ? codeResult.value?.toLowerCase().startsWith('completado')
+        : codeResult.exitCode === 0;
+
+      if (codeResult.timedOut || !codeOk) {
+        const reason = codeResult.timedOut
+          ? `CODE no respondió en ${timeoutMin('CODE')} minutos (proceso colgado)`
+          : (codeResult.value || `Salió con código ${codeResult.exitCode}`);
+        const status = codeResult.timedOut ? 'timeout' : 'failed';
+        phasesRecord.code.push({ iteration, status, duration: codeResult.duration, summary: reason, usage: codeResult.usage });
+        console.log(chalk.red(`  ✖ CODE ${status}: ${reason}`));
+
+        // ── TIMEOUT NO CUENTA COMO ITERACIÓN ──────────────────
+        // Si fue timeout, puede ser que la tarea simplemente necesite más tiempo
+        // o que se cayó internet. No desperdiciar un intento.
+        if (codeResult.timedOut) {
+          iteration--;
+          console.log(chalk.yellow(`  ↩ Timeout no cuenta como iteración (quedan ${maxIterations - iteration})`));
+          // Verificar si fue por internet
+          if (!(await isOnline())) {
+            console.log(chalk.yellow(`  ⚠ Parece que se perdió internet — esperando...`));
+            const recovered = await waitForInternet();
+            if (!recovered) {
+              return {
+                success: false,
+                reason: 'Sin conexión a internet tras timeout',
+                iterations: iteration,
+                phasesRecord: { ...phasesRecord, result: 'no-internet', totalDuration: Date.now() - executionStart },
+              };
+            }
           }
+          feedback = `La fase CODE anterior fue terminada por timeout (${Math.round(codeResult.duration / 60000)} min). Intenta una solución más directa y enfocada.`;
+          continue;
         }
-        feedback = `La fase CODE anterior fue terminada por timeout (${Math.round(codeResult.duration / 60000)} min). Intenta una solución más directa y enfocada.`;
+
+        if (iteration >= maxIterations) {
+          return {
+            success: false,
+            reason: `CODE falló tras ${maxIterations} intentos: ${reason}`,
+            iterations: iteration,
+            phasesRecord: { ...phasesRecord, result: 'failed', totalDuration: Date.now() - executionStart },
+          };
+        }
+        feedback = `La implementación anterior falló: ${reason}. Intenta un enfoque diferente.`;
         continue;
       }
 
-      if (iteration >= MAX_ITERATIONS) {
-        return {
-          success: false,
-          reason: `CODE falló tras ${MAX_ITERATIONS} intentos: ${reason}`,
-          iterations: iteration,
-          phasesRecord: { ...phasesRecord, result: 'failed', totalDuration: Date.now() - executionStart },
-        };
-      }
-      feedback = `La implementación anterior falló: ${reason}. Intenta un enfoque diferente.`;
-      continue;
+      codeSummary = codeResult.value?.replace(/^completado\s*-?\s*/i, '') || 'Implementado';
+      finalCodeSummary = codeSummary;
+      phasesRecord.code.push({
+        iteration,
+        status: 'ok',
+        duration: codeResult.duration,
+        summary: codeSummary,
+        exitCode: codeResult.exitCode,
+        timedOut: codeResult.timedOut,
+        outputLength: codeResult.output?.length || 0,
+        usage: codeResult.usage,
+      });
+      console.log(chalk.cyan(`  ✔ CODE completado: ${codeSummary}`));
+
+      // Guardar artefacto del código
+      saveArtifact(
+        kanbanPath, task.id, `code-iter${iteration}`,
+        `# Code — Tarea #${task.id} (iter ${iteration})\n\n` +
+        `**Resultado:** ${codeSummary}\n\n` +
+        `**Métricas:**\n` +
+        `- Duración: ${Math.round(codeResult.duration / 1000)}s\n` +
+        `- ExitCode: ${codeResult.exitCode}\n` +
+        `- TimedOut: ${codeResult.timedOut}\n` +
+        `- Output: ${(codeResult.output?.length || 0).toLocaleString()} chars\n\n` +
+        `---\n_Generado: ${new Date().toISOString()}_\n`,
+        codeResult.output
+      );
+      checkpoint('CODE', { codeSummary });
     }
 
-    const codeSummary = codeResult.value?.replace(/^completado\s*-?\s*/i, '') || 'Implementado';
-    finalCodeSummary = codeSummary;
-    phasesRecord.code.push({
-      iteration,
-      status: 'ok',
-      duration: codeResult.duration,
-      summary: codeSummary,
-      exitCode: codeResult.exitCode,
-      timedOut: codeResult.timedOut,
-      outputLength: codeResult.output?.length || 0,
-    });
-    console.log(chalk.cyan(`  ✔ CODE completado: ${codeSummary}`));
-
-    // Guardar artefacto del código
-    saveArtifact(
-      kanbanPath, task.id, `code-iter${iteration}`,
-      `# Code — Tarea #${task.id} (iter ${iteration})\n\n` +
-      `**Resultado:** ${codeSummary}\n\n` +
-      `**Métricas:**\n` +
-      `- Duración: ${Math.round(codeResult.duration / 1000)}s\n` +
-      `- ExitCode: ${codeResult.exitCode}\n` +
-      `- TimedOut: ${codeResult.timedOut}\n` +
-      `- Output: ${(codeResult.output?.length || 0).toLocaleString()} chars\n\n` +
-      `---\n_Generado: ${new Date().toISOString()}_\n`,
-      codeResult.output
-    );
-
-    // ── Architecture: salta REVIEW y TEST, va directo a SCOPE ─
-    if (isArchitecture) break;
-
-    // ── Verificar internet antes de REVIEW ────────────────
-    if (!(await checkInternet())) {
-      console.log(chalk.yellow(`  ⚠ Sin internet antes de REVIEW — esperando...`));
-      if (!(await waitForInternet())) {
-        // No perder el trabajo hecho — marcar como review pendiente
-        phasesRecord.review.push({ iteration, status: 'no-internet', duration: 0, summary: 'Sin internet' });
-        return {
-          success: true,
-          scopeIncomplete: true,
-          scopeNote: 'Review no ejecutado por falta de internet. Revisar manualmente.',
-          summary: finalCodeSummary,
-          iterations: iteration,
-          plan,
-          phasesRecord: { ...phasesRecord, result: 'no-internet-review', totalDuration: Date.now() - executionStart },
-        };
+    if (hasPhase('REVIEW') && !resumed('REVIEW')) {
+      const overBeforeReview = overBudget();
+      if (overBeforeReview) return pauseOverBudget(overBeforeReview, hasPhase('TEST') ? 'REVIEW y TEST' : 'REVIEW');
+
+      // ── Verificar internet antes de REVIEW ────────────────
+      if (!(await isOnline())) {
+        console.log(chalk.yellow(`  ⚠ Sin internet antes de REVIEW — esperando...`));
+        if (!(await waitForInternet())) {
+          // No perder el trabajo hecho — marcar como review pendiente
+          phasesRecord.review.push({ iteration, status: 'no-internet', duration: 0, summary: 'Sin internet' });
+          return {
+            success: true,
+            scopeIncomplete: true,
+            scopeNote: 'Review no ejecutado por falta de internet. Revisar manualmente.',
+            summary: finalCodeSummary,
+            iterations: iteration,
+            plan,
+            phasesRecord: { ...phasesRecord, result: 'no-internet-review', totalDuration: Date.now() - executionStart },
+          };
+        }
       }
-    }
 
-    // ── FASE 3: REVIEW ──────────────────────────────────────
-    const reviewResult = await runPhase(
-      engine,
-      promptReview(task, projectPath, plan),
-      projectPath,
-      'REVIEW — Revisión de código',
-      'REVIEW',
-    );
+      // ── FASE 3: REVIEW ──────────────────────────────────────
+      const reviewResult = await runPhase(
+        engine,
+        phasePrompt(kanbanPath, 'review', { ...promptVars, plan, iteration },
+          () => promptReview(task, projectPath, plan)),
+        projectPath,
+        'REVIEW — Revisión de código',
+        'REVIEW',
+        phaseOpts('REVIEW'),
+      );
 
-    const reviewApproved = reviewResult.marker === 'REVIEW'
-      ? reviewResult.value?.toLowerCase().startsWith('aprobado')
-      : reviewResult.exitCode === 0; // Sin marcador → asumir ok
-
-    if (reviewResult.timedOut || !reviewApproved) {
-      const problems = reviewResult.timedOut
-        ? `REVIEW no respondió en ${PHASE_TIMEOUTS.REVIEW.total / 60000} minutos (proceso colgado)`
-        : (reviewResult.value?.replace(/^rechazado\s*-?\s*/i, '') || 'Problemas no especificados');
-      const status = reviewResult.timedOut ? 'timeout' : 'rejected';
-      phasesRecord.review.push({ iteration, status, duration: reviewResult.duration, summary: problems });
-      console.log(chalk.yellow(`  ⚠ REVIEW ${status}: ${problems}`));
-      if (iteration >= MAX_ITERATIONS) {
-        return {
-          success: false,
-          reason: `Review falló tras ${MAX_ITERATIONS} intentos: ${problems}`,
-          iterations: iteration,
-          phasesRecord: { ...phasesRecord, result: 'review-failed', totalDuration: Date.now() - executionStart },
-        };
+      const reviewApproved = reviewResult.marker === 'REVIEW'
+        ? reviewResult.value?.toLowerCase().startsWith('aprobado')
+        : reviewResult.exitCode === 0; // Sin marcador → asumir ok
+
+      if (reviewResult.timedOut || !reviewApproved) {
+        const problems = reviewResult.timedOut
+          ? `REVIEW no respondió en ${timeoutMin('REVIEW')} minutos (proceso colgado)`
+          : (reviewResult.value?.replace(/^rechazado\s*-?\s*/i, '') || 'Problemas no especificados');
+        const status = reviewResult.timedOut ? 'timeout' : 'rejected';
+        phasesRecord.review.push({ iteration, status, duration: reviewResult.duration, summary: problems, usage: reviewResult.usage });
+        console.log(chalk.yellow(`  ⚠ REVIEW ${status}: ${problems}`));
+        if (iteration >= maxIterations) {
+          return {
+            success: false,
+            reason: `Review falló tras ${maxIterations} intentos: ${problems}`,
+            iterations: iteration,
+            phasesRecord: { ...phasesRecord, result: 'review-failed', totalDuration: Date.now() - executionStart },
+          };
+        }
+        feedback = reviewResult.timedOut
+          ? `La fase REVIEW se colgó. Revisa el código manualmente y simplifica si es posible.`
+          : `El revisor rechazó el código con estos problemas:\n${problems}\nCorrige exactamente estos puntos.`;
+        continue;
       }
-      feedback = reviewResult.timedOut
-        ? `La fase REVIEW se colgó. Revisa el código manualmente y simplifica si es posible.`
-        : `El revisor rechazó el código con estos problemas:\n${problems}\nCorrige exactamente estos puntos.`;
-      continue;
+
+      const reviewComment = reviewResult.value?.replace(/^aprobado\s*-?\s*/i, '') || 'OK';
+      phasesRecord.review.push({
+        iteration,
+        status: 'approved',
+        duration: reviewResult.duration,
+        summary: reviewComment,
+        exitCode: reviewResult.exitCode,
+        timedOut: reviewResult.timedOut,
+        outputLength: reviewResult.output?.length || 0,
+        usage: reviewResult.usage,
+      });
+      console.log(chalk.cyan(`  ✔ REVIEW aprobado: ${reviewComment}`));
+
+      // Guardar artefacto del review
+      saveArtifact(
+        kanbanPath, task.id, `review-iter${iteration}`,
+        `# Review — Tarea #${task.id} (iter ${iteration})\n\n` +
+        `**Veredicto:** Aprobado\n` +
+        `**Comentario:** ${reviewComment}\n\n` +
+        `**Métricas:**\n` +
+        `- Duración: ${Math.round(reviewResult.duration / 1000)}s\n` +
+        `- ExitCode: ${reviewResult.exitCode}\n` +
+        `- Output: ${(reviewResult.output?.length || 0).toLocaleString()} chars\n\n` +
+        `---\n_Generado: ${new Date().toISOString()}_\n`,
+        reviewResult.output
+      );
+      checkpoint('REVIEW');
     }
 
-    const reviewComment = reviewResult.value?.replace(/^aprobado\s*-?\s*/i, '') || 'OK';
-    phasesRecord.review.push({
-      iteration,
-      status: 'approved',
-      duration: reviewResult.duration,
-      summary: reviewComment,
-      exitCode: reviewResult.exitCode,
-      timedOut: reviewResult.timedOut,
-      outputLength: reviewResult.output?.length || 0,
-    });
-    console.log(chalk.cyan(`  ✔ REVIEW aprobado: ${reviewComment}`));
+    if (hasPhase('TEST') && !resumed('TEST')) {
+      const overBeforeTest = overBudget();
+      if (overBeforeTest) return pauseOverBudget(overBeforeTest, 'TEST');
+
+      // ── Verificar internet antes de TEST ──────────────────
+      if (!(await isOnline())) {
+        console.log(chalk.yellow(`  ⚠ Sin internet antes de TEST — esperando...`));
+        if (!(await waitForInternet())) {
+          phasesRecord.test.push({ iteration, status: 'no-internet', duration: 0, summary: 'Sin internet' });
+          return {
+            success: true,
+            scopeIncomplete: true,
+            scopeNote: 'Tests no ejecutados por falta de internet. Revisar manualmente.',
+            summary: finalCodeSummary,
+            iterations: iteration,
+            plan,
+            phasesRecord: { ...phasesRecord, result: 'no-internet-test', totalDuration: Date.now() - executionStart },
+          };
+        }
+      }
 
-    // Guardar artefacto del review
-    saveArtifact(
-      kanbanPath, task.id, `review-iter${iteration}`,
-      `# Review — Tarea #${task.id} (iter ${iteration})\n\n` +
-      `**Veredicto:** Aprobado\n` +
-      `**Comentario:** ${reviewComment}\n\n` +
-      `**Métricas:**\n` +
-      `- Duración: ${Math.round(reviewResult.duration / 1000)}s\n` +
-      `- ExitCode: ${reviewResult.exitCode}\n` +
-      `- Output: ${(reviewResult.output?.length || 0).toLocaleString()} chars\n\n` +
-      `---\n_Generado: ${new Date().toISOString()}_\n`,
-      reviewResult.output
-    );
+      // ── FASE 4: TEST ────────────────────────────────────────
+      const testResult = await runPhase(
+        engine,
+        phasePrompt(kanbanPath, 'test', { ...promptVars, plan, iteration },
+          () => promptTest(task, projectPath)),
+        projectPath,
+        'TEST — Verificación funcional',
+        'TEST',
+        phaseOpts('TEST'),
+      );
 
-    // ── Verificar internet antes de TEST ──────────────────
-    if (!(await checkInternet())) {
-      console.log(chalk.yellow(`  ⚠ Sin internet antes de TEST — esperando...`));
-      if (!(await waitForInternet())) {
-        phasesRecord.test.push({ iteration, status: 'no-internet', duration: 0, summary: 'Sin internet' });
-        return {
-          success: true,
-          scopeIncomplete: true,
-          scopeNote: 'Tests no ejecutados por falta de internet. Revisar manualmente.',
-          summary: finalCodeSummary,
-          iterations: iteration,
-          plan,
-          phasesRecord: { ...phasesRecord, result: 'no-internet-test', totalDuration: Date.now() - executionStart },
-        };
+      const testsOk = testResult.marker === 'TESTS'
+        ? testResult.value?.toLowerCase().startsWith('ok')
+        : testResult.exitCode === 0;
+
+      if (testResult.timedOut || !testsOk) {
+        const testFailure = testResult.timedOut
+          ? `TEST no respondió en ${timeoutMin('TEST')} minutos (proceso colgado o tests infinitos)`
+          : (testResult.value?.replace(/^fallido\s*-?\s*/i, '') || 'Tests fallaron');
+        const status = testResult.timedOut ? 'timeout' : 'failed';
+        phasesRecord.test.push({ iteration, status, duration: testResult.duration, summary: testFailure, usage: testResult.usage });
+        console.log(chalk.yellow(`  ⚠ TEST ${status}: ${testFailure}`));
+        if (iteration >= maxIterations) {
+          return {
+            success: false,
+            reason: `Tests fallaron tras ${maxIterations} intentos: ${testFailure}`,
+            iterations: iteration,
+            phasesRecord: { ...phasesRecord, result: 'test-failed', totalDuration: Date.now() - executionStart },
+          };
+        }
+        feedback = testResult.timedOut
+          ? `Los tests se colgaron (timeout). Verifica que no haya bucles infinitos ni procesos que no terminan.`
+          : `Los tests fallaron con este resultado:\n${testFailure}\nCorrige el código para que pasen los tests.`;
+        continue;
       }
-    }
 
-    // ── FASE 4: TEST ────────────────────────────────────────
-    const testResult = await runPhase(
-      engine,
-      promptTest(task, projectPath),
-      projectPath,
-      'TEST — Verificación funcional',
-      'TEST',
-    );
+      const testSummary = testResult.value?.replace(/^ok\s*-?\s*/i, '') || 'Tests pasaron';
+      phasesRecord.test.push({
+        iteration,
+        status: 'ok',
+        duration: testResult.duration,
+        summary: testSummary,
+        exitCode: testResult.exitCode,
+        timedOut: testResult.timedOut,
+        outputLength: testResult.output?.length || 0,
+        usage: testResult.usage,
+      });
+      console.log(chalk.green(`  ✔ TESTS OK: ${testSummary}`));
+
+      // Guardar artefacto de tests
+      saveArtifact(
+        kanbanPath, task.id, `test-iter${iteration}`,
+        `# Tests — Tarea #${task.id} (iter ${iteration})\n\n` +
+        `**Resultado:** OK\n` +
+        `**Detalle:** ${testSummary}\n\n` +
+        `**Métricas:**\n` +
+        `- Duración: ${Math.round(testResult.duration / 1000)}s\n` +
+        `- ExitCode: ${testResult.exitCode}\n` +
+        `- Output: ${(testResult.output?.length || 0).toLocaleString()} chars\n\n` +
+        `---\n_Generado: ${new Date().toISOString()}_\n`,
+        testResult.output
+      );
+      checkpoint('TEST');
+    }
 
-    const testsOk = testResult.marker === 'TESTS'
-      ? testResult.value?.toLowerCase().startsWith('ok')
-      : testResult.exitCode === 0;
-
-    if (testResult.timedOut || !testsOk) {
-      const testFailure = testResult.timedOut
-        ? `TEST no respondió en ${PHASE_TIMEOUTS.TEST.total / 60000} minutos (proceso colgado o tests infinitos)`
-        : (testResult.value?.replace(/^fallido\s*-?\s*/i, '') || 'Tests fallaron');
-      const status = testResult.timedOut ? 'timeout' : 'failed';
-      phasesRecord.test.push({ iteration, status, duration: testResult.duration, summary: testFailure });
-      console.log(chalk.yellow(`  ⚠ TEST ${status}: ${testFailure}`));
-      if (iteration >= MAX_ITERATIONS) {
-        return {
-          success: false,
-          reason: `Tests fallaron tras ${MAX_ITERATIONS} intentos: ${testFailure}`,
-          iterations: iteration,
-          phasesRecord: { ...phasesRecord, result: 'test-failed', totalDuration: Date.now() - executionStart },
-        };
+    // ── VERIFY: comando de tests real, independiente de la IA ──
+    if (verify.enabled && !resumed('VERIFY')) {
+      const gate = await runVerifyGate(verify, { projectPath, kanbanPath, task, iteration });
+      phasesRecord.verify.push(gate.record);
+      if (!gate.result.ok) {
+        console.log(chalk.yellow(`  ⚠ VERIFY ${gate.record.status}: ${gate.record.summary}`));
+        if (iteration >= maxIterations) {
+          return {
+            success: false,
+            reason: `Verificación falló tras ${maxIterations} intentos: ${gate.record.summary}`,
+            failedPhase: 'verify',
+            iterations: iteration,
+            phasesRecord: { ...phasesRecord, result: 'verify-failed', totalDuration: Date.now() - executionStart },
+          };
+        }
+        feedback = `El comando de verificación \`${verify.command}\` ${gate.result.timedOut ? 'agotó el tiempo' : `falló (exit ${gate.result.exitCode})`}. ` +
+          `Últimas líneas de su salida:\n${outputTail(gate.result.output)}\n` +
+          `Corrige el código para que el comando termine con éxito.`;
+        continue;
       }
-      feedback = testResult.timedOut
-        ? `Los tests se colgaron (timeout). Verifica que no haya bucles infinitos ni procesos que no terminan.`
-        : `Los tests fallaron con este resultado:\n${testFailure}\nCorrige el código para que pasen los tests.`;
-      continue;
+      console.log(chalk.green(`  ✔ VERIFY OK: ${verify.command}`));
+      checkpoint('VERIFY');
     }
 
-    const testSummary = testResult.value?.replace(/^ok\s*-?\s*/i, '') || 'Tests pasaron';
-    phasesRecord.test.push({
-      iteration,
-      status: 'ok',
-      duration: testResult.duration,
-      summary: testSummary,
-      exitCode: testResult.exitCode,
-      timedOut: testResult.timedOut,
-      outputLength: testResult.output?.length || 0,
-    });
-    console.log(chalk.green(`  ✔ TESTS OK: ${testSummary}`));
-
-    // Guardar artefacto de tests
-    saveArtifact(
-      kanbanPath, task.id, `test-iter${iteration}`,
-      `# Tests — Tarea #${task.id} (iter ${iteration})\n\n` +
-      `**Resultado:** OK\n` +
-      `**Detalle:** ${testSummary}\n\n` +
-      `**Métricas:**\n` +
-      `- Duración: ${Math.round(testResult.duration / 1000)}s\n` +
-      `- ExitCode: ${testResult.exitCode}\n` +
-      `- Output: ${(testResult.output?.length || 0).toLocaleString()} chars\n\n` +
-      `---\n_Generado: ${new Date().toISOString()}_\n`,
-      testResult.output
-    );
-
     finalCodeSummary = codeSummary;
     break; // salir del while para ir a SCOPE
   }
 
   // ── FASE 5: SCOPE — Validación de alcance ─────────────────
   // Solo llega aquí si CODE (y REVIEW+TEST para tareas normales) pasaron
-  if (finalCodeSummary && kanbanPath) {
+  if (finalCodeSummary && kanbanPath && hasPhase('SCOPE')) {
+    const overBeforeScope = overBudget();
+    if (overBeforeScope) return pauseOverBudget(overBeforeScope, 'SCOPE');
+
     console.log(chalk.blue(`\n  ━━━ Validación de alcance ━━━`));
+    const criteria = parseCriteria(task.content);
     const scopeResult = await runPhase(
       engine,
-      promptScope(task, projectPath, plan, finalCodeSummary, kanbanPath, projectContext),
+      phasePrompt(kanbanPath, 'scope', {
+        ...promptVars, plan, codeSummary: finalCodeSummary, contextFile: getContextPath(kanbanPath),
+      }, () => promptScope(task, projectPath, plan, finalCodeSummary, kanbanPath, projectContext))
+        + (criteria.length > 0 ? promptCriteria(criteria) : ''),
       projectPath,
       'SCOPE — Validación de requisitos y contexto',
       'SCOPE',
+      phaseOpts('SCOPE'),
     );
 
-    const scopeOk = scopeResult.timedOut
+    let scopeOk = scopeResult.timedOut
       ? false
       : (scopeResult.marker === 'SCOPE'
           ? scopeResult.value?.toLowerCase().startsWith('ok')
           : scopeResult.exitCode === 0);
 
+    // Veredicto por criterio: un solo criterio no cumplido basta para ir a Review
+    let verdicts = null;
+    if (!scopeResult.timedOut && criteria.length > 0) {
+      try {
+        verdicts = parseVerdicts(scopeResult.output, criteria);
+      } catch (err) {
+        console.log(chalk.yellow(`  ⚠ ${err.message} — se usa solo la línea SCOPE`));
+      }
+    }
+    const unmet = failedCriteria(verdicts);
+    if (unmet.length > 0) scopeOk = false;
+
+    const saveScopeArtifacts = (verdict, detail) => {
+      const table = verdicts ? verdictTable(verdicts) : null;
+      if (table) {
+        saveArtifact(
+          kanbanPath, task.id, 'criteria',
+          `# Criterios — Tarea #${task.id}: ${task.title}\n\n${table}\n\n` +
+          `---\n_Generado: ${new Date().toISOString()}_\n`
+        );
+      }
+      saveArtifact(
+        kanbanPath, task.id, 'scope',
+        `# Scope — Tarea #${task.id}: ${task.title}\n\n` +
+        `**Veredicto:** ${verdict}\n` +
+        `**Detalle:** ${detail}\n\n` +
+        (table ? `**Criterios:**\n\n${table}\n\n` : '') +
+        `**Métricas:**\n` +
+        `- Duración: ${Math.round(scopeResult.duration / 1000)}s\n` +
+        `- ExitCode: ${scopeResult.exitCode}\n` +
+        `- Output: ${(scopeResult.output?.length || 0).toLocaleString()} chars\n\n` +
+        `---\n_Generado: ${new Date().toISOString()}_\n`,
+        scopeResult.output
+      );
+    };
+
     if (scopeResult.timedOut) {
-      phasesRecord.scope = { status: 'timeout', duration: scopeResult.duration, summary: 'SCOPE no respondió a tiempo' };
+      phasesRecord.scope = { status: 'timeout', duration: scopeResult.duration, summary: 'SCOPE no respondió a tiempo', usage: scopeResult.usage };
       console.log(chalk.yellow(`  ⚠ SCOPE timeout — marcando para revisión`));
       return {
         success: true,
@@ -1219,13 +1998,20 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     }
 
     if (!scopeOk) {
-      const gaps = scopeResult.value?.replace(/^incompleto\s*-?\s*/i, '') || 'Requisitos incompletos';
-      phasesRecord.scope = { status: 'incomplete', duration: scopeResult.duration, summary: gaps };
+      const gaps = unmet.length > 0
+        ? `Criterios no cumplidos: ${unmet.map(c => `${c.n}. ${c.text}`).join('; ')}`
+        : (scopeResult.value?.replace(/^incompleto\s*-?\s*/i, '') || 'Requisitos incompletos');
+      phasesRecord.scope = { status: 'incomplete', duration: scopeResult.duration, summary: gaps, criteria: verdicts, usage: scopeResult.usage };
       console.log(chalk.yellow(`\n  ⚠ SCOPE detectó gaps: ${gaps}`));
+      for (const c of unmet) {
+        console.log(chalk.yellow(`     ✗ ${c.n}. ${c.text}`) + (c.evidence ? chalk.gray(` — ${c.evidence}`) : ''));
+      }
+      saveScopeArtifacts('INCOMPLETO', gaps);
       return {
         success: true,         // el código se commitea (no se pierde el trabajo)
         scopeIncomplete: true, // pero va a Review, no a Done
         scopeNote: gaps,
+        criteria: verdicts,
         summary: finalCodeSummary,
         iterations: iteration,
         plan,
@@ -1241,22 +2027,16 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
       exitCode: scopeResult.exitCode,
       timedOut: scopeResult.timedOut,
       outputLength: scopeResult.output?.length || 0,
+      criteria: verdicts,
+      usage: scopeResult.usage,
     };
     console.log(chalk.green(`  ✔ SCOPE ok: ${scopeSummary}`));
 
-    // Guardar artefacto de scope
-    saveArtifact(
-      kanbanPath, task.id, 'scope',
-      `# Scope — Tarea #${task.id}: ${task.title}\n\n` +
-      `**Veredicto:** OK\n` +
-      `**Detalle:** ${scopeSummary}\n\n` +
-      `**Métricas:**\n` +
-      `- Duración: ${Math.round(scopeResult.duration / 1000)}s\n` +
-      `- ExitCode: ${scopeResult.exitCode}\n` +
-      `- Output: ${(scopeResult.output?.length || 0).toLocaleString()} chars\n\n` +
-      `---\n_Generado: ${new Date().toISOString()}_\n`,
-      scopeResult.output
-    );
+    // Guardar artefactos de scope (y tabla de criterios si la hay)
+    saveScopeArtifacts('OK', scopeSummary);
+  } else if (finalCodeSummary && !hasPhase('SCOPE')) {
+    console.log(chalk.gray('  ⏭  SCOPE omitida por el pipeline'));
+    phasesRecord.scope = { status: 'skipped', duration: 0, summary: 'Omitida (pipeline)' };
   } else if (finalCodeSummary) {
     // Sin kanbanPath no podemos leer/escribir contexto — continúa sin SCOPE
     console.log(chalk.gray('  ⚠ Sin kanbanPath — fase SCOPE omitida'));
@@ -1265,8 +2045,8 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     // No llegó a código exitoso
     return {
       success: false,
-      reason: `Se agotaron las ${MAX_ITERATIONS} iteraciones sin completar el ciclo`,
-      iterations: MAX_ITERATIONS,
+      reason: `Se agotaron las ${maxIterations} iteraciones sin completar el ciclo`,
+      iterations: maxIterations,
       phasesRecord: { ...phasesRecord, result: 'exhausted', totalDuration: Date.now() - executionStart },
     };
   }
@@ -1276,6 +2056,7 @@ Por favor, analiza esta tarea y realiza los cambios necesarios en el proyecto.`;
     summary: finalCodeSummary,
     iterations: iteration,
     plan,
+    criteria: phasesRecord.scope?.criteria || null,
     phasesRecord: { ...phasesRecord, result: 'success', totalDuration: Date.now() - executionStart },
   };
   
@@ -1295,7 +2076,7 @@ function classifyTask(text, engine = 'claude') {
   return new Promise((resolve, reject) => {
     const available = detectAvailableEngine(engine);
     if (!available) {
-      reject(new Error('No hay CLI disponible para clasificar'));
+      reject(new Error('No hay engine disponible para clasificar'));
       return;
     }
 
@@ -1309,14 +2090,7 @@ Formato de respuesta:
 
 Valores posibles: type = feature|fix|bug   priority = alta|media|baja`;
 
-    const env = { ...process.env };
-    delete env.CLAUDECODE;
-
-    const { cmd, args } = available === 'claude'
-      ? { cmd: 'claude', args: ['--dangerously-skip-permissions', '-p', prompt] }
-      : { cmd: 'opencode', args: ['run', prompt] };
-
-    const proc = spawn(cmd, args, { env, stdio: ['ignore', 'pipe', 'pipe'] });
+    const proc = startPhaseProcess(available, prompt, process.cwd(), { phase: 'CLASSIFY' });
     let output = '';
 
     // Timeout de 2 min para clasificación
@@ -1342,6 +2116,8 @@ Valores posibles: type = feature|fix|bug   priority = alta|media|baja`;
 
 module.exports = {
   executeTask,
+  resolveMergeConflicts,
+  recheckAfterUpdate,
   classifyTask,
   detectAvailableEngine,
   cliExists,
@@ -0,0 +1,122 @@
+/**
+ * approval.js — Aprobación humana del plan antes de CODE
+ *
+ * Con `approve: [plan]` (frontmatter, pipeline del proyecto o global) la
+ * tarea se detiene tras PLAN:
+ *
+ *   1. El loop la devuelve a TODO con
+ *        approval: { phase: plan, status: pending, plan: "...", requestedAt }
+ *      y la salta mientras siga pendiente.
+ *   2. Una persona la aprueba (UI, API o `ai-kanban approve`), con el plan tal
+ *      cual o editado → status: approved; o la rechaza con un comentario →
+ *      status: rejected y el comentario (con el plan rechazado) en `comments`.
+ *   3. El loop la vuelve a coger: aprobada → CODE con el plan aprobado, sin
+ *      repetir PLAN; rechazada → PLAN otra vez con los comentarios como feedback.
+ *
+ * Tras ejecutar con el plan aprobado, `approval` se borra: otra ejecución
+ * (un reintento) vuelve a pedir aprobación.
+ */
+
+const { getTaskById } = require('../kanban/board');
+const { writeTask } = require('./task');
+
+/**
+ * ¿La tarea espera a que alguien apruebe o rechace su plan?
+ */
+function isAwaitingApproval(task) {
+  return task?.approval?.status === 'pending';
+}
+
+/**
+ * Plan aprobado con el que debe continuar la tarea, o null.
+ */
+function approvedPlan(task) {
+  return task?.approval?.status === 'approved' && task.approval.plan ? task.approval.plan : null;
+}
+
+function updateApproval(taskId, kanbanPath, fn) {
+  const found = getTaskById(taskId, kanbanPath);
+  if (!found) throw new Error(`Tarea ${taskId} no encontrada`);
+  const approval = fn(found.task.approval || null, found.task);
+  writeTask({ ...found.task, approval }, found.filePath);
+  return approval;
+}
+
+function assertPending(approval, task) {
+  if (approval?.status !== 'pending') {
+    throw new Error(`La tarea #${task.id} no tiene un plan pendiente de aprobación`);
+  }
+}
+
+/**
+ * Deja la tarea esperando la aprobación de `plan`. Conserva los comentarios
+ * de rechazos anteriores.
+ */
+function requestApproval(taskId, plan, kanbanPath) {
+  return updateApproval(taskId, kanbanPath, (prev) => ({
+    phase: 'plan',
+    status: 'pending',
+    plan,
+    requestedAt: new Date().toISOString(),
+    comments: prev?.comments || [],
+  }));
+}
+
+/**
+ * Aprueba el plan pendiente. Con `plan` se sustituye por la versión editada.
+ * @returns {Object} approval actualizado
+ */
+function approvePlan(taskId, kanbanPath, { plan } = {}) {
+  return updateApproval(taskId, kanbanPath, (prev, task) => {
+    assertPending(prev, task);
+    const edited = typeof plan === 'string' && plan.trim() && plan.trim() !== prev.plan.trim();
+    return {
+      ...prev,
+      status: 'approved',
+      plan: edited ? plan.trim() : prev.plan,
+      edited: Boolean(edited),
+      decidedAt: new Date().toISOString(),
+    };
+  });
+}
+
+/**
+ * Rechaza el plan pendiente. El comentario es obligatorio: es el feedback
+ * del siguiente PLAN.
+ * @returns {Object} approval actualizado
+ */
+function rejectPlan(taskId, comment, kanbanPath) {
+  const text = String(comment || '').trim();
+  if (!text) throw new Error('El rechazo necesita un comentario');
+  return updateApproval(taskId, kanbanPath, (prev, task) => {
+    assertPending(prev, task);
+    const now = new Date().toISOString();
+    return {
+      phase: 'plan',
+      status: 'rejected',
+      plan: null,
+      decidedAt: now,
+      comments: [...(prev.comments || []), { comment: text, plan: prev.plan, at: now }],
+    };
+  });
+}
+
+/**
+ * Feedback para repetir PLAN: cada plan rechazado con su comentario.
+ */
+function rejectionFeedback(task) {
+  const comments = task?.approval?.comments || [];
+  return comments.map((c, i) => {
+    const plan = String(c.plan || '').slice(0, 600);
+    return `Rechazo ${i + 1}: ${c.comment}${plan ? `\n  Plan rechazado: ${plan}` : ''}`;
+  }).join('\n\n');
+}
+
+module.exports = {
+  isAwaitingApproval,
+  approvedPlan,
+  requestApproval,
+  approvePlan,
+  rejectPlan,
+  rejectionFeedback,
+};
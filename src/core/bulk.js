@@ -0,0 +1,153 @@
+/**
+ * bulk.js — Operaciones en lote sobre varias tareas
+ *
+ * Selección: lista de IDs o una consulta (type:bug label:auth ..., ver query.js).
+ * Acciones:
+ *   move <columna>          mover (misma validación de transiciones y WIP que moveTask)
+ *   add-label <etiqueta>    añadir etiqueta
+ *   remove-label <etiqueta> quitar etiqueta
+ *   set-priority <alta|media|baja>
+ *   delete                  eliminar
+ *   retry                   devolver a la columna de la que coge el motor
+ *
+ * Cada tarea se procesa por separado: un fallo (transición no permitida,
+ * límite WIP...) no para el resto y queda en su resultado. Invalidar la
+ * caché, avisar a la UI, al sync y a las notificaciones es cosa de quien
+ * llama, una vez por lote (ver POST /api/tasks/bulk).
+ */
+
+const { getTasks, getTaskById, moveTask, deleteTask } = require('../kanban/board');
+const { writeTask, KANBAN_PATH } = require('./task');
+const { getBoardSchema } = require('./workflow');
+const { filterTasks } = require('./query');
+const { recordActivity, editedFields } = require('./activity');
+
+const BULK_ACTIONS = ['move', 'add-label', 'remove-label', 'set-priority', 'delete', 'retry'];
+const VALID_PRIORITIES = ['alta', 'media', 'baja'];
+
+// ─────────────────────────────────────────────
+// SELECCIÓN
+// ─────────────────────────────────────────────
+
+/**
+ * IDs de las tareas seleccionadas, en orden de tablero si vienen de una consulta.
+ * @param {{ ids?: string[]|string, query?: string }} selection
+ * @returns {string[]}
+ */
+function resolveSelection({ ids, query } = {}, kanbanPath = KANBAN_PATH) {
+  if (ids !== undefined && ids !== null && query) {
+    throw new Error('Indica las tareas con ids o con query, no con ambos');
+  }
+  if (query !== undefined && query !== null) {
+    if (!String(query).trim()) throw new Error('La consulta de la selección está vacía');
+    const byColumn = filterTasks(getTasks(null, kanbanPath), String(query));
+    return Object.values(byColumn).flat().map(t => String(t.id).padStart(3, '0'));
+  }
+
+  const list = Array.isArray(ids) ? ids : String(ids || '').split(',');
+  const selected = [...new Set(list.map(id => String(id).trim()).filter(Boolean).map(id => id.padStart(3, '0')))];
+  if (selected.length === 0) throw new Error('Indica las tareas: ids o query');
+  return selected;
+}
+
+// ─────────────────────────────────────────────
+// ACCIONES
+// ─────────────────────────────────────────────
+
+/**
+ * Valida la acción y su valor antes de tocar ninguna tarea.
+ */
+function assertAction(action, value, kanbanPath) {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new Error(`Acción desconocida: ${action}. Válidas: ${BULK_ACTIONS.join(', ')}`);
+  }
+  if (action === 'move') {
+    const { ids } = getBoardSchema(kanbanPath);
+    if (!value) throw new Error('move necesita la columna destino');
+    if (!ids.includes(value)) throw new Error(`Columna inválida: ${value}. Válidas: ${ids.join(', ')}`);
+  }
+  if ((action === 'add-label' || action === 'remove-label') && !String(value || '').trim()) {
+    throw new Error(`${action} necesita la etiqueta`);
+  }
+  if (action === 'set-priority' && !VALID_PRIORITIES.includes(value)) {
+    throw new Error(`Prioridad inválida: ${value}. Válidas: ${VALID_PRIORITIES.join(', ')}`);
+  }
+}
+
+/**
+ * Edita campos del frontmatter y deja constancia en la actividad.
+ */
+function editTask(found, change, author, kanbanPath) {
+  const updated = { ...found.task, ...change(found.task) };
+  const fields = editedFields(found.task, updated);
+  if (fields.length === 0) return { unchanged: true, column: found.column };
+  writeTask(updated, found.filePath);
+  recordActivity(found.task.id, { type: 'edited', author, fields }, kanbanPath);
+  return { column: found.column, filePath: found.filePath, fileName: found.fileName, task: updated };
+}
+
+function applyAction(id, action, value, kanbanPath, { force, author }) {
+  const label = String(value || '').trim();
+
+  if (action === 'move' || action === 'retry') {
+    const target = action === 'move' ? value : getBoardSchema(kanbanPath).motor.pickFrom;
+    const event = action === 'retry' ? 'retried' : 'moved';
+    const result = moveTask(id, target, kanbanPath, { force, author, event });
+    if (result.message) return { unchanged: true, column: target };
+    return { from: result.fromColumn, to: result.toColumn, fileName: result.fileName, task: result.task };
+  }
+
+  const found = getTaskById(id, kanbanPath);
+  if (!found) throw new Error(`Tarea ${id} no encontrada`);
+
+  switch (action) {
+    case 'add-label':
+      return editTask(found, task => {
+        const labels = Array.isArray(task.labels) ? task.labels : [];
+        return { labels: labels.includes(label) ? labels : [...labels, label] };
+      }, author, kanbanPath);
+    case 'remove-label':
+      return editTask(found, task => ({
+        labels: (Array.isArray(task.labels) ? task.labels : []).filter(l => l !== label),
+      }), author, kanbanPath);
+    case 'set-priority':
+      return editTask(found, () => ({ priority: value }), author, kanbanPath);
+    case 'delete':
+      deleteTask(id, kanbanPath);
+      return { column: found.column, fileName: found.fileName, task: found.task };
+    default:
+      throw new Error(`Acción desconocida: ${action}`);
+  }
+}
+
+/**
+ * Aplica una acción a varias tareas.
+ *
+ * @param {string[]} ids - de resolveSelection()
+ * @param {string} action - una de BULK_ACTIONS
+ * @param {string} [value] - columna, etiqueta o prioridad según la acción
+ * @param {string} [kanbanPath]
+ * @param {Object} [options] - { force, author }
+ * @returns {{ action, value, total, succeeded, failed, results: Object[] }}
+ *   results[i]: { id, ok, error?, unchanged?, from?, to?, column?, fileName?, filePath?, task? }
+ */
+function runBulk(ids, action, value, kanbanPath = KANBAN_PATH, { force = false, author = null } = {}) {
+  assertAction(action, value, kanbanPath);
+
+  const results = ids.map(id => {
+    try {
+      return { id, ok: true, ...applyAction(id, action, value, kanbanPath, { force, author }) };
+    } catch (err) {
+      return { id, ok: false, error: err.message };
+    }
+  });
+
+  const succeeded = results.filter(r => r.ok).length;
+  return { action, value: value ?? null, total: results.length, succeeded, failed: results.length - succeeded, results };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  resolveSelection,
+  runBulk,
+};
@@ -0,0 +1,137 @@
+/**
+ * checkpoint.js — Punto de control para retomar una tarea tras un crash
+ *
+ * kanban/.history/{id}/checkpoint.json guarda por dónde va la ejecución:
+ *
+ *   { pid, branch, worktreePath, startedAt,       ← el loop, al empezar
+ *     phase, iteration, plan, feedback, codeSummary, phasesRecord,   ← executor
+ *     result, updatedAt }                          ← el loop, al acabar las fases
+ *
+ * `phase` es la última fase completada en `iteration`:
+ *   PLAN    plan listo; toca el CODE de la iteración siguiente (también tras
+ *           un intento fallido: `feedback` lleva el motivo)
+ *   CODE, REVIEW, TEST, VERIFY   completadas en `iteration`
+ *   DONE    fases terminadas; `result` es el resultado de executeTask
+ *
+ * Si el motor muere a mitad de tarea (uncaughtException, SIGTERM de
+ * /api/loop/stop), la tarea se queda en in_progress con su checkpoint y un
+ * `pid` que ya no existe. Al arrancar otra vez, el loop la detecta
+ * (findOrphans) y la retoma tras la última fase completada en el branch de
+ * la tarea. El checkpoint se borra cuando la tarea sale de in_progress.
+ *
+ * `resumes` cuenta las reanudaciones: una tarea que tumba el motor cada vez
+ * se da por fallida tras MAX_RESUMES en lugar de reintentarse sin fin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_RESUMES = 3;
+
+const RESUME_ORDER = ['PLAN', 'CODE', 'REVIEW', 'TEST', 'VERIFY', 'DONE'];
+
+function checkpointFile(kanbanPath, taskId) {
+  const padded = String(taskId).padStart(3, '0');
+  return path.join(kanbanPath, '.history', padded, 'checkpoint.json');
+}
+
+/**
+ * Checkpoint de la tarea o null si no hay (o está corrupto).
+ */
+function readCheckpoint(kanbanPath, taskId) {
+  try {
+    return JSON.parse(fs.readFileSync(checkpointFile(kanbanPath, taskId), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mezcla `fields` en el checkpoint de la tarea. Escribe a un temporal y lo
+ * renombra: un crash a mitad de escritura no deja un JSON a medias.
+ */
+function saveCheckpoint(kanbanPath, taskId, fields) {
+  const file = checkpointFile(kanbanPath, taskId);
+  const data = { ...readCheckpoint(kanbanPath, taskId), ...fields, updatedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(`${file}.tmp`, file);
+  return data;
+}
+
+function clearCheckpoint(kanbanPath, taskId) {
+  try { fs.unlinkSync(checkpointFile(kanbanPath, taskId)); } catch {}
+}
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM'; // existe pero es de otro usuario
+  }
+}
+
+/**
+ * Tareas de in_progress abandonadas por un motor que ya no corre: su
+ * checkpoint apunta a un pid muerto. Sin checkpoint no se tocan (otro motor
+ * o una tarea movida a mano).
+ * @param {Object[]} tasks - tareas de la columna in_progress
+ * @returns {{ task: Object, checkpoint: Object }[]}
+ */
+function findOrphans(tasks, kanbanPath) {
+  const orphans = [];
+  for (const task of tasks) {
+    const checkpoint = readCheckpoint(kanbanPath, task.id);
+    if (!checkpoint || checkpoint.pid === process.pid || isProcessAlive(checkpoint.pid)) continue;
+    orphans.push({ task, checkpoint });
+  }
+  return orphans;
+}
+
+/**
+ * ¿`phase` ya se completó en `iteration` según el checkpoint?
+ */
+function phaseDone(checkpoint, phase, iteration) {
+  if (!checkpoint?.phase || checkpoint.iteration !== iteration) return false;
+  return RESUME_ORDER.indexOf(checkpoint.phase) >= RESUME_ORDER.indexOf(phase);
+}
+
+/**
+ * Checkpoint reducido al plan: para cuando el código a medias se perdió
+ * (no queda el worktree o el repo no está en el branch de la tarea).
+ */
+function planOnly(checkpoint) {
+  if (!checkpoint?.plan) return null;
+  return {
+    ...checkpoint,
+    phase: 'PLAN',
+    iteration: 0,
+    feedback: null,
+    codeSummary: null,
+    result: null,
+    phasesRecord: checkpoint.phasesRecord?.plan ? { plan: checkpoint.phasesRecord.plan } : null,
+  };
+}
+
+/**
+ * Descripción corta del punto de reanudación, para logs.
+ */
+function describeCheckpoint(checkpoint) {
+  if (!checkpoint?.phase) return 'desde PLAN';
+  if (checkpoint.phase === 'DONE') return 'con las fases ya terminadas';
+  if (checkpoint.phase === 'PLAN') return `tras PLAN (iteración ${checkpoint.iteration + 1})`;
+  return `tras ${checkpoint.phase} (iteración ${checkpoint.iteration})`;
+}
+
+module.exports = {
+  MAX_RESUMES,
+  readCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  findOrphans,
+  phaseDone,
+  planOnly,
+  describeCheckpoint,
+};
@@ -0,0 +1,151 @@
+/**
+ * criteria.js — Criterios de aceptación estructurados y veredicto por criterio
+ *
+ * Los criterios siguen siendo markdown en la tarea:
+ *
+ *   # Criterios de aceptación
+ *   - [ ] El endpoint devuelve 201
+ *   - [x] Los tests pasan
+ *   - Viñeta sin casilla (también cuenta, sin marcar)
+ *
+ * parseCriteria() los convierte en [{ n, text, checked }]. La fase SCOPE
+ * devuelve un veredicto por criterio antes de su línea SCOPE:
+ *
+ *   CRITERIOS:
+ *   ```json
+ *   [
+ *     { "n": 1, "met": true,  "evidence": "src/routes/users.js:42 responde 201" },
+ *     { "n": 2, "met": false, "evidence": "no hay test del caso duplicado" }
+ *   ]
+ *   ```
+ *
+ * applyVerdicts() marca las casillas en la tarea (resetCriteria() las
+ * desmarca) y verdictTable() genera la
+ * tabla que se guarda como artefacto (kanban/.history/{id}/criteria.md).
+ */
+
+const HEADING = /^#{1,6}\s*criterios(\s+de\s+aceptaci[oó]n)?\s*$/i;
+const ITEM = /^(\s*)[-*]\s+(?:\[([ xX])\]\s+)?(.+?)\s*$/;
+
+/**
+ * Rango de líneas de la sección de criterios: [inicio, fin) o null.
+ */
+function criteriaSection(lines) {
+  const start = lines.findIndex(line => HEADING.test(line.trim()));
+  if (start === -1) return null;
+  let end = lines.findIndex((line, i) => i > start && /^#{1,6}\s/.test(line.trim()));
+  if (end === -1) end = lines.length;
+  return [start + 1, end];
+}
+
+/**
+ * Lista estructurada de criterios de la tarea.
+ * Sin sección "Criterios de aceptación" se usan las casillas `- [ ]` del texto.
+ * @param {string} content
+ * @returns {{ n: number, text: string, checked: boolean, line: number }[]}
+ */
+function parseCriteria(content) {
+  const lines = String(content || '').split('\n');
+  const section = criteriaSection(lines);
+  const [from, to] = section || [0, lines.length];
+  const criteria = [];
+
+  for (let i = from; i < to; i++) {
+    const match = lines[i].match(ITEM);
+    if (!match || match[1].length > 0) continue; // sub-viñetas: parte del criterio anterior
+    if (!section && match[2] === undefined) continue;
+    criteria.push({ n: criteria.length + 1, text: match[3], checked: /x/i.test(match[2] || ''), line: i });
+  }
+  return criteria;
+}
+
+/**
+ * Extrae el veredicto por criterio del bloque CRITERIOS de la salida de SCOPE.
+ * Los criterios sin veredicto quedan con met: null.
+ * @returns {{ n, text, met: boolean|null, evidence: string }[]|null} null si no hay bloque
+ * @throws si el bloque existe pero no es válido
+ */
+function parseVerdicts(output, criteria) {
+  const blocks = [...String(output || '').matchAll(/CRITERIOS:\s*```(?:json)?\s*([\s\S]*?)```/g)];
+  if (blocks.length === 0) return null;
+
+  let list;
+  try {
+    list = JSON.parse(blocks[blocks.length - 1][1]);
+  } catch (err) {
+    throw new Error(`CRITERIOS inválidos: JSON mal formado (${err.message})`);
+  }
+  if (!Array.isArray(list)) throw new Error('CRITERIOS inválidos: debe ser una lista');
+
+  const byN = new Map();
+  for (const entry of list) {
+    const n = Number(entry?.n);
+    if (!Number.isInteger(n) || n < 1 || n > criteria.length) {
+      throw new Error(`CRITERIOS inválidos: criterio ${JSON.stringify(entry?.n)} no existe (1..${criteria.length})`);
+    }
+    byN.set(n, {
+      met: typeof entry.met === 'boolean' ? entry.met : null,
+      evidence: typeof entry.evidence === 'string' ? entry.evidence.trim() : '',
+    });
+  }
+
+  return criteria.map(c => ({ n: c.n, text: c.text, met: null, evidence: '', ...byN.get(c.n) }));
+}
+
+/**
+ * Marca las casillas según el veredicto: cumplido → [x], no cumplido → [ ].
+ * Las viñetas sin casilla pasan a tenerla; sin veredicto no se tocan.
+ * @returns {string} contenido nuevo
+ */
+function applyVerdicts(content, verdicts) {
+  const lines = String(content || '').split('\n');
+  const criteria = parseCriteria(content);
+  for (const verdict of verdicts) {
+    const criterion = criteria.find(c => c.n === verdict.n);
+    if (!criterion || verdict.met === null) continue;
+    lines[criterion.line] = `- [${verdict.met ? 'x' : ' '}] ${criterion.text}`;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Desmarca todas las casillas de los criterios (nueva ejecución de una tarea
+ * recurrente: el veredicto anterior no vale).
+ * @returns {string} contenido nuevo
+ */
+function resetCriteria(content) {
+  const lines = String(content || '').split('\n');
+  for (const criterion of parseCriteria(content)) {
+    if (criterion.checked) lines[criterion.line] = lines[criterion.line].replace(/\[[xX]\]/, '[ ]');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Criterios que no se cumplen: { n, text, evidence }.
+ */
+function failedCriteria(verdicts) {
+  return (verdicts || []).filter(v => v.met === false).map(({ n, text, evidence }) => ({ n, text, evidence }));
+}
+
+/**
+ * Tabla markdown con el veredicto de cada criterio.
+ */
+function verdictTable(verdicts) {
+  const cell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+  const label = (met) => (met === true ? '✅ Cumple' : met === false ? '❌ No cumple' : '❔ Sin veredicto');
+  return [
+    '| # | Criterio | Veredicto | Evidencia |',
+    '|---|----------|-----------|-----------|',
+    ...verdicts.map(v => `| ${v.n} | ${cell(v.text)} | ${label(v.met)} | ${cell(v.evidence) || '—'} |`),
+  ].join('\n');
+}
+
+module.exports = {
+  parseCriteria,
+  parseVerdicts,
+  applyVerdicts,
+  resetCriteria,
+  failedCriteria,
+  verdictTable,
+};
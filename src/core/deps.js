@@ -0,0 +1,189 @@
+/**
+ * deps.js — Grafo de dependencias (dependsOn) de un kanban
+ *
+ *   buildGraph()        nodos y aristas del tablero, ruta crítica y ciclos (GET /api/graph)
+ *   assertNoCycle()     rechaza un dependsOn que cerraría un ciclo (crear/editar tarea)
+ *   dependencyTree()    árbol de lo que necesita una tarea (up) o de lo que la espera (down)
+ *
+ * Una arista { from, to } significa "to depende de from": from tiene que
+ * llegar a la columna de éxito del motor (done) antes de que el motor coja to.
+ * El loop sigue saltando en tiempo de ejecución las tareas con ciclos que
+ * se hayan escrito a mano en el .md.
+ */
+
+const { getTasks } = require('../kanban/board');
+const { getBoardSchema } = require('./workflow');
+
+const padId = (id) => String(id).padStart(3, '0');
+const depsOf = (task) => (Array.isArray(task?.dependsOn) ? task.dependsOn.map(padId) : []);
+
+/**
+ * Todas las tareas del kanban en una lista, con su columna.
+ */
+function allTasks(kanbanPath) {
+  return Object.values(getTasks(null, kanbanPath)).flat();
+}
+
+// ─────────────────────────────────────────────
+// CICLOS
+// ─────────────────────────────────────────────
+
+/**
+ * Busca un ciclo que pase por `startId` siguiendo dependsOn.
+ * @param {Map<string, string[]>} deps - id → IDs de los que depende
+ * @returns {string[]|null} ['001', '003', '001'] o null
+ */
+function cycleFrom(startId, deps) {
+  const visited = new Set();
+  const walk = (id, trail) => {
+    for (const dep of deps.get(id) || []) {
+      if (dep === startId) return [...trail, dep];
+      if (visited.has(dep)) continue;
+      visited.add(dep);
+      const found = walk(dep, [...trail, dep]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return walk(startId, [startId]);
+}
+
+/**
+ * Todos los ciclos del grafo (uno por cada conjunto de tareas implicadas).
+ */
+function findCycles(deps) {
+  const cycles = [];
+  const seen = new Set();
+  for (const id of deps.keys()) {
+    if (seen.has(id)) continue;
+    const cycle = cycleFrom(id, deps);
+    if (cycle) {
+      cycle.forEach(c => seen.add(c));
+      cycles.push(cycle);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Lanza un error si dar a `taskId` estas dependencias crearía un ciclo.
+ * `taskId` puede no existir todavía (tarea nueva).
+ */
+function assertNoCycle(taskId, dependsOn, kanbanPath) {
+  const id = padId(taskId);
+  const wanted = (Array.isArray(dependsOn) ? dependsOn : []).map(padId);
+  if (wanted.includes(id)) {
+    throw new Error(`Dependencia circular: #${id} no puede depender de sí misma`);
+  }
+  const deps = new Map(allTasks(kanbanPath).map(t => [padId(t.id), depsOf(t)]));
+  deps.set(id, wanted);
+  const cycle = cycleFrom(id, deps);
+  if (cycle) {
+    throw new Error(`Dependencia circular: ${cycle.map(c => `#${c}`).join(' → ')}`);
+  }
+}
+
+// ─────────────────────────────────────────────
+// GRAFO
+// ─────────────────────────────────────────────
+
+/**
+ * Ruta crítica: la cadena más larga de tareas sin terminar unidas por
+ * dependsOn. Devuelve los IDs desde la primera que hay que hacer.
+ */
+function criticalPath(nodes, deps) {
+  const pending = new Set(nodes.filter(n => !n.done).map(n => n.id));
+  const memo = new Map();
+  const longest = (id, stack = new Set()) => {
+    if (memo.has(id)) return memo.get(id);
+    stack.add(id);
+    let best = [];
+    for (const dep of deps.get(id) || []) {
+      if (!pending.has(dep) || stack.has(dep)) continue;
+      const chain = longest(dep, stack);
+      if (chain.length > best.length) best = chain;
+    }
+    stack.delete(id);
+    const result = [...best, id];
+    memo.set(id, result);
+    return result;
+  };
+
+  let path = [];
+  for (const id of pending) {
+    const chain = longest(id);
+    if (chain.length > path.length) path = chain;
+  }
+  return path.length > 1 ? path : [];
+}
+
+/**
+ * Grafo de dependencias del kanban.
+ * @returns {{ nodes: Object[], edges: Object[], criticalPath: string[], cycles: string[][] }}
+ *   nodes: { id, title, column, type, priority, parent, done, blockedBy: [ids sin terminar] }
+ *   edges: { from, to, done: from ya terminada, missing: from no existe }
+ */
+function buildGraph(kanbanPath) {
+  const { success } = getBoardSchema(kanbanPath).motor;
+  const tasks = allTasks(kanbanPath);
+  const byId = new Map(tasks.map(t => [padId(t.id), t]));
+  const deps = new Map(tasks.map(t => [padId(t.id), depsOf(t)]));
+  const isDone = (id) => byId.get(id)?.column === success;
+
+  const nodes = tasks.map(t => {
+    const id = padId(t.id);
+    return {
+      id,
+      title: t.title,
+      column: t.column,
+      type: t.type,
+      priority: t.priority,
+      parent: t.parent ? padId(t.parent) : null,
+      done: t.column === success,
+      blockedBy: deps.get(id).filter(dep => !isDone(dep)),
+    };
+  });
+
+  const edges = [];
+  for (const [to, list] of deps) {
+    for (const from of list) {
+      edges.push({ from, to, done: isDone(from), missing: !byId.has(from) });
+    }
+  }
+
+  return { nodes, edges, criticalPath: criticalPath(nodes, deps), cycles: findCycles(deps) };
+}
+
+/**
+ * Árbol de dependencias de una tarea.
+ * @param {'up'|'down'} direction - up: de qué depende; down: qué tareas la esperan
+ * @returns {Object|null} { id, title, column, done, missing?, cycle?, children: [...] }
+ */
+function dependencyTree(taskId, kanbanPath, direction = 'up') {
+  const { success } = getBoardSchema(kanbanPath).motor;
+  const tasks = allTasks(kanbanPath);
+  const byId = new Map(tasks.map(t => [padId(t.id), t]));
+  const root = padId(taskId);
+  if (!byId.has(root)) return null;
+
+  const next = direction === 'down'
+    ? (id) => tasks.filter(t => depsOf(t).includes(id)).map(t => padId(t.id))
+    : (id) => depsOf(byId.get(id));
+
+  const walk = (id, trail) => {
+    const task = byId.get(id);
+    const node = { id, title: task?.title || null, column: task?.column || null, done: task?.column === success, children: [] };
+    if (!task) return { ...node, missing: true };
+    if (trail.includes(id)) return { ...node, cycle: true };
+    node.children = next(id).map(child => walk(child, [...trail, id]));
+    return node;
+  };
+  return walk(root, []);
+}
+
+module.exports = {
+  buildGraph,
+  assertNoCycle,
+  findCycles,
+  dependencyTree,
+};
@@ -0,0 +1,315 @@
+/**
+ * api.js — Motor que habla directamente con la API de Anthropic (SDK)
+ *
+ * No necesita ningún CLI instalado: pensado para servidores de build.
+ * Cada fase es una conversación con un bucle de herramientas local:
+ *   read_file, write_file, list_dir, run_command
+ * Todas operan dentro de projectPath: las rutas se resuelven siguiendo
+ * enlaces simbólicos y se rechazan si acaban fuera del proyecto.
+ *
+ * run_command no pasa por una shell: solo admite programas de la lista
+ * `allowedCommands`, sin operadores (; | && > $ ...) y con las rutas de los
+ * argumentos dentro del proyecto. No es un sandbox: npm, node o make ejecutan
+ * el código del proyecto, que puede hacer lo que quiera. Con
+ * `allowedCommands: false` la herramienta ni se ofrece al modelo.
+ *
+ * El texto del modelo y una línea por cada herramienta usada se emiten por
+ * write() en streaming, así acaban en el mismo log/artefacto que un CLI.
+ * run() devuelve también el `usage` sumado de todos los turnos (usage.js).
+ *
+ * Opciones (engines.api en kanban.config.js):
+ *   model            → modelo a usar (default 'claude-sonnet-4-5')
+ *   apiKey           → default env ANTHROPIC_API_KEY
+ *   baseURL          → default env ANTHROPIC_BASE_URL (servidor local para tests)
+ *   maxTokens        → tokens máximos por respuesta (default 8192)
+ *   maxTurns         → turnos máximos del bucle de herramientas (default 50)
+ *   commandTimeoutMs → timeout de run_command (default 120000)
+ *   allowedCommands  → programas que puede lanzar run_command (default
+ *                      DEFAULT_ALLOWED_COMMANDS); false desactiva la herramienta
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DEFAULTS = {
+  model: 'claude-sonnet-4-5',
+  maxTokens: 8192,
+  maxTurns: 50,
+  commandTimeoutMs: 2 * 60 * 1000,
+};
+
+const MAX_TOOL_OUTPUT = 30000; // chars devueltos al modelo por herramienta
+
+// Tests, build y consultas de solo lectura habituales
+const DEFAULT_ALLOWED_COMMANDS = [
+  'npm', 'npx', 'node', 'yarn', 'pnpm', 'make',
+  'python', 'python3', 'pytest', 'go', 'cargo',
+  'git', 'ls', 'cat', 'head', 'tail', 'wc', 'grep', 'find', 'diff',
+];
+// Operadores de shell: sin shell no harían nada, así que se rechazan
+const SHELL_OPERATORS = /[;&|<>`$\n\r]/;
+
+const TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Lee un archivo de texto del proyecto.',
+    input_schema: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Ruta relativa al proyecto' } },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'write_file',
+    description: 'Crea o sobrescribe un archivo del proyecto con el contenido completo.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Ruta relativa al proyecto' },
+        content: { type: 'string', description: 'Contenido completo del archivo' },
+      },
+      required: ['path', 'content'],
+    },
+  },
+  {
+    name: 'list_dir',
+    description: 'Lista el contenido de un directorio del proyecto.',
+    input_schema: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Ruta relativa al proyecto (default ".")' } },
+    },
+  },
+  {
+    name: 'run_command',
+    description: 'Ejecuta un programa (sin shell) con cwd = raíz del proyecto: tests, build, git status... '
+      + 'Sin operadores de shell (; | && > $) y con rutas dentro del proyecto.',
+    input_schema: {
+      type: 'object',
+      properties: { command: { type: 'string' } },
+      required: ['command'],
+    },
+  },
+];
+
+// ─────────────────────────────────────────────
+// HERRAMIENTAS LOCALES
+// ─────────────────────────────────────────────
+
+/**
+ * realpath de una ruta que puede no existir todavía (write_file): se resuelve
+ * el ancestro más cercano que existe y se le añade el resto.
+ */
+function realpathAllowMissing(target) {
+  let existing = target;
+  const rest = [];
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) break;
+    rest.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(fs.realpathSync(existing), ...rest);
+}
+
+/**
+ * Resuelve una ruta relativa al proyecto siguiendo enlaces simbólicos.
+ * Lanza si sale de projectPath (también a través de un symlink).
+ */
+function resolveInProject(projectPath, rel = '.') {
+  const root = realpathAllowMissing(path.resolve(projectPath));
+  const target = realpathAllowMissing(path.resolve(root, String(rel)));
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new Error(`Ruta fuera del proyecto: ${rel}`);
+  }
+  return target;
+}
+
+function truncate(text) {
+  return text.length > MAX_TOOL_OUTPUT
+    ? `${text.slice(0, MAX_TOOL_OUTPUT)}\n... [truncado, ${text.length} chars]`
+    : text;
+}
+
+/**
+ * Separa un comando en argumentos respetando comillas simples y dobles.
+ */
+function splitArgs(command) {
+  return (String(command).match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [])
+    .map(arg => arg.replace(/"([^"]*)"|'([^']*)'/g, (_, a, b) => a ?? b));
+}
+
+/**
+ * Valida el comando contra la lista de programas permitidos y comprueba que
+ * las rutas de los argumentos (absolutas, con .., ~ o archivos que existen)
+ * quedan en el proyecto.
+ * @returns {{ file: string, args: string[] }}
+ */
+function parseCommand(command, projectPath, allowedCommands) {
+  if (SHELL_OPERATORS.test(command)) {
+    throw new Error('run_command no admite operadores de shell (; | & > < $ `); lanza un solo programa');
+  }
+  const [file, ...args] = splitArgs(command);
+  if (!file) throw new Error('Comando vacío');
+  if (file.includes('/') || !allowedCommands.includes(file)) {
+    throw new Error(`Programa no permitido: ${file}. Permitidos: ${allowedCommands.join(', ')}`);
+  }
+  for (const arg of args) {
+    const value = arg.startsWith('-') && arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : arg;
+    if (value.startsWith('~')) throw new Error(`Ruta fuera del proyecto: ${value}`);
+    const isPath = path.isAbsolute(value) || value.split(/[\\/]/).includes('..')
+      || fs.existsSync(path.resolve(projectPath, value)); // un symlink del proyecto puede apuntar fuera
+    if (isPath) resolveInProject(projectPath, value);
+  }
+  return { file, args };
+}
+
+function runCommand(command, projectPath, { commandTimeoutMs, allowedCommands, signal }) {
+  const { file, args } = parseCommand(command, projectPath, allowedCommands);
+  return new Promise((resolve) => {
+    execFile(file, args, { cwd: projectPath, timeout: commandTimeoutMs, signal, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      const code = err ? (err.code ?? 1) : 0;
+      resolve(truncate(`exit code: ${code}\n${stdout}${stderr ? `\n[stderr]\n${stderr}` : ''}`));
+    });
+  });
+}
+
+/**
+ * Ejecuta una herramienta pedida por el modelo.
+ * @returns {Promise<{ content: string, isError: boolean }>}
+ */
+async function runTool(name, input, { projectPath, commandTimeoutMs, allowedCommands, signal }) {
+  try {
+    switch (name) {
+      case 'read_file':
+        return { content: truncate(fs.readFileSync(resolveInProject(projectPath, input.path), 'utf8')), isError: false };
+      case 'write_file': {
+        const target = resolveInProject(projectPath, input.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, String(input.content ?? ''), 'utf8');
+        return { content: `Escrito ${input.path} (${String(input.content ?? '').length} chars)`, isError: false };
+      }
+      case 'list_dir': {
+        const entries = fs.readdirSync(resolveInProject(projectPath, input.path || '.'), { withFileTypes: true })
+          .filter(e => e.name !== '.git')
+          .map(e => (e.isDirectory() ? `${e.name}/` : e.name))
+          .sort();
+        return { content: entries.join('\n') || '(vacío)', isError: false };
+      }
+      case 'run_command':
+        if (!allowedCommands) return { content: 'run_command está desactivado (allowedCommands: false)', isError: true };
+        return { content: await runCommand(String(input.command), projectPath, { commandTimeoutMs, allowedCommands, signal }), isError: false };
+      default:
+        return { content: `Herramienta desconocida: ${name}`, isError: true };
+    }
+  } catch (err) {
+    return { content: err.message, isError: true };
+  }
+}
+
+function describeTool(name, input) {
+  const arg = input?.path ?? input?.command ?? '';
+  return `  [${name}] ${String(arg).split('\n')[0].slice(0, 120)}\n`;
+}
+
+function systemPrompt(projectPath, phase) {
+  return `Eres un agente de desarrollo trabajando en el proyecto ${projectPath} (fase ${phase || 'CODE'}).
+Usa las herramientas para leer, modificar y probar el código; todas las rutas son relativas al proyecto.
+Cuando termines, responde con el resumen y el marcador final que pide la tarea, en una línea propia.`;
+}
+
+// ─────────────────────────────────────────────
+// ADAPTER
+// ─────────────────────────────────────────────
+
+function createApiAdapter(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const allowedCommands = opts.allowedCommands === false ? null : (opts.allowedCommands || DEFAULT_ALLOWED_COMMANDS);
+  const tools = allowedCommands ? TOOLS : TOOLS.filter(t => t.name !== 'run_command');
+  const apiKey = () => opts.apiKey || process.env.ANTHROPIC_API_KEY || null;
+  const baseURL = () => opts.baseURL || process.env.ANTHROPIC_BASE_URL || undefined;
+
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      const Anthropic = require('@anthropic-ai/sdk');
+      client = new Anthropic({ apiKey: apiKey(), baseURL: baseURL(), maxRetries: 2 });
+    }
+    return client;
+  };
+
+  return {
+    name: 'api',
+    label: 'Anthropic API',
+    fallback: true,                     // si no hay CLIs pero sí API key
+    // Con un baseURL propio (servidor local) no se comprueba api.anthropic.com
+    requiresInternet: !baseURL(),
+
+    detect() {
+      if (!apiKey()) return false;
+      try {
+        require.resolve('@anthropic-ai/sdk');
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    /**
+     * Ejecuta una fase completa: conversación + bucle de herramientas.
+     * @returns {Promise<{ exitCode: number, usage: Object }>}
+     */
+    async run({ prompt, projectPath, phase, signal, write }) {
+      const anthropic = getClient();
+      const messages = [{ role: 'user', content: prompt }];
+      const usage = { model: opts.model, input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 };
+      const addTurnUsage = (turn = {}) => {
+        for (const key of ['input_tokens', 'output_tokens', 'cache_read_input_tokens', 'cache_creation_input_tokens']) {
+          usage[key] += turn[key] || 0;
+        }
+      };
+
+      for (let turn = 1; turn <= opts.maxTurns; turn++) {
+        const stream = anthropic.messages.stream({
+          model: opts.model,
+          max_tokens: opts.maxTokens,
+          system: systemPrompt(projectPath, phase),
+          tools,
+          messages,
+        }, { signal });
+        stream.on('text', (text) => write(text));
+        const message = await stream.finalMessage();
+        addTurnUsage(message.usage);
+        messages.push({ role: 'assistant', content: message.content });
+
+        if (message.stop_reason !== 'tool_use') {
+          write('\n');
+          return { exitCode: 0, usage };
+        }
+
+        const results = [];
+        for (const block of message.content) {
+          if (block.type !== 'tool_use') continue;
+          write(`\n${describeTool(block.name, block.input)}`);
+          const { content, isError } = await runTool(block.name, block.input || {}, {
+            projectPath,
+            commandTimeoutMs: opts.commandTimeoutMs,
+            allowedCommands,
+            signal,
+          });
+          results.push({ type: 'tool_result', tool_use_id: block.id, content, is_error: isError });
+        }
+        messages.push({ role: 'user', content: results });
+      }
+
+      write(`\n  ✖ Límite de ${opts.maxTurns} turnos alcanzado sin respuesta final\n`);
+      return { exitCode: 1, usage };
+    },
+  };
+}
+
+module.exports = createApiAdapter;
+module.exports.TOOLS = TOOLS;
+module.exports.DEFAULT_ALLOWED_COMMANDS = DEFAULT_ALLOWED_COMMANDS;
+module.exports.resolveInProject = resolveInProject;
+module.exports.parseCommand = parseCommand;
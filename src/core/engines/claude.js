@@ -0,0 +1,63 @@
+/**
+ * claude.js — Adapter para el CLI `claude` (Claude Code)
+ *
+ * Con `outputFormat: 'stream-json'` (o 'json') en engines.claude el CLI
+ * informa de tokens y coste en su línea final de resultado; el marcador se
+ * busca en el texto de ese resultado. 'stream-json' emite eventos mientras
+ * trabaja, así que no dispara el timeout de inactividad.
+ */
+
+const { cliExists } = require('./cli');
+
+/**
+ * Texto final de la salida JSON del CLI (campo `result` de la línea de
+ * resultado), o null si el output no es JSON.
+ */
+function resultText(output) {
+  const lines = String(output || '').trim().split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (!line.startsWith('{')) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event.type === 'result' && typeof event.result === 'string') return event.result;
+    } catch {}
+  }
+  return null;
+}
+
+function createClaudeAdapter(options = {}) {
+  const bin = options.command || 'claude';
+  const extraArgs = Array.isArray(options.args) ? options.args : [];
+  const formatArgs = options.outputFormat === 'stream-json'
+    ? ['--output-format', 'stream-json', '--verbose']
+    : options.outputFormat === 'json' ? ['--output-format', 'json'] : [];
+
+  return {
+    name: 'claude',
+    label: 'Claude',
+    fallback: true,
+
+    detect: () => cliExists(bin),
+
+    buildCommand({ prompt }) {
+      return { cmd: bin, args: ['--dangerously-skip-permissions', ...formatArgs, ...extraArgs, '-p', prompt] };
+    },
+
+    interactiveCommand({ initialPrompt }) {
+      const args = ['--dangerously-skip-permissions', ...extraArgs];
+      if (initialPrompt) args.push('-p', initialPrompt);
+      return { cmd: bin, args };
+    },
+
+    parseOutput(output) {
+      // require diferido: index.js carga este adapter al arrancar
+      const { parseMarkers } = require('./index');
+      const text = formatArgs.length ? resultText(output) : null;
+      return parseMarkers(text ?? output);
+    },
+  };
+}
+
+module.exports = createClaudeAdapter;
+module.exports.resultText = resultText;
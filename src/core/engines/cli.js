@@ -0,0 +1,25 @@
+/**
+ * cli.js — Helpers compartidos por los adapters basados en un binario
+ */
+
+const { execSync } = require('child_process');
+
+function cliExists(name) {
+  try {
+    execSync(`which ${name}`, { stdio: 'pipe' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sustituye {prompt}, {projectPath} y {phase} en una lista de argumentos.
+ * No pasa por shell: el prompt viaja como un único argv aunque tenga
+ * espacios o saltos de línea.
+ */
+function expandArgs(args, vars) {
+  return (args || []).map(arg => String(arg).replace(/\{(prompt|projectPath|phase)\}/g, (_, key) => vars[key] ?? ''));
+}
+
+module.exports = { cliExists, expandArgs };
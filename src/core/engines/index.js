@@ -0,0 +1,256 @@
+/**
+ * engines/index.js — Registro de motores de IA (adapters)
+ *
+ * Un adapter describe cómo hablar con un motor:
+ *   {
+ *     name: 'aider',                       // id usado en config/UI/--engine
+ *     label: 'Aider',                      // nombre para mostrar (opcional)
+ *     fallback: false,                     // candidato en auto-detección
+ *     requiresInternet: true,              // el executor espera conexión antes de cada fase
+ *     detect() → boolean,                  // ¿está disponible en esta máquina?
+ *     buildCommand({ prompt, projectPath, phase, task }) → { cmd, args, cwd?, env? },
+ *     interactiveCommand({ projectPath, initialPrompt }) → { cmd, args },
+ *     parseOutput(output, phase) → { marker, value }   // opcional, por defecto parseMarkers
+ *     parseUsage(output, phase) → usage                  // opcional, por defecto usage.parseUsage
+ *   }
+ *
+ * En lugar de buildCommand un adapter puede definir
+ *     run({ prompt, projectPath, phase, task, signal, write }) → Promise<{ exitCode, usage? }>
+ * para ejecutar la fase dentro del proceso (ver api.js); write() emite output.
+ *
+ * Fuentes (las posteriores sobrescriben a las anteriores):
+ *   1. Built-in: claude, opencode, mock, api
+ *   2. Archivos en {KANBAN_ROOT}/engines/*.js (exportan un adapter o una factory)
+ *   3. `engines` en kanban.config.js:
+ *        engines: {
+ *          claude: { args: ['--model', 'sonnet'] },         // opciones de un built-in
+ *          aider:  { command: 'aider', args: ['--yes', '--message', '{prompt}'] },
+ *          codex:  require('./engines/codex'),               // adapter completo
+ *          wrap:   './scripts/my-engine.js',                 // ruta a un módulo
+ *        }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cliExists, expandArgs } = require('./cli');
+
+const KANBAN_ROOT = path.resolve(__dirname, '../../../');
+const ENGINES_DIR = path.join(KANBAN_ROOT, 'engines');
+const CONFIG_PATH = path.join(KANBAN_ROOT, 'kanban.config.js');
+
+const BUILTIN_FACTORIES = {
+  claude:   require('./claude'),
+  opencode: require('./opencode'),
+  mock:     require('./mock'),
+  api:      require('./api'),
+};
+
+const MARKERS = ['PLAN', 'RESULTADO', 'REVIEW', 'TESTS', 'SCOPE', 'RESUELTO'];
+
+let registry = null; // Map name → adapter
+
+// ─────────────────────────────────────────────
+// PARSER POR DEFECTO
+// ─────────────────────────────────────────────
+
+/**
+ * Busca el último marcador (PLAN:, RESULTADO:, REVIEW:, TESTS:, SCOPE:,
+ * RESUELTO:) en las últimas 30 líneas del output.
+ * @returns {{ marker: string|null, value: string|null }}
+ */
+function parseMarkers(output) {
+  const allLines = String(output || '').trim().split('\n');
+  const searchLines = allLines.slice(-30);
+  for (let i = searchLines.length - 1; i >= 0; i--) {
+    const trimmed = searchLines[i].trim();
+    for (const marker of MARKERS) {
+      if (trimmed.startsWith(`${marker}:`)) {
+        let value = trimmed.slice(marker.length + 1).trim();
+        // Si el valor está vacío, el contenido puede estar en las líneas siguientes
+        if (!value && i < searchLines.length - 1) {
+          value = searchLines.slice(i + 1).map(l => l.trim()).filter(Boolean).join('\n');
+        }
+        // Si aún vacío, tomar las últimas 2000 chars del output completo
+        if (!value) value = String(output).trim().slice(-2000);
+        return { marker, value };
+      }
+    }
+  }
+  return { marker: null, value: null };
+}
+
+// ─────────────────────────────────────────────
+// NORMALIZACIÓN DE ADAPTERS
+// ─────────────────────────────────────────────
+
+/**
+ * Adapter a partir de una definición declarativa:
+ *   { command, args: [... '{prompt}' ...], interactiveArgs, label, fallback }
+ */
+function fromCommandSpec(name, spec) {
+  const args = spec.args || ['{prompt}'];
+  return {
+    name,
+    label: spec.label || name,
+    fallback: spec.fallback ?? false,
+    requiresInternet: spec.requiresInternet ?? true,
+    detect: () => cliExists(spec.command),
+    buildCommand: ({ prompt, projectPath, phase }) => ({
+      cmd: spec.command,
+      args: expandArgs(args, { prompt, projectPath, phase }),
+    }),
+    interactiveCommand: ({ projectPath, initialPrompt }) => ({
+      cmd: spec.command,
+      args: initialPrompt
+        ? expandArgs(args, { prompt: initialPrompt, projectPath, phase: 'INTERACTIVE' })
+        : expandArgs(spec.interactiveArgs || [], { prompt: '', projectPath, phase: 'INTERACTIVE' }),
+    }),
+  };
+}
+
+function validateAdapter(adapter, source) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error(`Engine inválido en ${source}: se esperaba un objeto adapter`);
+  }
+  if (!adapter.name) {
+    throw new Error(`Engine inválido en ${source}: falta 'name'`);
+  }
+  if (typeof adapter.buildCommand !== 'function' && typeof adapter.run !== 'function') {
+    throw new Error(`Engine '${adapter.name}' (${source}): necesita buildCommand() o run()`);
+  }
+  return {
+    label: adapter.name,
+    fallback: false,
+    requiresInternet: true,
+    detect: () => true,
+    ...adapter,
+  };
+}
+
+/**
+ * Convierte una entrada de config/directorio en un adapter.
+ * Acepta: adapter, factory(options) → adapter, spec declarativa,
+ * ruta a módulo, u opciones de un built-in.
+ */
+function resolveEntry(name, entry, source) {
+  if (typeof entry === 'string') {
+    const modPath = path.resolve(KANBAN_ROOT, entry);
+    return resolveEntry(name, require(modPath), modPath);
+  }
+  if (typeof entry === 'function') {
+    return validateAdapter({ name, ...entry({}) }, source);
+  }
+  if (entry && (typeof entry.buildCommand === 'function' || typeof entry.run === 'function')) {
+    return validateAdapter({ name, ...entry }, source);
+  }
+  if (BUILTIN_FACTORIES[name]) {
+    return validateAdapter(BUILTIN_FACTORIES[name](entry || {}), source);
+  }
+  if (entry && entry.command) {
+    return fromCommandSpec(name, entry);
+  }
+  throw new Error(`Engine '${name}' (${source}): formato no reconocido`);
+}
+
+// ─────────────────────────────────────────────
+// CARGA DEL REGISTRO
+// ─────────────────────────────────────────────
+
+function readConfigEngines() {
+  try {
+    delete require.cache[require.resolve(CONFIG_PATH)];
+    return require(CONFIG_PATH).engines || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * (Re)carga el registro desde built-ins, engines/ y kanban.config.js.
+ * @param {Object} [configEngines] - bloque `engines` ya leído (si no, se lee del config)
+ */
+function loadEngines(configEngines = readConfigEngines()) {
+  registry = new Map();
+  for (const [name, factory] of Object.entries(BUILTIN_FACTORIES)) {
+    registry.set(name, validateAdapter(factory({}), `built-in ${name}`));
+  }
+
+  if (fs.existsSync(ENGINES_DIR)) {
+    for (const file of fs.readdirSync(ENGINES_DIR).filter(f => f.endsWith('.js')).sort()) {
+      const modPath = path.join(ENGINES_DIR, file);
+      try {
+        const adapter = resolveEntry(path.basename(file, '.js'), require(modPath), modPath);
+        registry.set(adapter.name, adapter);
+      } catch (err) {
+        console.error(`  ⚠ Engine ignorado (${file}): ${err.message}`);
+      }
+    }
+  }
+
+  for (const [name, entry] of Object.entries(configEngines || {})) {
+    try {
+      const adapter = resolveEntry(name, entry, 'kanban.config.js');
+      registry.set(adapter.name, adapter);
+    } catch (err) {
+      console.error(`  ⚠ Engine ignorado (${name}): ${err.message}`);
+    }
+  }
+  return registry;
+}
+
+function ensureLoaded() {
+  if (!registry) loadEngines();
+  return registry;
+}
+
+/**
+ * Registra (o reemplaza) un adapter en tiempo de ejecución.
+ */
+function registerEngine(adapter) {
+  const normalized = validateAdapter(adapter, 'registerEngine');
+  ensureLoaded().set(normalized.name, normalized);
+  return normalized;
+}
+
+function getEngine(name) {
+  return ensureLoaded().get(name) || null;
+}
+
+/**
+ * Lista los engines registrados con su disponibilidad.
+ * @returns {Array<{ name, label, available, fallback }>}
+ */
+function listEngines() {
+  return [...ensureLoaded().values()].map(a => {
+    let available = false;
+    try { available = !!a.detect(); } catch {}
+    return { name: a.name, label: a.label, available, fallback: !!a.fallback };
+  });
+}
+
+/**
+ * Devuelve el engine a usar: el preferido si está disponible, si no el
+ * primer adapter con fallback=true que se detecte.
+ */
+function detectAvailableEngine(preferred) {
+  const engines = ensureLoaded();
+  const pref = preferred ? engines.get(preferred) : null;
+  if (pref) {
+    try { if (pref.detect()) return pref.name; } catch {}
+  }
+  for (const adapter of engines.values()) {
+    if (!adapter.fallback) continue;
+    try { if (adapter.detect()) return adapter.name; } catch {}
+  }
+  return null;
+}
+
+module.exports = {
+  loadEngines,
+  registerEngine,
+  getEngine,
+  listEngines,
+  detectAvailableEngine,
+  parseMarkers,
+  fromCommandSpec,
+};
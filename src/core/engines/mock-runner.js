@@ -0,0 +1,28 @@
+/**
+ * mock-runner.js — Proceso que ejecuta un paso del motor mock
+ *
+ * Uso: node mock-runner.js '{"output":"...","exitCode":0,"delayMs":0,"files":{},"usage":{}}'
+ * Se ejecuta con cwd = projectPath, como cualquier otro CLI de IA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const step = JSON.parse(process.argv[2] || '{}');
+const cwd = process.cwd();
+
+for (const [rel, content] of Object.entries(step.files || {})) {
+  const target = path.resolve(cwd, rel);
+  if (!target.startsWith(cwd + path.sep)) continue; // solo dentro del proyecto
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, String(content));
+}
+
+setTimeout(() => {
+  process.stdout.write(String(step.output ?? '') + '\n');
+  if (step.usage) {
+    const { total_cost_usd, model, ...usage } = step.usage;
+    process.stdout.write(JSON.stringify({ type: 'result', usage, total_cost_usd, model }) + '\n');
+  }
+  process.exitCode = step.exitCode ?? 0;
+}, step.delayMs || 0);
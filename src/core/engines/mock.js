@@ -0,0 +1,88 @@
+/**
+ * mock.js — Motor simulado que reproduce outputs guionizados
+ *
+ * Permite probar el loop completo sin red ni CLIs instalados. Cada fase
+ * (PLAN, CODE, REVIEW, TEST, SCOPE, RESOLVE, CLASSIFY) tiene una lista de pasos que
+ * se consumen en orden por tarea; el último se repite.
+ *
+ * Guion: options.script (objeto o ruta a JSON) o env KANBAN_MOCK_SCRIPT.
+ *   {
+ *     "CODE": [
+ *       "RESULTADO: fallido - primer intento",
+ *       { "output": "RESULTADO: completado - ok", "files": { "src/a.js": "..." } }
+ *     ],
+ *     "REVIEW": ["REVIEW: aprobado - bien"]
+ *   }
+ *
+ * Un paso puede ser un string (output) o { output, exitCode, delayMs, files, usage }.
+ * `files` se escriben en el projectPath antes de emitir el output, así CODE
+ * deja cambios reales para el commit/merge. `usage` ({ input_tokens,
+ * output_tokens, total_cost_usd, model }) se emite como la línea JSON de
+ * resultado del CLI de Claude, para probar el registro de costes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCRIPT = {
+  PLAN:     ['PLAN: Plan simulado (motor mock)'],
+  CODE:     ['RESULTADO: completado - Implementación simulada (motor mock)'],
+  REVIEW:   ['REVIEW: aprobado - Revisión simulada (motor mock)'],
+  TEST:     ['TESTS: ok - Tests simulados (motor mock)'],
+  SCOPE:    ['SCOPE: ok - Alcance verificado (motor mock)'],
+  RESOLVE:  ['RESUELTO: ok - Conflictos resueltos (motor mock)'],
+  CLASSIFY: ['{"type":"feature","title":"Tarea mock","priority":"media","labels":[],"criteria":["Criterio simulado"]}'],
+};
+
+const RUNNER = path.join(__dirname, 'mock-runner.js');
+
+function loadScript(source) {
+  if (!source) return {};
+  if (typeof source === 'object') return source;
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(source), 'utf8'));
+  } catch (err) {
+    throw new Error(`No se pudo leer el guion del motor mock (${source}): ${err.message}`);
+  }
+}
+
+function createMockAdapter(options = {}) {
+  const counters = new Map(); // `${taskId}:${phase}` → pasos consumidos
+
+  const nextStep = (phase, taskId) => {
+    const script = { ...DEFAULT_SCRIPT, ...loadScript(options.script || process.env.KANBAN_MOCK_SCRIPT) };
+    const steps = [].concat(script[phase] || DEFAULT_SCRIPT[phase] || ['']);
+    const key = `${taskId ?? '-'}:${phase}`;
+    const index = counters.get(key) || 0;
+    counters.set(key, index + 1);
+    const step = steps[Math.min(index, steps.length - 1)];
+    return typeof step === 'string' ? { output: step } : { ...step };
+  };
+
+  return {
+    name: 'mock',
+    label: 'Mock',
+    fallback: false,          // nunca se elige por auto-detección
+    requiresInternet: false,
+
+    detect: () => true,
+
+    buildCommand({ phase = 'CODE', task }) {
+      const step = nextStep(phase, task?.id);
+      return { cmd: process.execPath, args: [RUNNER, JSON.stringify(step)] };
+    },
+
+    interactiveCommand({ initialPrompt }) {
+      const step = { output: `Sesión mock${initialPrompt ? `: ${initialPrompt.split('\n')[0]}` : ''}` };
+      return { cmd: process.execPath, args: [RUNNER, JSON.stringify(step)] };
+    },
+
+    /** Vuelve a empezar todos los guiones desde el primer paso */
+    reset() {
+      counters.clear();
+    },
+  };
+}
+
+module.exports = createMockAdapter;
+module.exports.DEFAULT_SCRIPT = DEFAULT_SCRIPT;
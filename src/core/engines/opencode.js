@@ -0,0 +1,29 @@
+/**
+ * opencode.js — Adapter para el CLI `opencode`
+ */
+
+const { cliExists } = require('./cli');
+
+function createOpencodeAdapter(options = {}) {
+  const bin = options.command || 'opencode';
+  const extraArgs = Array.isArray(options.args) ? options.args : [];
+
+  return {
+    name: 'opencode',
+    label: 'OpenCode',
+    fallback: true,
+
+    detect: () => cliExists(bin),
+
+    buildCommand({ prompt, projectPath }) {
+      return { cmd: bin, args: ['run', ...extraArgs, prompt, '--dir', projectPath] };
+    },
+
+    interactiveCommand({ projectPath, initialPrompt }) {
+      if (!initialPrompt) return { cmd: bin, args: [] };
+      return { cmd: bin, args: ['run', ...extraArgs, initialPrompt, '--dir', projectPath] };
+    },
+  };
+}
+
+module.exports = createOpencodeAdapter;
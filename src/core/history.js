@@ -4,10 +4,12 @@
  * Guarda registros en {kanbanPath}/.history/{id}.json
  * Artefactos de fases en {kanbanPath}/.history/{id}/*.md
  * Mantiene las últimas MAX_RECORDS ejecuciones por tarea
+ * Cada registro lleva `usage`: tokens y coste sumados de todas sus fases
  */
 
 const fs = require('fs');
 const path = require('path');
+const { collectUsage, addUsage, normalizeUsage } = require('./usage');
 
 const DEFAULT_KANBAN_PATH = process.env.KANBAN_PATH
   ? path.resolve(process.env.KANBAN_PATH)
@@ -93,6 +95,7 @@ function repairPhases(entry, taskId, kanbanPath) {
  *
  * @param {string} taskId
  * @param {Object} record - { result, totalDuration, iterations, phases: { plan, code[], review[], test[] } }
+ *   Si no trae `usage` se calcula sumando el `usage` de cada fase.
  * @param {string} [kanbanPath] - Ruta kanban del proyecto (opcional)
  */
 function saveExecution(taskId, record, kanbanPath) {
@@ -112,6 +115,7 @@ function saveExecution(taskId, record, kanbanPath) {
   history.push({
     timestamp: new Date().toISOString(),
     ...record,
+    usage: record.usage !== undefined ? record.usage : collectUsage(record),
   });
 
   if (history.length > MAX_RECORDS) {
@@ -154,6 +158,31 @@ function getHistory(taskId, kanbanPath) {
   }
 }
 
+/**
+ * Tokens y coste acumulados de todas las ejecuciones guardadas de una tarea.
+ * @returns {Object|null} usage normalizado
+ */
+function getTaskUsage(taskId, kanbanPath) {
+  return getHistory(taskId, kanbanPath)
+    .reduce((total, entry) => addUsage(total, normalizeUsage(entry.usage)), null);
+}
+
+/**
+ * Todas las ejecuciones del tablero, para métricas agregadas.
+ * @param {string} [kanbanPath]
+ * @returns {Array<Object>} registros con `taskId` añadido
+ */
+function listExecutions(kanbanPath) {
+  const histDir = resolveHistoryDir(kanbanPath);
+  if (!fs.existsSync(histDir)) return [];
+  return fs.readdirSync(histDir)
+    .filter(f => f.endsWith('.json'))
+    .flatMap(f => {
+      const taskId = path.basename(f, '.json');
+      return getHistory(taskId, kanbanPath).map(entry => ({ taskId, ...entry }));
+    });
+}
+
 /**
  * Elimina el historial de una tarea.
  * @param {string} taskId
@@ -166,4 +195,4 @@ function clearHistory(taskId, kanbanPath) {
   }
 }
 
-module.exports = { saveExecution, getHistory, clearHistory };
+module.exports = { saveExecution, getHistory, getTaskUsage, listExecutions, clearHistory };
@@ -4,7 +4,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const { KANBAN_PATH, COLUMNS } = require('./task');
+const { KANBAN_PATH } = require('./task');
+const { getBoardSchema } = require('./workflow');
 
 /**
  * Obtiene todos los IDs existentes en todas las columnas del kanban dado
@@ -14,7 +15,7 @@ const { KANBAN_PATH, COLUMNS } = require('./task');
 function getAllExistingIds(kanbanPath = KANBAN_PATH) {
   const ids = [];
 
-  for (const column of COLUMNS) {
+  for (const column of getBoardSchema(kanbanPath).ids) {
     const colPath = path.join(kanbanPath, column);
 
     if (!fs.existsSync(colPath)) continue;
@@ -0,0 +1,410 @@
+/**
+ * importers.js — Importar tareas desde Trello, Jira (CSV), GitHub y listas markdown
+ *
+ * Formatos:
+ *   trello         export JSON de un tablero (Menú → Imprimir y exportar → JSON)
+ *   jira-csv       export CSV de Jira (Summary, Issue key, Issue Type, Priority, Labels...)
+ *   github-json    `gh issue list --json number,title,body,labels,state,url` o la API REST
+ *   markdown-list  lista de tareas: "- [ ] Título #etiqueta !alta", con subtareas
+ *                  indentadas como checklist y "## Columna" como columna de origen
+ *
+ * Cada formato se normaliza a { key, title, description, labels, priority,
+ * type, checklist, sourceColumn, url } y de ahí a una tarea .md con
+ * createTask() + nextId(). Los checklists pasan a "# Criterios de aceptación".
+ *
+ * Idempotencia: la tarea guarda `importKey` (p. ej. trello:5f3a...) en el
+ * frontmatter. Reimportar el mismo archivo actualiza título, descripción,
+ * etiquetas, prioridad y tipo de la tarea existente en vez de duplicarla;
+ * la columna no se toca (el motor o el equipo pueden haberla movido).
+ */
+
+const { getTasks, createTask } = require('../kanban/board');
+const { nextId } = require('./id-generator');
+const { writeTask, generateBranchName, KANBAN_PATH } = require('./task');
+const { getBoardSchema } = require('./workflow');
+const { recordActivity, editedFields } = require('./activity');
+
+const IMPORT_FORMATS = ['trello', 'jira-csv', 'github-json', 'markdown-list'];
+
+const PRIORITY_ALIASES = {
+  alta: ['alta', 'high', 'highest', 'critical', 'blocker', 'urgent', 'urgente', 'p0', 'p1'],
+  media: ['media', 'medium', 'normal', 'p2'],
+  baja: ['baja', 'low', 'lowest', 'minor', 'trivial', 'p3', 'p4'],
+};
+const BUG_TYPES = ['bug', 'defect', 'error'];
+const FIX_TYPES = ['fix', 'hotfix'];
+const CHECKBOX = /^\s*[-*]\s+\[([ xX])\]\s+(.+?)\s*$/;
+
+// ─────────────────────────────────────────────
+// NORMALIZACIÓN
+// ─────────────────────────────────────────────
+
+/**
+ * "High", "P1", "priority: high" → 'alta'; null si no es una prioridad.
+ */
+function normalizePriority(raw) {
+  const value = String(raw || '').toLowerCase().replace(/^prio(rity|ridad)?\s*[:\-/ ]\s*/, '').trim();
+  return Object.keys(PRIORITY_ALIASES).find(p => PRIORITY_ALIASES[p].includes(value)) || null;
+}
+
+function normalizeType(raw) {
+  const value = String(raw || '').toLowerCase().trim();
+  if (BUG_TYPES.includes(value)) return 'bug';
+  if (FIX_TYPES.includes(value)) return 'fix';
+  return null;
+}
+
+/**
+ * Separa de las etiquetas las que en realidad son prioridad o tipo.
+ */
+function splitLabels(names) {
+  let priority = null;
+  let type = null;
+  const labels = [];
+  for (const name of names.map(n => String(n || '').trim()).filter(Boolean)) {
+    const asPriority = normalizePriority(name);
+    const asType = normalizeType(name);
+    if (asPriority) priority = priority || asPriority;
+    else if (asType) type = type || asType;
+    else if (!labels.includes(name)) labels.push(name);
+  }
+  return { labels, priority, type };
+}
+
+/**
+ * Saca las casillas "- [ ] ..." de una descripción markdown como checklist.
+ */
+function extractChecklist(text) {
+  const checklist = [];
+  const rest = [];
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(CHECKBOX);
+    if (match) checklist.push({ text: match[2], checked: match[1].toLowerCase() === 'x' });
+    else rest.push(line);
+  }
+  return { description: rest.join('\n').trim(), checklist };
+}
+
+// ─────────────────────────────────────────────
+// PARSERS
+// ─────────────────────────────────────────────
+
+function parseJson(text, format) {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`El archivo no es JSON válido (${format}): ${err.message}`);
+  }
+}
+
+function parseTrello(text) {
+  const board = parseJson(text, 'trello');
+  if (!board || !Array.isArray(board.cards)) throw new Error('Export de Trello sin "cards"');
+  const lists = new Map((board.lists || []).map(l => [l.id, l]));
+  const checklists = board.checklists || [];
+
+  return board.cards
+    .filter(card => !card.closed && !lists.get(card.idList)?.closed)
+    .map(card => {
+      const split = splitLabels((card.labels || []).map(l => l.name || l.color));
+      const items = checklists
+        .filter(c => c.idCard === card.id)
+        .flatMap(c => (c.checkItems || []).sort((a, b) => (a.pos || 0) - (b.pos || 0)))
+        .map(item => ({ text: item.name, checked: item.state === 'complete' }));
+      return {
+        key: `trello:${card.id}`,
+        title: card.name,
+        description: card.desc || '',
+        ...split,
+        checklist: items,
+        sourceColumn: lists.get(card.idList)?.name || null,
+        url: card.shortUrl || card.url || null,
+      };
+    });
+}
+
+/**
+ * CSV (RFC 4180): comillas dobles, "" escapado y saltos de línea dentro de comillas.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function parseJiraCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('El CSV está vacío');
+  const names = header.map(h => h.trim().toLowerCase());
+  // Jira repite columnas (Labels, Labels, ...) cuando hay varios valores
+  const column = (name) => names.indexOf(name);
+  const all = (name) => names.map((n, i) => (n === name ? i : -1)).filter(i => i >= 0);
+  if (column('summary') < 0) throw new Error('CSV de Jira sin columna "Summary"');
+
+  return rows.map((row, i) => {
+    const cell = (name) => (column(name) >= 0 ? (row[column(name)] || '').trim() : '');
+    const issueKey = cell('issue key') || cell('issue id');
+    const { description, checklist } = extractChecklist(cell('description'));
+    const split = splitLabels(all('labels').map(idx => row[idx]).flatMap(v => String(v || '').split(/\s+/)));
+    return {
+      key: `jira:${issueKey || `fila-${i + 2}`}`,
+      title: cell('summary'),
+      description,
+      labels: split.labels,
+      priority: normalizePriority(cell('priority')) || split.priority,
+      type: normalizeType(cell('issue type')) || split.type,
+      checklist,
+      sourceColumn: cell('status') || null,
+      url: null,
+    };
+  });
+}
+
+function parseGithubJson(text) {
+  const data = parseJson(text, 'github-json');
+  const issues = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(issues)) throw new Error('Export de GitHub: se esperaba un array de issues');
+
+  return issues
+    .filter(issue => !issue.pull_request)
+    .map(issue => {
+      const { description, checklist } = extractChecklist(issue.body);
+      const split = splitLabels((issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)));
+      const url = issue.html_url || issue.url || null;
+      return {
+        key: `github:${url || issue.number}`,
+        title: issue.title,
+        description,
+        ...split,
+        checklist,
+        sourceColumn: String(issue.state || '').toLowerCase() || null,
+        url,
+      };
+    });
+}
+
+/**
+ * - [ ] Título #etiqueta !alta
+ *   Texto indentado: descripción
+ *   - [ ] subtarea: checklist
+ */
+function parseMarkdownList(text) {
+  const items = [];
+  let sourceColumn = null;
+  let current = null;
+
+  for (const line of String(text).split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*$/);
+    const top = line.match(/^[-*]\s+(?:\[([ xX])\]\s+)?(.+?)\s*$/);
+    if (heading) {
+      sourceColumn = heading[1];
+      current = null;
+    } else if (top) {
+      const words = top[2].split(/\s+/);
+      const tags = words.filter(w => /^#\S+/.test(w)).map(w => w.slice(1));
+      const bang = words.find(w => /^!\S+/.test(w));
+      const title = words.filter(w => !/^[#!]\S+/.test(w)).join(' ');
+      const split = splitLabels(tags);
+      current = {
+        key: `markdown:${title.toLowerCase()}`,
+        title,
+        description: '',
+        labels: split.labels,
+        priority: normalizePriority(bang?.slice(1)) || split.priority,
+        type: split.type,
+        checklist: [],
+        sourceColumn: top[1]?.toLowerCase() === 'x' ? 'done' : sourceColumn,
+        url: null,
+      };
+      items.push(current);
+    } else if (current && /^\s+\S/.test(line)) {
+      const box = line.match(CHECKBOX) || line.match(/^\s*[-*]\s+()(.+?)\s*$/);
+      if (box) current.checklist.push({ text: box[2], checked: box[1]?.toLowerCase() === 'x' });
+      else current.description += `${current.description ? '\n' : ''}${line.trim()}`;
+    }
+  }
+  return items;
+}
+
+const PARSERS = {
+  trello: parseTrello,
+  'jira-csv': parseJiraCsv,
+  'github-json': parseGithubJson,
+  'markdown-list': parseMarkdownList,
+};
+
+/**
+ * @param {string|Object} text - contenido del archivo (JSON ya parseado también vale)
+ * @param {string} format - uno de IMPORT_FORMATS
+ * @returns {Object[]} elementos normalizados con título
+ */
+function parseImport(text, format) {
+  const parser = PARSERS[format];
+  if (!parser) throw new Error(`Formato desconocido: ${format}. Válidos: ${IMPORT_FORMATS.join(', ')}`);
+  return parser(text).filter(item => item.title && item.title.trim());
+}
+
+// ─────────────────────────────────────────────
+// COLUMNAS
+// ─────────────────────────────────────────────
+
+/**
+ * "Done=done,In Progress=in_progress" → { done: 'done', 'in progress': 'in_progress' }
+ */
+function parseColumnMap(value) {
+  if (!value) return {};
+  const entries = typeof value === 'string'
+    ? value.split(',').map(pair => pair.split('=').map(s => s.trim()))
+    : Object.entries(value);
+  return Object.fromEntries(entries.filter(([from, to]) => from && to).map(([from, to]) => [from.toLowerCase(), to]));
+}
+
+/**
+ * Columna destino: el mapa explícito, una columna del tablero con el mismo
+ * nombre ("In Progress" → in_progress) o la columna por defecto.
+ */
+function targetColumn(sourceColumn, { ids }, defaultColumn, columnMap) {
+  const source = String(sourceColumn || '').trim().toLowerCase();
+  if (source && columnMap[source]) return columnMap[source];
+  const asId = source.replace(/[\s-]+/g, '_');
+  if (source && ids.includes(asId)) return asId;
+  return defaultColumn;
+}
+
+// ─────────────────────────────────────────────
+// IMPORTACIÓN
+// ─────────────────────────────────────────────
+
+function buildContent(item) {
+  const sections = [`# Descripción\n${item.description || item.title}`];
+  if (item.checklist.length > 0) {
+    sections.push(`# Criterios de aceptación\n${item.checklist.map(c => `- [${c.checked ? 'x' : ' '}] ${c.text}`).join('\n')}`);
+  }
+  if (item.url) sections.push(`> Importada de ${item.url}`);
+  return sections.join('\n\n');
+}
+
+function taskFields(item) {
+  return {
+    title: item.title.trim(),
+    type: item.type || 'feature',
+    priority: item.priority || 'media',
+    labels: item.labels,
+    content: buildContent(item),
+  };
+}
+
+/**
+ * Importa (o con dryRun, solo calcula) las tareas de un export.
+ *
+ * @param {string|Object} text - contenido del archivo
+ * @param {string} format - trello | jira-csv | github-json | markdown-list
+ * @param {string} [kanbanPath]
+ * @param {Object} [options]
+ *   column    columna por defecto (default: la primera del tablero)
+ *   columnMap columna de origen → columna del tablero ("Done=done,..." u objeto)
+ *   dryRun    no escribe nada
+ *   force     crear aunque la columna esté en su límite WIP
+ *   author    autor para la actividad
+ * @returns {{ format, dryRun, total, created, updated, unchanged, failed,
+ *   results: { key, title, action: 'create'|'update'|'unchanged'|'error', id, column, fields?, error? }[] }}
+ */
+function importTasks(text, format, kanbanPath = KANBAN_PATH, options = {}) {
+  const { dryRun = false, force = false, author = null } = options;
+  const schema = getBoardSchema(kanbanPath);
+  const defaultColumn = options.column || schema.ids[0];
+  if (!schema.ids.includes(defaultColumn)) {
+    throw new Error(`Columna inválida: ${defaultColumn}. Válidas: ${schema.ids.join(', ')}`);
+  }
+  const columnMap = parseColumnMap(options.columnMap);
+  for (const to of Object.values(columnMap)) {
+    if (!schema.ids.includes(to)) throw new Error(`Columna inválida en el mapa: ${to}. Válidas: ${schema.ids.join(', ')}`);
+  }
+
+  const items = parseImport(text, format);
+  const existing = new Map();
+  for (const [column, tasks] of Object.entries(getTasks(null, kanbanPath))) {
+    for (const task of tasks) {
+      if (task.importKey) existing.set(task.importKey, { ...task, column });
+    }
+  }
+
+  const seen = new Set();
+  const results = items.map(item => {
+    const fields = taskFields(item);
+    const base = { key: item.key, title: fields.title };
+    if (seen.has(item.key)) return { ...base, action: 'error', error: 'Repetida en el archivo' };
+    seen.add(item.key);
+
+    try {
+      const current = existing.get(item.key);
+      if (current) {
+        // El cuerpo releído puede traer saltos de línea de más
+        const changed = editedFields({ ...current, content: String(current.content || '').trim() }, { ...current, ...fields });
+        const result = { ...base, id: current.id, column: current.column, fields: changed };
+        if (changed.length === 0) return { ...result, action: 'unchanged' };
+        if (!dryRun) {
+          writeTask({ ...current, ...fields }, current.filePath);
+          recordActivity(current.id, { type: 'edited', author, fields: changed }, kanbanPath);
+        }
+        return { ...result, action: 'update' };
+      }
+
+      const column = targetColumn(item.sourceColumn, schema, defaultColumn, columnMap);
+      if (dryRun) return { ...base, action: 'create', id: null, column };
+      const task = createTask({
+        id: nextId(kanbanPath),
+        ...fields,
+        branch: generateBranchName(fields.type, fields.title),
+        importKey: item.key,
+      }, column, kanbanPath, { force, author });
+      return { ...base, action: 'create', id: task.id, column: task.column };
+    } catch (err) {
+      return { ...base, action: 'error', error: err.message };
+    }
+  });
+
+  const count = (action) => results.filter(r => r.action === action).length;
+  return {
+    format,
+    dryRun,
+    total: results.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    results,
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseImport,
+  parseCsv,
+  importTasks,
+};
@@ -8,26 +8,65 @@
  *   4. Git: stash → checkout defaultBranch (developer/main) → crear branch de tarea
  *   5. Ciclo IA: PLAN → CODE → REVIEW → TEST → SCOPE (máx 3 iteraciones)
  *   6. Git: verificar branch → add → commit → merge a defaultBranch → borrar branch tarea
+ *      (opcional antes del merge: rebase sobre la base + REVIEW/TEST de nuevo si hubo drift)
+ *      (si el merge choca, fase RESOLVE: la IA resuelve y se re-ejecutan los tests)
  *   7. Si falla → rollback git a defaultBranch
  *   8. Git: restaurar stash (cambios previos)
  *   9. Mueve tarea: in_progress → done | review (actualiza completedAt/iterations)
- *  10. Guarda historial de ejecución
+ *  10. Guarda historial de ejecución (con tokens y coste de cada fase)
+ *
+ * Con pipeline.decompose la fase PLAN puede dividir la tarea: se crean las
+ * subtareas en TODO (subtasks.js) y el padre vuelve a TODO, donde espera sin
+ * ejecutarse hasta que todas sus hijas están en DONE y entonces pasa a DONE.
+ *
+ * Con loop.concurrency > 1 se procesan varias tareas a la vez: cada worker
+ * trabaja en su propio git worktree y los merges a defaultBranch pasan por
+ * una única MergeQueue. Cada worker escribe además su propio log
+ * (/tmp/kanban-worker-N.log) y registra el PID de su fase en WORKERS_FILE.
+ *
+ * Con git.strategy 'pr' el paso 6 no mergea: hace push, abre un pull/merge
+ * request (src/git/providers) y la tarea espera en review; cada ciclo
+ * checkPullRequests() la pasa a done cuando el PR se mergea.
+ *
+ * Mientras una tarea está en in_progress su checkpoint (checkpoint.js) dice
+ * por qué fase va. Si el motor muere a mitad, al arrancar de nuevo retoma la
+ * tarea tras la última fase completada, en su worktree o branch.
  */
 
 const path = require('path');
 const fs   = require('fs');
+const os   = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
 const chalk = require('chalk');
 const { getTasks, moveTask, getTaskById } = require('../kanban/board');
 const { writeTask, getKanbanPath } = require('./task');
-const { executeTask, detectAvailableEngine, killCurrentPhase, notify } = require('./ai-executor');
+const { executeTask, resolveMergeConflicts, recheckAfterUpdate, detectAvailableEngine, killCurrentPhase, notify } = require('./ai-executor');
+const { mergePipelineConfig } = require('./pipeline');
+const { resolveVerifyConfig } = require('./verify');
+const { resolveBudgetConfig, setPricing } = require('./usage');
 const { saveExecution } = require('./history');
+const { isDue, scheduledDate, spawnNextOccurrence } = require('./schedule');
+const { createSubtasks, childrenProgress, completeParentIfDone } = require('./subtasks');
+const { applyVerdicts, failedCriteria } = require('./criteria');
+const { isAwaitingApproval, requestApproval } = require('./approval');
+const { MOTOR_AUTHOR, recordActivity, pendingAIComments } = require('./activity');
+const { MAX_RESUMES, saveCheckpoint, clearCheckpoint, findOrphans, planOnly, describeCheckpoint } = require('./checkpoint');
+const { resolveSchedulingConfig, orderQueue, policyName } = require('./queue');
+const { getBoardSchema, setBoardConfig, wipLimit } = require('./workflow');
 const GitService = require('../git/gitService');
+const MergeQueue = require('../git/mergeQueue');
+const { resolvePrConfig, createProvider, buildPullRequestBody } = require('../git/providers');
 
 // ── PID file ──────────────────────────────────────────────────
 const PID_FILE = '/tmp/kanban-loop.pid';
 const LOG_FILE = '/tmp/kanban-motor.log';
+const WORKERS_FILE = '/tmp/kanban-workers.json';
+const workerLogFile = (slot) => `/tmp/kanban-worker-${slot}.log`;
 fs.writeFileSync(PID_FILE, String(process.pid));
-const cleanPid = () => { try { fs.unlinkSync(PID_FILE); } catch {} };
+const cleanPid = () => {
+  try { fs.unlinkSync(PID_FILE); } catch {}
+  try { fs.unlinkSync(WORKERS_FILE); } catch {}
+};
 process.on('exit', cleanPid);
 process.on('uncaughtException', (err) => {
   cleanPid();
@@ -54,14 +93,24 @@ const _logStream = fs.createWriteStream(LOG_FILE, { flags: 'w' });
 const _origStdoutWrite = process.stdout.write.bind(process.stdout);
 const _origStderrWrite = process.stderr.write.bind(process.stderr);
 
+// Contexto del worker actual: todo lo que se escriba dentro de un worker
+// (incluido el output de la IA) se duplica en su log propio.
+const workerContext = new AsyncLocalStorage();
+const _writeWorkerLog = (chunk, encoding) => {
+  const worker = workerContext.getStore();
+  if (worker?.logStream) worker.logStream.write(chunk, encoding);
+};
+
 process.stdout.write = function(chunk, encoding, callback) {
   _logStream.write(chunk, encoding);
+  _writeWorkerLog(chunk, encoding);
   if (_isTTY) return _origStdoutWrite(chunk, encoding, callback);
   if (callback) callback();
   return true;
 };
 process.stderr.write = function(chunk, encoding, callback) {
   _logStream.write(chunk, encoding);
+  _writeWorkerLog(chunk, encoding);
   if (_isTTY) return _origStderrWrite(chunk, encoding, callback);
   if (callback) callback();
   return true;
@@ -119,16 +168,28 @@ function loadConfig(overrides = {}) {
     console.log(chalk.gray(`    (desde configuración guardada)`));
   }
 
+  setPricing(cfg.pricing);
+  setBoardConfig(cfg);
+
   return {
     projects:       cfg.projects      || {},
     defaultProject: cfg.defaultProject || '',
     projectPath:    overrides.project || cfg.projectPath || process.cwd(),
     engine:         finalEngine,
+    pipeline:       cfg.pipeline || {},
+    verify:         cfg.verify ?? null,
+    budget:         cfg.budget ?? null,
+    scheduling:     cfg.scheduling ?? null,
+    pricing:        cfg.pricing || {},
     git: {
       enabled:       cfg.git?.enabled       ?? true,
       defaultBranch: cfg.git?.defaultBranch ?? 'main',
       autoPush:      cfg.git?.autoPush      ?? false,
       autoMerge:     cfg.git?.autoMerge     ?? true,
+      strategy:      cfg.git?.strategy      ?? 'merge',
+      pr:            cfg.git?.pr            || {},
+      resolveConflicts: cfg.git?.resolveConflicts ?? true,
+      refreshBeforeMerge: cfg.git?.refreshBeforeMerge ?? false,
     },
     loop: {
       waitSeconds:      cfg.loop?.waitSeconds      ?? 30,
@@ -136,6 +197,8 @@ function loadConfig(overrides = {}) {
       autoRetry:        cfg.loop?.autoRetry        ?? true,
       maxRetries:       cfg.loop?.maxRetries       ?? 3,
       retryDelayMinutes: cfg.loop?.retryDelayMinutes ?? 5,
+      concurrency:      Math.max(1, parseInt(cfg.loop?.concurrency, 10) || 1),
+      worktreeDir:      cfg.loop?.worktreeDir      ?? path.join(os.tmpdir(), 'kanban-worktrees'),
     },
   };
 }
@@ -181,9 +244,27 @@ function resolveGitConfig(config) {
     defaultBranch: projectGit.defaultBranch ?? config.git.defaultBranch,
     autoPush:      projectGit.autoPush      ?? config.git.autoPush,
     autoMerge:     projectGit.autoMerge     ?? config.git.autoMerge,
+    strategy:      projectGit.strategy      ?? config.git.strategy ?? 'merge',
+    pr:            { ...(config.git.pr || {}), ...(projectGit.pr || {}) },
+    resolveConflicts: projectGit.resolveConflicts ?? config.git.resolveConflicts ?? true,
+    refreshBeforeMerge: projectGit.refreshBeforeMerge ?? config.git.refreshBeforeMerge ?? false,
   };
 }
 
+/**
+ * Capas de una clave de config para un proyecto: global → projects[x] de
+ * kanban.config.js con ese path → proyecto activo de la UI.
+ */
+function projectConfigLayers(config, projectPath, key) {
+  const active = readActiveProject();
+  const configured = Object.values(config.projects || {}).find(p => p.path === projectPath);
+  return [config[key], configured?.[key], active?.path === projectPath ? active[key] : undefined];
+}
+
+function resolvePipelineConfig(config, projectPath) {
+  return mergePipelineConfig(...projectConfigLayers(config, projectPath, 'pipeline'));
+}
+
 // ─────────────────────────────────────────────
 // COUNTDOWN
 // ─────────────────────────────────────────────
@@ -203,12 +284,72 @@ function wait(seconds) {
   });
 }
 
+// ─────────────────────────────────────────────
+// WORKERS Y WORKTREES (ejecución paralela)
+// ─────────────────────────────────────────────
+
+// Única cola para todo lo que toca el branch base del directorio compartido
+const mergeQueue = new MergeQueue();
+
+// slot → { slot, taskId, title, pid, logFile, startedAt }
+const workers = new Map();
+
+function writeWorkersFile() {
+  try {
+    const data = {
+      loopPid: process.pid,
+      updatedAt: new Date().toISOString(),
+      workers: [...workers.values()],
+    };
+    fs.writeFileSync(WORKERS_FILE, JSON.stringify(data, null, 2));
+  } catch {}
+}
+
+function nextFreeSlot() {
+  let slot = 1;
+  while (workers.has(slot)) slot++;
+  return slot;
+}
+
+/**
+ * Directorio del worktree de una tarea:
+ *   {worktreeDir}/{nombre del proyecto}/{branch saneado}
+ */
+function getWorktreePath(config, projectPath, task) {
+  const base = config.loop?.worktreeDir || path.join(os.tmpdir(), 'kanban-worktrees');
+  const safeBranch = String(task.branch || `task-${task.id}`).replace(/[^\w.-]+/g, '-');
+  return path.join(base, path.basename(projectPath), safeBranch);
+}
+
+/**
+ * Descarta el worktree de una tarea fallida y su branch.
+ * Debe llamarse dentro de mergeQueue (toca refs del repo compartido).
+ */
+async function discardWorktree(mainGit, worktreePath, branch) {
+  await mainGit.removeWorktree(worktreePath, { force: true });
+  if (branch) await mainGit.deleteBranch(branch, true);
+}
+
 // ─────────────────────────────────────────────
 // VERIFICAR DEPENDENCIAS
 // ─────────────────────────────────────────────
 
 /**
- * Comprueba si todas las dependencias de una tarea están en 'done'.
+ * Columnas con las que trabaja el motor en este kanban:
+ * { pickFrom, working, success, failure } (ver workflow.js).
+ */
+const motorColumns = (kanbanPath) => getBoardSchema(kanbanPath).motor;
+
+// Movimientos del motor: quedan en la actividad de la tarea como suyos
+const MOTOR = { author: MOTOR_AUTHOR };
+
+// Al terminar una tarea el motor no puede dejarla en in_progress: los
+// movimientos a success/failure ignoran el límite WIP de la columna destino
+const FINISH = { ...MOTOR, force: true };
+
+/**
+ * Comprueba si todas las dependencias de una tarea están en la columna de
+ * éxito del motor ('done').
  * @param {Object} task - Tarea a verificar
  * @returns {{ ok: boolean, blocking: string[] }} - blocking = IDs que no están en done
  */
@@ -216,7 +357,7 @@ function checkDependencies(task, kanbanPath) {
   const deps = Array.isArray(task.dependsOn) ? task.dependsOn : [];
   if (deps.length === 0) return { ok: true, blocking: [] };
 
-  const doneTasks = getTasks('done', kanbanPath);
+  const doneTasks = getTasks(motorColumns(kanbanPath).success, kanbanPath);
   const doneIds = doneTasks.map(t => String(t.id).padStart(3, '0'));
 
   const blocking = deps.filter(depId => {
@@ -250,7 +391,7 @@ function detectCircularDependency(task, kanbanPath, visited = new Set(), path =
     const paddedDep = String(depId).padStart(3, '0');
     
     // Buscar la tarea dependencia en todas las columnas
-    const columns = ['todo', 'in_progress', 'review', 'backlog', 'done'];
+    const columns = getBoardSchema(kanbanPath).ids;
     let depTask = null;
     
     for (const col of columns) {
@@ -285,6 +426,20 @@ function updateTaskFields(taskId, fields, kanbanPath) {
   }
 }
 
+/**
+ * Campos a guardar tras el veredicto de SCOPE: casillas marcadas en el
+ * contenido y los criterios no cumplidos (null si no queda ninguno).
+ */
+function criteriaFields(taskId, verdicts, kanbanPath) {
+  if (!verdicts) return { failedCriteria: null };
+  const found = getTaskById(taskId, kanbanPath);
+  const failed = failedCriteria(verdicts);
+  return {
+    ...(found ? { content: applyVerdicts(found.task.content, verdicts) } : {}),
+    failedCriteria: failed.length > 0 ? failed : null,
+  };
+}
+
 // ─────────────────────────────────────────────
 // REINTENTO AUTOMÁTICO DE TAREAS FALLIDAS
 // ─────────────────────────────────────────────
@@ -292,7 +447,7 @@ function updateTaskFields(taskId, fields, kanbanPath) {
 function checkRetryableTasks(kanbanPath, loopConfig) {
   if (!loopConfig.autoRetry) return [];
   
-  const reviewTasks = getTasks('review', kanbanPath);
+  const reviewTasks = getTasks(motorColumns(kanbanPath).failure, kanbanPath);
   const now = Date.now();
   const retryDelayMs = (loopConfig.retryDelayMinutes || 5) * 60 * 1000;
   const maxRetries = loopConfig.maxRetries || 3;
@@ -300,6 +455,11 @@ function checkRetryableTasks(kanbanPath, loopConfig) {
   const retryable = [];
   
   for (const task of reviewTasks) {
+    // Con PR abierto (o cerrado sin merge) decide el revisor, no el reintento
+    if (task.prState === 'open' || task.prState === 'closed') continue;
+    // Sin presupuesto reintentar solo volvería a fallar: hace falta subirlo a mano
+    if (task.lastErrorPhase === 'budget') continue;
+
     const retryCount = task.retryCount || 0;
     const lastAttempt = task.lastAttemptAt ? new Date(task.lastAttemptAt).getTime() : 0;
     const timeSinceLastAttempt = now - lastAttempt;
@@ -319,7 +479,7 @@ function checkRetryableTasks(kanbanPath, loopConfig) {
 function moveTaskToRetry(task, kanbanPath) {
   const retryCount = (task.retryCount || 0) + 1;
   
-  moveTask(task.id, 'todo', kanbanPath);
+  moveTask(task.id, motorColumns(kanbanPath).pickFrom, kanbanPath, { ...MOTOR, event: 'retried' });
   updateTaskFields(task.id, {
     retryCount,
     lastRetryAt: new Date().toISOString(),
@@ -328,6 +488,186 @@ function moveTaskToRetry(task, kanbanPath) {
   return retryCount;
 }
 
+// ─────────────────────────────────────────────
+// ACTUALIZAR CON LA BASE (git.refreshBeforeMerge)
+// ─────────────────────────────────────────────
+
+/**
+ * Trae la rama base, la integra en el branch de la tarea (rebase o merge)
+ * y, si entraron commits nuevos, repite REVIEW/TEST/verify sobre el
+ * resultado. Un conflicto no falla la tarea: se deshace y lo resuelve el
+ * merge final (fase RESOLVE). El drift queda en taskResult.drift.
+ * @returns {Object} taskResult (success: false si la re-verificación falla)
+ */
+async function refreshTaskBranch(mainGit, gitService, gitCfg, task, taskResult, ctx) {
+  const base = gitCfg.defaultBranch;
+  const mode = gitCfg.refreshBeforeMerge === 'merge' ? 'merge' : 'rebase';
+
+  await mergeQueue.run(() => mainGit.pullBase(base));
+  const behind = await gitService.countBehind(task.branch, base);
+  const drift = { behind, mode, status: 'up-to-date' };
+
+  if (behind === 0) {
+    console.log(chalk.gray(`  [4/6] Git: '${task.branch}' al día con '${base}'`));
+    return { ...taskResult, drift };
+  }
+
+  console.log(chalk.cyan(`  [4/6] Git: '${task.branch}' va ${behind} commit(s) por detrás de '${base}' — ${mode}`));
+  const update = await gitService.updateFromBase(base, mode);
+  if (!update.ok) {
+    console.log(chalk.yellow(`  [4/6] Git: ${mode} con conflictos — se integra en el merge final`));
+    return { ...taskResult, drift: { ...drift, status: 'conflict', conflicts: update.conflicts } };
+  }
+
+  const recheck = await recheckAfterUpdate(task, {
+    ...ctx,
+    plan: taskResult.plan,
+    baseBranch: base,
+    behind,
+  });
+  const updated = { ...taskResult, drift: { ...drift, status: recheck.success ? 'updated' : 'recheck-failed', recheck: recheck.record } };
+  if (recheck.success) return updated;
+  return { ...updated, success: false, reason: recheck.reason, failedPhase: recheck.failedPhase };
+}
+
+// ─────────────────────────────────────────────
+// PULL REQUESTS (git.strategy: 'pr')
+// ─────────────────────────────────────────────
+
+/**
+ * Push del branch de la tarea y apertura del PR con plan, alcance e
+ * iteraciones en el cuerpo. Si algo falla la tarea queda fallida pero el
+ * branch se conserva (no se hace abort).
+ * @returns {Object} taskResult con `pullRequest: { url, number, provider }`
+ */
+async function openPullRequest(gitService, gitCfg, task, taskResult) {
+  const fail = (reason) => {
+    console.log(chalk.red(`  [4/6] ${reason}`));
+    return { ...taskResult, success: false, reason, failedPhase: 'pr' };
+  };
+
+  const pushed = await gitService.push(task.branch);
+  if (!pushed) return fail(`Push de '${task.branch}' falló — no se abrió el PR`);
+  console.log(chalk.cyan(`  [4/6] Git: push origin ${task.branch}`));
+
+  try {
+    const prCfg = resolvePrConfig(gitCfg.pr, await gitService.getRemoteUrl());
+    const provider = createProvider(prCfg);
+    const pr = await provider.createPullRequest({
+      head: task.branch,
+      base: gitCfg.defaultBranch,
+      title: `#${task.id} ${task.title}`,
+      body: buildPullRequestBody(task, taskResult),
+      draft: prCfg.draft,
+      labels: prCfg.labels,
+    });
+    console.log(chalk.cyan(`  [4/6] Git: PR ${pr.reused ? 'ya abierto' : 'abierto'} en ${provider.name} — ${pr.url}`));
+    return { ...taskResult, pullRequest: { url: pr.url, number: pr.number, provider: provider.name } };
+  } catch (err) {
+    return fail(`No se pudo abrir el PR: ${err.message}`);
+  }
+}
+
+/**
+ * Revisa los PRs abiertos de las tareas en review:
+ *   mergeado          → done (+ pull del base y borrado del branch local)
+ *   cerrado sin merge → se queda en review con lastError
+ * @returns {Array<{ task, state }>} tareas cuyo PR cambió de estado
+ */
+async function checkPullRequests(kanbanPath, gitCfg, projectPath) {
+  const columns = motorColumns(kanbanPath);
+  const waiting = getTasks(columns.failure, kanbanPath).filter(t => t.prState === 'open' && t.prNumber);
+  if (waiting.length === 0) return [];
+
+  const git = projectPath && fs.existsSync(projectPath) ? new GitService(projectPath) : null;
+  const isRepo = !!git && await git.isGitRepo();
+  const remoteUrl = isRepo ? await git.getRemoteUrl() : null;
+  const changed = [];
+
+  for (const task of waiting) {
+    let state;
+    try {
+      const provider = createProvider(resolvePrConfig({ ...gitCfg.pr, provider: task.prProvider || gitCfg.pr?.provider }, remoteUrl));
+      ({ state } = await provider.getPullRequest(task.prNumber));
+    } catch (err) {
+      console.log(chalk.yellow(`  │ ⚠ PR de [${task.id}] no consultable: ${err.message}`));
+      continue;
+    }
+    if (state === 'open') continue;
+
+    const now = new Date().toISOString();
+    if (state === 'merged') {
+      moveTask(task.id, columns.success, kanbanPath, FINISH);
+      updateTaskFields(task.id, {
+        prState: 'merged',
+        completedAt: now,
+        lastError: null,
+        lastErrorAt: null,
+        lastErrorPhase: null,
+      }, kanbanPath);
+      console.log(chalk.green(`  │ ✅ PR de [${task.id}] mergeado → DONE`));
+      spawnRecurrence(task.id, kanbanPath);
+      completeParents(task.id, kanbanPath);
+
+      if (isRepo && task.branch) {
+        await mergeQueue.run(async () => {
+          if (await git.getCurrentBranch() === gitCfg.defaultBranch) {
+            await git.pull('origin', gitCfg.defaultBranch);
+          }
+          await git.deleteBranch(task.branch, true);
+        });
+      }
+    } else {
+      updateTaskFields(task.id, {
+        prState: 'closed',
+        lastError: `PR cerrado sin merge: ${task.prUrl}`,
+        lastErrorAt: now,
+        lastErrorPhase: 'pr',
+      }, kanbanPath);
+      console.log(chalk.yellow(`  │ ✖ PR de [${task.id}] cerrado sin merge — queda en REVIEW`));
+    }
+    changed.push({ task, state });
+  }
+  return changed;
+}
+
+/**
+ * Si la tarea (ya en DONE) es recurrente, crea su siguiente ocurrencia en
+ * TODO. `nextOccurrence` en la tarea terminada evita crearla dos veces.
+ */
+function spawnRecurrence(taskId, kanbanPath) {
+  const found = getTaskById(taskId, kanbanPath);
+  const task = found?.task;
+  if (!task?.recurrence || task.nextOccurrence) return null;
+  try {
+    const next = spawnNextOccurrence(task, kanbanPath);
+    updateTaskFields(task.id, { nextOccurrence: next.id }, kanbanPath);
+    console.log(chalk.cyan(`  │ 🔁 Recurrente: [${next.id}] programada para ${new Date(next.scheduledAt).toLocaleString()}`));
+    return next;
+  } catch (err) {
+    console.log(chalk.yellow(`  │ ⚠ No se pudo crear la siguiente ocurrencia de [${task.id}]: ${err.message}`));
+    return null;
+  }
+}
+
+/**
+ * Tras pasar una tarea a DONE: si era la última subtarea pendiente, su padre
+ * (y los de encima) pasan también a DONE.
+ */
+function completeParents(taskId, kanbanPath) {
+  let completed = [];
+  try {
+    completed = completeParentIfDone(taskId, kanbanPath);
+  } catch (err) {
+    console.log(chalk.yellow(`  │ ⚠ No se pudo cerrar la tarea padre de [${taskId}]: ${err.message}`));
+  }
+  for (const parent of completed) {
+    console.log(chalk.green(`  │ 🧩 Subtareas terminadas: [${parent.id}] ${parent.title} → DONE`));
+    spawnRecurrence(parent.id, kanbanPath);
+  }
+  return completed;
+}
+
 // ─────────────────────────────────────────────
 // PROCESAR UNA TAREA
 // ─────────────────────────────────────────────
@@ -351,32 +691,85 @@ async function processTask(task, config) {
   console.log(chalk.gray(`  branch    : ${task.branch}`));
   console.log(chalk.gray(`  proyecto  : ${chalk.white(taskProjectPath)}`));
   console.log(chalk.gray(`  engine    : ${chalk.white(engine)}`));
-  console.log(chalk.gray(`  git       : ${gitCfg.enabled ? `ON (base: ${gitCfg.defaultBranch}, merge: ${gitCfg.autoMerge}, push: ${gitCfg.autoPush})` : 'OFF'}`));
+  const gitMode = gitCfg.strategy === 'pr' ? 'pull request' : `merge: ${gitCfg.autoMerge}, push: ${gitCfg.autoPush}`;
+  console.log(chalk.gray(`  git       : ${gitCfg.enabled ? `ON (base: ${gitCfg.defaultBranch}, ${gitMode})` : 'OFF'}`));
   if (interactive) {
     console.log(chalk.magenta(`  modo      : INTERACTIVO`));
   }
   console.log('');
 
   // ── PASO 1: todo → in_progress + actualizar startedAt ───
-  fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 1: moveTask to in_progress\n`);
-  moveTask(task.id, 'in_progress', kanbanPath);
-  fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 1: moveTask done\n`);
-  updateTaskFields(task.id, { startedAt: new Date().toISOString() }, kanbanPath);
-  fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 1: fields updated\n`);
-  console.log(chalk.cyan('  [1/6] Estado: todo → in_progress'));
-
-  const gitService = new GitService(taskProjectPath);
+  // Una tarea retomada (config.resume, ver checkpoint.js) ya está en in_progress
+  const columns = motorColumns(kanbanPath);
+  const resume = config.resume || null;
+  if (resume) {
+    saveCheckpoint(kanbanPath, task.id, { pid: process.pid, resumes: (resume.resumes || 0) + 1 });
+    console.log(chalk.cyan(`  [1/6] Retomando ejecución interrumpida ${describeCheckpoint(resume)}`));
+  } else {
+    fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 1: moveTask to ${columns.working}\n`);
+    moveTask(task.id, columns.working, kanbanPath, MOTOR);
+    fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 1: moveTask done\n`);
+    const startedAt = new Date().toISOString();
+    updateTaskFields(task.id, {
+      startedAt,
+      // Una ejecución nueva deja obsoleto el PR anterior (cerrado o reabierto a mano)
+      ...(task.prUrl ? { prUrl: null, prNumber: null, prProvider: null, prState: null } : {}),
+    }, kanbanPath);
+    fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 1: fields updated\n`);
+    clearCheckpoint(kanbanPath, task.id);
+    saveCheckpoint(kanbanPath, task.id, { pid: process.pid, branch: task.branch, startedAt, resumes: 0 });
+    console.log(chalk.cyan('  [1/6] Estado: todo → in_progress'));
+  }
+
+  // Con concurrency > 1 la tarea trabaja en su propio worktree; el
+  // directorio del proyecto (mainGit) queda en el branch base.
+  const useWorktree = (config.loop?.concurrency || 1) > 1;
+  const mainGit = new GitService(taskProjectPath);
+  let gitService = mainGit;
+  let workPath = taskProjectPath; // donde trabaja la IA
+  let worktreePath = null;
   fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] STEP 2: GitService created\n`);
   let taskResult = null;
   let gitEnabled = false;
   let stashed = false;
+  // Lo que se retoma del checkpoint: todo si el código a medias sigue ahí
+  let resumeFrom = resume;
+  // Comentarios para la IA (activity.js): los recibe esta ejecución
+  const aiComments = pendingAIComments(task.id, kanbanPath);
+
+  const abortGit = () => worktreePath
+    ? mergeQueue.run(() => discardWorktree(mainGit, worktreePath, task.branch))
+    : gitService.abort(gitCfg.defaultBranch, task.branch);
 
   try {
     // ── PASO 2: git checkout + crear branch ──
     if (gitCfg.enabled) {
-      const isRepo = await gitService.isGitRepo();
-      if (isRepo) {
+      const isRepo = await mainGit.isGitRepo();
+      if (isRepo && useWorktree && resume?.worktreePath && fs.existsSync(resume.worktreePath)) {
+        gitEnabled = true;
+        worktreePath = resume.worktreePath;
+        gitService = new GitService(worktreePath);
+        workPath = worktreePath;
+        console.log(chalk.cyan(`  [2/6] Git: se retoma el worktree '${task.branch}'`));
+        console.log(chalk.gray(`  [git] Worktree: ${worktreePath}`));
+      } else if (isRepo && useWorktree) {
+        gitEnabled = true;
+        resumeFrom = planOnly(resume);
+        // Crear el worktree toca refs del repo compartido → por la cola
+        worktreePath = await mergeQueue.run(() =>
+          mainGit.createWorktree(task.branch, gitCfg.defaultBranch, getWorktreePath(config, taskProjectPath, task)));
+        gitService = new GitService(worktreePath);
+        workPath = worktreePath;
+        saveCheckpoint(kanbanPath, task.id, { worktreePath });
+        console.log(chalk.cyan(`  [2/6] Git: worktree '${task.branch}' creado desde '${gitCfg.defaultBranch}'`));
+        console.log(chalk.gray(`  [git] Worktree: ${worktreePath}`));
+      } else if (isRepo && resume && await mainGit.getCurrentBranch() === task.branch) {
+        // El repo sigue en el branch de la tarea con el código a medias
+        gitEnabled = true;
+        console.log(chalk.cyan(`  [2/6] Git: se retoma el branch '${task.branch}'`));
+      } else if (isRepo) {
         gitEnabled = true;
+        resumeFrom = planOnly(resume);
 
         // Verificar estado limpio ANTES de empezar
         const preCheck = await gitService.verify(gitCfg.defaultBranch, kanbanPath);
@@ -411,8 +804,24 @@ async function processTask(task, config) {
     }
 
     // ── PASO 3: ejecutar con CLI ─────────────
-    console.log(chalk.cyan(`  [3/6] Ejecutando IA (${engine})...`));
-    taskResult = await executeTask(task, { projectPath: taskProjectPath, engine, kanbanPath, interactive });
+    if (resume && resumeFrom !== resume) {
+      console.log(chalk.yellow(`  [3/6] El código a medias no se conserva — se retoma ${resumeFrom ? 'con el plan guardado' : 'desde PLAN'}`));
+    }
+    if (resumeFrom?.phase === 'DONE' && resumeFrom.result) {
+      taskResult = resumeFrom.result;
+      console.log(chalk.cyan(`  [3/6] Fases ya terminadas antes de la interrupción`));
+    } else {
+      console.log(chalk.cyan(`  [3/6] Ejecutando IA (${engine})...`));
+      taskResult = await executeTask(task, {
+        projectPath: workPath, engine, kanbanPath, interactive, onProcess: config.onProcess,
+        pipeline: resolvePipelineConfig(config, taskProjectPath),
+        verify: resolveVerifyConfig(...projectConfigLayers(config, taskProjectPath, 'verify')),
+        budget: resolveBudgetConfig(...projectConfigLayers(config, taskProjectPath, 'budget')),
+        resume: resumeFrom,
+        aiComments,
+      });
+      saveCheckpoint(kanbanPath, task.id, { phase: 'DONE', result: taskResult });
+    }
 
     // ── PASO 3b: verificar que la IA no cambió de branch ──
     if (gitEnabled) {
@@ -425,7 +834,13 @@ async function processTask(task, config) {
     }
 
     // ── PASO 4: git — merge si éxito, abort si fallo ─────────────
-    if (gitEnabled && taskResult?.success) {
+    // Una tarea dividida en subtareas o con el plan pendiente de aprobación
+    // no tiene código: se limpia como una fallida
+    const noCode = taskResult?.decomposed || taskResult?.awaitingApproval;
+    // Sin presupuesto tras CODE: el código se commitea en su rama pero no pasó
+    // REVIEW/TEST/VERIFY, así que ni merge ni PR
+    const keepOnBranch = taskResult?.budgetExceeded;
+    if (gitEnabled && (taskResult?.success || keepOnBranch) && !noCode) {
       const prefixes = { feature: 'feat', fix: 'fix', bug: 'fix', architecture: 'chore', chore: 'chore' };
       const prefix = prefixes[task.type] || task.type;
       const commitMsg = `${prefix}(${task.id}): ${task.title}`;
@@ -438,29 +853,73 @@ async function processTask(task, config) {
           console.log(chalk.gray(`  [4/6] Git: nada nuevo que commitear (la IA ya commiteo)`));
         }
 
-        if (gitCfg.autoPush) {
+        if (gitCfg.refreshBeforeMerge && !keepOnBranch) {
+          taskResult = await refreshTaskBranch(mainGit, gitService, gitCfg, task, taskResult, {
+            engine, kanbanPath, onProcess: config.onProcess,
+            projectPath: workPath,
+            pipeline: resolvePipelineConfig(config, taskProjectPath),
+            verify: resolveVerifyConfig(...projectConfigLayers(config, taskProjectPath, 'verify')),
+          });
+        }
+
+        if (keepOnBranch) {
+          console.log(chalk.yellow(`  [4/6] Git: presupuesto agotado — sin merge ni PR, el trabajo queda en '${task.branch}'`));
+        } else if (!taskResult.success) {
+          // La base nueva rompió la tarea → mismo camino que una tarea fallida
+          await abortGit();
+        } else if (gitCfg.strategy === 'pr') {
+          // Modo PR: push + pull request; el merge lo hace el servidor git
+          taskResult = await openPullRequest(gitService, gitCfg, task, taskResult);
+        } else if (gitCfg.autoPush) {
           await gitService.push(task.branch);
           console.log(chalk.cyan(`  [4/6] Git: push origin ${task.branch}`));
         }
 
-        if (gitCfg.autoMerge) {
-          await gitService.checkout(gitCfg.defaultBranch);
-          const mergeResult = await gitService.merge(task.branch);
-          console.log(chalk.cyan(`  [4/6] Git: merge '${task.branch}' → '${gitCfg.defaultBranch}'`));
-
-          // Limpiar branch de tarea después del merge exitoso
-          await gitService.deleteBranch(task.branch);
-          console.log(chalk.gray(`  [git] Branch '${task.branch}' eliminado`));
+        if (taskResult.success && gitCfg.strategy !== 'pr' && gitCfg.autoMerge) {
+          if (mergeQueue.pending > 0) {
+            console.log(chalk.gray(`  [4/6] Git: esperando turno en la cola de merge (${mergeQueue.pending} por delante)`));
+          }
+          await mergeQueue.run(async () => {
+            await mainGit.checkout(gitCfg.defaultBranch);
+            const merge = await mainGit.merge(task.branch, { keepConflicts: gitCfg.resolveConflicts });
+            if (!merge.merged) {
+              // Conflicto: la IA lo resuelve sobre el merge a medias; solo se aborta si no puede
+              console.log(chalk.yellow(`  [4/6] Git: conflicto en ${merge.conflicts.length} archivo(s) — fase RESOLVE`));
+              const resolution = await resolveMergeConflicts(task, {
+                projectPath: taskProjectPath, kanbanPath, engine, onProcess: config.onProcess,
+                files: merge.conflicts,
+                baseBranch: gitCfg.defaultBranch,
+                verify: resolveVerifyConfig(...projectConfigLayers(config, taskProjectPath, 'verify')),
+              });
+              if (taskResult.phasesRecord) taskResult.phasesRecord.resolve = resolution.record;
+              if (!resolution.success) {
+                await mainGit.abortMerge();
+                throw new Error(`Merge conflict: ${task.branch} → ${gitCfg.defaultBranch} (RESOLVE: ${resolution.reason})`);
+              }
+              await mainGit.completeMerge(`Merge ${task.branch} → ${gitCfg.defaultBranch} (conflictos resueltos)`);
+            }
+            console.log(chalk.cyan(`  [4/6] Git: merge '${task.branch}' → '${gitCfg.defaultBranch}'`));
+
+            // El branch no se puede borrar mientras un worktree lo tenga activo
+            if (worktreePath) {
+              await mainGit.removeWorktree(worktreePath, { force: true });
+              worktreePath = null;
+            }
+
+            // Limpiar branch de tarea después del merge exitoso
+            await mainGit.deleteBranch(task.branch);
+            console.log(chalk.gray(`  [git] Branch '${task.branch}' eliminado`));
+          });
         }
 
         // Confirmar estado limpio
-        const postCheck = await gitService.verify(gitCfg.defaultBranch, kanbanPath);
+        const postCheck = await mergeQueue.run(() => mainGit.verify(gitCfg.defaultBranch, kanbanPath));
         console.log(chalk.gray(`  [git] Post-merge: branch=${postCheck.branch}, clean=${postCheck.clean}`));
       } catch (e) {
         console.log(chalk.red(`  [4/6] Git post-tarea falló: ${e.message}`));
         // Merge falló (conflicto u otro) → abort completo
         console.log(chalk.yellow(`  [4/6] Ejecutando abort completo...`));
-        await gitService.abort(gitCfg.defaultBranch, task.branch);
+        await abortGit();
         // Marcar como fallida si el merge falla
         if (taskResult?.success) {
           taskResult = {
@@ -470,10 +929,12 @@ async function processTask(task, config) {
           };
         }
       }
-    } else if (gitEnabled && taskResult && !taskResult.success) {
+    } else if (gitEnabled && taskResult && (!taskResult.success || noCode)) {
       // ── PASO 4b: tarea falló → abort completo (limpieza total) ──
-      console.log(chalk.yellow(`  [4/6] Tarea fallida — abort git (limpieza completa)`));
-      await gitService.abort(gitCfg.defaultBranch, task.branch);
+      const label = taskResult.decomposed ? 'Tarea dividida'
+        : taskResult.awaitingApproval ? 'Plan pendiente de aprobación' : 'Tarea fallida';
+      console.log(chalk.yellow(`  [4/6] ${label} — abort git (limpieza completa)`));
+      await abortGit();
       console.log(chalk.gray(`  [git] Abort completo — repo limpio en ${gitCfg.defaultBranch}`));
     }
 
@@ -483,7 +944,7 @@ async function processTask(task, config) {
     if (gitEnabled) {
       try {
         console.log(chalk.yellow('  [git] Abort de emergencia...'));
-        await gitService.abort(gitCfg.defaultBranch, task.branch);
+        await abortGit();
         console.log(chalk.gray(`  [git] Abort de emergencia completado`));
       } catch (abortErr) {
         console.log(chalk.red(`  [git] Abort de emergencia falló: ${abortErr.message}`));
@@ -505,20 +966,99 @@ async function processTask(task, config) {
 
   // ── PASO 4d: verificación final del repo ────
   if (gitEnabled) {
-    const finalCheck = await gitService.verify(gitCfg.defaultBranch, kanbanPath);
-    if (!finalCheck.clean) {
-      console.log(chalk.red(`  [git] ⚠ Repo NO quedó limpio: branch=${finalCheck.branch}, dirty=${finalCheck.dirty}`));
-      console.log(chalk.yellow(`  [git] Forzando limpieza final...`));
-      await gitService.abort(gitCfg.defaultBranch, task.branch);
-    }
+    await mergeQueue.run(async () => {
+      // Worktree sin merge (autoMerge off): se quita el directorio, el branch queda
+      if (worktreePath) {
+        await mainGit.removeWorktree(worktreePath, { force: true });
+        worktreePath = null;
+      }
+      const finalCheck = await mainGit.verify(gitCfg.defaultBranch, kanbanPath);
+      if (!finalCheck.clean) {
+        console.log(chalk.red(`  [git] ⚠ Repo NO quedó limpio: branch=${finalCheck.branch}, dirty=${finalCheck.dirty}`));
+        console.log(chalk.yellow(`  [git] Forzando limpieza final...`));
+        await mainGit.abort(gitCfg.defaultBranch, useWorktree ? null : task.branch);
+      }
+    });
   }
 
   const now = new Date().toISOString();
   const elapsed = Math.round((Date.now() - taskStart) / 1000);
 
   // ── PASO 5: mover a done o review + timestamps ───────────
-  if (taskResult?.success && !taskResult.scopeIncomplete) {
-    moveTask(task.id, 'done', kanbanPath);
+  if (taskResult?.decomposed) {
+    // El padre vuelve a TODO y espera a sus subtareas
+    try {
+      const children = createSubtasks(task, taskResult.subtasks, kanbanPath);
+      moveTask(task.id, columns.pickFrom, kanbanPath, FINISH);
+      updateTaskFields(task.id, {
+        lastAttemptAt: now,
+        lastError: null,
+        lastErrorAt: null,
+        lastErrorPhase: null,
+      }, kanbanPath);
+      console.log(chalk.cyan(`\n  [5/6] DIVIDIDA en ${children.length} subtareas → ${columns.pickFrom.toUpperCase()} (${elapsed}s)`));
+      for (const child of children) {
+        const deps = child.dependsOn.length ? chalk.gray(` (tras ${child.dependsOn.join(', ')})`) : '';
+        console.log(chalk.cyan(`         → [${child.id}] ${child.title}`) + deps);
+      }
+    } catch (err) {
+      taskResult = { ...taskResult, success: false, decomposed: false, reason: `No se pudieron crear las subtareas: ${err.message}`, failedPhase: 'plan' };
+      moveTask(task.id, columns.failure, kanbanPath, FINISH);
+      updateTaskFields(task.id, {
+        lastAttemptAt: now,
+        lastError: taskResult.reason,
+        lastErrorAt: now,
+        lastErrorPhase: 'plan',
+      }, kanbanPath);
+      console.log(chalk.yellow(`\n  [5/6] FALLIDA → REVIEW (${elapsed}s)`));
+      console.log(chalk.yellow(`         Razón: ${taskResult.reason}`));
+    }
+  } else if (taskResult?.awaitingApproval) {
+    // Vuelve a TODO y el loop la salta hasta que alguien apruebe o rechace el plan
+    requestApproval(task.id, taskResult.plan, kanbanPath);
+    moveTask(task.id, columns.pickFrom, kanbanPath, FINISH);
+    updateTaskFields(task.id, {
+      lastAttemptAt: now,
+      lastError: null,
+      lastErrorAt: null,
+      lastErrorPhase: null,
+    }, kanbanPath);
+    console.log(chalk.cyan(`\n  [5/6] PLAN PENDIENTE DE APROBACIÓN → ${columns.pickFrom.toUpperCase()} (${elapsed}s)`));
+    console.log(chalk.cyan(`         Apruébalo en la UI o con: ai-kanban approve ${task.id}`));
+  } else if (taskResult?.budgetExceeded) {
+    // Pausada: el reintento automático salta la fase budget hasta que se suba el presupuesto
+    moveTask(task.id, columns.failure, kanbanPath, FINISH);
+    updateTaskFields(task.id, {
+      iterations: taskResult.iterations || 1,
+      lastAttemptAt: now,
+      lastError: taskResult.reason,
+      lastErrorAt: now,
+      lastErrorPhase: 'budget',
+    }, kanbanPath);
+    console.log(chalk.yellow(`\n  [5/6] PRESUPUESTO AGOTADO → ${columns.failure.toUpperCase()} (${elapsed}s)`));
+    console.log(chalk.yellow(`         ${taskResult.reason}`));
+    if (gitEnabled) console.log(chalk.yellow(`         El código queda sin mergear en la rama '${task.branch}'`));
+  } else if (taskResult?.success && taskResult.pullRequest) {
+    // Espera en review hasta que el PR se mergee (checkPullRequests)
+    const pr = taskResult.pullRequest;
+    moveTask(task.id, columns.failure, kanbanPath, FINISH);
+    updateTaskFields(task.id, {
+      iterations: taskResult.iterations || 1,
+      lastAttemptAt: now,
+      retryCount: 0,
+      prUrl: pr.url,
+      prNumber: pr.number,
+      prProvider: pr.provider,
+      prState: 'open',
+      lastError: taskResult.scopeIncomplete ? (taskResult.scopeNote || 'Scope incompleto') : null,
+      lastErrorAt: taskResult.scopeIncomplete ? now : null,
+      lastErrorPhase: taskResult.scopeIncomplete ? 'scope' : null,
+      ...criteriaFields(task.id, taskResult.criteria, kanbanPath),
+    }, kanbanPath);
+    console.log(chalk.green(`\n  [5/6] PR ABIERTO → REVIEW hasta el merge (${elapsed}s)`));
+    console.log(chalk.green(`         ${pr.url}`));
+  } else if (taskResult?.success && !taskResult.scopeIncomplete) {
+    moveTask(task.id, columns.success, kanbanPath, FINISH);
     updateTaskFields(task.id, {
       completedAt: now,
       iterations: taskResult.iterations || 1,
@@ -526,13 +1066,16 @@ async function processTask(task, config) {
       lastError: null,
       lastErrorAt: null,
       lastErrorPhase: null,
+      ...criteriaFields(task.id, taskResult.criteria, kanbanPath),
     }, kanbanPath);
     console.log(chalk.green(`\n  [5/6] DONE — ${taskResult.summary} (${elapsed}s)`));
     if (taskResult.iterations > 1) {
       console.log(chalk.gray(`         (completado en ${taskResult.iterations} iteraciones)`));
     }
+    spawnRecurrence(task.id, kanbanPath);
+    completeParents(task.id, kanbanPath);
   } else if (taskResult?.success && taskResult.scopeIncomplete) {
-    moveTask(task.id, 'review', kanbanPath);
+    moveTask(task.id, columns.failure, kanbanPath, FINISH);
     updateTaskFields(task.id, {
       completedAt: now,
       iterations: taskResult.iterations || 1,
@@ -540,6 +1083,7 @@ async function processTask(task, config) {
       lastError: taskResult.scopeNote || 'Scope incompleto',
       lastErrorAt: now,
       lastErrorPhase: 'scope',
+      ...criteriaFields(task.id, taskResult.criteria, kanbanPath),
     }, kanbanPath);
     console.log(chalk.yellow(`\n  [5/6] SCOPE INCOMPLETO → REVIEW (${elapsed}s)`));
     console.log(chalk.yellow(`         ${taskResult.scopeNote}`));
@@ -547,7 +1091,7 @@ async function processTask(task, config) {
     const currentRetryCount = (task.retryCount || 0) + 1;
     const errorMsg = taskResult?.reason || taskResult?.error || 'Error desconocido';
     const errorPhase = taskResult?.failedPhase || taskResult?.phasesRecord?.failedPhase || 'unknown';
-    moveTask(task.id, 'review', kanbanPath);
+    moveTask(task.id, columns.failure, kanbanPath, FINISH);
     updateTaskFields(task.id, { 
       completedAt: now,
       lastAttemptAt: now,
@@ -562,20 +1106,46 @@ async function processTask(task, config) {
     console.log(chalk.yellow(`         Reintento: ${currentRetryCount}/${config.loop?.maxRetries || 3}`));
   }
 
-  // ── PASO 6: guardar historial ────────────────────────────
+  // La tarea ya salió de in_progress: nada que retomar
+  clearCheckpoint(kanbanPath, task.id);
+
+  // El plan aprobado vale para una sola ejecución
+  if (task.approval?.status === 'approved' && !taskResult?.awaitingApproval) {
+    updateTaskFields(task.id, { approval: null }, kanbanPath);
+  }
+
+  // ── PASO 6: guardar historial y actividad ────────────────
+  const result = taskResult?.decomposed ? 'decomposed'
+    : taskResult?.awaitingApproval ? 'awaiting-approval'
+    : (taskResult?.success ? 'success' : 'failed');
+  try {
+    recordActivity(task.id, {
+      type: 'result',
+      author: MOTOR_AUTHOR,
+      result,
+      summary: taskResult?.success ? taskResult.summary : (taskResult?.reason || 'Error desconocido'),
+      column: getTaskById(task.id, kanbanPath)?.column || null,
+      aiComments: aiComments.map(c => c.id),
+    }, kanbanPath);
+  } catch (err) {
+    console.log(chalk.yellow(`  [6/6] No se pudo registrar la actividad: ${err.message}`));
+  }
   if (taskResult?.phasesRecord) {
     try {
       saveExecution(task.id, {
-        result: taskResult.success ? 'success' : 'failed',
+        result,
         totalDuration: taskResult.phasesRecord.totalDuration,
         iterations: taskResult.iterations || 0,
         summary: taskResult.success ? taskResult.summary : taskResult.reason,
+        drift: taskResult.drift,
         phases: {
           plan: taskResult.phasesRecord.plan,
           code: taskResult.phasesRecord.code,
           review: taskResult.phasesRecord.review,
           test: taskResult.phasesRecord.test,
+          verify: taskResult.phasesRecord.verify,
           scope: taskResult.phasesRecord.scope,
+          resolve: taskResult.phasesRecord.resolve,
         },
       }, kanbanPath);
       console.log(chalk.gray(`  [6/6] Historial guardado`));
@@ -597,21 +1167,24 @@ async function processTask(task, config) {
 
 async function startLoop(cliOverrides = {}) {
   const config = loadConfig(cliOverrides);
-  const { waitSeconds, maxTasksPerRun } = config.loop;
   const dryRun = cliOverrides.dryRun || false;
   const interactive = cliOverrides.interactive || false;
+  // El modo interactivo necesita la terminal: una sola tarea a la vez
+  if (interactive) config.loop.concurrency = 1;
+  const { waitSeconds, maxTasksPerRun, concurrency } = config.loop;
 
   // Validar que el engine esté disponible
   const engine = detectAvailableEngine(config.engine);
   if (!engine && !dryRun) {
-    console.log(chalk.red('\n  ❌ No se encontró ningún CLI (claude ni opencode).'));
-    console.log(chalk.gray('     Instala uno de los dos para poder ejecutar tareas.\n'));
+    console.log(chalk.red(`\n  ❌ No hay ningún engine disponible (preferido: ${config.engine}).`));
+    console.log(chalk.gray('     Instala claude u opencode, o configura otro engine en kanban.config.js.\n'));
     process.exit(1);
   }
 
   // Resolver proyecto activo y git config
   const resolvedPath = resolveProjectPath(config);
   const resolvedGit = resolveGitConfig(config);
+  const scheduling = resolveSchedulingConfig(...projectConfigLayers(config, resolvedPath, 'scheduling'));
   const activeProject = readActiveProject();
 
   console.log(chalk.blue.bold('\n  AI-Kanban — Motor iniciado'));
@@ -625,10 +1198,14 @@ async function startLoop(cliOverrides = {}) {
   console.log(chalk.white(`  Git      : ${resolvedGit.enabled ? 'ON' : 'OFF'}`));
   if (resolvedGit.enabled) {
     console.log(chalk.white(`    base   : ${resolvedGit.defaultBranch}`));
-    console.log(chalk.white(`    merge  : ${resolvedGit.autoMerge ? 'auto' : 'manual'}`));
+    console.log(chalk.white(`    merge  : ${resolvedGit.strategy === 'pr' ? 'pull request' : (resolvedGit.autoMerge ? 'auto' : 'manual')}`));
     console.log(chalk.white(`    push   : ${resolvedGit.autoPush ? 'auto' : 'manual'}`));
   }
+  console.log(chalk.white(`  Cola     : ${policyName(scheduling)}`));
   console.log(chalk.white(`  Espera   : ${waitSeconds}s entre ciclos`));
+  if (concurrency > 1) {
+    console.log(chalk.white(`  Workers  : ${concurrency} en paralelo (worktrees en ${config.loop.worktreeDir})`));
+  }
   if (interactive) {
     console.log(chalk.magenta(`  Modo     : INTERACTIVO`));
   }
@@ -637,6 +1214,39 @@ async function startLoop(cliOverrides = {}) {
 
   let cycle = 0;
   let processed = 0;
+  let lastPrPoll = 0;
+  const running = new Map(); // taskId → promesa del worker
+
+  /**
+   * Lanza un worker para la tarea sin esperar a que termine.
+   * Su output va al log general y a /tmp/kanban-worker-N.log.
+   */
+  const startWorker = (task, taskConfig) => {
+    const slot = nextFreeSlot();
+    const logFile = workerLogFile(slot);
+    const logStream = fs.createWriteStream(logFile, { flags: 'w' });
+    const info = { slot, taskId: task.id, title: task.title, pid: null, logFile, startedAt: new Date().toISOString() };
+    workers.set(slot, info);
+    writeWorkersFile();
+
+    const onProcess = (pid) => {
+      info.pid = pid;
+      writeWorkersFile();
+    };
+
+    const promise = workerContext.run({ slot, logStream }, () => processTask(task, { ...taskConfig, onProcess }))
+      .catch((err) => {
+        console.log(chalk.red(`  [worker ${slot}] Error en tarea #${task.id}: ${err.message}`));
+      })
+      .finally(() => {
+        workers.delete(slot);
+        running.delete(task.id);
+        writeWorkersFile();
+        logStream.end();
+      });
+    running.set(task.id, promise);
+    return slot;
+  };
 
   while (true) {
     cycle++;
@@ -646,13 +1256,46 @@ async function startLoop(cliOverrides = {}) {
     const resolvedProjectPath = resolveProjectPath(config);
     const loopKanbanPath = getKanbanPath(resolvedProjectPath);
 
-    // Verificar estado git al inicio de cada ciclo (limpieza completa)
+    // ── TAREAS INTERRUMPIDAS: in_progress de un motor que murió a mitad ──
+    // Antes del check de git: sin worktrees el código a medias está en el
+    // branch de la tarea y verify lo descartaría.
+    if (!dryRun && running.size < concurrency) {
+      const { working, failure } = motorColumns(loopKanbanPath);
+      let resumed = 0;
+      for (const { task, checkpoint } of findOrphans(getTasks(working, loopKanbanPath), loopKanbanPath)) {
+        if (running.size >= concurrency) break;
+        if ((checkpoint.resumes || 0) >= MAX_RESUMES) {
+          const now = new Date().toISOString();
+          moveTask(task.id, failure, loopKanbanPath, FINISH);
+          updateTaskFields(task.id, {
+            lastAttemptAt: now,
+            lastError: `La ejecución se interrumpió ${checkpoint.resumes + 1} veces seguidas`,
+            lastErrorAt: now,
+            lastErrorPhase: checkpoint.phase || 'unknown',
+          }, loopKanbanPath);
+          clearCheckpoint(loopKanbanPath, task.id);
+          console.log(chalk.red(`  │ ⛔ [${task.id}] ${task.title} — interrumpida demasiadas veces → ${failure.toUpperCase()}`));
+          continue;
+        }
+        console.log(chalk.cyan(`  │ ↻ [${task.id}] ${task.title} — interrumpida, se retoma ${describeCheckpoint(checkpoint)}`));
+        startWorker(task, { ...config, engine, interactive, projectPath: resolvedProjectPath, kanbanPath: loopKanbanPath, resume: checkpoint });
+        resumed++;
+      }
+      if (resumed > 0) {
+        console.log(chalk.gray('  └─────────────────────────────────────────'));
+        if (running.size >= concurrency) await Promise.race(running.values());
+        continue;
+      }
+    }
+
+    // Verificar estado git al inicio de cada ciclo (limpieza completa).
+    // Va por la cola de merge: con workers en paralelo puede haber un merge en curso.
     if (resolvedGit.enabled) {
       try {
         const gs = new GitService(resolvedProjectPath);
         const isRepo = await gs.isGitRepo();
         if (isRepo) {
-          const check = await gs.verify(resolvedGit.defaultBranch, loopKanbanPath);
+          const check = await mergeQueue.run(() => gs.verify(resolvedGit.defaultBranch, loopKanbanPath));
           if (check.fixed) {
             console.log(chalk.yellow(`  │ git: estado corregido (branch=${check.branch}, clean=${check.clean})`));
           } else {
@@ -664,6 +1307,19 @@ async function startLoop(cliOverrides = {}) {
       }
     }
 
+    // ── PULL REQUESTS: tareas en review esperando merge ──
+    if (resolvedGit.enabled && resolvedGit.strategy === 'pr') {
+      const pollMs = resolvePrConfig(resolvedGit.pr).pollSeconds * 1000;
+      if (Date.now() - lastPrPoll >= pollMs) {
+        lastPrPoll = Date.now();
+        try {
+          await checkPullRequests(loopKanbanPath, resolvedGit, resolvedProjectPath);
+        } catch (prErr) {
+          console.log(chalk.yellow(`  │ revisión de PRs falló: ${prErr.message}`));
+        }
+      }
+    }
+
     // ── DEBUG: sync write to trace crash ──
     fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] AFTER git check, before retryable\n`);
 
@@ -673,25 +1329,39 @@ async function startLoop(cliOverrides = {}) {
     if (retryable.length > 0) {
       console.log(chalk.cyan(`  │ 🔄 ${retryable.length} tarea(s) para reintentar`));
       for (const { task, retryCount, timeSinceLastAttempt } of retryable) {
-        const newRetryCount = moveTaskToRetry(task, loopKanbanPath);
-        console.log(chalk.yellow(`  │   → [${task.id}] ${task.title} (intento ${newRetryCount}/${config.loop.maxRetries}, hace ${timeSinceLastAttempt}min)`));
+        try {
+          const newRetryCount = moveTaskToRetry(task, loopKanbanPath);
+          console.log(chalk.yellow(`  │   → [${task.id}] ${task.title} (intento ${newRetryCount}/${config.loop.maxRetries}, hace ${timeSinceLastAttempt}min)`));
+        } catch (err) {
+          // Límite WIP de todo: se reintenta en otro ciclo
+          console.log(chalk.gray(`  │   ↷ [${task.id}] no se reintenta todavía: ${err.message}`));
+        }
       }
     }
 
     fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] Getting todo tasks from: ${loopKanbanPath}\n`);
-    const todoTasks = getTasks('todo', loopKanbanPath);
+    const columns = motorColumns(loopKanbanPath);
+    const todoTasks = getTasks(columns.pickFrom, loopKanbanPath);
     fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] Got ${todoTasks.length} todo tasks\n`);
 
-    // ── VALIDACIÓN: Solo UNA tarea a la vez ──
-    const inProgressTasks = getTasks('in_progress', loopKanbanPath);
+    // ── VALIDACIÓN: como máximo `concurrency` tareas a la vez ──
+    // in_progress incluye los workers de este motor y cualquier tarea ajena.
+    // Con límite WIP en in_progress no se coge nada más al alcanzarlo.
+    const inProgressTasks = getTasks(columns.working, loopKanbanPath);
     fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] Got ${inProgressTasks.length} in_progress tasks\n`);
-    if (inProgressTasks.length > 0) {
-      console.log(chalk.yellow(`  │ ⚠️ ${inProgressTasks.length} tarea(s) en IN_PROGRESS`));
-      console.log(chalk.yellow(`  │    → [${inProgressTasks[0].id}] ${inProgressTasks[0].title}`));
+    const wip = wipLimit(getBoardSchema(loopKanbanPath), columns.working);
+    const wipSlots = wip != null ? wip - inProgressTasks.length : Infinity;
+    const freeSlots = Math.min(concurrency - inProgressTasks.length, wipSlots);
+    if (freeSlots <= 0) {
+      const reason = wip != null && wip < concurrency ? `límite WIP ${wip}` : `máx ${concurrency}`;
+      console.log(chalk.yellow(`  │ ⚠️ ${inProgressTasks.length} tarea(s) en ${columns.working.toUpperCase()} (${reason})`));
+      for (const t of inProgressTasks) {
+        console.log(chalk.yellow(`  │    → [${t.id}] ${t.title}${running.has(t.id) ? '' : ' (no es de este motor)'}`));
+      }
       console.log(chalk.yellow(`  │    Esperando a que termine antes de procesar otra...`));
       console.log(chalk.gray('  └─────────────────────────────────────────'));
       if (cliOverrides.once) break;
-      await wait(waitSeconds);
+      await waitForSlot(running, waitSeconds);
       continue;
     }
 
@@ -699,16 +1369,29 @@ async function startLoop(cliOverrides = {}) {
       console.log(chalk.gray('  │ Sin tareas en TODO.'));
       console.log(chalk.gray('  └─────────────────────────────────────────'));
       if (cliOverrides.once) break;
-      await wait(waitSeconds);
+      await waitForSlot(running, waitSeconds);
       continue;
     }
 
     console.log(chalk.gray(`  │ ${todoTasks.length} tarea(s) en TODO`));
     fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] todoTasks[0]: ${JSON.stringify({id: todoTasks[0]?.id, title: todoTasks[0]?.title, branch: todoTasks[0]?.branch})}\n`);
 
-    // Buscar la primera tarea sin dependencias bloqueantes NI circulares
-    let taskToProcess = null;
-    for (const candidate of todoTasks) {
+    // Recorrer la cola en el orden de la política y coger las primeras
+    // tareas sin dependencias bloqueantes NI circulares
+    const remaining = maxTasksPerRun > 0 ? maxTasksPerRun - processed : Infinity;
+    const wanted = Math.min(freeSlots, remaining, cliOverrides.once ? 1 : Infinity);
+    const tasksToProcess = [];
+    const now = new Date();
+    const queue = orderQueue(todoTasks, resolveSchedulingConfig(...projectConfigLayers(config, resolvedProjectPath, 'scheduling')), {
+      inProgress: inProgressTasks,
+      now: now.getTime(),
+    });
+    for (const candidate of queue) {
+      if (tasksToProcess.length >= wanted) break;
+      if (!isDue(candidate, now)) {
+        console.log(chalk.gray(`  │ skip [${candidate.id}] ${candidate.title} — programada para ${scheduledDate(candidate).toLocaleString()}`));
+        continue;
+      }
       fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] Checking candidate: ${candidate.id}\n`);
       // Verificar dependencias circulares primero
       const circular = detectCircularDependency(candidate, loopKanbanPath);
@@ -718,40 +1401,72 @@ async function startLoop(cliOverrides = {}) {
         continue;
       }
 
+      // Padre dividido: no se ejecuta; pasa a DONE cuando terminan sus hijas
+      if (Array.isArray(candidate.children) && candidate.children.length > 0) {
+        const { total, done } = childrenProgress(candidate, loopKanbanPath);
+        if (done < total) {
+          console.log(chalk.gray(`  │ skip [${candidate.id}] ${candidate.title} — esperando subtareas (${done}/${total})`));
+        } else {
+          try {
+            moveTask(candidate.id, columns.success, loopKanbanPath, FINISH);
+          } catch (err) {
+            // Un error aquí no puede tumbar el motor: el padre se reintenta en el siguiente ciclo
+            console.log(chalk.yellow(`  │ ⚠ [${candidate.id}] ${candidate.title} — subtareas terminadas, pero no se pudo cerrar: ${err.message}`));
+            continue;
+          }
+          updateTaskFields(candidate.id, { completedAt: new Date().toISOString() }, loopKanbanPath);
+          console.log(chalk.green(`  │ 🧩 [${candidate.id}] ${candidate.title} — subtareas terminadas → DONE`));
+          spawnRecurrence(candidate.id, loopKanbanPath);
+          completeParents(candidate.id, loopKanbanPath);
+        }
+        continue;
+      }
+
+      if (isAwaitingApproval(candidate)) {
+        console.log(chalk.gray(`  │ skip [${candidate.id}] ${candidate.title} — plan pendiente de aprobación`));
+        continue;
+      }
+
       const { ok, blocking } = checkDependencies(candidate, loopKanbanPath);
       fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] deps check done: ok=${ok}\n`);
       if (ok) {
-        taskToProcess = candidate;
-        break;
+        tasksToProcess.push(candidate);
       } else {
         console.log(chalk.yellow(`  │ skip [${candidate.id}] ${candidate.title} — bloqueada por: ${blocking.join(', ')}`));
       }
     }
 
-    fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] taskToProcess: ${taskToProcess?.id || 'null'}\n`);
-    if (!taskToProcess) {
-      console.log(chalk.yellow('  │ Todas las tareas en TODO están bloqueadas.'));
+    fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] tasksToProcess: ${tasksToProcess.map(t => t.id).join(',') || 'null'}\n`);
+    if (tasksToProcess.length === 0) {
+      console.log(chalk.yellow('  │ Todas las tareas en TODO están bloqueadas o programadas para más tarde.'));
       console.log(chalk.gray('  └─────────────────────────────────────────'));
       if (cliOverrides.once) break;
-      await wait(waitSeconds);
+      await waitForSlot(running, waitSeconds);
       continue;
     }
 
-    console.log(chalk.cyan(`  │ Procesando: [${taskToProcess.id}] ${taskToProcess.title}`));
-    console.log(chalk.gray('  └─────────────────────────────────────────'));
-    fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] About to process task ${taskToProcess.id}\n`);
-
-    if (dryRun) {
-      console.log(chalk.yellow('  DRY RUN: simulando tarea\n'));
-      moveTask(taskToProcess.id, 'in_progress', loopKanbanPath);
-      await new Promise(r => setTimeout(r, 1000));
-      moveTask(taskToProcess.id, 'done', loopKanbanPath);
-      console.log(chalk.green('  DONE (simulado)'));
-    } else {
-      await processTask(taskToProcess, { ...config, engine, interactive, projectPath: resolvedProjectPath, kanbanPath: loopKanbanPath });
+    for (const t of tasksToProcess) {
+      console.log(chalk.cyan(`  │ Procesando: [${t.id}] ${t.title}`));
     }
+    console.log(chalk.gray('  └─────────────────────────────────────────'));
+
+    for (const taskToProcess of tasksToProcess) {
+      fs.appendFileSync('/tmp/kanban-debug.log', `[${new Date().toISOString()}] About to process task ${taskToProcess.id}\n`);
 
-    processed++;
+      if (dryRun) {
+        console.log(chalk.yellow('  DRY RUN: simulando tarea\n'));
+        moveTask(taskToProcess.id, columns.working, loopKanbanPath, MOTOR);
+        await new Promise(r => setTimeout(r, 1000));
+        moveTask(taskToProcess.id, columns.success, loopKanbanPath, FINISH);
+        console.log(chalk.green('  DONE (simulado)'));
+      } else {
+        const slot = startWorker(taskToProcess, { ...config, engine, interactive, projectPath: resolvedProjectPath, kanbanPath: loopKanbanPath });
+        if (concurrency > 1) {
+          console.log(chalk.gray(`  [worker ${slot}] #${taskToProcess.id} → ${workerLogFile(slot)}`));
+        }
+      }
+      processed++;
+    }
 
     if (cliOverrides.once) break;
     if (maxTasksPerRun > 0 && processed >= maxTasksPerRun) {
@@ -759,11 +1474,31 @@ async function startLoop(cliOverrides = {}) {
       break;
     }
 
+    // Con todos los slots ocupados, esperar a que termine algún worker
+    if (running.size >= concurrency) {
+      await Promise.race(running.values());
+    }
+
     await new Promise(r => setTimeout(r, 2000));
   }
 
+  // Esperar a los workers que sigan en curso antes de salir
+  if (running.size > 0) {
+    console.log(chalk.gray(`\n  Esperando ${running.size} tarea(s) en curso...`));
+    await Promise.all(running.values());
+  }
+
   notify('AI-Kanban', `Motor detenido. ${processed} tareas procesadas.`);
   console.log(chalk.blue('\n  Motor detenido.\n'));
 }
 
-module.exports = { startLoop, processTask, loadConfig, checkRetryableTasks, moveTaskToRetry };
+/**
+ * Espera waitSeconds o hasta que termine algún worker, lo que ocurra antes.
+ * Sin workers en curso equivale a wait().
+ */
+async function waitForSlot(running, seconds) {
+  if (running.size === 0) return wait(seconds);
+  await Promise.race([...running.values(), new Promise(r => setTimeout(r, seconds * 1000))]);
+}
+
+module.exports = { startLoop, processTask, loadConfig, checkRetryableTasks, moveTaskToRetry, checkPullRequests };
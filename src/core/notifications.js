@@ -7,6 +7,7 @@ const NOTIFICATION_TYPES = {
   TASK_MOVED: 'task:moved',
   TASK_UPDATED: 'task:updated',
   TASK_DELETED: 'task:deleted',
+  TASK_BULK: 'task:bulk',
   TASK_COMPLETED: 'task:completed',
   LOOP_STARTED: 'loop:started',
   LOOP_STOPPED: 'loop:stopped',
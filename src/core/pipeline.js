@@ -0,0 +1,208 @@
+/**
+ * pipeline.js — Resolución del pipeline de fases de una tarea
+ *
+ * Qué fases se ejecutan, cuántas iteraciones CODE→REVIEW→TEST se permiten
+ * y los timeouts de cada fase. Capas (cada una sobrescribe a la anterior):
+ *
+ *   1. Defaults del executor (PHASE_TIMEOUTS, MAX_ITERATIONS, todas las fases)
+ *   2. `pipeline` en kanban.config.js
+ *   3. `pipeline` del proyecto (projects[nombre].pipeline)
+ *   4. `pipeline.types[task.type]` (p.ej. architecture, docs)
+ *   5. Frontmatter de la tarea:
+ *        phases: [plan, code, test]
+ *        maxIterations: 5
+ *        decompose: true                   # PLAN puede dividirla en subtareas
+ *        approve: [plan]                   # espera aprobación humana tras PLAN
+ *        timeouts:
+ *          code: 60m                       # solo total
+ *          test: { total: 30m, inactivity: 15m }
+ *      (también se acepta la forma plana `timeouts.code: 60m`)
+ *
+ * Duraciones: número (minutos) o string con unidad: '90s', '45m', '2h', '1500ms'.
+ * `decompose` (default false) deja que PLAN divida la tarea (ver subtasks.js).
+ * `approve` (default []) lista las fases tras las que la tarea espera a una
+ * persona (ver approval.js); `true` equivale a [plan].
+ */
+
+const PHASE_ORDER = ['PLAN', 'CODE', 'REVIEW', 'TEST', 'SCOPE'];
+
+// Fases tras las que se puede pedir aprobación humana
+const APPROVAL_PHASES = ['PLAN'];
+
+// Tipos con pipeline propio por defecto (antes estaba cableado en executeTask)
+const DEFAULT_TYPES = {
+  architecture: { phases: ['plan', 'code', 'scope'] },
+};
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Convierte una duración a milisegundos.
+ * @param {number|string} value - número = minutos; '90s', '45m', '2h', '1500ms'
+ * @returns {number}
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && value > 0) return Math.round(value * UNIT_MS.m);
+  const match = String(value ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|min|m|h)?$/);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Duración inválida: '${value}' (usa p.ej. 90s, 45m, 2h)`);
+  }
+  return Math.round(Number(match[1]) * UNIT_MS[match[2] || 'm']);
+}
+
+/**
+ * Normaliza una lista de fases: mayúsculas, orden canónico, sin duplicados.
+ * CODE es obligatoria.
+ */
+function normalizePhases(phases) {
+  const list = Array.isArray(phases)
+    ? phases
+    : String(phases).split(/[,\s→>]+/).filter(Boolean);
+  const wanted = new Set(list.map(p => String(p).trim().toUpperCase()));
+  for (const phase of wanted) {
+    if (!PHASE_ORDER.includes(phase)) {
+      throw new Error(`Fase desconocida: '${phase}' (válidas: ${PHASE_ORDER.join(', ').toLowerCase()})`);
+    }
+  }
+  if (!wanted.has('CODE')) {
+    throw new Error('El pipeline debe incluir la fase code');
+  }
+  return PHASE_ORDER.filter(p => wanted.has(p));
+}
+
+/**
+ * Normaliza `approve`: lista de fases tras las que se espera aprobación.
+ * false/[] la desactiva; true equivale a [plan].
+ */
+function normalizeApprove(value) {
+  if (value === false || value === 'false' || value == null) return [];
+  if (value === true || value === 'true') return ['PLAN'];
+  const list = Array.isArray(value) ? value : String(value).split(/[,\s]+/).filter(Boolean);
+  const wanted = new Set(list.map(p => String(p).trim().toUpperCase()));
+  for (const phase of wanted) {
+    if (!APPROVAL_PHASES.includes(phase)) {
+      throw new Error(`Aprobación no disponible tras '${phase.toLowerCase()}' (válidas: ${APPROVAL_PHASES.join(', ').toLowerCase()})`);
+    }
+  }
+  return APPROVAL_PHASES.filter(p => wanted.has(p));
+}
+
+/**
+ * Extrae los timeouts de una capa: objeto `timeouts` y/o claves planas
+ * `timeouts.code` del frontmatter.
+ */
+function collectTimeouts(layer) {
+  const out = { ...(layer.timeouts && typeof layer.timeouts === 'object' ? layer.timeouts : {}) };
+  for (const [key, value] of Object.entries(layer)) {
+    const m = key.match(/^timeouts\.(\w+)$/);
+    if (m) out[m[1]] = value;
+  }
+  return out;
+}
+
+/**
+ * Aplica una capa de timeouts sobre los actuales.
+ * Una duración sola fija el total; la inactividad nunca supera el total.
+ */
+function applyTimeouts(current, overrides) {
+  const result = { ...current };
+  for (const [rawPhase, value] of Object.entries(overrides)) {
+    const phase = rawPhase.toUpperCase();
+    if (!PHASE_ORDER.includes(phase)) {
+      throw new Error(`Timeout para fase desconocida: '${rawPhase}'`);
+    }
+    const prev = result[phase];
+    if (value && typeof value === 'object') {
+      const total = value.total != null ? parseDuration(value.total) : prev.total;
+      const inactivity = value.inactivity != null ? parseDuration(value.inactivity) : Math.min(prev.inactivity, total);
+      result[phase] = { total, inactivity: Math.min(inactivity, total) };
+    } else {
+      const total = parseDuration(value);
+      result[phase] = { total, inactivity: Math.min(prev.inactivity, total) };
+    }
+  }
+  return result;
+}
+
+/**
+ * Une varias capas de config `pipeline` (global, proyecto...).
+ * Las claves `timeouts` y `types` se mezclan en lugar de reemplazarse.
+ */
+function mergePipelineConfig(...layers) {
+  const merged = { timeouts: {}, types: {} };
+  for (const layer of layers) {
+    if (!layer) continue;
+    const { timeouts, types, ...rest } = layer;
+    Object.assign(merged, rest);
+    Object.assign(merged.timeouts, timeouts || {});
+    for (const [type, cfg] of Object.entries(types || {})) {
+      merged.types[type] = { ...(merged.types[type] || {}), ...cfg };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Calcula el pipeline efectivo de una tarea.
+ *
+ * @param {Object} config - `pipeline` ya mezclado (mergePipelineConfig)
+ * @param {Object} task - tarea (frontmatter incluido)
+ * @param {Object} defaults - { timeouts: {PLAN:{total,inactivity},...}, maxIterations }
+ * @returns {{ phases: string[], maxIterations: number, timeouts: Object, decompose: boolean, approve: string[], source: string[] }}
+ */
+function resolvePipeline(config = {}, task = {}, defaults = {}) {
+  const typeLayer = { ...(DEFAULT_TYPES[task.type] || {}), ...(config.types?.[task.type] || {}) };
+  const layers = [
+    ['config', config],
+    [`type:${task.type}`, typeLayer],
+    ['tarea', task],
+  ];
+
+  let phases = [...PHASE_ORDER];
+  let maxIterations = defaults.maxIterations || 3;
+  let timeouts = { ...defaults.timeouts };
+  let decompose = false;
+  let approve = [];
+  const source = [];
+
+  for (const [name, layer] of layers) {
+    if (!layer) continue;
+    let touched = false;
+    if (layer.phases != null) {
+      phases = normalizePhases(layer.phases);
+      touched = true;
+    }
+    if (layer.maxIterations != null) {
+      const n = parseInt(layer.maxIterations, 10);
+      if (!(n >= 1)) throw new Error(`maxIterations inválido: '${layer.maxIterations}'`);
+      maxIterations = n;
+      touched = true;
+    }
+    if (layer.decompose != null) {
+      decompose = layer.decompose === true || layer.decompose === 'true';
+      touched = true;
+    }
+    if (layer.approve != null) {
+      approve = normalizeApprove(layer.approve);
+      touched = true;
+    }
+    const layerTimeouts = collectTimeouts(layer);
+    if (Object.keys(layerTimeouts).length) {
+      timeouts = applyTimeouts(timeouts, layerTimeouts);
+      touched = true;
+    }
+    if (touched) source.push(name);
+  }
+
+  return { phases, maxIterations, timeouts, decompose, approve, source };
+}
+
+module.exports = {
+  PHASE_ORDER,
+  APPROVAL_PHASES,
+  parseDuration,
+  normalizePhases,
+  normalizeApprove,
+  mergePipelineConfig,
+  resolvePipeline,
+};
@@ -0,0 +1,120 @@
+/**
+ * prompt-templates.js — Prompts de fase personalizables por proyecto
+ *
+ * Un proyecto puede traer sus propios prompts en {kanbanPath}/prompts/:
+ *   plan.md, code.md, review.md, test.md, scope.md, resolve.md
+ *   review.bug.md, code.architecture.md ...   ← variantes por task.type
+ *
+ * Búsqueda para una fase: `{fase}.{tipo}.md` → `{fase}.md` → prompt built-in.
+ *
+ * Sintaxis:
+ *   {{task.title}}  {{plan}}  {{feedback}}      → valor (vacío si no existe)
+ *   {{#feedback}} ... {{/feedback}}             → bloque solo si hay valor
+ *   {{^feedback}} ... {{/feedback}}             → bloque solo si NO hay valor
+ *
+ * Variables: task.* (todo el frontmatter + content), projectPath, projectInfo,
+ * projectContext, previousAttempts, plan, feedback, codeSummary, contextFile,
+ * iteration, phase; en resolve también files, conflicts y baseBranch.
+ *
+ * El template debe pedir el marcador de la fase (PLAN:, RESULTADO:, REVIEW:,
+ * TESTS:, SCOPE:, RESUELTO:) en la última línea; si falta se avisa pero se usa igual.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = 'prompts';
+
+const PHASE_MARKERS = {
+  plan: 'PLAN:',
+  code: 'RESULTADO:',
+  review: 'REVIEW:',
+  test: 'TESTS:',
+  scope: 'SCOPE:',
+  resolve: 'RESUELTO:',
+};
+
+function getPromptsDir(kanbanPath) {
+  return path.join(kanbanPath, PROMPTS_DIR);
+}
+
+/**
+ * Busca el template de una fase para un tipo de tarea.
+ * @returns {{ file: string, template: string } | null}
+ */
+function findTemplate(kanbanPath, phase, type) {
+  if (!kanbanPath) return null;
+  const dir = getPromptsDir(kanbanPath);
+  const name = String(phase).toLowerCase();
+  const candidates = type ? [`${name}.${String(type).toLowerCase()}.md`, `${name}.md`] : [`${name}.md`];
+  for (const file of candidates) {
+    const full = path.join(dir, file);
+    if (fs.existsSync(full)) {
+      return { file: full, template: fs.readFileSync(full, 'utf8') };
+    }
+  }
+  return null;
+}
+
+function lookup(vars, key) {
+  return key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), vars);
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+function stringify(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Renderiza un template con {{var}}, {{#var}}…{{/var}} y {{^var}}…{{/var}}.
+ */
+function renderTemplate(template, vars = {}) {
+  const sections = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+  let out = String(template);
+  let previous;
+  // Repetir para resolver secciones anidadas
+  do {
+    previous = out;
+    out = out.replace(sections, (_, kind, key, body) => {
+      const empty = isEmpty(lookup(vars, key));
+      return (kind === '#' ? !empty : empty) ? body : '';
+    });
+  } while (out !== previous);
+
+  return out.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => stringify(lookup(vars, key)));
+}
+
+/**
+ * Devuelve el prompt de una fase: template del proyecto si existe,
+ * si no el built-in.
+ *
+ * @param {string} phase - plan | code | review | test | scope | resolve
+ * @param {Object} vars - variables para el template
+ * @param {Function} builtin - () => string con el prompt por defecto
+ * @returns {{ prompt: string, file: string|null, warning: string|null }}
+ */
+function resolvePrompt(kanbanPath, phase, vars, builtin) {
+  const found = findTemplate(kanbanPath, phase, vars.task?.type);
+  if (!found) return { prompt: builtin(), file: null, warning: null };
+
+  const prompt = renderTemplate(found.template, { ...vars, phase: String(phase).toUpperCase() });
+  const marker = PHASE_MARKERS[String(phase).toLowerCase()];
+  const warning = marker && !prompt.includes(marker)
+    ? `${path.basename(found.file)} no pide el marcador ${marker} — el resultado se evaluará por exit code`
+    : null;
+  return { prompt, file: found.file, warning };
+}
+
+module.exports = {
+  PHASE_MARKERS,
+  getPromptsDir,
+  findTemplate,
+  renderTemplate,
+  resolvePrompt,
+};
@@ -0,0 +1,241 @@
+/**
+ * query.js — Lenguaje de consulta para filtrar tareas y vistas guardadas
+ *
+ *   type:bug priority:alta label:auth -label:wip created:>2026-01-01 has:lastError
+ *
+ * Cada término es `campo:valor`; todos deben cumplirse (AND). Un `-` delante
+ * lo niega, las comas dan alternativas (type:bug,fix) y las comillas admiten
+ * espacios (label:"needs review"). Un término sin campo busca en el título
+ * y la descripción.
+ *
+ *   type, priority, column (status), label, id     igualdad (sin mayúsculas)
+ *   created, started, completed, scheduled         fechas: >, >=, <, <=, =
+ *   iterations, retries                            números: >, >=, <, <=, =
+ *   has:campo                                      el campo existe y no está vacío
+ *
+ * Las vistas guardadas (nombre → consulta) viven en kanban/views.json de
+ * cada proyecto.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KANBAN_PATH } = require('./task');
+
+// Campo de la consulta → campo del frontmatter
+const TEXT_FIELDS = { type: 'type', priority: 'priority', column: 'column', status: 'column', id: 'id' };
+const DATE_FIELDS = { created: 'createdAt', started: 'startedAt', completed: 'completedAt', scheduled: 'scheduledAt' };
+const NUMBER_FIELDS = { iterations: 'iterations', retries: 'retryCount' };
+const LIST_FIELDS = { label: 'labels', labels: 'labels' };
+const FIELDS = ['has', ...Object.keys(TEXT_FIELDS), ...Object.keys(DATE_FIELDS), ...Object.keys(NUMBER_FIELDS), ...Object.keys(LIST_FIELDS)];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─────────────────────────────────────────────
+// PARSER
+// ─────────────────────────────────────────────
+
+/**
+ * Separa la consulta en términos respetando las comillas.
+ */
+function splitTerms(query) {
+  return String(query || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+}
+
+function unquote(value) {
+  return value.replace(/"/g, '');
+}
+
+/**
+ * `>2026-01-01` → { op: '>', value: '2026-01-01' }
+ */
+function splitComparison(raw) {
+  const [, op = '=', value] = raw.match(/^(>=|<=|>|<|=)?(.*)$/);
+  return { op, value };
+}
+
+function parseTerm(raw) {
+  const negate = raw.length > 1 && raw.startsWith('-');
+  const body = negate ? raw.slice(1) : raw;
+  const match = body.match(/^([a-zA-Z]+):(.*)$/);
+
+  if (!match) return { kind: 'text', negate, values: [unquote(body).toLowerCase()] };
+
+  const field = match[1].toLowerCase();
+  const rawValue = unquote(match[2]);
+  if (!FIELDS.includes(field)) {
+    throw new Error(`Campo desconocido en la consulta: ${field} (válidos: ${FIELDS.join(', ')})`);
+  }
+  if (!rawValue) throw new Error(`Falta el valor de ${field}: en la consulta`);
+
+  if (field === 'has') return { kind: 'has', field: rawValue, negate };
+
+  if (DATE_FIELDS[field]) {
+    const { op, value } = splitComparison(rawValue);
+    if (Number.isNaN(new Date(value).getTime())) throw new Error(`Fecha inválida en ${field}: ${value}`);
+    return { kind: 'date', field: DATE_FIELDS[field], op, value, negate };
+  }
+
+  if (NUMBER_FIELDS[field]) {
+    const { op, value } = splitComparison(rawValue);
+    if (!/^\d+$/.test(value)) throw new Error(`Número inválido en ${field}: ${value}`);
+    return { kind: 'number', field: NUMBER_FIELDS[field], op, value: Number(value), negate };
+  }
+
+  const values = rawValue.split(',').filter(Boolean).map(v => v.toLowerCase());
+  if (LIST_FIELDS[field]) return { kind: 'list', field: LIST_FIELDS[field], values, negate };
+  return { kind: 'text-field', field: TEXT_FIELDS[field], values, negate };
+}
+
+/**
+ * @param {string} query
+ * @returns {Object[]} términos; lanza Error si la consulta no es válida
+ */
+function parseQuery(query) {
+  return splitTerms(query).map(parseTerm);
+}
+
+// ─────────────────────────────────────────────
+// EVALUACIÓN
+// ─────────────────────────────────────────────
+
+function compare(a, op, b) {
+  switch (op) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return a === b;
+  }
+}
+
+/**
+ * Fecha de la tarea contra la de la consulta. Una fecha sin hora cuenta como
+ * el día entero: created:<=2026-01-31 incluye el 31 y created:2026-01-31 es ese día.
+ */
+function matchDate(taskValue, op, value) {
+  if (!taskValue) return false;
+  const time = new Date(taskValue).getTime();
+  if (Number.isNaN(time)) return false;
+  const start = new Date(value).getTime();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return compare(time, op, start);
+
+  const end = start + DAY_MS;
+  switch (op) {
+    case '>': return time >= end;
+    case '>=': return time >= start;
+    case '<': return time < start;
+    case '<=': return time < end;
+    default: return time >= start && time < end;
+  }
+}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== '';
+}
+
+function matchTerm(task, term) {
+  switch (term.kind) {
+    case 'text': {
+      const text = `${task.title || ''}\n${task.content || ''}`.toLowerCase();
+      return text.includes(term.values[0]);
+    }
+    case 'text-field': {
+      const value = String(task[term.field] ?? '').toLowerCase();
+      if (term.field === 'id') return term.values.some(v => v.padStart(3, '0') === value.padStart(3, '0'));
+      return term.values.includes(value);
+    }
+    case 'list': {
+      const values = (Array.isArray(task[term.field]) ? task[term.field] : []).map(v => String(v).toLowerCase());
+      return term.values.some(v => values.includes(v));
+    }
+    case 'date':
+      return matchDate(task[term.field], term.op, term.value);
+    case 'number':
+      return compare(Number(task[term.field]) || 0, term.op, term.value);
+    case 'has':
+      return isPresent(task[term.field]);
+    default:
+      return false;
+  }
+}
+
+/**
+ * @param {Object} task - tarea parseada (con `column`)
+ * @param {string|Object[]} query - consulta o términos de parseQuery()
+ */
+function matchesQuery(task, query) {
+  const terms = typeof query === 'string' ? parseQuery(query) : query;
+  return terms.every(term => matchTerm(task, term) !== term.negate);
+}
+
+/**
+ * Filtra las tareas agrupadas por columna (formato de getTasks) con una consulta.
+ */
+function filterTasks(tasksByColumn, query) {
+  const terms = parseQuery(query);
+  return Object.fromEntries(
+    Object.entries(tasksByColumn).map(([column, tasks]) => [column, tasks.filter(task => matchesQuery({ column, ...task }, terms))])
+  );
+}
+
+// ─────────────────────────────────────────────
+// VISTAS GUARDADAS
+// ─────────────────────────────────────────────
+
+function viewsFile(kanbanPath) {
+  return path.join(kanbanPath || KANBAN_PATH, 'views.json');
+}
+
+/**
+ * @returns {{ name: string, query: string }[]}
+ */
+function getViews(kanbanPath = KANBAN_PATH) {
+  try {
+    const views = JSON.parse(fs.readFileSync(viewsFile(kanbanPath), 'utf8'));
+    return Array.isArray(views) ? views.filter(v => v && v.name && typeof v.query === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeViews(views, kanbanPath) {
+  fs.mkdirSync(kanbanPath || KANBAN_PATH, { recursive: true });
+  fs.writeFileSync(viewsFile(kanbanPath), JSON.stringify(views, null, 2), 'utf8');
+}
+
+/**
+ * Crea o reemplaza una vista. La consulta se valida antes de guardarla.
+ */
+function saveView(name, query, kanbanPath = KANBAN_PATH) {
+  const viewName = String(name || '').trim();
+  if (!viewName) throw new Error('La vista necesita un nombre');
+  parseQuery(query);
+  const view = { name: viewName, query: String(query).trim() };
+  const views = getViews(kanbanPath).filter(v => v.name !== viewName);
+  writeViews([...views, view], kanbanPath);
+  return view;
+}
+
+function deleteView(name, kanbanPath = KANBAN_PATH) {
+  const views = getViews(kanbanPath);
+  if (!views.some(v => v.name === name)) throw new Error(`Vista no encontrada: ${name}`);
+  writeViews(views.filter(v => v.name !== name), kanbanPath);
+}
+
+/**
+ * Consulta de una vista guardada, o null.
+ */
+function getViewQuery(name, kanbanPath = KANBAN_PATH) {
+  return getViews(kanbanPath).find(v => v.name === name)?.query ?? null;
+}
+
+module.exports = {
+  parseQuery,
+  matchesQuery,
+  filterTasks,
+  getViews,
+  saveView,
+  deleteView,
+  getViewQuery,
+};
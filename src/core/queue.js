@@ -0,0 +1,201 @@
+/**
+ * queue.js — Orden en que el motor coge las tareas de TODO
+ *
+ * Políticas:
+ *   priority  prioridad (alta → baja) y, a igual prioridad, la más antigua; entre
+ *             tareas con `order` (arrastradas en la UI), ese orden        (default)
+ *   fair      reparto por etiqueta (la primera de cada tarea) según `weights`
+ *   order     el orden del tablero: campo `order` (arrastrar en la UI) o, sin él, el ID
+ *   fifo      por nombre de archivo (= ID), el comportamiento antiguo
+ *
+ * Config (cada capa sobrescribe a la anterior, como verify):
+ *   kanban.config.js             scheduling: { policy: 'fair', weights: { backend: 2, ui: 1 } }
+ *   projects[nombre].scheduling  igual que arriba
+ *
+ * Un string equivale a { policy }. `policy` también puede ser una función
+ * (tasks, ctx) → tasks ordenadas, o el nombre de una registrada con
+ * registerPolicy(). `agingHours` sube un nivel de prioridad por cada N horas
+ * de espera para que las tareas baja no esperen para siempre.
+ *
+ * Las tareas bloqueadas o programadas para más tarde se ordenan igual; el
+ * motor las salta al recorrer la cola.
+ */
+
+const path = require('path');
+const { taskRank } = require('./task');
+
+const PRIORITY_RANK = { alta: 0, media: 1, baja: 2 };
+const DEFAULT_RANK = PRIORITY_RANK.media;
+const NO_LABEL = 'sin etiqueta';
+
+// ─────────────────────────────────────────────
+// COMPARADORES
+// ─────────────────────────────────────────────
+
+const idNumber = (task) => parseInt(task.id, 10) || 0;
+const fileKey = (task) => (task.filePath ? path.basename(task.filePath) : String(task.id));
+
+/**
+ * Momento de entrada en la cola: createdAt, o el ID si no lo tiene.
+ */
+function taskTime(task) {
+  const time = task.createdAt ? new Date(task.createdAt).getTime() : NaN;
+  return Number.isNaN(time) ? idNumber(task) : time;
+}
+
+/**
+ * Rango de prioridad (0 = alta). Con agingHours, cada N horas de espera
+ * suben un nivel, sin pasar de alta.
+ */
+function priorityRank(task, { agingHours = null, now = Date.now() } = {}) {
+  const rank = PRIORITY_RANK[task.priority] ?? DEFAULT_RANK;
+  if (!agingHours || !task.createdAt) return rank;
+  const waited = (now - taskTime(task)) / (agingHours * 3600 * 1000);
+  return Math.max(0, rank - Math.max(0, Math.floor(waited)));
+}
+
+const byId = (a, b) => idNumber(a) - idNumber(b);
+
+/**
+ * `order` explícito de la tarea (arrastrada en el tablero), o null.
+ */
+function manualOrder(task) {
+  return task.order != null && task.order !== '' && Number.isFinite(Number(task.order)) ? Number(task.order) : null;
+}
+
+/**
+ * Prioridad; dentro de cada nivel, las tareas arrastradas en el tablero se
+ * comparan por su `order` y, si alguna de las dos no lo tiene, por antigüedad.
+ */
+function byPriorityThenOrder(ctx) {
+  return (a, b) => {
+    const orderA = manualOrder(a);
+    const orderB = manualOrder(b);
+    return priorityRank(a, ctx) - priorityRank(b, ctx) ||
+      (orderA !== null && orderB !== null ? orderA - orderB : 0) ||
+      taskTime(a) - taskTime(b) ||
+      byId(a, b);
+  };
+}
+
+// ─────────────────────────────────────────────
+// POLÍTICAS
+// ─────────────────────────────────────────────
+
+const POLICIES = {
+  fifo: (tasks) => [...tasks].sort((a, b) => fileKey(a).localeCompare(fileKey(b)) || byId(a, b)),
+
+  priority: (tasks, ctx) => [...tasks].sort(byPriorityThenOrder(ctx)),
+
+  order: (tasks) => [...tasks].sort((a, b) => taskRank(a) - taskRank(b) || fileKey(a).localeCompare(fileKey(b))),
+
+  /**
+   * Reparto justo ponderado: cada vez toca la etiqueta con menos tareas
+   * servidas en proporción a su peso. Las tareas ya en curso cuentan como
+   * servidas para no acaparar los workers con una sola etiqueta.
+   */
+  fair: (tasks, ctx) => {
+    const weights = ctx.weights || {};
+    const weightOf = (label) => Number(weights[label] ?? weights['*'] ?? 1) || 1;
+    const labelOf = (task) => (Array.isArray(task.labels) && task.labels[0]) || NO_LABEL;
+
+    const groups = new Map();
+    for (const task of POLICIES.priority(tasks, ctx)) {
+      const label = labelOf(task);
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(task);
+    }
+    const served = new Map([...groups.keys()].map(label => [label, 0]));
+    for (const task of ctx.inProgress || []) {
+      const label = labelOf(task);
+      if (served.has(label)) served.set(label, served.get(label) + 1);
+    }
+
+    const result = [];
+    const compare = byPriorityThenOrder(ctx);
+    while (groups.size > 0) {
+      let best = null;
+      for (const [label, queue] of groups) {
+        const share = served.get(label) / weightOf(label);
+        if (!best || share < best.share || (share === best.share && compare(queue[0], best.queue[0]) < 0)) {
+          best = { label, queue, share };
+        }
+      }
+      result.push(best.queue.shift());
+      served.set(best.label, served.get(best.label) + 1);
+      if (best.queue.length === 0) groups.delete(best.label);
+    }
+    return result;
+  },
+};
+
+/**
+ * Registra una política propia: fn(tasks, ctx) → tasks ordenadas.
+ */
+function registerPolicy(name, fn) {
+  if (typeof fn !== 'function') throw new Error(`La política '${name}' debe ser una función`);
+  POLICIES[name] = fn;
+}
+
+// ─────────────────────────────────────────────
+// CONFIG Y ORDEN
+// ─────────────────────────────────────────────
+
+/**
+ * Une capas de config `scheduling` en { policy, weights, agingHours }.
+ */
+function resolveSchedulingConfig(...layers) {
+  const result = { policy: 'priority', weights: {}, agingHours: null };
+  for (const layer of layers) {
+    if (layer == null) continue;
+    if (typeof layer === 'string' || typeof layer === 'function') {
+      result.policy = layer;
+      continue;
+    }
+    if (typeof layer !== 'object') {
+      throw new Error(`Config scheduling inválida: ${JSON.stringify(layer)}`);
+    }
+    if (layer.policy !== undefined) result.policy = layer.policy || 'priority';
+    if (layer.weights !== undefined) result.weights = { ...(layer.weights || {}) };
+    if (layer.agingHours !== undefined) result.agingHours = Number(layer.agingHours) > 0 ? Number(layer.agingHours) : null;
+  }
+  if (typeof result.policy === 'string' && !POLICIES[result.policy]) {
+    throw new Error(`Política de planificación desconocida: '${result.policy}' (disponibles: ${Object.keys(POLICIES).join(', ')})`);
+  }
+  return result;
+}
+
+/**
+ * Ordena las tareas de TODO según la política configurada.
+ * @param {Object[]} tasks
+ * @param {Object} [scheduling] - resultado de resolveSchedulingConfig()
+ * @param {Object} [ctx] - { inProgress: tareas en curso, now }
+ * @returns {Object[]} copia ordenada
+ */
+function orderQueue(tasks, scheduling = resolveSchedulingConfig(), ctx = {}) {
+  const policy = typeof scheduling.policy === 'function' ? scheduling.policy : POLICIES[scheduling.policy];
+  const ordered = policy([...tasks], {
+    weights: scheduling.weights || {},
+    agingHours: scheduling.agingHours || null,
+    inProgress: ctx.inProgress || [],
+    now: ctx.now ?? Date.now(),
+  });
+  if (!Array.isArray(ordered)) throw new Error('La política de planificación no devolvió un array de tareas');
+  return ordered;
+}
+
+/**
+ * Nombre legible de la política (para logs y `list --queue`).
+ */
+function policyName(scheduling) {
+  if (typeof scheduling.policy === 'function') return scheduling.policy.name || 'personalizada';
+  return scheduling.policy;
+}
+
+module.exports = {
+  PRIORITY_RANK,
+  registerPolicy,
+  resolveSchedulingConfig,
+  orderQueue,
+  policyName,
+};
@@ -0,0 +1,296 @@
+/**
+ * schedule.js — Tareas programadas y recurrentes
+ *
+ * Campos del frontmatter:
+ *   scheduledAt: '2026-03-02T02:00:00'   el motor no la coge de TODO antes de esa hora
+ *   recurrence:  '0 2 * * 1'             cron de 5 campos (min hora día mes díaSemana)
+ *   template:    dependency-audit        opcional: kanban/templates/dependency-audit.md
+ *
+ * Cuando una tarea con `recurrence` llega a DONE el motor crea una copia
+ * nueva (siguiente ID) en TODO con scheduledAt = próxima ejecución del cron.
+ * El contenido sale de la plantilla si la hay; si no, de la propia tarea.
+ *
+ * Cron: *, listas (1,15), rangos (1-5), pasos (0/15, 0-30/10), nombres
+ * (mon-fri, jan-dec) y los atajos @hourly @daily @weekly @monthly @yearly.
+ * Las horas se interpretan en la zona horaria local del motor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { nextId } = require('./id-generator');
+const { generateBranchName } = require('./task');
+const { createTask } = require('../kanban/board');
+const { getBoardSchema } = require('./workflow');
+const { MOTOR_AUTHOR } = require('./activity');
+const { resetCriteria } = require('./criteria');
+
+const MACROS = {
+  '@yearly':   '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly':  '0 0 1 * *',
+  '@weekly':   '0 0 * * 0',
+  '@daily':    '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly':   '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minuto',        min: 0, max: 59 },
+  { name: 'hora',          min: 0, max: 23 },
+  { name: 'día del mes',   min: 1, max: 31 },
+  { name: 'mes',           min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'día de semana', min: 0, max: 7,  names: DAY_NAMES, offset: 0 },
+];
+
+// Cota de búsqueda de nextRun (p.ej. '0 0 30 2 *' nunca ocurre)
+const MAX_YEARS_AHEAD = 5;
+
+// Campos de ejecución que no se copian a la siguiente ocurrencia
+const RUN_FIELDS = [
+  'id', 'status', 'branch', 'createdAt', 'startedAt', 'completedAt', 'scheduledAt',
+  'iterations', 'retryCount', 'lastAttemptAt', 'lastError', 'lastErrorAt', 'lastErrorPhase',
+  'prUrl', 'prNumber', 'prProvider', 'prState', 'nextOccurrence',
+  'order', // la nueva ocurrencia entra al final de la cola, no en el hueco de la anterior
+  'children', 'parent', // las subtareas eran de esa ejecución: la nueva empieza sin dividir
+  'failedCriteria', // veredicto de SCOPE de la ejecución anterior
+  'approval', // el plan aprobado vale para una sola ejecución: la nueva vuelve a pedirlo
+  'importKey', // identifica la tarea importada; dos tareas con la misma clave rompen la reimportación
+];
+
+// ─────────────────────────────────────────────
+// CRON
+// ─────────────────────────────────────────────
+
+function parseValue(raw, field, expr) {
+  const lower = raw.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const value = named >= 0 ? named + field.offset : Number(raw);
+  if (!/^\d+$/.test(raw) && named < 0) {
+    throw new Error(`Cron inválido "${expr}": valor "${raw}" no válido en ${field.name}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(`Cron inválido "${expr}": ${field.name} fuera de rango (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function parseField(raw, field, expr) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Cron inválido "${expr}": paso "${stepRaw}" no válido en ${field.name}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field, expr);
+      to = parseValue(b, field, expr);
+      if (from > to) throw new Error(`Cron inválido "${expr}": rango ${range} invertido en ${field.name}`);
+    } else {
+      from = parseValue(range, field, expr);
+      to = stepRaw === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parsea una expresión cron de 5 campos.
+ * @returns {{ minutes, hours, days, months, weekdays, anyDay, anyWeekday }} sets de valores
+ */
+function parseCron(expr) {
+  if (typeof expr !== 'string' || !expr.trim()) {
+    throw new Error(`Cron inválido: ${JSON.stringify(expr)}`);
+  }
+  const source = MACROS[expr.trim().toLowerCase()] || expr.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron inválido "${expr}": se esperaban 5 campos (min hora día mes díaSemana)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i], expr));
+  // 7 también es domingo
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes, hours, days, months, weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+/**
+ * Como en cron: si día del mes y día de semana están restringidos basta
+ * con que coincida uno de los dos.
+ */
+function dayMatches(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/**
+ * Próxima ejecución estrictamente posterior a `from` (hora local).
+ * @returns {Date}
+ */
+function nextRun(expr, from = new Date()) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_YEARS_AHEAD);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  throw new Error(`Cron "${typeof expr === 'string' ? expr : '?'}" no tiene ejecuciones en los próximos ${MAX_YEARS_AHEAD} años`);
+}
+
+// ─────────────────────────────────────────────
+// TAREAS PROGRAMADAS
+// ─────────────────────────────────────────────
+
+/**
+ * Fecha de scheduledAt, o null si no tiene (o no es una fecha válida).
+ * gray-matter devuelve Date para fechas YAML sin comillas.
+ */
+function scheduledDate(task) {
+  if (!task?.scheduledAt) return null;
+  const date = new Date(task.scheduledAt);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @returns {boolean} true si la tarea no está programada o ya toca
+ */
+function isDue(task, now = new Date()) {
+  const date = scheduledDate(task);
+  return !date || date <= now;
+}
+
+/**
+ * Valida y normaliza los campos de programación al crear o editar una tarea.
+ * Una tarea recurrente sin scheduledAt se programa para la próxima
+ * ejecución del cron. Solo devuelve las claves presentes en `fields`
+ * (null/'' las borra).
+ * @returns {{ scheduledAt?, recurrence?, template? }}
+ */
+function normalizeSchedule(fields = {}, now = new Date()) {
+  const result = {};
+  if (fields.recurrence !== undefined) {
+    result.recurrence = fields.recurrence ? String(fields.recurrence).trim() : null;
+    if (result.recurrence) parseCron(result.recurrence);
+  }
+  if (fields.scheduledAt !== undefined) {
+    if (fields.scheduledAt) {
+      const date = new Date(fields.scheduledAt);
+      if (Number.isNaN(date.getTime())) throw new Error(`Fecha scheduledAt inválida: ${fields.scheduledAt}`);
+      result.scheduledAt = date.toISOString();
+    } else {
+      result.scheduledAt = null;
+    }
+  }
+  if (result.recurrence && !result.scheduledAt) {
+    result.scheduledAt = nextRun(result.recurrence, now).toISOString();
+  }
+  if (fields.template !== undefined) {
+    result.template = fields.template ? String(fields.template).trim() : null;
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────
+// TAREAS RECURRENTES
+// ─────────────────────────────────────────────
+
+/**
+ * Lee kanban/templates/<nombre>.md.
+ * @returns {{ data: Object, content: string }}
+ */
+function loadTemplate(name, kanbanPath) {
+  const file = path.join(kanbanPath, 'templates', `${String(name).replace(/\.md$/, '')}.md`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Plantilla no encontrada: ${path.relative(kanbanPath, file)}`);
+  }
+  const { data, content } = matter(fs.readFileSync(file, 'utf8'));
+  return { data, content: content.trim() };
+}
+
+/**
+ * Crea en TODO la siguiente ocurrencia de una tarea recurrente, programada
+ * para la próxima ejecución de su cron.
+ * @returns {Object|null} la tarea creada, o null si la tarea no es recurrente
+ */
+function spawnNextOccurrence(task, kanbanPath, now = new Date()) {
+  if (!task?.recurrence) return null;
+  const when = nextRun(String(task.recurrence), now);
+
+  const source = task.template
+    ? loadTemplate(task.template, kanbanPath)
+    : { data: task, content: task.content };
+  const base = { ...source.data };
+  for (const key of [...RUN_FIELDS, 'content', 'filePath', 'column', 'fileName']) delete base[key];
+
+  const title = base.title || task.title;
+  const type = base.type || task.type || 'feature';
+
+  return createTask({
+    ...base,
+    id: nextId(kanbanPath),
+    title,
+    type,
+    priority: base.priority || task.priority || 'media',
+    branch: generateBranchName(type, title),
+    labels: Array.isArray(base.labels) ? base.labels : (base.labels ? [base.labels] : []),
+    recurrence: String(task.recurrence),
+    ...(task.template ? { template: task.template } : {}),
+    recurrenceOf: task.recurrenceOf || task.id,
+    scheduledAt: when.toISOString(),
+    // SCOPE ya marcó los criterios de esta ejecución: la siguiente empieza sin cumplir ninguno
+    content: resetCriteria(source.content || ''),
+  }, getBoardSchema(kanbanPath).motor.pickFrom, kanbanPath, { force: true, author: MOTOR_AUTHOR });
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  scheduledDate,
+  isDue,
+  normalizeSchedule,
+  loadTemplate,
+  spawnNextOccurrence,
+};
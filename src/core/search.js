@@ -0,0 +1,221 @@
+/**
+ * search.js — Búsqueda de texto en tareas, artefactos e historial
+ *
+ * Un SearchIndex por kanban indexa, por tarea:
+ *   - título, etiquetas y cuerpo del .md de la tarea
+ *   - artefactos de fase: .history/{id}/*.md (plan, code-iterN, scope...)
+ *   - resúmenes del historial: .history/{id}.json (ejecución y fases)
+ *
+ * Se construye la primera vez que se busca y después se actualiza por tarea:
+ * el watcher de la UI llama a refreshSearchIndex(archivo) con cada cambio.
+ *
+ * La búsqueda ignora mayúsculas y acentos; cada palabra de la consulta debe
+ * aparecer (como prefijo de una palabra) en algún documento de la tarea.
+ * Resultados agrupados por tarea, con el fragmento donde aparece cada match.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTasks, getTaskById } = require('../kanban/board');
+
+// Peso de cada tipo de documento en la puntuación
+const WEIGHTS = { task: 3, artifact: 1, history: 1 };
+// Bonus si todas las palabras están en el título
+const TITLE_BONUS = 10;
+const SNIPPET_CHARS = 160;
+
+/**
+ * Minúsculas y sin acentos, conservando la longitud (los fragmentos se
+ * recortan del texto original con las posiciones del texto plegado).
+ */
+function fold(text) {
+  return String(text || '').replace(/[^\u0000-\u007f]/g, c => c.normalize('NFD')[0]).toLowerCase();
+}
+
+function tokenize(text) {
+  return fold(text).split(/[^a-z0-9_]+/).filter(t => t.length >= 2);
+}
+
+function countTokens(text) {
+  const counts = new Map();
+  for (const token of tokenize(text)) counts.set(token, (counts.get(token) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Veces que aparece `term` como prefijo de alguna palabra del documento.
+ */
+function termHits(doc, term) {
+  let hits = 0;
+  for (const [token, count] of doc.tokens) {
+    if (token.startsWith(term)) hits += count;
+  }
+  return hits;
+}
+
+/**
+ * Fragmento del texto alrededor de la primera aparición de un término.
+ */
+function snippet(text, terms) {
+  const folded = fold(text);
+  const at = terms.map(t => folded.search(new RegExp(`(^|[^a-z0-9_])${t}`))).filter(i => i >= 0);
+  const index = at.length ? Math.min(...at) : 0;
+  const start = Math.max(0, index - 50);
+  const raw = text.slice(start, start + SNIPPET_CHARS).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${raw}${start + SNIPPET_CHARS < text.length ? '…' : ''}`;
+}
+
+/**
+ * ID de la tarea a la que pertenece un archivo del kanban, o null.
+ *   {columna}/{id}-slug.md · .history/{id}.json · .history/{id}/...
+ */
+function taskIdFromPath(kanbanPath, filePath) {
+  const parts = path.relative(kanbanPath, filePath).split(path.sep);
+  if (parts[0] === '..' || path.isAbsolute(parts[0])) return null;
+  if (parts[0] === '.history') {
+    const match = (parts.length === 2 ? parts[1] : parts[1] + '/').match(/^(\d+)(\.json|\/)$/);
+    return match ? match[1] : null;
+  }
+  const match = parts.length === 2 && parts[1].match(/^(\d+)-.*\.md$/);
+  return match ? match[1] : null;
+}
+
+class SearchIndex {
+  constructor(kanbanPath) {
+    this.kanbanPath = kanbanPath;
+    this.tasks = new Map(); // id → { meta, docs }
+    this.built = false;
+  }
+
+  /**
+   * (Re)indexa todas las tareas del tablero.
+   */
+  build() {
+    this.tasks.clear();
+    const byColumn = getTasks(null, this.kanbanPath);
+    for (const tasks of Object.values(byColumn)) {
+      for (const task of tasks) this.indexTask(task, task.column);
+    }
+    this.built = true;
+    return this;
+  }
+
+  /**
+   * Reindexa una tarea; si ya no existe la quita del índice.
+   */
+  refreshTask(taskId) {
+    const padded = String(taskId).padStart(3, '0');
+    this.tasks.delete(padded);
+    const found = getTaskById(padded, this.kanbanPath);
+    if (found) this.indexTask(found.task, found.column);
+  }
+
+  /**
+   * Reindexa la tarea a la que pertenece un archivo que cambió.
+   * @returns {boolean} si el archivo era de alguna tarea
+   */
+  refreshPath(filePath) {
+    const taskId = taskIdFromPath(this.kanbanPath, filePath);
+    if (!taskId) return false;
+    if (this.built) this.refreshTask(taskId);
+    return true;
+  }
+
+  indexTask(task, column) {
+    const id = String(task.id).padStart(3, '0');
+    const historyDir = path.join(this.kanbanPath, '.history');
+    const labels = Array.isArray(task.labels) ? task.labels : [];
+    const docs = [{
+      kind: 'task',
+      name: 'tarea',
+      text: [task.title, labels.join(' '), task.content].filter(Boolean).join('\n'),
+    }];
+
+    const artifactsDir = path.join(historyDir, id);
+    if (fs.existsSync(artifactsDir)) {
+      for (const file of fs.readdirSync(artifactsDir).filter(f => f.endsWith('.md')).sort()) {
+        try {
+          docs.push({ kind: 'artifact', name: file.replace(/\.md$/, ''), text: fs.readFileSync(path.join(artifactsDir, file), 'utf8') });
+        } catch {}
+      }
+    }
+
+    // Leído directamente: getHistory() puede reescribir el archivo al repararlo
+    try {
+      const history = JSON.parse(fs.readFileSync(path.join(historyDir, `${id}.json`), 'utf8'));
+      (Array.isArray(history) ? history : []).forEach((entry, i) => {
+        const phases = Object.values(entry.phases || {}).flat().map(p => p?.summary).filter(Boolean);
+        const text = [entry.summary, ...phases].filter(Boolean).join('\n');
+        if (text) docs.push({ kind: 'history', name: `ejecución ${i + 1} (${entry.result || '?'})`, text });
+      });
+    } catch {}
+
+    for (const doc of docs) doc.tokens = countTokens(doc.text);
+    this.tasks.set(id, {
+      meta: { id, title: task.title, column, type: task.type, priority: task.priority, labels },
+      titleTokens: countTokens(task.title),
+      docs,
+    });
+  }
+
+  /**
+   * @param {string} query - palabras a buscar
+   * @param {Object} [filters] - { column, type, label, limit }
+   * @returns {{ id, title, column, type, priority, labels, score, matches: {kind, name, snippet}[] }[]}
+   */
+  search(query, { column = null, type = null, label = null, limit = 20 } = {}) {
+    if (!this.built) this.build();
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const results = [];
+    for (const { meta, titleTokens, docs } of this.tasks.values()) {
+      if (column && meta.column !== column) continue;
+      if (type && meta.type !== type) continue;
+      if (label && !meta.labels.includes(label)) continue;
+
+      // Cada término debe estar en algún documento de la tarea
+      const perDoc = docs.map(doc => terms.map(term => termHits(doc, term)));
+      if (!terms.every((_, t) => perDoc.some(hits => hits[t] > 0))) continue;
+
+      const matches = [];
+      let score = 0;
+      docs.forEach((doc, d) => {
+        const hits = perDoc[d].reduce((a, b) => a + b, 0);
+        if (!hits) return;
+        score += hits * WEIGHTS[doc.kind];
+        matches.push({ kind: doc.kind, name: doc.name, snippet: snippet(doc.text, terms), hits });
+      });
+      if (terms.every(term => termHits({ tokens: titleTokens }, term) > 0)) score += TITLE_BONUS;
+
+      matches.sort((a, b) => b.hits - a.hits);
+      results.push({ ...meta, score, matches: matches.map(({ hits, ...m }) => m) });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    return results.slice(0, limit);
+  }
+}
+
+// Un índice por kanban (la UI puede cambiar de proyecto activo)
+const indexes = new Map();
+
+function getSearchIndex(kanbanPath) {
+  if (!indexes.has(kanbanPath)) indexes.set(kanbanPath, new SearchIndex(kanbanPath));
+  return indexes.get(kanbanPath);
+}
+
+/**
+ * Avisa a los índices abiertos de que un archivo cambió.
+ */
+function refreshSearchIndex(filePath) {
+  for (const index of indexes.values()) index.refreshPath(filePath);
+}
+
+module.exports = {
+  SearchIndex,
+  getSearchIndex,
+  refreshSearchIndex,
+  taskIdFromPath,
+  tokenize,
+};
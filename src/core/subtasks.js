@@ -0,0 +1,211 @@
+/**
+ * subtasks.js — Subtareas y descomposición automática en la fase PLAN
+ *
+ * Relación padre/hijas en el frontmatter:
+ *   padre:  children: ['013', '014', '015']
+ *   hija:   parent: '012'
+ *
+ * Con `decompose: true` en el pipeline (config, proyecto, tipo o frontmatter)
+ * la fase PLAN puede dividir una tarea grande. Antes de su línea PLAN escribe:
+ *
+ *   SUBTAREAS:
+ *   ```json
+ *   [
+ *     { "title": "Modelo de datos", "criteria": ["Migración creada"] },
+ *     { "title": "API REST", "dependsOn": [1] },
+ *     { "title": "Pantalla", "type": "feature", "priority": "alta", "dependsOn": [2] }
+ *   ]
+ *   ```
+ *
+ * `dependsOn` son posiciones (1 = la primera) dentro de la lista; sin
+ * `dependsOn` cada subtarea depende de la anterior (cadena). Las hijas se
+ * crean en TODO y el padre espera en TODO hasta que todas estén en DONE;
+ * entonces pasa a DONE sin volver a ejecutarse.
+ */
+
+const { writeTask, generateBranchName } = require('./task');
+const { nextId } = require('./id-generator');
+const { getTaskById, createTask, moveTask } = require('../kanban/board');
+const { getBoardSchema, allowedTargets } = require('./workflow');
+const { MOTOR_AUTHOR } = require('./activity');
+
+const MAX_SUBTASKS = 10;
+const VALID_TYPES = ['feature', 'fix', 'bug', 'architecture', 'chore', 'docs'];
+const VALID_PRIORITIES = ['alta', 'media', 'baja'];
+
+const padId = (id) => String(id).padStart(3, '0');
+
+// ─────────────────────────────────────────────
+// PARSEO DE LA SALIDA DE PLAN
+// ─────────────────────────────────────────────
+
+/**
+ * Extrae la lista de subtareas del bloque SUBTAREAS de la salida de PLAN.
+ * @returns {Object[]|null} specs normalizadas, o null si no hay bloque
+ * @throws si el bloque existe pero no es válido
+ */
+function parseSubtasks(output) {
+  const blocks = [...String(output || '').matchAll(/SUBTAREAS:\s*```(?:json)?\s*([\s\S]*?)```/g)];
+  if (blocks.length === 0) return null;
+
+  let list;
+  try {
+    list = JSON.parse(blocks[blocks.length - 1][1]);
+  } catch (err) {
+    throw new Error(`SUBTAREAS inválidas: JSON mal formado (${err.message})`);
+  }
+  return normalizeSubtasks(list);
+}
+
+/**
+ * Valida las specs y resuelve dependsOn a índices (base 0) dentro de la lista.
+ */
+function normalizeSubtasks(list) {
+  if (!Array.isArray(list) || list.length < 2) {
+    throw new Error('SUBTAREAS inválidas: debe ser una lista con al menos 2 subtareas');
+  }
+  if (list.length > MAX_SUBTASKS) {
+    throw new Error(`SUBTAREAS inválidas: máximo ${MAX_SUBTASKS} subtareas (recibidas ${list.length})`);
+  }
+
+  return list.map((spec, i) => {
+    const n = i + 1;
+    if (!spec || typeof spec.title !== 'string' || !spec.title.trim()) {
+      throw new Error(`SUBTAREAS inválidas: la subtarea ${n} no tiene title`);
+    }
+    const deps = spec.dependsOn === undefined ? (i > 0 ? [i] : []) : [].concat(spec.dependsOn ?? []);
+    for (const dep of deps) {
+      if (!Number.isInteger(dep) || dep < 1 || dep >= n) {
+        throw new Error(`SUBTAREAS inválidas: la subtarea ${n} depende de ${JSON.stringify(dep)} (solo de anteriores: 1..${n - 1})`);
+      }
+    }
+    return {
+      title: spec.title.trim(),
+      type: VALID_TYPES.includes(spec.type) ? spec.type : null,
+      priority: VALID_PRIORITIES.includes(spec.priority) ? spec.priority : null,
+      description: typeof spec.description === 'string' ? spec.description.trim() : '',
+      criteria: Array.isArray(spec.criteria) ? spec.criteria.map(String).filter(Boolean) : [],
+      dependsOn: deps.map(dep => dep - 1),
+    };
+  });
+}
+
+// ─────────────────────────────────────────────
+// CREACIÓN Y PROGRESO
+// ─────────────────────────────────────────────
+
+/**
+ * Añade `childId` a `children` del padre y fija `parent` en la hija.
+ */
+function linkChild(parentId, childId, kanbanPath) {
+  const parent = getTaskById(parentId, kanbanPath);
+  if (!parent) throw new Error(`Tarea padre ${parentId} no encontrada`);
+  const child = getTaskById(childId, kanbanPath);
+  if (!child) throw new Error(`Subtarea ${childId} no encontrada`);
+  if (padId(parentId) === padId(childId)) throw new Error('Una tarea no puede ser su propia subtarea');
+
+  const children = (parent.task.children || []).map(padId);
+  if (!children.includes(padId(childId))) {
+    writeTask({ ...parent.task, children: [...children, padId(childId)] }, parent.filePath);
+  }
+  if (padId(child.task.parent || '') !== padId(parentId)) {
+    writeTask({ ...child.task, parent: padId(parentId) }, child.filePath);
+  }
+}
+
+function subtaskContent(parent, spec, index, total) {
+  const criteria = spec.criteria.length > 0 ? spec.criteria : [spec.title];
+  return [
+    '# Descripción',
+    spec.description || spec.title,
+    '',
+    '# Contexto',
+    `Subtarea ${index + 1}/${total} de #${padId(parent.id)} — ${parent.title}`,
+    '',
+    '# Criterios de aceptación',
+    ...criteria.map(c => `- [ ] ${c}`),
+  ].join('\n');
+}
+
+/**
+ * Crea las subtareas en la columna de la que coge el motor, encadenadas por
+ * dependsOn, y las enlaza con el padre. No mueve al padre.
+ * @returns {Object[]} tareas creadas
+ */
+function createSubtasks(parent, specs, kanbanPath) {
+  const { pickFrom } = getBoardSchema(kanbanPath).motor;
+  const created = [];
+
+  specs.forEach((spec, i) => {
+    const type = spec.type || parent.type || 'feature';
+    // Generadas por el motor: no se pierden por el límite WIP de TODO
+    const task = createTask({
+      id: nextId(kanbanPath),
+      title: spec.title,
+      type,
+      priority: spec.priority || parent.priority || 'media',
+      branch: generateBranchName(type, spec.title),
+      labels: Array.isArray(parent.labels) ? parent.labels : [],
+      dependsOn: spec.dependsOn.map(dep => created[dep].id),
+      parent: padId(parent.id),
+      // Si el padre pedía aprobación del plan, cada hija también
+      ...(parent.approve != null ? { approve: parent.approve } : {}),
+      content: subtaskContent(parent, spec, i, specs.length),
+    }, pickFrom, kanbanPath, { force: true, author: MOTOR_AUTHOR });
+    created.push(task);
+  });
+
+  const found = getTaskById(parent.id, kanbanPath);
+  const children = [...(found.task.children || []).map(padId), ...created.map(t => padId(t.id))];
+  writeTask({ ...found.task, children }, found.filePath);
+  return created;
+}
+
+/**
+ * Progreso de las hijas de una tarea: { total, done, pending: [ids] }.
+ * Una hija borrada cuenta como pendiente.
+ */
+function childrenProgress(task, kanbanPath) {
+  const { success } = getBoardSchema(kanbanPath).motor;
+  const children = (Array.isArray(task.children) ? task.children : []).map(padId);
+  const pending = children.filter(id => getTaskById(id, kanbanPath)?.column !== success);
+  return { total: children.length, done: children.length - pending.length, pending };
+}
+
+/**
+ * Si la tarea es hija y todas sus hermanas están en DONE, mueve el padre a
+ * DONE (y así hacia arriba).
+ * @returns {Object[]} padres completados
+ */
+function completeParentIfDone(taskId, kanbanPath) {
+  const completed = [];
+  let current = getTaskById(taskId, kanbanPath)?.task;
+  const schema = getBoardSchema(kanbanPath);
+  const { success } = schema.motor;
+
+  while (current?.parent) {
+    const parent = getTaskById(current.parent, kanbanPath);
+    if (!parent || parent.column === success) break;
+    // Un padre fuera de las columnas del motor (p. ej. backlog) lo cierra quien lo gestiona
+    if (!allowedTargets(schema, parent.column).includes(success)) break;
+    const { total, pending } = childrenProgress(parent.task, kanbanPath);
+    if (total === 0 || pending.length > 0) break;
+
+    moveTask(parent.task.id, success, kanbanPath, { force: true, author: MOTOR_AUTHOR });
+    const moved = getTaskById(parent.task.id, kanbanPath);
+    writeTask({ ...moved.task, completedAt: new Date().toISOString() }, moved.filePath);
+    completed.push(moved.task);
+    current = moved.task;
+  }
+  return completed;
+}
+
+module.exports = {
+  MAX_SUBTASKS,
+  parseSubtasks,
+  normalizeSubtasks,
+  linkChild,
+  createSubtasks,
+  childrenProgress,
+  completeParentIfDone,
+};
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const { execSync } = require('child_process');
+const { getBoardSchema } = require('./workflow');
 
 let ws = null;
 let reconnectTimer = null;
@@ -143,10 +144,9 @@ function handleSyncRequest(msg, onSync) {
   
   console.log(chalk.cyan(`[Sync] Enviando tareas locales a ${msg.peerName || 'nuevo peer'}...`));
   
-  const COLUMNS = ['backlog', 'todo', 'in_progress', 'review', 'done'];
   const tasks = {};
   
-  for (const col of COLUMNS) {
+  for (const col of getBoardSchema(kanbanPath).ids) {
     const colPath = path.join(kanbanPath, col);
     if (!fs.existsSync(colPath)) continue;
     
@@ -253,6 +253,13 @@ function handleSyncMessage(msg) {
         }
       }
       break;
+
+    // Operación en lote: los mismos mensajes de arriba en uno solo
+    case 'task:batch':
+      for (const change of Array.isArray(msg.changes) ? msg.changes : []) {
+        if (change?.type !== 'task:batch') handleSyncMessage({ ...change, peerName });
+      }
+      break;
   }
 }
 
@@ -314,6 +321,15 @@ function broadcastTaskDeleted(taskId, column, filename) {
   });
 }
 
+/**
+ * Varios cambios de tareas en un solo mensaje (operaciones en lote).
+ * @param {Object[]} changes - { type: 'task:created' | 'task:moved' | 'task:updated' | 'task:deleted', ...campos del mensaje }
+ */
+function broadcastTaskBatch(changes) {
+  if (changes.length === 0) return;
+  broadcastChange('task:batch', { changes });
+}
+
 function requestSync() {
   if (!isConnected || !ws) {
     console.log(chalk.yellow(`[Sync] No conectado al relay`));
@@ -362,6 +378,7 @@ module.exports = {
   broadcastTaskMoved,
   broadcastTaskUpdated,
   broadcastTaskDeleted,
+  broadcastTaskBatch,
   getStatus,
   requestSync
 };
@@ -7,6 +7,7 @@ const path = require('path');
 const matter = require('gray-matter');
 const { slugify } = require('../utils');
 
+// Columnas por defecto; cada proyecto puede definir las suyas (ver workflow.js)
 const COLUMNS = ['backlog', 'todo', 'in_progress', 'review', 'done'];
 
 const KANBAN_PATH = process.env.KANBAN_PATH
@@ -87,11 +88,26 @@ function generateFileName(id, title) {
 }
 
 /**
- * Retorna la ruta a una columna del kanban
+ * Posición de la tarea dentro de su columna: el campo `order` si lo tiene
+ * (orden manual, admite decimales) o, si no, su número de ID. Así las
+ * tareas sin ordenar quedan en orden de creación y mover una carta solo
+ * reescribe su archivo.
+ * @param {Object} task
+ * @returns {number}
+ */
+function taskRank(task) {
+  if (task.order != null && task.order !== '' && Number.isFinite(Number(task.order))) return Number(task.order);
+  return parseInt(task.id, 10) || 0;
+}
+
+/**
+ * Retorna la ruta a una columna del kanban (columnas del tablero de ese kanban)
  */
 function getColumnPath(column, kanbanPath = KANBAN_PATH) {
-  if (!COLUMNS.includes(column)) {
-    throw new Error(`Columna inválida: ${column}. Válidas: ${COLUMNS.join(', ')}`);
+  // require diferido: workflow.js depende de este módulo
+  const { ids } = require('./workflow').getBoardSchema(kanbanPath);
+  if (!ids.includes(column)) {
+    throw new Error(`Columna inválida: ${column}. Válidas: ${ids.join(', ')}`);
   }
   return path.join(kanbanPath, column);
 }
@@ -103,6 +119,7 @@ module.exports = {
   generateFileName,
   getColumnPath,
   getKanbanPath,
+  taskRank,
   COLUMNS,
   KANBAN_PATH,
 };
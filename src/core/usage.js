@@ -0,0 +1,255 @@
+/**
+ * usage.js — Tokens y coste estimado por fase, tarea, proyecto y día
+ *
+ * Cada fase puede reportar su consumo de tres formas:
+ *   - adapter.run() devuelve { exitCode, usage }            (engine 'api')
+ *   - adapter.parseUsage(output, phase) → usage             (engines propios)
+ *   - línea JSON de resultado en el output del CLI          (claude --output-format json|stream-json)
+ *
+ * Formato normalizado (va en cada registro de fase del historial):
+ *   { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd, estimated, model }
+ *
+ * Si el engine no da el coste se estima con la tabla de precios (USD por
+ * millón de tokens, por subcadena del modelo). `pricing` en kanban.config.js
+ * añade o sobrescribe entradas.
+ *
+ * Presupuesto (cada capa sobrescribe a la anterior, como verify):
+ *   kanban.config.js         budget: { maxCostUsd: 5, maxTokens: 2000000 }
+ *   projects[nombre].budget  igual que arriba
+ *   frontmatter de la tarea  budget: 1.5   |  budget: false
+ *
+ * Un número equivale a { maxCostUsd }. Cuenta lo gastado en todas las
+ * ejecuciones de la tarea, no solo en la actual.
+ */
+
+const DEFAULT_PRICING = {
+  opus:   { input: 15, output: 75 },
+  sonnet: { input: 3,  output: 15 },
+  haiku:  { input: 1,  output: 5 },
+  '*':    { input: 3,  output: 15 }, // modelo desconocido
+};
+
+// Tokens de caché respecto al precio de entrada
+const CACHE_WRITE_FACTOR = 1.25;
+const CACHE_READ_FACTOR = 0.1;
+
+let pricing = { ...DEFAULT_PRICING };
+
+/**
+ * Añade o sobrescribe precios: { 'mi-modelo': { input, output } }.
+ */
+function setPricing(overrides = {}) {
+  pricing = { ...DEFAULT_PRICING, ...(overrides || {}) };
+  return pricing;
+}
+
+/**
+ * Precio del modelo: la clave más larga contenida en su nombre, o '*'.
+ */
+function priceFor(model) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(pricing)
+    .filter(key => key !== '*' && name.includes(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return pricing[match || '*'];
+}
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+function estimateCost({ inputTokens = 0, outputTokens = 0, cacheReadTokens = 0, cacheWriteTokens = 0 }, model) {
+  const price = priceFor(model);
+  return round((
+    inputTokens * price.input +
+    cacheWriteTokens * price.input * CACHE_WRITE_FACTOR +
+    cacheReadTokens * price.input * CACHE_READ_FACTOR +
+    outputTokens * price.output
+  ) / 1e6);
+}
+
+// ─────────────────────────────────────────────
+// NORMALIZACIÓN Y PARSEO
+// ─────────────────────────────────────────────
+
+/**
+ * Normaliza lo que reporta un engine: el objeto `usage` de la API de
+ * Anthropic, la línea de resultado del CLI de Claude
+ * ({ usage, total_cost_usd, modelUsage }) o el formato ya normalizado.
+ * @returns {Object|null} usage normalizado, o null si no hay datos
+ */
+function normalizeUsage(raw, model = null) {
+  if (!raw || typeof raw !== 'object') return null;
+  const u = raw.usage && typeof raw.usage === 'object' ? raw.usage : raw;
+  const num = (...values) => {
+    const found = values.find(v => v != null && Number.isFinite(Number(v)));
+    return found != null ? Number(found) : 0;
+  };
+
+  const tokens = {
+    inputTokens:      num(u.inputTokens, u.input_tokens, u.prompt_tokens),
+    outputTokens:     num(u.outputTokens, u.output_tokens, u.completion_tokens),
+    cacheReadTokens:  num(u.cacheReadTokens, u.cache_read_input_tokens),
+    cacheWriteTokens: num(u.cacheWriteTokens, u.cache_creation_input_tokens),
+  };
+  const reported = [raw.costUsd, raw.total_cost_usd, raw.cost_usd, u.costUsd]
+    .find(v => v != null && Number.isFinite(Number(v)));
+  const usedModel = raw.model || u.model
+    || (raw.modelUsage && Object.keys(raw.modelUsage)[0])
+    || model || null;
+
+  const hasTokens = Object.values(tokens).some(n => n > 0);
+  if (!hasTokens && reported == null) return null;
+
+  return {
+    ...tokens,
+    costUsd: reported != null ? round(Number(reported)) : estimateCost(tokens, usedModel),
+    estimated: typeof raw.estimated === 'boolean' ? raw.estimated : reported == null,
+    model: usedModel,
+  };
+}
+
+/**
+ * Busca en el output la última línea JSON con `usage` o `total_cost_usd`
+ * (resultado de `claude -p --output-format json|stream-json`).
+ * @returns {Object|null} usage normalizado
+ */
+function parseUsage(output) {
+  const lines = String(output || '').trim().split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (!line.startsWith('{') || !/"(usage|total_cost_usd)"/.test(line)) continue;
+    try {
+      const usage = normalizeUsage(JSON.parse(line));
+      if (usage) return usage;
+    } catch {}
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────
+// SUMAS
+// ─────────────────────────────────────────────
+
+/**
+ * Suma dos usages (cualquiera puede ser null).
+ */
+function addUsage(a, b) {
+  if (!a) return b ? { ...b } : null;
+  if (!b) return { ...a };
+  return {
+    inputTokens:      (a.inputTokens || 0) + (b.inputTokens || 0),
+    outputTokens:     (a.outputTokens || 0) + (b.outputTokens || 0),
+    cacheReadTokens:  (a.cacheReadTokens || 0) + (b.cacheReadTokens || 0),
+    cacheWriteTokens: (a.cacheWriteTokens || 0) + (b.cacheWriteTokens || 0),
+    costUsd:          round((a.costUsd || 0) + (b.costUsd || 0)),
+    estimated:        !!(a.estimated || b.estimated),
+    model:            a.model === b.model ? a.model : null,
+  };
+}
+
+/**
+ * Suma todas las propiedades `usage` que haya dentro de un registro
+ * (fases, iteraciones, resolve, re-verificación tras el rebase...).
+ */
+function collectUsage(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (Array.isArray(value)) return value.reduce((acc, item) => addUsage(acc, collectUsage(item)), null);
+  let total = null;
+  for (const [key, child] of Object.entries(value)) {
+    total = addUsage(total, key === 'usage' ? normalizeUsage(child) : collectUsage(child));
+  }
+  return total;
+}
+
+const totalTokens = (usage) => usage
+  ? (usage.inputTokens || 0) + (usage.outputTokens || 0) + (usage.cacheReadTokens || 0) + (usage.cacheWriteTokens || 0)
+  : 0;
+
+// ─────────────────────────────────────────────
+// PRESUPUESTO
+// ─────────────────────────────────────────────
+
+/**
+ * Une capas de config `budget` en { enabled, maxCostUsd, maxTokens }.
+ */
+function resolveBudgetConfig(...layers) {
+  const result = { enabled: false, maxCostUsd: null, maxTokens: null };
+  for (const layer of layers) {
+    if (layer == null) continue;
+    if (layer === false) {
+      result.enabled = false;
+      continue;
+    }
+    if (typeof layer === 'number' || typeof layer === 'string') {
+      const max = Number(layer);
+      if (!Number.isFinite(max) || max <= 0) throw new Error(`Config budget inválida: ${JSON.stringify(layer)}`);
+      result.maxCostUsd = max;
+      result.enabled = true;
+      continue;
+    }
+    if (typeof layer !== 'object') {
+      throw new Error(`Config budget inválida: ${JSON.stringify(layer)}`);
+    }
+    if (layer.maxCostUsd !== undefined) result.maxCostUsd = layer.maxCostUsd ? Number(layer.maxCostUsd) : null;
+    if (layer.maxTokens !== undefined) result.maxTokens = layer.maxTokens ? Number(layer.maxTokens) : null;
+    const hasLimit = result.maxCostUsd != null || result.maxTokens != null;
+    result.enabled = layer.enabled != null ? !!layer.enabled && hasLimit : hasLimit;
+  }
+  return result;
+}
+
+/**
+ * @returns {string|null} motivo si `spent` alcanza algún límite del presupuesto
+ */
+function checkBudget(budget, spent) {
+  if (!budget?.enabled || !spent) return null;
+  if (budget.maxCostUsd != null && spent.costUsd >= budget.maxCostUsd) {
+    return `Presupuesto superado: $${spent.costUsd.toFixed(2)} de $${budget.maxCostUsd.toFixed(2)}`;
+  }
+  if (budget.maxTokens != null && totalTokens(spent) >= budget.maxTokens) {
+    return `Presupuesto superado: ${totalTokens(spent).toLocaleString()} de ${budget.maxTokens.toLocaleString()} tokens`;
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────
+// AGREGADOS (métricas)
+// ─────────────────────────────────────────────
+
+/**
+ * Agrega ejecuciones por tarea, tipo, proyecto y día.
+ * @param {Array<{ taskId, title?, type?, project?, timestamp, usage }>} entries
+ * @returns {{ total, byTask, byType, byProject, byDay }}
+ */
+function aggregateUsage(entries) {
+  const result = { total: null, byTask: {}, byType: {}, byProject: {}, byDay: {} };
+  const bump = (group, key, usage, extra = {}) => {
+    const prev = group[key] || { ...extra, executions: 0 };
+    group[key] = { ...prev, ...addUsage(prev.costUsd != null ? prev : null, usage), executions: prev.executions + 1 };
+  };
+
+  for (const entry of entries) {
+    const usage = normalizeUsage(entry.usage);
+    if (!usage) continue;
+    result.total = addUsage(result.total, usage);
+    bump(result.byTask, entry.taskId, usage, { title: entry.title || null, type: entry.type || null });
+    bump(result.byType, entry.type || 'sin tipo', usage);
+    if (entry.project) bump(result.byProject, entry.project, usage);
+    if (entry.timestamp) bump(result.byDay, String(entry.timestamp).slice(0, 10), usage);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  setPricing,
+  priceFor,
+  estimateCost,
+  normalizeUsage,
+  parseUsage,
+  addUsage,
+  collectUsage,
+  totalTokens,
+  resolveBudgetConfig,
+  checkBudget,
+  aggregateUsage,
+};
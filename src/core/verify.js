@@ -0,0 +1,136 @@
+/**
+ * verify.js — Verificación determinista con el comando de tests del proyecto
+ *
+ * La fase TEST la hace la IA y confiamos en su marcador `TESTS: ok`. Este
+ * paso ejecuta directamente un comando configurado (npm test, make check...)
+ * en el projectPath y solo mira el exit code.
+ *
+ * Config (cada capa sobrescribe a la anterior):
+ *   kanban.config.js        verify: { command: 'npm test', timeout: '10m' }
+ *   projects[nombre].verify  igual que arriba
+ *   frontmatter de la tarea  verify: 'make check'  |  verify: false
+ *
+ * Un string equivale a { command }. `false` desactiva la verificación.
+ */
+
+const { spawn } = require('child_process');
+const { parseDuration } = require('./pipeline');
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_OUTPUT = 200 * 1024; // se guarda solo la cola si el output es enorme
+
+/**
+ * Une capas de config `verify` en { enabled, command, timeoutMs }.
+ */
+function resolveVerifyConfig(...layers) {
+  const result = { enabled: false, command: null, timeoutMs: DEFAULT_TIMEOUT_MS };
+  for (const layer of layers) {
+    if (layer == null) continue;
+    if (layer === false) {
+      result.enabled = false;
+      continue;
+    }
+    if (typeof layer === 'string') {
+      result.command = layer.trim() || null;
+      result.enabled = !!result.command;
+      continue;
+    }
+    if (typeof layer !== 'object') {
+      throw new Error(`Config verify inválida: ${JSON.stringify(layer)}`);
+    }
+    if (layer.command !== undefined) result.command = layer.command ? String(layer.command).trim() : null;
+    if (layer.timeoutMs != null) result.timeoutMs = Number(layer.timeoutMs);
+    if (layer.timeout != null) result.timeoutMs = parseDuration(layer.timeout);
+    result.enabled = layer.enabled != null ? !!layer.enabled && !!result.command : !!result.command;
+  }
+  return result;
+}
+
+/**
+ * Ejecuta el comando con shell en `cwd` y captura exit code y output.
+ * Corre en su propio grupo de procesos para poder matar también los hijos
+ * (npm test → jest → workers) si hay timeout o se detiene el motor.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs]
+ * @param {Set} [opts.procs] - set de procesos activos (killCurrentPhase)
+ * @param {boolean} [opts.echo=true] - reenviar output a stdout (log del motor)
+ * @returns {Promise<{ ok, exitCode, output, duration, timedOut }>}
+ */
+function runVerifyCommand(command, cwd, opts = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, procs = null, echo = true } = opts;
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let output = '';
+    let timedOut = false;
+    let settled = false;
+
+    const proc = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      env: { ...process.env, CI: process.env.CI || '1', FORCE_COLOR: '0' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const killGroup = (signal) => {
+      try {
+        if (process.platform !== 'win32') process.kill(-proc.pid, signal);
+        else proc.kill(signal);
+      } catch {}
+    };
+    // Handle compatible con killCurrentPhase (solo usa .kill())
+    const handle = { pid: proc.pid, kill: (signal = 'SIGTERM') => killGroup(signal) };
+    if (procs) procs.add(handle);
+
+    const onData = (chunk) => {
+      output += chunk.toString();
+      if (output.length > MAX_OUTPUT * 2) output = output.slice(-MAX_OUTPUT);
+      if (echo) process.stdout.write(chunk);
+    };
+    proc.stdout.on('data', onData);
+    proc.stderr.on('data', onData);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup('SIGTERM');
+      setTimeout(() => killGroup('SIGKILL'), 5000);
+    }, timeoutMs);
+
+    const finish = (exitCode, extra = '') => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (procs) procs.delete(handle);
+      if (extra) output += extra;
+      if (output.length > MAX_OUTPUT) output = `[... recortado ...]\n${output.slice(-MAX_OUTPUT)}`;
+      resolve({
+        ok: !timedOut && exitCode === 0,
+        exitCode,
+        output,
+        duration: Date.now() - startTime,
+        timedOut,
+      });
+    };
+
+    proc.on('close', (code) => {
+      finish(code ?? -1, timedOut ? `\n[timeout tras ${Math.round(timeoutMs / 1000)}s]\n` : '');
+    });
+    proc.on('error', (err) => finish(-1, `\n[error al ejecutar: ${err.message}]\n`));
+  });
+}
+
+/**
+ * Últimas líneas del output, para el feedback que recibe CODE.
+ */
+function outputTail(output, lines = 60) {
+  const all = String(output || '').trimEnd().split('\n');
+  return all.slice(-lines).join('\n');
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  resolveVerifyConfig,
+  runVerifyCommand,
+  outputTail,
+};
@@ -0,0 +1,256 @@
+/**
+ * workflow.js — Columnas del tablero y transiciones permitidas por proyecto
+ *
+ * Config (kanban.config.js → board, o projects[nombre].board, que sobrescribe):
+ *   board: {
+ *     columns: ['backlog', 'todo', 'in_progress', { id: 'qa', label: 'QA', icon: '🧪' }, 'review', 'done', 'blocked'],
+ *     transitions: {                 // sin transitions = cualquier movimiento vale
+ *       backlog: ['todo'],
+ *       todo: ['backlog', 'in_progress'],
+ *       review: '*',                 // '*' = a cualquier columna
+ *       '*': ['blocked'],            // desde cualquier columna
+ *     },
+ *     motor: { pickFrom: 'todo', working: 'in_progress', success: 'done', failure: 'review' },
+ *     wip: { todo: 10, in_progress: 3 },   // máximo de tareas por columna
+ *   }
+ *
+ * Las columnas nuevas son carpetas dentro de kanban/. Los movimientos que
+ * hace el motor (pickFrom → working → success/failure, working → pickFrom al
+ * dividir una tarea en subtareas, failure → pickFrom al reintentar y
+ * failure → success al mergear un PR) siempre están permitidos.
+ *
+ * El límite WIP también puede ir en la columna ({ id: 'qa', wip: 2 }); el
+ * mapa `wip` tiene prioridad y se une por capas (el proyecto sobrescribe
+ * columna a columna). moveTask/createTask lo respetan salvo con `force`.
+ */
+
+const path = require('path');
+const { COLUMNS, KANBAN_PATH, getKanbanPath } = require('./task');
+
+const KANBAN_ROOT = path.resolve(__dirname, '../../');
+
+const COLUMN_DEFAULTS = {
+  backlog:     { label: 'Backlog',     icon: '📋', color: '#475569' },
+  todo:        { label: 'Todo',        icon: '📌', color: '#0ea5e9' },
+  in_progress: { label: 'In Progress', icon: '⚡', color: '#8b5cf6' },
+  review:      { label: 'Review',      icon: '🔍', color: '#f59e0b' },
+  done:        { label: 'Done',        icon: '✅', color: '#10b981' },
+  blocked:     { label: 'Blocked',     icon: '⛔', color: '#ef4444' },
+};
+
+const DEFAULT_MOTOR = { pickFrom: 'todo', working: 'in_progress', success: 'done', failure: 'review' };
+
+// Carpetas de kanban/ que no pueden ser columnas
+const RESERVED = new Set(['templates', 'prompts', 'engines', 'views']);
+
+// { board, projects } de kanban.config.js; null = leerlo la primera vez
+let boardConfig = null;
+
+/**
+ * Fija la config de la que salen los esquemas ({ board, projects }).
+ * El motor y el servidor la pasan al cargar kanban.config.js; sin llamarla
+ * se lee kanban.config.js la primera vez que se necesita.
+ */
+function setBoardConfig(cfg = {}) {
+  boardConfig = { board: cfg?.board ?? null, projects: cfg?.projects || {} };
+}
+
+function loadBoardConfig() {
+  if (boardConfig) return boardConfig;
+  let cfg = {};
+  try {
+    cfg = require(path.join(KANBAN_ROOT, 'kanban.config.js'));
+  } catch {}
+  setBoardConfig(cfg);
+  return boardConfig;
+}
+
+// ─────────────────────────────────────────────
+// ESQUEMA
+// ─────────────────────────────────────────────
+
+function normalizeColumn(entry) {
+  const column = typeof entry === 'string' ? { id: entry } : { ...entry };
+  if (!column.id || !/^[a-z0-9][a-z0-9_-]*$/.test(column.id)) {
+    throw new Error(`Config board inválida: columna ${JSON.stringify(entry)} (id en minúsculas: a-z, 0-9, _ o -)`);
+  }
+  if (RESERVED.has(column.id)) {
+    throw new Error(`Config board inválida: '${column.id}' es una carpeta reservada de kanban/`);
+  }
+  const defaults = COLUMN_DEFAULTS[column.id] || {};
+  const label = column.id.replace(/[_-]+/g, ' ').replace(/^\w/, c => c.toUpperCase());
+  return {
+    id: column.id,
+    label: column.label || defaults.label || label,
+    icon: column.icon || defaults.icon || '🗂',
+    color: column.color || defaults.color || '#64748b',
+    wip: parseWip(column.wip, column.id),
+  };
+}
+
+/**
+ * Límite WIP válido: entero positivo, o null (sin límite) con 0/null/false.
+ */
+function parseWip(value, columnId) {
+  if (value == null || value === false || value === 0) return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`Config board inválida: wip de '${columnId}' debe ser un entero positivo (recibido ${JSON.stringify(value)})`);
+  }
+  return limit;
+}
+
+/**
+ * Une capas de config `board` en { columns, ids, transitions, motor }.
+ * `transitions: null` significa que cualquier movimiento está permitido.
+ */
+function resolveBoardSchema(...layers) {
+  let columns = COLUMNS;
+  let transitions = null;
+  const motor = { ...DEFAULT_MOTOR };
+  const wip = {};
+
+  for (const layer of layers) {
+    if (layer == null) continue;
+    if (typeof layer !== 'object' || Array.isArray(layer)) {
+      throw new Error(`Config board inválida: ${JSON.stringify(layer)}`);
+    }
+    if (layer.columns !== undefined) {
+      if (!Array.isArray(layer.columns) || layer.columns.length === 0) {
+        throw new Error('Config board inválida: columns debe ser una lista no vacía');
+      }
+      columns = layer.columns;
+    }
+    if (layer.transitions !== undefined) transitions = layer.transitions || null;
+    if (layer.motor) Object.assign(motor, layer.motor);
+    if (layer.wip !== undefined) {
+      if (layer.wip !== null && (typeof layer.wip !== 'object' || Array.isArray(layer.wip))) {
+        throw new Error(`Config board inválida: wip debe ser { columna: límite } (recibido ${JSON.stringify(layer.wip)})`);
+      }
+      Object.assign(wip, layer.wip);
+    }
+  }
+
+  const normalized = columns.map(normalizeColumn);
+  const ids = normalized.map(c => c.id);
+  const duplicated = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicated) throw new Error(`Config board inválida: columna '${duplicated}' repetida`);
+
+  const known = (id, where) => {
+    if (!ids.includes(id)) {
+      throw new Error(`Config board inválida: '${id}' en ${where} no es una columna (columnas: ${ids.join(', ')})`);
+    }
+  };
+  for (const [role, id] of Object.entries(motor)) known(id, `motor.${role}`);
+  for (const [id, limit] of Object.entries(wip)) {
+    known(id, 'wip');
+    normalized.find(c => c.id === id).wip = parseWip(limit, id);
+  }
+
+  let rules = null;
+  if (transitions) {
+    rules = {};
+    for (const [from, to] of Object.entries(transitions)) {
+      if (from !== '*') known(from, 'transitions');
+      const targets = to === '*' ? ['*'] : (Array.isArray(to) ? to : [to]);
+      for (const target of targets) if (target !== '*') known(target, `transitions.${from}`);
+      rules[from] = targets;
+    }
+  }
+
+  return { columns: normalized, ids, transitions: rules, motor };
+}
+
+/**
+ * Esquema del tablero de un kanban: config global + la del proyecto cuyo
+ * kanban es `kanbanPath`.
+ */
+function getBoardSchema(kanbanPath = KANBAN_PATH) {
+  const { board, projects } = loadBoardConfig();
+  const resolved = path.resolve(kanbanPath);
+  const project = Object.values(projects || {})
+    .find(p => p?.path && path.resolve(getKanbanPath(p.path)) === resolved);
+  return resolveBoardSchema(board, project?.board);
+}
+
+// ─────────────────────────────────────────────
+// TRANSICIONES
+// ─────────────────────────────────────────────
+
+/**
+ * Movimientos que hace el motor; siempre permitidos.
+ */
+function motorTransitions({ motor }) {
+  return [
+    [motor.pickFrom, motor.working],
+    [motor.working, motor.success],
+    [motor.working, motor.failure],
+    [motor.working, motor.pickFrom],
+    [motor.failure, motor.pickFrom],
+    [motor.failure, motor.success],
+    [motor.pickFrom, motor.success],   // padre dividido cuyas subtareas han terminado
+  ];
+}
+
+/**
+ * Columnas a las que se puede mover una tarea desde `from`.
+ */
+function allowedTargets(schema, from) {
+  if (!schema.transitions) return schema.ids.filter(id => id !== from);
+  const targets = new Set();
+  for (const rule of [schema.transitions[from] || [], schema.transitions['*'] || []]) {
+    for (const to of rule) {
+      if (to === '*') schema.ids.forEach(id => targets.add(id));
+      else targets.add(to);
+    }
+  }
+  for (const [a, b] of motorTransitions(schema)) if (a === from) targets.add(b);
+  targets.delete(from);
+  return schema.ids.filter(id => targets.has(id));
+}
+
+// ─────────────────────────────────────────────
+// LÍMITES WIP
+// ─────────────────────────────────────────────
+
+/**
+ * Límite WIP de una columna, o null si no tiene.
+ */
+function wipLimit(schema, column) {
+  return schema.columns.find(c => c.id === column)?.wip ?? null;
+}
+
+/**
+ * Lanza un error si la columna, con `count` tareas, no admite una más.
+ */
+function assertWip(schema, column, count) {
+  const limit = wipLimit(schema, column);
+  if (limit != null && count >= limit) {
+    throw new Error(`Límite WIP alcanzado en ${column} (${count}/${limit}). Usa force para saltarlo`);
+  }
+}
+
+/**
+ * Lanza un error claro si la transición no está permitida.
+ */
+function assertTransition(schema, from, to) {
+  if (!schema.ids.includes(to)) {
+    throw new Error(`Columna inválida: ${to}. Válidas: ${schema.ids.join(', ')}`);
+  }
+  if (from === to) return;
+  const allowed = allowedTargets(schema, from);
+  if (!allowed.includes(to)) {
+    throw new Error(`Transición no permitida: ${from} → ${to}. Desde ${from}: ${allowed.join(', ') || '(ninguna)'}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_MOTOR,
+  setBoardConfig,
+  resolveBoardSchema,
+  getBoardSchema,
+  allowedTargets,
+  assertTransition,
+  wipLimit,
+  assertWip,
+};
@@ -4,14 +4,22 @@
  * Maneja el ciclo git completo por tarea:
  *   prepare()  → stash + checkout base + create task branch
  *   finalize() → add + commit + merge + cleanup (solo si éxito)
+ *                (antes, opcional: pullBase + updateFromBase para reducir drift)
+ *                (con conflictos: fase RESOLVE y completeMerge / abortMerge)
+ *                (con git.strategy 'pr': push + pull request, sin merge local)
  *   abort()    → descartar cambios + cleanup + volver a base
  *   verify()   → verificar que el repo está limpio para la siguiente tarea
+ *
+ * Con loop.concurrency > 1 cada tarea trabaja en su propio worktree
+ * (createWorktree / removeWorktree) y el directorio del proyecto queda
+ * siempre en el branch base, donde se serializan los merges.
  */
 
 const simpleGit = require('simple-git');
 const path = require('path');
 const fs = require('fs');
 const chalk = require('chalk');
+const { getBoardSchema } = require('../core/workflow');
 
 const PROJECT_ROOT = path.resolve(__dirname, '../../');
 
@@ -167,12 +175,30 @@ class GitService {
     }
   }
 
+  /**
+   * Push del branch. No lanza: devuelve false si falla (el modo PR lo
+   * necesita para no abrir un PR sobre un branch que no está en el remote).
+   */
   async push(branch, remote = 'origin') {
     try {
       console.log(chalk.gray(`  git push ${remote} ${branch}`));
       await this.git.push(remote, branch, ['--set-upstream']);
+      return true;
     } catch (err) {
       console.log(chalk.yellow(`  ⚠ Push falló: ${err.message}`));
+      return false;
+    }
+  }
+
+  /**
+   * URL del remote (null si no existe). Sirve para deducir provider y repo.
+   */
+  async getRemoteUrl(remote = 'origin') {
+    try {
+      const url = await this.git.remote(['get-url', remote]);
+      return url ? url.trim() : null;
+    } catch {
+      return null;
     }
   }
 
@@ -180,10 +206,13 @@ class GitService {
 
   /**
    * Merge de un branch al branch actual.
-   * Si hay conflictos, aborta el merge y lanza error.
-   * @returns {{ merged: boolean, summary: string }}
+   * Si hay conflictos, aborta el merge y lanza error; con keepConflicts deja
+   * el merge a medias para la fase RESOLVE y devuelve los archivos en conflicto.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.keepConflicts=false]
+   * @returns {{ merged: boolean, summary: string, conflicts?: string[] }}
    */
-  async merge(branchName) {
+  async merge(branchName, { keepConflicts = false } = {}) {
     console.log(chalk.gray(`  git merge ${branchName}`));
     try {
       const result = await this.git.merge([branchName]);
@@ -192,6 +221,11 @@ class GitService {
       // Detectar conflicto de merge
       if (err.message.includes('CONFLICT') || err.message.includes('conflict') ||
           err.message.includes('Automatic merge failed')) {
+        if (keepConflicts) {
+          const conflicts = await this.getConflictedFiles();
+          console.log(chalk.yellow(`  ⚠ Conflicto de merge en ${conflicts.length} archivo(s) — se mantiene para resolver`));
+          return { merged: false, summary: 'CONFLICT', conflicts };
+        }
         console.log(chalk.red(`  ✖ Conflicto de merge detectado — abortando`));
         try {
           await this.git.merge(['--abort']);
@@ -207,6 +241,179 @@ class GitService {
     }
   }
 
+  /**
+   * Archivos con conflicto sin resolver en el merge en curso.
+   */
+  async getConflictedFiles() {
+    const raw = await this.git.raw(['diff', '--name-only', '--diff-filter=U']);
+    return raw.split('\n').map(f => f.trim()).filter(Boolean);
+  }
+
+  /**
+   * ¿Hay un merge en curso? (existe MERGE_HEAD; --git-path funciona también en worktrees)
+   */
+  async isMerging() {
+    try {
+      const mergeHead = (await this.git.raw(['rev-parse', '--git-path', 'MERGE_HEAD'])).trim();
+      return fs.existsSync(path.resolve(this.repoPath, mergeHead));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Cierra un merge con conflictos ya resueltos (add + commit).
+   * Si la IA ya hizo el commit del merge no hace nada.
+   * @returns {boolean} true si creó el commit
+   */
+  async completeMerge(message) {
+    if (!(await this.isMerging())) return false;
+    await this.addAll();
+    console.log(chalk.gray(`  git commit -m "${message}"`));
+    await this.git.commit(message);
+    return true;
+  }
+
+  /**
+   * Aborta el merge en curso; si no se puede, reset al HEAD.
+   */
+  async abortMerge() {
+    try {
+      await this.git.merge(['--abort']);
+      console.log(chalk.yellow('  git merge --abort OK'));
+    } catch (err) {
+      console.log(chalk.red(`  ✖ merge --abort falló: ${err.message}`));
+      await this.hardReset();
+    }
+  }
+
+  // ── ACTUALIZAR CON LA BASE (antes del merge) ──────────────
+
+  /**
+   * Trae la rama base del remote. Si está activa en este directorio hace
+   * pull; si no, fetch base:base (solo avanza si es fast-forward).
+   * Sin remote no hace nada.
+   * @returns {boolean} true si se actualizó desde el remote
+   */
+  async pullBase(baseBranch, remote = 'origin') {
+    if (!(await this.getRemoteUrl(remote))) return false;
+    if (await this.getCurrentBranch() === baseBranch) {
+      await this.pull(remote, baseBranch);
+      return true;
+    }
+    try {
+      console.log(chalk.gray(`  git fetch ${remote} ${baseBranch}:${baseBranch}`));
+      await this.git.fetch(remote, `${baseBranch}:${baseBranch}`);
+      return true;
+    } catch (err) {
+      console.log(chalk.yellow(`  ⚠ No se pudo actualizar '${baseBranch}' desde ${remote}: ${err.message}`));
+      return false;
+    }
+  }
+
+  /**
+   * Commits de baseBranch que el branch todavía no tiene (drift).
+   */
+  async countBehind(branch, baseBranch) {
+    const out = await this.git.raw(['rev-list', '--count', `${branch}..${baseBranch}`]);
+    return parseInt(out.trim(), 10) || 0;
+  }
+
+  /**
+   * Integra baseBranch en el branch actual con rebase o merge. Si hay
+   * conflictos se deshace (rebase/merge --abort) y el branch queda como estaba.
+   * @param {'rebase'|'merge'} [mode='rebase']
+   * @returns {{ ok: boolean, conflicts: string[], error?: string }}
+   */
+  async updateFromBase(baseBranch, mode = 'rebase') {
+    try {
+      console.log(chalk.gray(`  git ${mode} ${baseBranch}`));
+      if (mode === 'merge') {
+        await this.git.merge([baseBranch, '--no-edit']);
+      } else {
+        await this.git.rebase([baseBranch]);
+      }
+      return { ok: true, conflicts: [] };
+    } catch (err) {
+      const conflicts = await this.getConflictedFiles().catch(() => []);
+      console.log(chalk.yellow(`  ⚠ ${mode} con '${baseBranch}' falló${conflicts.length ? ` (conflicto en ${conflicts.join(', ')})` : ''} — se deshace`));
+      try {
+        await this.git.raw([mode, '--abort']);
+      } catch {
+        await this.hardReset();
+      }
+      return { ok: false, conflicts, error: err.message };
+    }
+  }
+
+  // ── WORKTREES (ejecución paralela) ────────────────────────
+
+  /**
+   * Crea un worktree aislado para una tarea: un directorio propio con el
+   * branch de la tarea creado desde baseBranch. El directorio compartido del
+   * proyecto no cambia de branch.
+   * Si ya existía un worktree/branch con ese nombre (ejecución anterior
+   * interrumpida), se elimina y se recrea desde la base.
+   * @returns {string} ruta absoluta del worktree
+   */
+  async createWorktree(branchName, baseBranch, worktreePath) {
+    const target = path.resolve(worktreePath);
+    await this.removeWorktree(target, { force: true });
+    await this.git.raw(['worktree', 'prune']);
+    await this.deleteBranch(branchName, true);
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    console.log(chalk.gray(`  git worktree add -b ${branchName} ${target} ${baseBranch}`));
+    await this.git.raw(['worktree', 'add', '-b', branchName, target, baseBranch]);
+    return target;
+  }
+
+  /**
+   * Elimina un worktree. No falla si no existe.
+   */
+  async removeWorktree(worktreePath, { force = false } = {}) {
+    const target = path.resolve(worktreePath);
+    const registered = (await this.listWorktrees()).some(w => w.path === target);
+    if (registered) {
+      try {
+        console.log(chalk.gray(`  git worktree remove ${target}`));
+        await this.git.raw(['worktree', 'remove', ...(force ? ['--force'] : []), target]);
+      } catch (err) {
+        console.log(chalk.yellow(`  ⚠ worktree remove falló: ${err.message}`));
+      }
+    }
+    // Restos de un worktree que git ya no conoce
+    if (fs.existsSync(target)) {
+      try { fs.rmSync(target, { recursive: true, force: true }); } catch {}
+    }
+    return registered;
+  }
+
+  /**
+   * Lista los worktrees del repo.
+   * @returns {Array<{ path: string, branch: string|null, head: string|null }>}
+   */
+  async listWorktrees() {
+    try {
+      const raw = await this.git.raw(['worktree', 'list', '--porcelain']);
+      const list = [];
+      let current = null;
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('worktree ')) {
+          current = { path: path.resolve(line.slice(9)), branch: null, head: null };
+          list.push(current);
+        } else if (current && line.startsWith('HEAD ')) {
+          current.head = line.slice(5);
+        } else if (current && line.startsWith('branch ')) {
+          current.branch = line.slice(7).replace(/^refs\/heads\//, '');
+        }
+      }
+      return list;
+    } catch {
+      return [];
+    }
+  }
+
   // ── DIFF ──────────────────────────────────────────────────
 
   async getDiff(branch, defaultBranch = 'main') {
@@ -429,14 +636,15 @@ class GitService {
 
   /**
    * Guarda una copia en memoria de los archivos kanban y sus rutas.
-   * Incluye tareas (.md en columnas) y archivos de sistema (.json, .md en raíz).
+   * Incluye tareas (.md en columnas), archivos de sistema (.json, .md en raíz)
+   * y los directorios de sistema completos (prompts personalizados, plantillas,
+   * historial y actividad de las tareas).
    */
   _backupKanbanDir(kanbanPath) {
     const backup = [];
     try {
       // Backup tareas en columnas
-      const columns = ['backlog', 'todo', 'in_progress', 'review', 'done'];
-      for (const col of columns) {
+      for (const col of getBoardSchema(kanbanPath).ids) {
         const dir = path.join(kanbanPath, col);
         if (!fs.existsSync(dir)) continue;
         const files = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
@@ -446,17 +654,35 @@ class GitService {
         }
       }
       // Backup archivos de sistema en raíz del kanban
-      const systemFiles = ['.engine.json', '.active-project.json', '.project-context.md', 'projects.json'];
+      const systemFiles = ['.engine.json', '.active-project.json', '.project-context.md', 'projects.json', 'views.json'];
       for (const sf of systemFiles) {
         const filePath = path.join(kanbanPath, sf);
         if (fs.existsSync(filePath)) {
           backup.push({ filePath, content: fs.readFileSync(filePath, 'utf8') });
         }
       }
+      // Backup directorios de sistema (recursivo, git clean -d los borraría)
+      const systemDirs = ['prompts', 'templates', '.history'];
+      for (const sd of systemDirs) {
+        this._backupDir(path.join(kanbanPath, sd), backup);
+      }
     } catch {}
     return backup;
   }
 
+  /**
+   * Añade al backup todos los archivos de un directorio y sus subdirectorios.
+   * Se guardan como Buffer: no todo lo que hay en ellos es texto.
+   */
+  _backupDir(dir, backup) {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const filePath = path.join(dir, entry.name);
+      if (entry.isDirectory()) this._backupDir(filePath, backup);
+      else if (entry.isFile()) backup.push({ filePath, content: fs.readFileSync(filePath) });
+    }
+  }
+
   /**
    * Restaura archivos kanban desde el backup
    */
@@ -464,7 +690,7 @@ class GitService {
     for (const { filePath, content } of backup) {
       try {
         fs.mkdirSync(path.dirname(filePath), { recursive: true });
-        fs.writeFileSync(filePath, content, 'utf8');
+        fs.writeFileSync(filePath, content);
       } catch {}
     }
   }
@@ -0,0 +1,33 @@
+/**
+ * mergeQueue.js — Cola serializada de operaciones git sobre el branch base
+ *
+ * Con varios workers en paralelo, cada tarea termina en su propio worktree
+ * pero todas mergean al mismo defaultBranch del directorio compartido.
+ * Todo lo que toca ese directorio (verify, merge, borrar branch) pasa por
+ * aquí para que dos tareas nunca operen sobre él a la vez.
+ */
+
+class MergeQueue {
+  constructor() {
+    this._tail = Promise.resolve();
+    this.pending = 0;
+  }
+
+  /**
+   * Encola una operación. Se ejecuta cuando terminan todas las anteriores.
+   * El error de una operación se propaga a quien la encoló, pero no
+   * bloquea la cola.
+   * @param {Function} fn - async () => any
+   * @returns {Promise<any>} resultado de fn
+   */
+  run(fn) {
+    this.pending++;
+    const result = this._tail.then(() => fn());
+    this._tail = result
+      .catch(() => {})
+      .finally(() => { this.pending--; });
+    return result;
+  }
+}
+
+module.exports = MergeQueue;
@@ -0,0 +1,53 @@
+/**
+ * gitea.js — Pull requests en Gitea / Forgejo
+ *
+ * API: {baseUrl}/api/v1/repos/{owner}/{repo}/pulls con `Authorization: token`.
+ * Gitea asigna labels por id, así que los nombres se resuelven antes.
+ */
+
+function createGiteaProvider({ repo, token, request }) {
+  const auth = token ? { Authorization: `token ${token}` } : {};
+  const api = (method, urlPath, body) =>
+    request(method, `/api/v1/repos/${repo}${urlPath}`, { body, headers: auth });
+
+  const toRef = (pr) => ({ url: pr.html_url, number: pr.number });
+
+  async function labelIds(names) {
+    if (names.length === 0) return [];
+    const all = await api('GET', '/labels');
+    return (Array.isArray(all) ? all : []).filter(l => names.includes(l.name)).map(l => l.id);
+  }
+
+  return {
+    name: 'gitea',
+
+    async findOpenPullRequest(head, base) {
+      const list = await api('GET', '/pulls?state=open');
+      const found = (Array.isArray(list) ? list : []).find(pr => pr.head?.ref === head && pr.base?.ref === base);
+      return found ? toRef(found) : null;
+    },
+
+    async createPullRequest({ head, base, title, body, draft = false, labels = [] }) {
+      const existing = await this.findOpenPullRequest(head, base);
+      if (existing) return { ...existing, reused: true };
+
+      const ids = await labelIds(labels);
+      const pr = await api('POST', '/pulls', {
+        head,
+        base,
+        title: draft ? `WIP: ${title}` : title,
+        body,
+        ...(ids.length > 0 ? { labels: ids } : {}),
+      });
+      return { ...toRef(pr), reused: false };
+    },
+
+    async getPullRequest(number) {
+      const pr = await api('GET', `/pulls/${number}`);
+      const state = pr.merged ? 'merged' : (pr.state === 'closed' ? 'closed' : 'open');
+      return { state, url: pr.html_url };
+    },
+  };
+}
+
+module.exports = createGiteaProvider;
@@ -0,0 +1,46 @@
+/**
+ * github.js — Pull requests en GitHub (o GitHub Enterprise vía baseUrl)
+ *
+ * API: POST/GET {baseUrl}/repos/{owner}/{repo}/pulls con `Authorization: Bearer`.
+ */
+
+function createGitHubProvider({ repo, token, request }) {
+  const auth = token ? { Authorization: `Bearer ${token}` } : {};
+  const owner = repo.split('/')[0];
+  const api = (method, urlPath, body) => request(method, `/repos/${repo}${urlPath}`, {
+    body,
+    headers: { ...auth, Accept: 'application/vnd.github+json' },
+  });
+
+  const toRef = (pr) => ({ url: pr.html_url, number: pr.number });
+
+  return {
+    name: 'github',
+
+    async findOpenPullRequest(head, base) {
+      const query = new URLSearchParams({ state: 'open', head: `${owner}:${head}`, base });
+      const list = await api('GET', `/pulls?${query}`);
+      return Array.isArray(list) && list.length > 0 ? toRef(list[0]) : null;
+    },
+
+    async createPullRequest({ head, base, title, body, draft = false, labels = [] }) {
+      const existing = await this.findOpenPullRequest(head, base);
+      if (existing) return { ...existing, reused: true };
+
+      const pr = await api('POST', '/pulls', { title, head, base, body, draft });
+      if (labels.length > 0) {
+        // Los labels van por la API de issues (un PR es un issue en GitHub)
+        await api('POST', `/issues/${pr.number}/labels`, { labels });
+      }
+      return { ...toRef(pr), reused: false };
+    },
+
+    async getPullRequest(number) {
+      const pr = await api('GET', `/pulls/${number}`);
+      const state = pr.merged || pr.merged_at ? 'merged' : (pr.state === 'closed' ? 'closed' : 'open');
+      return { state, url: pr.html_url };
+    },
+  };
+}
+
+module.exports = createGitHubProvider;
@@ -0,0 +1,47 @@
+/**
+ * gitlab.js — Merge requests en GitLab (gitlab.com o self-hosted)
+ *
+ * API: {baseUrl}/api/v4/projects/{id}/merge_requests con `PRIVATE-TOKEN`.
+ * El id del proyecto es el path completo url-encoded (grupo/subgrupo/repo).
+ */
+
+function createGitLabProvider({ repo, token, request }) {
+  const auth = token ? { 'PRIVATE-TOKEN': token } : {};
+  const project = encodeURIComponent(repo);
+  const api = (method, urlPath, body) =>
+    request(method, `/api/v4/projects/${project}/merge_requests${urlPath}`, { body, headers: auth });
+
+  const toRef = (mr) => ({ url: mr.web_url, number: mr.iid });
+
+  return {
+    name: 'gitlab',
+
+    async findOpenPullRequest(head, base) {
+      const query = new URLSearchParams({ state: 'opened', source_branch: head, target_branch: base });
+      const list = await api('GET', `?${query}`);
+      return Array.isArray(list) && list.length > 0 ? toRef(list[0]) : null;
+    },
+
+    async createPullRequest({ head, base, title, body, draft = false, labels = [] }) {
+      const existing = await this.findOpenPullRequest(head, base);
+      if (existing) return { ...existing, reused: true };
+
+      const mr = await api('POST', '', {
+        source_branch: head,
+        target_branch: base,
+        title: draft ? `Draft: ${title}` : title,
+        description: body,
+        ...(labels.length > 0 ? { labels: labels.join(',') } : {}),
+      });
+      return { ...toRef(mr), reused: false };
+    },
+
+    async getPullRequest(number) {
+      const mr = await api('GET', `/${number}`);
+      const state = mr.state === 'merged' ? 'merged' : (mr.state === 'opened' ? 'open' : 'closed');
+      return { state, url: mr.web_url };
+    },
+  };
+}
+
+module.exports = createGitLabProvider;
@@ -0,0 +1,170 @@
+/**
+ * providers/index.js — Proveedores de pull/merge requests (git.strategy: 'pr')
+ *
+ * Un provider habla con la API REST del servidor git:
+ *   {
+ *     name: 'github',
+ *     createPullRequest({ head, base, title, body, draft, labels }) → { url, number, reused },
+ *     findOpenPullRequest(head, base) → { url, number } | null,
+ *     getPullRequest(number) → { state: 'open'|'merged'|'closed', url },
+ *   }
+ *
+ * Config (kanban.config.js → git.pr, o git.pr del proyecto):
+ *   pr: {
+ *     provider: 'github' | 'gitlab' | 'gitea',   // se deduce del remote si falta
+ *     baseUrl:  'https://gitea.miempresa.com',   // API; se deduce del remote si falta
+ *     repo:     'owner/repo',                    // se deduce del remote si falta
+ *     token:    process.env.GITHUB_TOKEN,        // o KANBAN_GIT_TOKEN / {PROVIDER}_TOKEN
+ *     draft: false, labels: ['ai-kanban'], pollSeconds: 60,
+ *   }
+ *
+ * baseUrl puede apuntar a un servidor HTTP local para tests.
+ */
+
+const { verdictTable } = require('../../core/criteria');
+
+const PROVIDER_FACTORIES = {
+  github: require('./github'),
+  gitlab: require('./gitlab'),
+  gitea:  require('./gitea'),
+};
+
+const DEFAULT_POLL_SECONDS = 60;
+
+/**
+ * Extrae host y owner/repo de una URL de remote git (https, ssh o scp-like).
+ * @returns {{ host: string, repo: string } | null}
+ */
+function parseRemoteUrl(url) {
+  if (!url) return null;
+  const trimmed = String(url).trim();
+  let host;
+  let repoPath;
+
+  const scp = trimmed.match(/^[\w.-]+@([^:/]+):(.+)$/);
+  if (scp) {
+    host = scp[1];
+    repoPath = scp[2];
+  } else {
+    try {
+      const parsed = new URL(trimmed);
+      host = parsed.host;
+      repoPath = parsed.pathname;
+    } catch {
+      return null;
+    }
+  }
+
+  const repo = repoPath.replace(/^\/+/, '').replace(/\/+$/, '').replace(/\.git$/, '');
+  if (!host || !repo.includes('/')) return null;
+  return { host, repo };
+}
+
+/**
+ * Une la config git.pr con lo que se puede deducir del remote.
+ * @returns {{ provider, baseUrl, repo, token, draft, labels, pollSeconds }}
+ */
+function resolvePrConfig(pr = {}, remoteUrl = null) {
+  const remote = parseRemoteUrl(remoteUrl);
+  const host = remote?.host?.replace(/:\d+$/, '') || '';
+
+  let provider = pr.provider || null;
+  if (!provider && host) {
+    if (host.includes('github')) provider = 'github';
+    else if (host.includes('gitlab')) provider = 'gitlab';
+    else if (host.includes('gitea')) provider = 'gitea';
+  }
+
+  let baseUrl = pr.baseUrl || null;
+  if (!baseUrl && host) {
+    baseUrl = host === 'github.com' ? 'https://api.github.com' : `https://${host}`;
+  }
+  if (!baseUrl && provider === 'github') baseUrl = 'https://api.github.com';
+  if (!baseUrl && provider === 'gitlab') baseUrl = 'https://gitlab.com';
+
+  const envToken = provider ? process.env[`${provider.toUpperCase()}_TOKEN`] : null;
+
+  return {
+    provider,
+    baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : null,
+    repo: pr.repo || remote?.repo || null,
+    token: pr.token || process.env.KANBAN_GIT_TOKEN || envToken || null,
+    draft: !!pr.draft,
+    labels: Array.isArray(pr.labels) ? pr.labels : (pr.labels ? [pr.labels] : []),
+    pollSeconds: Number(pr.pollSeconds) > 0 ? Number(pr.pollSeconds) : DEFAULT_POLL_SECONDS,
+  };
+}
+
+/**
+ * Crea el provider a partir de la config ya resuelta (resolvePrConfig).
+ */
+function createProvider(prConfig) {
+  const { provider, baseUrl, repo } = prConfig;
+  if (!provider) {
+    throw new Error('git.pr.provider no configurado y no se pudo deducir del remote');
+  }
+  const factory = PROVIDER_FACTORIES[provider];
+  if (!factory) {
+    throw new Error(`Provider de PR desconocido: '${provider}' (disponibles: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+  }
+  if (!baseUrl) throw new Error(`git.pr.baseUrl es obligatorio para ${provider}`);
+  if (!repo) throw new Error('git.pr.repo no configurado y no se pudo deducir del remote');
+  return factory({ ...prConfig, request: createRequest(prConfig) });
+}
+
+/**
+ * Cliente JSON mínimo sobre fetch. Los providers solo ponen la cabecera
+ * de auth; los errores HTTP se lanzan con el mensaje de la API.
+ */
+function createRequest({ provider, baseUrl }) {
+  return async function request(method, urlPath, { body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'ai-kanban',
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+    if (!res.ok) {
+      const message = data?.message || data?.error || (typeof data === 'string' ? data : '') || res.statusText;
+      const err = new Error(`${provider} API ${res.status} en ${method} ${urlPath}: ${Array.isArray(message) ? message.join(', ') : message}`);
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  };
+}
+
+/**
+ * Cuerpo del PR: resumen, plan, alcance e iteraciones de la ejecución.
+ */
+function buildPullRequestBody(task, taskResult = {}) {
+  const lines = [`Tarea #${task.id}: ${task.title}`, ''];
+  if (taskResult.summary) lines.push('## Resumen', '', taskResult.summary, '');
+  if (taskResult.plan) lines.push('## Plan', '', taskResult.plan, '');
+
+  const scope = taskResult.phasesRecord?.scope;
+  if (taskResult.scopeIncomplete) {
+    lines.push('## Alcance', '', `⚠️ Incompleto: ${taskResult.scopeNote || 'sin detalle'}`, '');
+  } else if (scope?.status === 'ok') {
+    lines.push('## Alcance', '', `✅ ${scope.summary || 'Completo'}`, '');
+  }
+  if (taskResult.criteria) lines.push('### Criterios de aceptación', '', verdictTable(taskResult.criteria), '');
+
+  lines.push(`Iteraciones: ${taskResult.iterations || 1}`, '', '_Generado por ai-kanban._');
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_POLL_SECONDS,
+  parseRemoteUrl,
+  resolvePrConfig,
+  createProvider,
+  buildPullRequestBody,
+};
@@ -1,11 +1,14 @@
 /**
  * board.js - Operaciones del tablero Kanban
  * Gestiona el movimiento de archivos entre columnas
+ * Crear y mover tareas queda en su registro de actividad (core/activity.js)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { parseTask, COLUMNS, KANBAN_PATH } = require('../core/task');
+const { parseTask, taskRank, KANBAN_PATH } = require('../core/task');
+const { getBoardSchema, assertTransition, assertWip } = require('../core/workflow');
+const { recordActivity } = require('../core/activity');
 const cache = require('../core/cache');
 
 // TTLs de caché en segundos
@@ -32,14 +35,15 @@ function getTasks(column = null, kanbanPath = KANBAN_PATH) {
   }
 
   const result = {};
-  for (const col of COLUMNS) {
+  for (const col of getBoardSchema(kanbanPath).ids) {
     result[col] = getTasksFromColumn(col, kanbanPath);
   }
   return result;
 }
 
 /**
- * Lee todas las tareas de una columna específica
+ * Lee todas las tareas de una columna específica, en el orden del tablero
+ * (campo `order` o ID; ver taskRank)
  * @param {string} column - Nombre de la columna
  * @param {string} [kanbanPath] - Ruta base del kanban
  */
@@ -61,7 +65,17 @@ function getTasksFromColumn(column, kanbanPath = KANBAN_PATH) {
       console.error(`Error parseando ${file}:`, err.message);
       return null;
     }
-  }).filter(Boolean);
+  }).filter(Boolean)
+    .sort((a, b) => taskRank(a) - taskRank(b) || a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * Número de tareas de una columna (sin parsearlas), para los límites WIP
+ */
+function countTasks(column, kanbanPath = KANBAN_PATH) {
+  const colPath = path.join(kanbanPath, column);
+  if (!fs.existsSync(colPath)) return 0;
+  return fs.readdirSync(colPath).filter(f => f.endsWith('.md')).length;
 }
 
 /**
@@ -72,7 +86,7 @@ function getTasksFromColumn(column, kanbanPath = KANBAN_PATH) {
 function getTaskById(id, kanbanPath = KANBAN_PATH) {
   const paddedId = String(id).padStart(3, '0');
 
-  for (const column of COLUMNS) {
+  for (const column of getBoardSchema(kanbanPath).ids) {
     const colPath = path.join(kanbanPath, column);
 
     if (!fs.existsSync(colPath)) continue;
@@ -92,14 +106,20 @@ function getTaskById(id, kanbanPath = KANBAN_PATH) {
 }
 
 /**
- * Mueve una tarea a otra columna (mueve el archivo físicamente)
+ * Mueve una tarea a otra columna (mueve el archivo físicamente).
+ * Respeta las columnas, transiciones y límites WIP del proyecto (ver workflow.js).
  * @param {string} taskId - ID de la tarea
  * @param {string} toColumn - Columna destino
  * @param {string} [kanbanPath] - Ruta base del kanban
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignora el límite WIP de la columna destino
+ * @param {string} [options.author] - Quién la mueve (default: usuario del sistema)
+ * @param {string} [options.event] - Tipo de actividad: 'moved' o 'retried'
  */
-function moveTask(taskId, toColumn, kanbanPath = KANBAN_PATH) {
-  if (!COLUMNS.includes(toColumn)) {
-    throw new Error(`Columna inválida: ${toColumn}. Válidas: ${COLUMNS.join(', ')}`);
+function moveTask(taskId, toColumn, kanbanPath = KANBAN_PATH, { force = false, author = null, event = 'moved' } = {}) {
+  const schema = getBoardSchema(kanbanPath);
+  if (!schema.ids.includes(toColumn)) {
+    throw new Error(`Columna inválida: ${toColumn}. Válidas: ${schema.ids.join(', ')}`);
   }
 
   const found = getTaskById(taskId, kanbanPath);
@@ -112,6 +132,8 @@ function moveTask(taskId, toColumn, kanbanPath = KANBAN_PATH) {
   if (fromColumn === toColumn) {
     return { success: true, task, fromColumn, toColumn, message: 'Ya está en esa columna' };
   }
+  assertTransition(schema, fromColumn, toColumn);
+  if (!force) assertWip(schema, toColumn, countTasks(toColumn, kanbanPath));
 
   task.status = toColumn;
   task.column = toColumn;
@@ -121,6 +143,7 @@ function moveTask(taskId, toColumn, kanbanPath = KANBAN_PATH) {
   const { writeTask } = require('../core/task');
   writeTask(task, destPath);
   fs.unlinkSync(filePath);
+  recordActivity(taskId, { type: event, author, from: fromColumn, to: toColumn }, kanbanPath);
 
   return {
     success: true,
@@ -128,17 +151,103 @@ function moveTask(taskId, toColumn, kanbanPath = KANBAN_PATH) {
     fromColumn,
     toColumn,
     filePath: destPath,
+    fileName,
+  };
+}
+
+/**
+ * Recoloca una tarea dentro de una columna (y la mueve si `column` es otra).
+ * Solo se reescribe su archivo: su `order` pasa a estar entre el de sus
+ * vecinos. Si ya no cabe un decimal entre ellos se renumera la columna.
+ * @param {string} taskId - ID de la tarea
+ * @param {Object} target
+ * @param {string} [target.column] - Columna destino (default: la actual)
+ * @param {string} [target.afterId] - Tarea que queda justo encima
+ * @param {string} [target.beforeId] - Tarea que queda justo debajo
+ * @param {boolean} [target.force] - Ignora el límite WIP si cambia de columna
+ * @param {string} [target.author] - Quién la mueve, si cambia de columna
+ * @param {string} [kanbanPath] - Ruta base del kanban
+ * @returns {{ success, task, fromColumn, toColumn, order, rebalanced }}
+ */
+function reorderTask(taskId, { column, afterId = null, beforeId = null, force = false, author = null } = {}, kanbanPath = KANBAN_PATH) {
+  const found = getTaskById(taskId, kanbanPath);
+  if (!found) {
+    throw new Error(`Tarea ${taskId} no encontrada`);
+  }
+  const fromColumn = found.column;
+  const toColumn = column || fromColumn;
+
+  // Vecinos validados antes de mover: con un ID erróneo la tarea no se toca
+  const sameId = (a, b) => String(a).padStart(3, '0') === String(b).padStart(3, '0');
+  const others = getTasksFromColumn(toColumn, kanbanPath).filter(t => !sameId(t.id, taskId));
+  const indexOf = (id) => {
+    if (id == null) return -1;
+    const index = others.findIndex(t => sameId(t.id, id));
+    if (index < 0) throw new Error(`Tarea ${id} no está en ${toColumn}`);
+    return index;
+  };
+
+  // Posición de inserción en `others`; sin vecinos, al final
+  let insertAt = others.length;
+  if (afterId != null) insertAt = indexOf(afterId) + 1;
+  else if (beforeId != null) insertAt = indexOf(beforeId);
+
+  if (toColumn !== fromColumn) moveTask(taskId, toColumn, kanbanPath, { force, author });
+
+  const prev = others[insertAt - 1];
+  const next = others[insertAt];
+  let order;
+  if (prev && next) order = (taskRank(prev) + taskRank(next)) / 2;
+  else if (prev) order = taskRank(prev) + 1;
+  else if (next) order = taskRank(next) - 1;
+  else order = 1;
+
+  const { writeTask } = require('../core/task');
+  const fits = (!prev || order > taskRank(prev)) && (!next || order < taskRank(next));
+  let rebalanced = false;
+
+  if (fits) {
+    const current = getTaskById(taskId, kanbanPath);
+    writeTask({ ...current.task, order }, current.filePath);
+  } else {
+    // Sin hueco (rangos iguales o sin precisión): renumerar 1..n
+    const moved = getTaskById(taskId, kanbanPath);
+    const ordered = [...others.slice(0, insertAt), moved.task, ...others.slice(insertAt)];
+    ordered.forEach((task, i) => {
+      if (task.order === i + 1) return;
+      writeTask({ ...task, order: i + 1 }, task.filePath);
+    });
+    order = insertAt + 1;
+    rebalanced = true;
+  }
+
+  return {
+    success: true,
+    task: getTaskById(taskId, kanbanPath).task,
+    fromColumn,
+    toColumn,
+    order,
+    rebalanced,
   };
 }
 
 /**
  * Crea una nueva tarea en una columna
  * @param {Object} taskData - Datos de la tarea
- * @param {string} column - Columna inicial (default: backlog)
+ * @param {string} [column] - Columna inicial (default: la primera del tablero, backlog)
  * @param {string} [kanbanPath] - Ruta base del kanban
+ * @param {Object} [options] - { force: true } ignora el límite WIP de la columna;
+ *   `author` queda en el registro de actividad (default: usuario del sistema)
  */
-function createTask(taskData, column = 'backlog', kanbanPath = KANBAN_PATH) {
+function createTask(taskData, column = null, kanbanPath = KANBAN_PATH, { force = false, author = null } = {}) {
   const { writeTask, generateFileName } = require('../core/task');
+  const schema = getBoardSchema(kanbanPath);
+  const { ids } = schema;
+  column = column || ids[0];
+  if (!ids.includes(column)) {
+    throw new Error(`Columna inválida: ${column}. Válidas: ${ids.join(', ')}`);
+  }
+  if (!force) assertWip(schema, column, countTasks(column, kanbanPath));
 
   const fileName = generateFileName(taskData.id, taskData.title);
   const filePath = path.join(kanbanPath, column, fileName);
@@ -154,6 +263,7 @@ function createTask(taskData, column = 'backlog', kanbanPath = KANBAN_PATH) {
   };
 
   writeTask(task, filePath);
+  recordActivity(task.id, { type: 'created', author, column }, kanbanPath);
 
   return { ...task, filePath, column, fileName };
 }
@@ -200,10 +310,17 @@ async function getTaskByIdCached(id, kanbanPath = KANBAN_PATH) {
 }
 
 async function invalidateTaskCache(id, columns = [], kanbanPath = KANBAN_PATH) {
-  const paddedId = String(id).padStart(3, '0');
+  await invalidateTasksCache([id], columns, kanbanPath);
+}
+
+/**
+ * Invalida varias tareas de una vez (operaciones en lote): un solo cache.del
+ */
+async function invalidateTasksCache(ids, columns = [], kanbanPath = KANBAN_PATH) {
   const pk = pathKey(kanbanPath);
-  const keys = [`task:${paddedId}:${pk}`, `tasks:all:${pk}`];
-  for (const col of columns) {
+  const keys = ids.map(id => `task:${String(id).padStart(3, '0')}:${pk}`);
+  keys.push(`tasks:all:${pk}`);
+  for (const col of new Set(columns)) {
     if (col) keys.push(`tasks:column:${col}:${pk}`);
   }
   await cache.del(keys);
@@ -214,9 +331,11 @@ module.exports = {
   getTasksFromColumn,
   getTaskById,
   moveTask,
+  reorderTask,
   createTask,
   deleteTask,
   getTasksCached,
   getTaskByIdCached,
   invalidateTaskCache,
+  invalidateTasksCache,
 };
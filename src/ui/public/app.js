@@ -5,16 +5,26 @@
 // ─────────────────────────────────────────────
 // ESTADO GLOBAL
 // ─────────────────────────────────────────────
-const COLUMNS = [
+// Columnas por defecto; se sustituyen por las del proyecto (GET /api/board/schema)
+let COLUMNS = [
   { id: 'backlog',     label: 'Backlog',      icon: '📋', color: '#475569' },
   { id: 'todo',        label: 'Todo',         icon: '📌', color: '#0ea5e9' },
   { id: 'in_progress', label: 'In Progress',  icon: '⚡', color: '#8b5cf6' },
   { id: 'review',      label: 'Review',       icon: '🔍', color: '#f59e0b' },
   { id: 'done',        label: 'Done',         icon: '✅', color: '#10b981' },
 ];
+// Columnas del motor y movimientos permitidos (allowed = null → cualquiera)
+let boardSchema = {
+  motor: { pickFrom: 'todo', working: 'in_progress', success: 'done', failure: 'review' },
+  allowed: null,
+};
 
 let allTasks = {};          // { backlog: [], todo: [], ... }
-let currentFilter = 'all';  // all | feature | fix | bug | label:<tag>
+let currentQuery = '';      // consulta del filtro: type:bug label:auth ... (ver core/query.js)
+let queryMatches = null;    // IDs que cumplen currentQuery según el servidor (null = sin filtro)
+let savedViews = [];        // vistas guardadas del proyecto: [{ name, query }]
+let selectMode = false;     // modo selección: click en tarjeta = seleccionar
+let selectedIds = new Set(); // IDs seleccionados para operaciones en lote
 let draggedCard = null;     // { taskId, fromColumn }
 let editingTaskId = null;   // ID de tarea en edición
 let currentDetailTaskId = null; // ID de tarea en modal detalle
@@ -26,7 +36,9 @@ let notificationsList = [];      // historial de notificaciones
 let notifCenterOpen = false;     // si el dropdown está abierto
 let unreadNotifCount = 0;        // badge de no-leídas
 let metricsVisible = false;
+let graphVisible = false;
 let registeredProjects = []; // proyectos desde kanban.config.js
+let searchTimer = null;          // debounce de la búsqueda
 
 // ─────────────────────────────────────────────
 // INICIALIZACIÓN
@@ -35,7 +47,8 @@ let loopStatusInterval = null;
 
 document.addEventListener('DOMContentLoaded', () => {
   buildBoard();
-  loadTasks();
+  loadBoardSchema().then(() => loadTasks());
+  loadViews();
   loadProjects();
   loadEngine();
   setupWebSocket();
@@ -60,11 +73,36 @@ function startLoopStatusPolling() {
 }
 
 // ─────────────────────────────────────────────
-// SELECCIÓN DE MOTOR IA (Claude / OpenCode)
+// SELECCIÓN DE MOTOR IA (Claude / OpenCode / engines registrados)
 // ─────────────────────────────────────────────
 let currentEngine = 'opencode';
+const engineLabels = { claude: 'Claude AI', opencode: 'OpenCode' };
+
+// Añade un botón por cada engine registrado que no esté ya en el HTML
+async function loadEngineList() {
+  try {
+    const res = await fetch('/api/engines');
+    const { success, data } = await res.json();
+    if (!success) return;
+    const toggle = document.getElementById('engineToggle');
+    for (const e of data) {
+      let btn = document.getElementById(`eng-${e.name}`);
+      if (!btn) {
+        btn = document.createElement('button');
+        btn.className = 'engine-btn';
+        btn.id = `eng-${e.name}`;
+        btn.textContent = e.label;
+        btn.onclick = () => setEngine(e.name);
+        toggle.appendChild(btn);
+      }
+      if (!engineLabels[e.name]) engineLabels[e.name] = e.label;
+      btn.title = e.available ? e.label : `${e.label} (no detectado)`;
+    }
+  } catch {}
+}
 
 async function loadEngine() {
+  await loadEngineList();
   try {
     const res = await fetch('/api/engine');
     const { success, engine } = await res.json();
@@ -82,8 +120,7 @@ async function setEngine(engine) {
     const { success, error } = await res.json();
     if (!success) throw new Error(error);
     setEngineUI(engine);
-    const labels = { claude: 'Claude AI', opencode: 'OpenCode' };
-    showToast(`Motor: ${labels[engine] || engine}`, 'success');
+    showToast(`Motor: ${engineLabels[engine] || engine}`, 'success');
   } catch (err) {
     showToast(`Error: ${err.message}`, 'error');
   }
@@ -229,7 +266,7 @@ async function pollMotorLogs() {
 // BANNER DE ESTADO DEL MOTOR IA
 // ─────────────────────────────────────────────
 function updateAIStatusBanner() {
-  const inProgress = allTasks['in_progress'] || [];
+  const inProgress = allTasks[boardSchema.motor.working] || [];
   let banner = document.getElementById('aiBanner');
 
   if (!banner) {
@@ -259,9 +296,18 @@ function updateAIStatusBanner() {
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
+      // Con un modal abierto, Escape cierra el modal y no sale del modo selección
+      const modalOpen = document.querySelector('.modal-overlay.active');
       closeModal('taskModal');
       closeModal('detailModal');
       if (notifCenterOpen) toggleNotifCenter();
+      closeSearch();
+      if (selectMode && !modalOpen) toggleSelectMode();
+    }
+    // /: enfocar la búsqueda
+    if (e.key === '/' && !['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) {
+      e.preventDefault();
+      document.getElementById('searchInput')?.focus();
     }
     // Ctrl/Cmd + N: nueva tarea
     if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
@@ -279,9 +325,61 @@ function setupKeyboardShortcuts() {
         toggleNotifCenter();
       }
     }
+    const search = document.getElementById('searchWrapper');
+    if (search && !search.contains(e.target)) closeSearch();
   });
 }
 
+// ─────────────────────────────────────────────
+// BÚSQUEDA (tareas, artefactos e historial)
+// ─────────────────────────────────────────────
+const SEARCH_KIND_LABELS = { task: 'tarea', artifact: 'artefacto', history: 'historial' };
+
+function onSearchInput(query) {
+  clearTimeout(searchTimer);
+  if (query.trim().length < 2) return closeSearch();
+  searchTimer = setTimeout(() => runSearch(query.trim()), 250);
+}
+
+async function runSearch(query) {
+  const panel = document.getElementById('searchResults');
+  try {
+    const res = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=15`);
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    // Respuesta vieja: el usuario ya escribió otra cosa
+    if (document.getElementById('searchInput').value.trim() !== query) return;
+    panel.innerHTML = data.data.length === 0
+      ? '<div class="search-empty">Sin resultados</div>'
+      : data.data.map(renderSearchResult).join('');
+  } catch (err) {
+    panel.innerHTML = `<div class="search-empty">Error: ${escapeHtml(err.message)}</div>`;
+  }
+  panel.classList.add('open');
+}
+
+function renderSearchResult(result) {
+  const matches = result.matches.slice(0, 2).map(m => `
+    <div class="search-match">
+      <span class="search-kind">${m.kind === 'task' ? 'tarea' : `${SEARCH_KIND_LABELS[m.kind]} ${escapeHtml(m.name)}`}</span>
+      ${escapeHtml(m.snippet)}
+    </div>`).join('');
+  return `
+    <div class="search-result" onclick="openSearchResult(event, '${result.id}')">
+      <div class="search-result-title"><strong>#${result.id}</strong> ${escapeHtml(result.title)} <span class="search-column">${escapeHtml(result.column)}</span></div>
+      ${matches}
+    </div>`;
+}
+
+function openSearchResult(e, taskId) {
+  closeSearch();
+  openDetailModal(e, taskId);
+}
+
+function closeSearch() {
+  document.getElementById('searchResults')?.classList.remove('open');
+}
+
 // ─────────────────────────────────────────────
 // NOTIFICACIONES OS
 // ─────────────────────────────────────────────
@@ -378,8 +476,10 @@ async function setActiveProject(name) {
       body: JSON.stringify({ name }),
     });
     showToast(name ? `Proyecto: ${name}` : 'Sin proyecto activo', 'success');
-    // Recargar tareas del nuevo proyecto inmediatamente
+    // Recargar columnas y tareas del nuevo proyecto inmediatamente
+    await loadBoardSchema();
     await loadTasks(false);
+    loadViews();
   } catch {}
 }
 
@@ -698,6 +798,7 @@ function getNotifIcon(type) {
     'task:moved': '→',
     'task:updated': '~',
     'task:deleted': '×',
+    'task:bulk': '≡',
     'task:completed': '✓',
     'loop:started': '▶',
     'loop:stopped': '⏹',
@@ -764,12 +865,210 @@ async function loadMetrics() {
     document.getElementById('m-avgIter').textContent = data.avgIterations > 0 ? data.avgIterations : '—';
     document.getElementById('m-inprogress').textContent = data.byColumn?.in_progress || 0;
     document.getElementById('m-review').textContent = data.byColumn?.review || 0;
+
+    const cost = data.cost || {};
+    document.getElementById('m-cost').textContent = cost.total ? formatCost(cost.total) : '—';
+    document.getElementById('m-tokens').textContent = cost.total ? formatTokens(usageTokens(cost.total)) : '—';
+    renderCostBreakdown(cost);
   } catch {}
 }
 
+// Las N entradas más caras de un agregado { clave: usage }
+function costRows(group, limit = 5, labelFn = key => key) {
+  return Object.entries(group || {})
+    .sort(([, a], [, b]) => (b.costUsd || 0) - (a.costUsd || 0))
+    .slice(0, limit)
+    .map(([key, usage]) => `
+      <div class="metrics-cost-row">
+        <span>${escapeHtml(labelFn(key, usage))}</span>
+        <span>${formatCost(usage)}</span>
+      </div>`)
+    .join('');
+}
+
+function renderCostBreakdown(cost) {
+  const el = document.getElementById('m-costBreakdown');
+  if (!cost.total) {
+    el.innerHTML = '';
+    return;
+  }
+  const days = Object.keys(cost.byDay || {}).sort().slice(-7);
+  const lastDays = Object.fromEntries(days.map(d => [d, cost.byDay[d]]));
+  const groups = [
+    ['Por tipo', costRows(cost.byType)],
+    ['Tareas más caras', costRows(cost.byTask, 5, (id, u) => `#${id} ${u.title || ''}`)],
+    ['Por proyecto', costRows(cost.byProject)],
+    ['Últimos días', Object.entries(lastDays).reverse().map(([day, usage]) => `
+      <div class="metrics-cost-row"><span>${day}</span><span>${formatCost(usage)}</span></div>`).join('')],
+  ];
+  el.innerHTML = groups
+    .filter(([, rows]) => rows)
+    .map(([title, rows]) => `<div class="metrics-cost-group"><div class="metrics-cost-title">${title}</div>${rows}</div>`)
+    .join('');
+}
+
+// ─────────────────────────────────────────────
+// GRAFO DE DEPENDENCIAS
+// ─────────────────────────────────────────────
+const GRAPH_NODE = { width: 170, height: 44, gapX: 60, gapY: 18 };
+
+function toggleGraph() {
+  graphVisible = !graphVisible;
+  document.getElementById('graphPanel').style.display = graphVisible ? 'block' : 'none';
+  if (graphVisible) loadGraph();
+}
+
+async function loadGraph() {
+  try {
+    const res = await fetch('/api/graph');
+    const { success, data, error } = await res.json();
+    if (!success) throw new Error(error);
+    renderGraph(data);
+  } catch (err) {
+    document.getElementById('graphCanvas').innerHTML = `<div class="graph-empty">Error cargando el grafo: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+/**
+ * Capa de cada nodo = longitud de su cadena de dependencias más larga (las
+ * tareas sin dependencias a la izquierda). Solo se dibujan las tareas con
+ * alguna dependencia, entrante o saliente.
+ */
+function layoutGraph(nodes, edges) {
+  const linked = new Set(edges.flatMap(e => [e.from, e.to]));
+  const byId = new Map(nodes.filter(n => linked.has(n.id)).map(n => [n.id, n]));
+  // Dependencias que no existen: nodo fantasma para que se vea la arista
+  for (const e of edges) {
+    if (!byId.has(e.from)) byId.set(e.from, { id: e.from, title: '(no existe)', missing: true, blockedBy: [] });
+  }
+
+  const depsOf = new Map([...byId.keys()].map(id => [id, edges.filter(e => e.to === id).map(e => e.from)]));
+  const layer = new Map();
+  const depth = (id, stack = new Set()) => {
+    if (layer.has(id)) return layer.get(id);
+    if (stack.has(id)) return 0; // ciclo
+    stack.add(id);
+    const d = Math.max(-1, ...depsOf.get(id).map(dep => depth(dep, stack))) + 1;
+    stack.delete(id);
+    layer.set(id, d);
+    return d;
+  };
+  [...byId.keys()].forEach(id => depth(id));
+
+  const columns = [];
+  for (const [id, d] of layer) (columns[d] = columns[d] || []).push(id);
+  const pos = new Map();
+  columns.forEach((ids, x) => {
+    ids.sort().forEach((id, y) => pos.set(id, {
+      x: 16 + x * (GRAPH_NODE.width + GRAPH_NODE.gapX),
+      y: 16 + y * (GRAPH_NODE.height + GRAPH_NODE.gapY),
+    }));
+  });
+  return { byId, pos, columns };
+}
+
+function renderGraph({ nodes, edges, criticalPath, cycles }) {
+  const canvas = document.getElementById('graphCanvas');
+  const summary = document.getElementById('graphSummary');
+  const blocked = nodes.filter(n => !n.done && n.blockedBy.length > 0);
+  summary.textContent = [
+    `${edges.length} dependencias`,
+    `${blocked.length} bloqueadas`,
+    criticalPath.length ? `ruta crítica: ${criticalPath.map(id => `#${id}`).join(' → ')}` : '',
+  ].filter(Boolean).join(' · ');
+
+  if (edges.length === 0) {
+    canvas.innerHTML = '<div class="graph-empty">Ninguna tarea tiene dependencias (dependsOn)</div>';
+    return;
+  }
+
+  const { byId, pos, columns } = layoutGraph(nodes, edges);
+  const critical = new Set(criticalPath);
+  const criticalEdge = (e) => criticalPath.some((id, i) => i > 0 && criticalPath[i - 1] === e.from && id === e.to);
+  const width = 32 + columns.length * (GRAPH_NODE.width + GRAPH_NODE.gapX) - GRAPH_NODE.gapX;
+  const height = 32 + Math.max(...columns.map(c => c.length)) * (GRAPH_NODE.height + GRAPH_NODE.gapY) - GRAPH_NODE.gapY;
+
+  const edgeSvg = edges.map(e => {
+    const a = pos.get(e.from);
+    const b = pos.get(e.to);
+    const x1 = a.x + GRAPH_NODE.width, y1 = a.y + GRAPH_NODE.height / 2;
+    const x2 = b.x, y2 = b.y + GRAPH_NODE.height / 2;
+    const mid = (x1 + x2) / 2;
+    const cls = criticalEdge(e) ? 'critical' : e.missing || !e.done ? 'blocked' : 'done';
+    return `<path class="graph-edge ${cls}" d="M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2},${y2}" marker-end="url(#graph-arrow-${cls})"/>`;
+  }).join('');
+
+  const nodeSvg = [...byId.values()].map(n => {
+    const { x, y } = pos.get(n.id);
+    const cls = [
+      'graph-node',
+      n.missing ? 'missing' : '',
+      n.done ? 'done' : '',
+      !n.done && n.blockedBy.length > 0 ? 'blocked' : '',
+      critical.has(n.id) ? 'critical' : '',
+    ].filter(Boolean).join(' ');
+    const title = n.title.length > 22 ? `${n.title.slice(0, 21)}…` : n.title;
+    const click = n.missing ? '' : ` onclick="openDetailModal(event, '${n.id}')"`;
+    return `<g class="${cls}" transform="translate(${x},${y})"${click}>
+      <title>#${n.id} ${escapeHtml(n.title)}${n.blockedBy.length ? ` — bloqueada por ${n.blockedBy.map(id => `#${id}`).join(', ')}` : ''}</title>
+      <rect width="${GRAPH_NODE.width}" height="${GRAPH_NODE.height}" rx="6"/>
+      <text x="10" y="18" class="graph-node-id">#${n.id}${n.column ? ` · ${escapeHtml(n.column)}` : ''}</text>
+      <text x="10" y="34" class="graph-node-title">${escapeHtml(title)}</text>
+    </g>`;
+  }).join('');
+
+  const marker = (cls) => `<marker id="graph-arrow-${cls}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path class="graph-arrow ${cls}" d="M0,0 L10,5 L0,10 z"/></marker>`;
+  const cyclesHtml = cycles.length
+    ? `<div class="graph-cycles">⛔ Dependencias circulares: ${cycles.map(c => c.map(id => `#${id}`).join(' → ')).join(' · ')}</div>`
+    : '';
+
+  canvas.innerHTML = `${cyclesHtml}
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <defs>${['critical', 'blocked', 'done'].map(marker).join('')}</defs>
+      ${edgeSvg}
+      ${nodeSvg}
+    </svg>`;
+}
+
 // ─────────────────────────────────────────────
 // CONSTRUCCIÓN DEL TABLERO
 // ─────────────────────────────────────────────
+
+/**
+ * Carga columnas y transiciones del proyecto activo y reconstruye el tablero
+ * y el selector de columna del formulario.
+ */
+async function loadBoardSchema() {
+  try {
+    const res = await fetch('/api/board/schema');
+    const { success, data } = await res.json();
+    if (!success) throw new Error('Error cargando columnas');
+    COLUMNS = data.columns;
+    boardSchema = data;
+  } catch (err) {
+    console.error('Error cargando columnas:', err);
+  }
+  buildBoard();
+  document.getElementById('taskColumn').innerHTML = COLUMNS
+    .map(col => `<option value="${col.id}">${escapeHtml(col.label)}</option>`)
+    .join('');
+}
+
+/**
+ * Ante un error de límite WIP pregunta si forzar; true = repetir con force.
+ */
+function confirmWipOverride(error) {
+  return /Límite WIP/.test(error || '') && confirm(`${error}\n\n¿Forzar de todos modos?`);
+}
+
+/**
+ * ¿Se puede mover una tarea de `from` a `to`? (transiciones del proyecto)
+ */
+function canMove(from, to) {
+  if (from === to || !boardSchema.allowed) return true;
+  return (boardSchema.allowed[from] || []).includes(to);
+}
+
 function buildBoard() {
   const board = document.getElementById('board');
   board.innerHTML = '';
@@ -785,7 +1084,7 @@ function createColumnEl(col) {
   colEl.dataset.column = col.id;
 
   colEl.innerHTML = `
-    <div class="column-header">
+    <div class="column-header" style="border-color: ${col.color}">
       <div class="column-title">
         <span class="column-icon">${col.icon}</span>
         <span>${col.label}</span>
@@ -808,18 +1107,20 @@ function createColumnEl(col) {
 // INICIAR TAREA INDIVIDUAL
 // ─────────────────────────────────────────────
 async function startTask(taskId, fromColumn) {
-  if (fromColumn !== 'todo') {
-    // Primero mover a todo
+  const { pickFrom } = boardSchema.motor;
+  if (fromColumn !== pickFrom) {
+    // Primero mover a la columna de la que coge el motor (todo)
     try {
-      const res = await fetch(`/api/tasks/${taskId}/move`, {
+      const move = (force) => fetch(`/api/tasks/${taskId}/move`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ column: 'todo' })
-      });
-      const { success } = await res.json();
-      if (!success) throw new Error('Error moviendo tarea');
+        body: JSON.stringify({ column: pickFrom, force })
+      }).then(r => r.json());
+      let { success, error } = await move(false);
+      if (!success && confirmWipOverride(error)) ({ success, error } = await move(true));
+      if (!success) throw new Error(error || 'Error moviendo tarea');
     } catch (err) {
-      showToast('Error moviendo tarea a TODO', 'error');
+      showToast(`Error moviendo tarea a ${pickFrom.toUpperCase()}: ${err.message}`, 'error');
       return;
     }
   }
@@ -854,8 +1155,10 @@ async function loadTasks(showLoader = true) {
     if (!success) throw new Error('Error cargando tareas');
 
     allTasks = data;
+    if (currentQuery) await loadQueryMatches().catch(() => {});
     renderBoard();
     updateAIStatusBanner();
+    if (graphVisible) loadGraph();
   } catch (err) {
     console.error('Error cargando tareas:', err);
     if (showLoader) showToast('Error cargando tareas', 'error');
@@ -875,7 +1178,11 @@ function renderBoard() {
     const tasks = allTasks[col.id] || [];
     const filtered = filterTasks(tasks);
 
-    countEl.textContent = filtered.length;
+    // Con límite WIP: total de la columna / límite (p. ej. 3/5)
+    countEl.textContent = col.wip ? `${tasks.length}/${col.wip}` : filtered.length;
+    countEl.classList.toggle('wip-full', Boolean(col.wip) && tasks.length === col.wip);
+    countEl.classList.toggle('wip-over', Boolean(col.wip) && tasks.length > col.wip);
+    countEl.title = col.wip ? `Límite WIP: ${col.wip}` : '';
     totalVisible += filtered.length;
 
     body.innerHTML = '';
@@ -898,15 +1205,8 @@ function renderBoard() {
 }
 
 function filterTasks(tasks) {
-  if (currentFilter === 'all') return tasks;
-  if (['feature', 'fix', 'bug'].includes(currentFilter)) {
-    return tasks.filter(t => t.type === currentFilter);
-  }
-  if (currentFilter.startsWith('label:')) {
-    const label = currentFilter.replace('label:', '');
-    return tasks.filter(t => t.labels && t.labels.includes(label));
-  }
-  return tasks;
+  if (!queryMatches) return tasks;
+  return tasks.filter(t => queryMatches.has(String(t.id)));
 }
 
 // ─────────────────────────────────────────────
@@ -915,53 +1215,96 @@ function filterTasks(tasks) {
 function isBlocked(task) {
   const deps = Array.isArray(task.dependsOn) ? task.dependsOn : [];
   if (deps.length === 0) return false;
-  const doneTasks = allTasks['done'] || [];
+  const doneTasks = allTasks[boardSchema.motor.success] || [];
   const doneIds = doneTasks.map(t => String(t.id).padStart(3, '0'));
   return deps.some(depId => !doneIds.includes(String(depId).padStart(3, '0')));
 }
 
+/**
+ * Progreso de las subtareas: { total, done } contando las hijas en la columna de éxito.
+ */
+function childrenProgress(task) {
+  const children = Array.isArray(task.children) ? task.children.map(id => String(id).padStart(3, '0')) : [];
+  const doneIds = (allTasks[boardSchema.motor.success] || []).map(t => String(t.id).padStart(3, '0'));
+  return { total: children.length, done: children.filter(id => doneIds.includes(id)).length };
+}
+
 function createCardEl(task) {
   const card = document.createElement('div');
   card.className = 'card';
   card.dataset.taskId = task.id;
   card.dataset.column = task.column;
-  card.draggable = true;
+  card.draggable = !selectMode;
+  if (selectedIds.has(String(task.id))) card.classList.add('selected');
 
   const labels = (task.labels || []).map(l =>
-    `<span class="label-chip" onclick="setFilter('label:${l}', null)">${l}</span>`
+    `<span class="label-chip" onclick="setFilter('label:${l}')">${l}</span>`
   ).join('');
 
   const idStr = String(task.id).padStart(3, '0');
-  const blocked = task.column === 'todo' && isBlocked(task);
+  const { motor } = boardSchema;
+  const blocked = task.column === motor.pickFrom && isBlocked(task);
   const blockedBadge = blocked
     ? `<span class="blocked-badge">🔒 Bloqueada</span>`
     : '';
 
   // Indicador de que está trabajando
-  const workingBadge = task.column === 'in_progress' 
+  const workingBadge = task.column === motor.working 
     ? `<span class="working-badge">⚡ Trabajando</span>`
     : '';
 
   // Indicador de error en review
-  const errorBadge = task.column === 'review' && task.lastError
+  const errorBadge = task.column === motor.failure && task.lastError
     ? `<span class="error-badge" title="${escapeHtml(task.lastError)}">⚠️ Error</span>`
     : '';
   
   // Mostrar reintento si existe
-  const retryBadge = task.column === 'review' && task.retryCount
+  const retryBadge = task.column === motor.failure && task.retryCount
     ? `<span class="retry-badge">🔄 ${task.retryCount}/3</span>`
     : '';
 
-  // Contar criterios de aceptación completados
-  const content = task.content || '';
-  const criteriaTotal = (content.match(/- \[[x ]\]/g) || []).length;
-  const criteriaDone = (content.match(/- \[x\]/g) || []).length;
-  const criteriaHtml = criteriaTotal > 0 
-    ? `<div class="card-criteria">${criteriaDone}/${criteriaTotal} criterios</div>`
+  // Pull request abierto por el motor (git.strategy 'pr')
+  const prBadge = task.prUrl
+    ? `<a class="pr-badge pr-${escapeHtml(task.prState || 'open')}" href="${escapeHtml(task.prUrl)}" target="_blank" rel="noopener" onclick="event.stopPropagation()" title="${escapeHtml(task.prUrl)}">🔀 PR${task.prNumber ? ` #${escapeHtml(String(task.prNumber))}` : ''}</a>`
+    : '';
+
+  // Programada (scheduledAt futuro) y/o recurrente (cron)
+  const scheduledAt = task.scheduledAt ? new Date(task.scheduledAt) : null;
+  const pending = scheduledAt && scheduledAt > new Date() && task.column !== motor.success;
+  const scheduleBadge = pending || task.recurrence
+    ? `<span class="schedule-badge" title="${escapeHtml([pending ? `Programada: ${scheduledAt.toLocaleString()}` : '', task.recurrence ? `Cron: ${task.recurrence}` : ''].filter(Boolean).join(' · '))}">${task.recurrence ? '🔁' : '⏰'}${pending ? ` ${scheduledAt.toLocaleString('es', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}` : ''}</span>`
+    : '';
+
+  // Criterios de aceptación (estructurados por el servidor) y los que SCOPE dio por no cumplidos
+  const criteria = task.criteria || [];
+  const criteriaDone = criteria.filter(c => c.checked).length;
+  const criteriaHtml = criteria.length > 0
+    ? `<div class="card-criteria">${criteriaDone}/${criteria.length} criterios</div>`
+    : '';
+  const failedCriteria = task.column === motor.failure ? (task.failedCriteria || []) : [];
+  const criteriaBadge = failedCriteria.length > 0
+    ? `<span class="criteria-badge" title="${escapeHtml(failedCriteria.map(c => `${c.n}. ${c.text}`).join('\n'))}">❌ ${failedCriteria.length} criterio${failedCriteria.length > 1 ? 's' : ''}</span>`
+    : '';
+
+  // Subtareas: el padre muestra cuántas hijas están terminadas
+  const children = childrenProgress(task);
+  const childrenHtml = children.total > 0
+    ? `<div class="card-subtasks${children.done === children.total ? ' complete' : ''}">${children.done}/${children.total} subtareas</div>`
+    : '';
+  const parentRef = task.parent
+    ? `<span class="card-parent" title="Subtarea de #${escapeHtml(String(task.parent).padStart(3, '0'))}">↳ #${escapeHtml(String(task.parent).padStart(3, '0'))}</span>`
     : '';
 
-  // Botón Start solo si no está en done ni in_progress
-  const canStart = task.column !== 'done' && task.column !== 'in_progress' && !blocked;
+  // Plan esperando aprobación humana (approve: [plan])
+  const awaitingApproval = task.approval?.status === 'pending';
+  const approvalBadge = awaitingApproval
+    ? `<span class="approval-badge" onclick="openDetailModal(event, '${task.id}')" title="Revisar el plan">⏸ Aprobar plan</span>`
+    : task.approval?.status === 'approved'
+      ? `<span class="approval-badge approved" title="Plan aprobado: continúa con CODE">✔ Plan aprobado</span>`
+      : '';
+
+  // Botón Start solo si no está en done ni in_progress (un padre no se ejecuta: espera a sus hijas)
+  const canStart = task.column !== motor.success && task.column !== motor.working && !blocked && children.total === 0 && !awaitingApproval;
   const startBtn = canStart 
     ? `<button class="card-start-btn" onclick="event.stopPropagation(); startTask('${task.id}', '${task.column}')" title="Iniciar tarea">▶ Start</button>`
     : '';
@@ -969,17 +1312,23 @@ function createCardEl(task) {
   card.innerHTML = `
     <div class="card-header">
       <span class="card-id">#${idStr}</span>
+      ${parentRef}
       <div class="card-badges">
         ${blockedBadge}
+        ${approvalBadge}
         ${workingBadge}
         ${errorBadge}
+        ${criteriaBadge}
         ${retryBadge}
+        ${prBadge}
+        ${scheduleBadge}
         <span class="badge badge-${task.type}">${task.type || 'feature'}</span>
         <span class="badge badge-${task.priority}">${task.priority || 'media'}</span>
       </div>
     </div>
     <div class="card-title">${escapeHtml(task.title)}</div>
     ${criteriaHtml}
+    ${childrenHtml}
     ${labels ? `<div class="card-labels">${labels}</div>` : ''}
     <div class="card-footer">
       <span class="card-branch" title="${escapeHtml(task.branch || '')}">${escapeHtml(task.branch || '')}</span>
@@ -994,8 +1343,12 @@ function createCardEl(task) {
   card.addEventListener('dragstart', onDragStart);
   card.addEventListener('dragend', onDragEnd);
 
-  // Click para ver detalle
+  // Click para ver detalle (o seleccionar, en modo selección)
   card.addEventListener('click', (e) => {
+    if (selectMode) {
+      toggleCardSelection(card, String(task.id));
+      return;
+    }
     if (e.target.tagName !== 'BUTTON' && !e.target.closest('.label-chip')) {
       openDetailModal(e, task.id);
     }
@@ -1004,6 +1357,80 @@ function createCardEl(task) {
   return card;
 }
 
+// ─────────────────────────────────────────────
+// OPERACIONES EN LOTE (modo selección)
+// ─────────────────────────────────────────────
+function toggleSelectMode() {
+  selectMode = !selectMode;
+  selectedIds.clear();
+  document.body.classList.toggle('select-mode', selectMode);
+  document.getElementById('selectModeBtn').classList.toggle('active', selectMode);
+  document.getElementById('bulkBar').classList.toggle('open', selectMode);
+  if (selectMode) {
+    document.getElementById('bulkColumn').innerHTML = COLUMNS.map(c =>
+      `<option value="${c.id}">${c.icon} ${escapeHtml(c.label)}</option>`
+    ).join('');
+  }
+  updateBulkCount();
+  renderBoard();
+}
+
+function toggleCardSelection(card, taskId) {
+  if (selectedIds.has(taskId)) selectedIds.delete(taskId);
+  else selectedIds.add(taskId);
+  card.classList.toggle('selected', selectedIds.has(taskId));
+  updateBulkCount();
+}
+
+function selectAllVisible() {
+  for (const col of COLUMNS) {
+    for (const task of filterTasks(allTasks[col.id] || [])) selectedIds.add(String(task.id));
+  }
+  updateBulkCount();
+  renderBoard();
+}
+
+function updateBulkCount() {
+  document.getElementById('bulkCount').textContent = `${selectedIds.size} seleccionada${selectedIds.size === 1 ? '' : 's'}`;
+}
+
+async function bulkAction(action, value, { ids = [...selectedIds], force = false } = {}) {
+  if (ids.length === 0) return showToast('Selecciona alguna tarea', 'error');
+  if ((action === 'add-label' || action === 'remove-label') && !String(value || '').trim()) {
+    return showToast('Escribe la etiqueta', 'error');
+  }
+  if (action === 'delete' && !confirm(`¿Eliminar ${ids.length} tarea(s)?`)) return;
+
+  try {
+    const res = await fetch('/api/tasks/bulk', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids, action, value, force }),
+    });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+
+    const { succeeded, failed, results } = data.data;
+    const errors = results.filter(r => !r.ok);
+    if (action === 'delete') results.filter(r => r.ok).forEach(r => selectedIds.delete(String(r.id)));
+    updateBulkCount();
+    await loadTasks(false);
+
+    if (failed === 0) {
+      showToast(`${succeeded} tarea(s) actualizadas`, 'success');
+      return;
+    }
+    showToast(`${succeeded} bien, ${failed} con error: #${errors[0].id} ${errors[0].error}`, 'error');
+    // Solo las que chocaron con el límite WIP se pueden forzar
+    const wipIds = errors.filter(r => /Límite WIP/.test(r.error)).map(r => r.id);
+    if (!force && wipIds.length > 0 && confirmWipOverride(errors.find(r => wipIds.includes(r.id)).error)) {
+      await bulkAction(action, value, { ids: wipIds, force: true });
+    }
+  } catch (err) {
+    showToast(`Error: ${err.message}`, 'error');
+  }
+}
+
 // ─────────────────────────────────────────────
 // DRAG & DROP
 // ─────────────────────────────────────────────
@@ -1020,45 +1447,98 @@ function onDragStart(e) {
 function onDragEnd(e) {
   e.currentTarget.classList.remove('dragging');
   document.querySelectorAll('.column').forEach(c => c.classList.remove('drag-over'));
+  removeDropIndicator();
   draggedCard = null;
 }
 
+/**
+ * Cartas entre las que caería la soltada a la altura `y` del cursor.
+ * @returns {{ prev: Element|null, next: Element|null }}
+ */
+function dropPosition(body, y) {
+  const cards = [...body.querySelectorAll('.card:not(.dragging)')];
+  const next = cards.find(card => {
+    const box = card.getBoundingClientRect();
+    return y < box.top + box.height / 2;
+  }) || null;
+  const prev = next ? (cards[cards.indexOf(next) - 1] || null) : (cards[cards.length - 1] || null);
+  return { prev, next };
+}
+
+function showDropIndicator(body, next) {
+  let indicator = document.getElementById('dropIndicator');
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.id = 'dropIndicator';
+    indicator.className = 'drop-indicator';
+  }
+  if (next) body.insertBefore(indicator, next);
+  else body.appendChild(indicator);
+}
+
+function removeDropIndicator() {
+  document.getElementById('dropIndicator')?.remove();
+}
+
 function setupDropZone(el, column) {
+  const body = el.closest('.column').querySelector('.column-body');
+
   el.addEventListener('dragover', (e) => {
+    // Sin preventDefault el navegador no deja soltar: transición no permitida
+    if (draggedCard && !canMove(draggedCard.fromColumn, column)) return;
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
     el.closest('.column').classList.add('drag-over');
+    if (draggedCard) showDropIndicator(body, dropPosition(body, e.clientY).next);
   });
 
   el.addEventListener('dragleave', (e) => {
     if (!el.contains(e.relatedTarget)) {
       el.closest('.column').classList.remove('drag-over');
+      if (!el.closest('.column').contains(e.relatedTarget)) removeDropIndicator();
     }
   });
 
   el.addEventListener('drop', async (e) => {
     e.preventDefault();
+    // El body está dentro de la columna: que el drop no se procese dos veces
+    e.stopPropagation();
     el.closest('.column').classList.remove('drag-over');
+    removeDropIndicator();
 
     if (!draggedCard) return;
-    if (draggedCard.fromColumn === column) return;
+    const { prev, next } = dropPosition(body, e.clientY);
+    const afterId = prev?.dataset.taskId || null;
+    const beforeId = next?.dataset.taskId || null;
+
+    // Soltada en su mismo sitio: nada que hacer
+    if (draggedCard.fromColumn === column) {
+      const own = body.querySelector(`.card[data-task-id="${draggedCard.taskId}"]`);
+      const ownPrev = own?.previousElementSibling?.classList.contains('card') ? own.previousElementSibling : null;
+      if ((ownPrev?.dataset.taskId || null) === afterId) return;
+    }
 
-    await moveTaskTo(draggedCard.taskId, column);
+    await reorderTaskTo(draggedCard.taskId, column, afterId, beforeId);
   });
 }
 
-async function moveTaskTo(taskId, column) {
+/**
+ * Recoloca la tarea entre afterId y beforeId (y la mueve si cambia de columna).
+ */
+async function reorderTaskTo(taskId, column, afterId, beforeId) {
   try {
-    const res = await fetch(`/api/tasks/${taskId}/move`, {
+    const fromColumn = findTask(taskId)?.column;
+    const reorder = (force) => fetch('/api/tasks/reorder', {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ column }),
-    });
+      body: JSON.stringify({ id: taskId, column, afterId, beforeId, force }),
+    }).then(r => r.json());
 
-    const { success, error } = await res.json();
+    let { success, error } = await reorder(false);
+    if (!success && confirmWipOverride(error)) ({ success, error } = await reorder(true));
     if (!success) throw new Error(error);
 
-    showToast(`Tarea movida a ${column}`, 'success');
+    if (fromColumn && fromColumn !== column) showToast(`Tarea movida a ${column}`, 'success');
     loadTasks(false);
   } catch (err) {
     showToast(`Error: ${err.message}`, 'error');
@@ -1068,7 +1548,7 @@ async function moveTaskTo(taskId, column) {
 // ─────────────────────────────────────────────
 // MODALES
 // ─────────────────────────────────────────────
-function openCreateModal(defaultColumn = 'backlog') {
+function openCreateModal(defaultColumn = COLUMNS[0].id) {
   editingTaskId = null;
   document.getElementById('modalTitle').textContent = 'Nueva Tarea';
   document.getElementById('taskId').value = '';
@@ -1078,6 +1558,8 @@ function openCreateModal(defaultColumn = 'backlog') {
   document.getElementById('taskColumn').value = defaultColumn;
   document.getElementById('taskLabels').value = '';
   document.getElementById('taskDependsOn').value = '';
+  document.getElementById('taskScheduledAt').value = '';
+  document.getElementById('taskRecurrence').value = '';
   document.getElementById('taskContent').value = '# Descripción\n\n\n# Criterios de aceptación\n- ';
   document.getElementById('deleteBtn').style.display = 'none';
 
@@ -1097,9 +1579,11 @@ async function openEditModal(taskId) {
     document.getElementById('taskTitle').value = task.title || '';
     document.getElementById('taskType').value = task.type || 'feature';
     document.getElementById('taskPriority').value = task.priority || 'media';
-    document.getElementById('taskColumn').value = task.column || task.status || 'backlog';
+    document.getElementById('taskColumn').value = task.column || task.status || COLUMNS[0].id;
     document.getElementById('taskLabels').value = (task.labels || []).join(', ');
     document.getElementById('taskDependsOn').value = (task.dependsOn || []).join(', ');
+    document.getElementById('taskScheduledAt').value = toDatetimeLocal(task.scheduledAt);
+    document.getElementById('taskRecurrence').value = task.recurrence || '';
     document.getElementById('taskContent').value = task.content || '';
     document.getElementById('deleteBtn').style.display = 'inline-block';
 
@@ -1144,7 +1628,10 @@ function openDetailModal(e, taskId) {
         ${task.branch ? `<span class="detail-meta-item">🌿 <code class="md-inline">${escapeHtml(task.branch)}</code></span>` : ''}
         <span class="detail-meta-item">📂 ${escapeHtml(task.column || task.status || '')}</span>
         ${task.projectPath ? `<span class="detail-meta-item">📦 ${escapeHtml(resolveProjectLabel(task.projectPath))}</span>` : ''}
+        ${task.scheduledAt ? `<span class="detail-meta-item">⏰ ${new Date(task.scheduledAt).toLocaleString()}</span>` : ''}
+        ${task.recurrence ? `<span class="detail-meta-item">🔁 <code class="md-inline">${escapeHtml(task.recurrence)}</code>${task.template ? ` · plantilla ${escapeHtml(task.template)}` : ''}</span>` : ''}
         ${deps ? `<span class="detail-meta-item">🔗 Deps: ${escapeHtml(deps)}</span>` : ''}
+        ${task.prUrl ? `<span class="detail-meta-item">🔀 <a href="${escapeHtml(task.prUrl)}" target="_blank" rel="noopener">PR${task.prNumber ? ` #${escapeHtml(String(task.prNumber))}` : ''}</a> (${escapeHtml(task.prState || 'open')})</span>` : ''}
       </div>
       <div class="detail-dates-row">
         ${task.createdAt ? `<span class="detail-date">📅 Creada ${new Date(task.createdAt).toLocaleString()}</span>` : ''}
@@ -1159,6 +1646,19 @@ function openDetailModal(e, taskId) {
         ${task.lastErrorAt ? `<div class="detail-error-time">${new Date(task.lastErrorAt).toLocaleString()}</div>` : ''}
       </div>
       ` : ''}
+      ${approvalSection(task)}
+      ${task.failedCriteria?.length ? `
+      <div class="detail-criteria-section">
+        <div class="detail-criteria-header">❌ Criterios no cumplidos (${task.failedCriteria.length}/${(task.criteria || []).length || task.failedCriteria.length})</div>
+        <ul class="detail-criteria-list">
+          ${task.failedCriteria.map(c => `
+            <li>
+              <span class="detail-criteria-text">${c.n}. ${escapeHtml(c.text)}</span>
+              ${c.evidence ? `<span class="detail-criteria-evidence">${escapeHtml(c.evidence)}</span>` : ''}
+            </li>`).join('')}
+        </ul>
+      </div>
+      ` : ''}
     </div>
     <div class="detail-content-section md-body">
       ${renderMarkdown(task.content)}
@@ -1173,6 +1673,62 @@ function openDetailModal(e, taskId) {
   openModal('detailModal');
 }
 
+// ─── Aprobación del plan (approve: [plan]) ───
+function approvalSection(task) {
+  const approval = task.approval;
+  if (!approval) return '';
+  const comments = (approval.comments || []).map(c => `
+    <li><span class="detail-date">${new Date(c.at).toLocaleString()}</span> ${escapeHtml(c.comment)}</li>`).join('');
+  const history = comments ? `<ul class="approval-comments">${comments}</ul>` : '';
+
+  if (approval.status === 'pending') {
+    return `
+      <div class="detail-approval-section">
+        <div class="detail-approval-header">⏸ Plan pendiente de aprobación</div>
+        <textarea class="form-textarea approval-plan" id="approvalPlan">${escapeHtml(approval.plan || '')}</textarea>
+        <div class="approval-hint">Puedes editar el plan antes de aprobarlo.</div>
+        ${history}
+        <textarea class="form-textarea approval-comment" id="approvalComment" placeholder="Motivo del rechazo (obligatorio para rechazar)"></textarea>
+        <div class="approval-actions">
+          <button class="btn btn-secondary" onclick="decidePlan('${task.id}', false)">↩ Rechazar</button>
+          <button class="btn btn-primary" onclick="decidePlan('${task.id}', true)">✅ Aprobar</button>
+        </div>
+      </div>`;
+  }
+  const label = approval.status === 'approved'
+    ? `✔ Plan aprobado${approval.edited ? ' (editado)' : ''}: el motor continúa con CODE`
+    : '↩ Plan rechazado: el motor repetirá PLAN con estos comentarios';
+  return `
+    <div class="detail-approval-section ${approval.status}">
+      <div class="detail-approval-header">${label}</div>
+      ${history}
+    </div>`;
+}
+
+async function decidePlan(taskId, approve) {
+  const body = approve
+    ? { plan: document.getElementById('approvalPlan').value }
+    : { comment: document.getElementById('approvalComment').value };
+  if (!approve && !body.comment.trim()) {
+    showToast('Escribe por qué rechazas el plan', 'error');
+    return;
+  }
+  try {
+    const res = await fetch(`/api/tasks/${taskId}/${approve ? 'approve' : 'reject'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const { success, error } = await res.json();
+    if (!success) throw new Error(error);
+    showToast(approve ? `Plan de #${taskId} aprobado` : `Plan de #${taskId} rechazado`, 'success');
+    closeModal('detailModal');
+    loadTasks();
+  } catch (err) {
+    showToast(`Error: ${err.message}`, 'error');
+  }
+}
+
 // ─────────────────────────────────────────────
 // TABS EN MODAL DETALLE
 // ─────────────────────────────────────────────
@@ -1183,6 +1739,7 @@ function switchTab(tab, btn) {
   document.getElementById('detailBody').style.display = tab === 'detail' ? 'block' : 'none';
   document.getElementById('phasesBody').style.display = tab === 'phases' ? 'block' : 'none';
   document.getElementById('historyBody').style.display = tab === 'history' ? 'block' : 'none';
+  document.getElementById('activityBody').style.display = tab === 'activity' ? 'block' : 'none';
   document.getElementById('diffBody').style.display = tab === 'diff' ? 'block' : 'none';
 
   if (tab === 'phases' && currentDetailTaskId) {
@@ -1191,6 +1748,9 @@ function switchTab(tab, btn) {
   if (tab === 'history' && currentDetailTaskId) {
     loadHistoryTab(currentDetailTaskId);
   }
+  if (tab === 'activity' && currentDetailTaskId) {
+    loadActivityTab(currentDetailTaskId);
+  }
   if (tab === 'diff' && currentDetailTaskId) {
     loadDiffTab(currentDetailTaskId);
   }
@@ -1218,8 +1778,13 @@ async function loadPhasesTab(taskId) {
 
     const lastRun = history && history.length > 0 ? history[history.length - 1] : null;
     const phasesInfo = lastRun?.phases || {};
+    const taskUsage = sumUsage((history || []).map(h => h.usage));
+    const usageSummary = taskUsage
+      ? `<div class="phases-usage-summary">💰 Tarea: ${usageLabel(taskUsage)} en ${history.length} ejecución(es)` +
+        (lastRun?.usage ? ` · última: ${formatCost(lastRun.usage)}` : '') + '</div>'
+      : '';
 
-    const phaseOrder = ['plan', 'code-iter1', 'code-iter2', 'code-iter3', 'review-iter1', 'review-iter2', 'review-iter3', 'test-iter1', 'test-iter2', 'test-iter3', 'scope'];
+    const phaseOrder = ['plan', 'code-iter1', 'code-iter2', 'code-iter3', 'review-iter1', 'review-iter2', 'review-iter3', 'test-iter1', 'test-iter2', 'test-iter3', 'verify-iter1', 'verify-iter2', 'verify-iter3', 'scope', 'criteria', 'review-rebase', 'test-rebase', 'verify-rebase', 'resolve'];
     
     const sortedArtifacts = artifacts.sort((a, b) => {
       const aIdx = phaseOrder.findIndex(p => a.name.startsWith(p));
@@ -1227,20 +1792,26 @@ async function loadPhasesTab(taskId) {
       return (aIdx === -1 ? 999 : aIdx) - (bIdx === -1 ? 999 : bIdx);
     });
 
-    el.innerHTML = `<div class="phases-list">
+    el.innerHTML = `${usageSummary}<div class="phases-list">
       ${sortedArtifacts.map(a => {
         const phaseLabel = a.name.replace('-iter', ' (iter ').replace('iter', 'iter ') + (a.name.includes('iter') ? ')' : '');
         const phaseIcon = a.name.startsWith('plan') ? '📋' 
           : a.name.startsWith('code') ? '💻'
           : a.name.startsWith('review') ? '🔍'
           : a.name.startsWith('test') ? '🧪'
-          : a.name.startsWith('scope') ? '✅' : '📄';
+          : a.name.startsWith('verify') ? '🚦'
+          : a.name.startsWith('scope') ? '✅'
+          : a.name.startsWith('criteria') ? '☑️'
+          : a.name.startsWith('resolve') ? '🧩' : '📄';
         const logBadge = a.hasLog ? `<span class="phase-log-badge" title="Output disponible (${(a.logSize/1024).toFixed(1)}KB)">📜</span>` : '';
+        const usage = artifactUsage(lastRun, a.name);
+        const usageBadge = usage ? `<span class="phase-usage" title="${escapeHtml(usageLabel(usage))}">${formatCost(usage)}</span>` : '';
         return `
           <div class="phase-item" onclick="loadPhaseArtifact('${taskId}', '${a.name}')">
             <span class="phase-icon">${phaseIcon}</span>
             <span class="phase-name">${phaseLabel.toUpperCase()}</span>
             ${logBadge}
+            ${usageBadge}
             <span class="phase-time">${new Date(a.mtime).toLocaleTimeString()}</span>
           </div>
         `;
@@ -1253,6 +1824,53 @@ async function loadPhasesTab(taskId) {
   }
 }
 
+// ─── Tokens y coste (usage del historial) ───
+function usageTokens(usage) {
+  return (usage.inputTokens || 0) + (usage.outputTokens || 0) + (usage.cacheReadTokens || 0) + (usage.cacheWriteTokens || 0);
+}
+
+function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${Math.round(n / 1e3)}k`;
+  return String(n);
+}
+
+// "~" = coste estimado con la tabla de precios, no reportado por el engine
+function formatCost(usage) {
+  const cost = usage?.costUsd || 0;
+  return `${usage?.estimated ? '~' : ''}$${cost.toFixed(cost < 1 ? 3 : 2)}`;
+}
+
+function usageLabel(usage) {
+  return `${formatTokens((usage.inputTokens || 0) + (usage.cacheReadTokens || 0) + (usage.cacheWriteTokens || 0))} in · ` +
+    `${formatTokens(usage.outputTokens || 0)} out · ${formatCost(usage)}`;
+}
+
+function sumUsage(list) {
+  return list.filter(Boolean).reduce((acc, u) => ({
+    inputTokens: (acc?.inputTokens || 0) + (u.inputTokens || 0),
+    outputTokens: (acc?.outputTokens || 0) + (u.outputTokens || 0),
+    cacheReadTokens: (acc?.cacheReadTokens || 0) + (u.cacheReadTokens || 0),
+    cacheWriteTokens: (acc?.cacheWriteTokens || 0) + (u.cacheWriteTokens || 0),
+    costUsd: (acc?.costUsd || 0) + (u.costUsd || 0),
+    estimated: !!(acc?.estimated || u.estimated),
+  }), null);
+}
+
+// Registro de la fase de un artefacto (code-iter2, review-rebase...) en la última ejecución
+function artifactUsage(run, name) {
+  if (!run) return null;
+  const phases = run.phases || {};
+  const rebase = name.match(/^(review|test)-rebase$/);
+  if (rebase) return run.drift?.recheck?.[rebase[1]]?.usage || null;
+  const iter = name.match(/^(\w+)-iter(\d+)$/);
+  if (iter) {
+    const records = (phases[iter[1]] || []).filter(r => String(r.iteration) === iter[2]);
+    return sumUsage(records.map(r => r.usage));
+  }
+  return phases[name]?.usage || null;
+}
+
 async function loadPhaseArtifact(taskId, phaseName) {
   const el = document.getElementById('phaseArtifactContent');
   el.innerHTML = '<div style="color:var(--text-muted);padding:8px">Cargando...</div>';
@@ -1341,11 +1959,14 @@ function renderHistoryEntry(entry) {
   const codeEntries = entry.phases?.code || [];
   const reviewEntries = entry.phases?.review || [];
   const testEntries = entry.phases?.test || [];
+  const verifyEntries = entry.phases?.verify || [];
   const scopeStatus = entry.phases?.scope?.status || 'pending';
+  const resolveStatus = entry.phases?.resolve?.status;
 
   const lastCode = codeEntries[codeEntries.length - 1];
   const lastReview = reviewEntries[reviewEntries.length - 1];
   const lastTest = testEntries[testEntries.length - 1];
+  const lastVerify = verifyEntries[verifyEntries.length - 1];
 
   const phaseBadge = (label, status) => {
     const cls = status === 'ok' || status === 'approved' ? 'phase-ok'
@@ -1375,17 +1996,94 @@ function renderHistoryEntry(entry) {
         ${lastCode ? phaseBadge(`CODE×${codeEntries.length}`, lastCode.status) : ''}
         ${lastReview ? phaseBadge('REVIEW', lastReview.status) : ''}
         ${lastTest ? phaseBadge('TEST', lastTest.status) : ''}
+        ${lastVerify ? phaseBadge('VERIFY', lastVerify.status) : ''}
         ${phaseBadge('SCOPE', scopeStatus)}
+        ${resolveStatus ? phaseBadge('RESOLVE', resolveStatus === 'ok' ? 'ok' : 'failed') : ''}
       </div>
       <div class="history-meta">
         ${entry.iterations ? `<span>🔄 ${entry.iterations} iter.</span>` : ''}
         ${durationMin !== null ? `<span>⏱ ${durationMin}m</span>` : ''}
+        ${entry.usage ? `<span title="${escapeHtml(usageLabel(entry.usage))}">💰 ${formatCost(entry.usage)}</span>` : ''}
+        ${entry.drift?.behind ? `<span title="${escapeHtml(entry.drift.mode)}: ${escapeHtml(entry.drift.status)}">↻ ${entry.drift.behind} commit(s) de la base</span>` : ''}
       </div>
       ${entry.summary ? `<div class="history-summary">${escapeHtml(entry.summary)}</div>` : ''}
     </div>
   `;
 }
 
+// Comentarios y eventos de la tarea (kanban/.history/{id}/activity.jsonl)
+async function loadActivityTab(taskId) {
+  const el = document.getElementById('activityBody');
+  el.innerHTML = '<div style="color:var(--text-muted);padding:16px">Cargando actividad...</div>';
+
+  let events = [];
+  try {
+    const res = await fetch(`/api/tasks/${taskId}/activity`);
+    const { success, data } = await res.json();
+    if (success) events = data;
+  } catch {
+    el.innerHTML = '<div class="history-empty">Error cargando actividad.</div>';
+    return;
+  }
+
+  // Del más reciente al más antiguo
+  const list = events.length
+    ? `<ul class="activity-list">${[...events].reverse().map(renderActivityEvent).join('')}</ul>`
+    : '<div class="history-empty">Sin actividad todavía.</div>';
+  el.innerHTML = `
+    <div class="activity-form">
+      <textarea class="form-textarea" id="activityComment" placeholder="Escribe un comentario..."></textarea>
+      <div class="activity-form-actions">
+        <label class="activity-ai"><input type="checkbox" id="activityForAI"> Para la IA (se añade al próximo PLAN/CODE)</label>
+        <button class="btn btn-primary btn-sm" onclick="postComment('${taskId}')">💬 Comentar</button>
+      </div>
+    </div>
+    ${list}`;
+}
+
+function renderActivityEvent(event) {
+  const time = new Date(event.at).toLocaleString();
+  const labels = {
+    created: () => `creó la tarea en <b>${escapeHtml(event.column)}</b>`,
+    moved: () => `movió <b>${escapeHtml(event.from)}</b> → <b>${escapeHtml(event.to)}</b>`,
+    retried: () => `reintentó: <b>${escapeHtml(event.from)}</b> → <b>${escapeHtml(event.to)}</b>`,
+    edited: () => `editó ${escapeHtml((event.fields || []).join(', '))}`,
+    result: () => `terminó con <b>${escapeHtml(event.result)}</b>${event.summary ? `: ${escapeHtml(event.summary)}` : ''}`,
+  };
+  if (event.type === 'comment') {
+    return `
+      <li class="activity-event activity-comment">
+        <div class="activity-meta"><b>${escapeHtml(event.author)}</b> · ${time}${event.forAI ? ' <span class="activity-ai-badge">🤖 para la IA</span>' : ''}</div>
+        <div class="activity-text">${escapeHtml(event.text)}</div>
+      </li>`;
+  }
+  const label = labels[event.type] ? labels[event.type]() : escapeHtml(event.type);
+  return `
+    <li class="activity-event">
+      <div class="activity-meta"><b>${escapeHtml(event.author)}</b> ${label} · ${time}</div>
+    </li>`;
+}
+
+async function postComment(taskId) {
+  const text = document.getElementById('activityComment').value;
+  if (!text.trim()) {
+    showToast('El comentario está vacío', 'error');
+    return;
+  }
+  try {
+    const res = await fetch(`/api/tasks/${taskId}/activity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, forAI: document.getElementById('activityForAI').checked }),
+    });
+    const { success, error } = await res.json();
+    if (!success) throw new Error(error);
+    loadActivityTab(taskId);
+  } catch (err) {
+    showToast(`Error: ${err.message}`, 'error');
+  }
+}
+
 async function loadDiffTab(taskId) {
   const el = document.getElementById('diffBody');
   el.innerHTML = '<div style="color:var(--text-muted);padding:16px">Cargando diff...</div>';
@@ -1463,6 +2161,17 @@ function isEmptyPlaceholder(content) {
   return emptyPatterns.some(p => p.test(normalized));
 }
 
+/**
+ * ISO → valor de <input type="datetime-local"> en hora local.
+ */
+function toDatetimeLocal(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
 // ─────────────────────────────────────────────
 // GUARDAR TAREA
 // ─────────────────────────────────────────────
@@ -1483,6 +2192,7 @@ async function saveTask() {
 
   const dependsOn = document.getElementById('taskDependsOn').value
     .split(',').map(s => s.trim()).filter(Boolean);
+  const scheduledAt = document.getElementById('taskScheduledAt').value;
 
   const data = {
     title,
@@ -1493,6 +2203,8 @@ async function saveTask() {
       .split(',').map(l => l.trim()).filter(Boolean),
     content: taskContent,
     dependsOn,
+    scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+    recurrence: document.getElementById('taskRecurrence').value.trim() || null,
   };
 
   try {
@@ -1509,21 +2221,25 @@ async function saveTask() {
       if (!success) throw new Error(error);
 
       if (currentColumn && currentColumn !== data.column) {
-        await fetch(`/api/tasks/${editingTaskId}/move`, {
+        const move = (force) => fetch(`/api/tasks/${editingTaskId}/move`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ column: data.column }),
-        });
+          body: JSON.stringify({ column: data.column, force }),
+        }).then(r => r.json());
+        let moved = await move(false);
+        if (!moved.success && confirmWipOverride(moved.error)) moved = await move(true);
+        if (!moved.success) throw new Error(moved.error);
       }
 
       showToast('Tarea actualizada', 'success');
     } else {
-      const res = await fetch('/api/tasks', {
+      const create = (force) => fetch('/api/tasks', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data),
-      });
-      const { success, error } = await res.json();
+        body: JSON.stringify({ ...data, force }),
+      }).then(r => r.json());
+      let { success, error } = await create(false);
+      if (!success && confirmWipOverride(error)) ({ success, error } = await create(true));
       if (!success) throw new Error(error);
 
       showToast('Tarea creada', 'success');
@@ -1559,15 +2275,115 @@ async function confirmDeleteTask() {
 // ─────────────────────────────────────────────
 // FILTROS
 // ─────────────────────────────────────────────
-function setFilter(filter, btn) {
-  currentFilter = filter;
+// Los chips y las etiquetas de las tarjetas escriben una consulta en la barra;
+// el servidor la evalúa (GET /api/tasks?q=) y aquí solo se ocultan las tarjetas.
+function setFilter(query) {
+  document.getElementById('queryInput').value = query;
+  applyQuery(query);
+}
 
-  document.querySelectorAll('.filter-chip').forEach(b => b.classList.remove('active'));
-  if (btn) btn.classList.add('active');
+function onQueryKey(e) {
+  if (e.key === 'Enter') applyQuery(e.target.value);
+  if (e.key === 'Escape') setFilter('');
+}
+
+async function applyQuery(query) {
+  const input = document.getElementById('queryInput');
+  currentQuery = query.trim();
+  try {
+    await loadQueryMatches();
+    input.classList.remove('invalid');
+    input.title = '';
+  } catch (err) {
+    // Consulta inválida: se marca la barra y el tablero queda sin filtrar
+    queryMatches = null;
+    input.classList.add('invalid');
+    input.title = err.message;
+    showToast(err.message, 'error');
+  }
 
+  document.querySelectorAll('.filter-chip').forEach(b => b.classList.toggle('active', b.dataset.filter === currentQuery));
+  const view = savedViews.find(v => v.query === currentQuery);
+  document.getElementById('viewSelect').value = view ? view.name : '';
   renderBoard();
 }
 
+async function loadQueryMatches() {
+  if (!currentQuery) {
+    queryMatches = null;
+    return;
+  }
+  const res = await fetch(`/api/tasks?q=${encodeURIComponent(currentQuery)}`);
+  const { success, data, error } = await res.json();
+  if (!success) throw new Error(error);
+  queryMatches = new Set(Object.values(data).flat().map(t => String(t.id)));
+}
+
+// ─── Vistas guardadas (por proyecto) ───
+
+async function loadViews() {
+  try {
+    const res = await fetch('/api/views');
+    const { success, data } = await res.json();
+    if (success) savedViews = data;
+  } catch {}
+  renderViewSelect();
+}
+
+function renderViewSelect() {
+  const select = document.getElementById('viewSelect');
+  if (!select) return;
+  select.innerHTML = '<option value="">Vistas…</option>' + savedViews.map(v =>
+    `<option value="${escapeHtml(v.name)}" title="${escapeHtml(v.query)}">${escapeHtml(v.name)}</option>`
+  ).join('');
+  const view = savedViews.find(v => v.query === currentQuery);
+  select.value = view ? view.name : '';
+}
+
+function selectView(name) {
+  const view = savedViews.find(v => v.name === name);
+  if (view) setFilter(view.query);
+}
+
+async function saveCurrentView() {
+  const query = document.getElementById('queryInput').value.trim();
+  if (!query) return showToast('Escribe una consulta para guardarla como vista', 'error');
+  const current = savedViews.find(v => v.query === query);
+  const name = prompt('Nombre de la vista:', current ? current.name : '');
+  if (!name) return;
+
+  try {
+    const res = await fetch('/api/views', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, query }),
+    });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    showToast(`Vista "${data.data.name}" guardada`, 'success');
+    await loadViews();
+    applyQuery(query);
+  } catch (err) {
+    showToast(`Error: ${err.message}`, 'error');
+  }
+}
+
+async function deleteCurrentView() {
+  const name = document.getElementById('viewSelect').value;
+  if (!name) return showToast('Elige primero una vista', 'error');
+  if (!confirm(`¿Eliminar la vista "${name}"?`)) return;
+
+  try {
+    const res = await fetch(`/api/views/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    showToast(`Vista "${name}" eliminada`, 'success');
+    await loadViews();
+  } catch (err) {
+    showToast(`Error: ${err.message}`, 'error');
+  }
+}
+
 // ─────────────────────────────────────────────
 // TOAST NOTIFICATIONS
 // ─────────────────────────────────────────────
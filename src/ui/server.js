@@ -13,19 +13,35 @@ const { WebSocketServer } = require('ws');
 const {
   getTasksCached,
   getTaskByIdCached,
+  getTaskById,
   invalidateTaskCache,
+  invalidateTasksCache,
   moveTask,
+  reorderTask,
   createTask,
   deleteTask,
   getTasks,
 } = require('../kanban/board');
 const { nextId } = require('../core/id-generator');
-const { generateBranchName, writeTask, KANBAN_PATH, getKanbanPath, COLUMNS } = require('../core/task');
+const { generateBranchName, writeTask, KANBAN_PATH, getKanbanPath } = require('../core/task');
+const { getBoardSchema, allowedTargets } = require('../core/workflow');
 const cache = require('../core/cache');
-const { getHistory } = require('../core/history');
+const { getHistory, listExecutions } = require('../core/history');
+const { aggregateUsage } = require('../core/usage');
+const { normalizeSchedule } = require('../core/schedule');
+const { linkChild, completeParentIfDone } = require('../core/subtasks');
+const { buildGraph, assertNoCycle } = require('../core/deps');
+const { parseCriteria } = require('../core/criteria');
+const { approvePlan, rejectPlan } = require('../core/approval');
+const { recordActivity, addComment, getActivity, editedFields } = require('../core/activity');
+const { getSearchIndex, refreshSearchIndex } = require('../core/search');
+const { filterTasks, getViews, saveView, deleteView } = require('../core/query');
+const { resolveSelection, runBulk } = require('../core/bulk');
+const { importTasks } = require('../core/importers');
 const GitService = require('../git/gitService');
 const { NotificationManager, NOTIFICATION_TYPES } = require('../core/notifications');
 const sync = require('../core/sync');
+const engines = require('../core/engines');
 
 const app = express();
 
@@ -38,8 +54,8 @@ try {
   PORT = process.env.PORT || 3847;
 }
 
-// Middleware
-app.use(express.json());
+// Middleware (límite amplio para POST /api/import)
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─────────────────────────────────────────────
@@ -110,7 +126,7 @@ function getActiveKanbanPath() {
  * Crea los subdirectorios del kanban si no existen
  */
 function ensureKanbanDirs(kanbanPath) {
-  for (const col of COLUMNS) {
+  for (const col of getBoardSchema(kanbanPath).ids) {
     fs.mkdirSync(path.join(kanbanPath, col), { recursive: true });
   }
 }
@@ -162,15 +178,107 @@ function getWatchPaths() {
   return [...new Set(paths)];
 }
 
+// Se vigila también .history (artefactos e historial) para el índice de búsqueda
 const watcher = chokidar.watch(getWatchPaths(), {
-  ignored: /(^|[/\\])\../,
+  ignored: /(^|[/\\])\.(?!history([/\\]|$))/,
   persistent: true,
   ignoreInitial: true,
 });
 
-watcher.on('all', () => {
-  cache.flush();
-  broadcastChange('update');
+// Un movimiento son dos eventos (alta + baja) y un lote, muchos: se agrupan
+const WATCH_DEBOUNCE_MS = 150;
+let watchTimer = null;
+
+watcher.on('all', (event, filePath) => {
+  refreshSearchIndex(filePath);
+  // Cambios en .history no alteran el tablero
+  if (filePath.split(path.sep).includes('.history')) return;
+  clearTimeout(watchTimer);
+  watchTimer = setTimeout(() => {
+    cache.flush();
+    broadcastChange('update');
+  }, WATCH_DEBOUNCE_MS);
+});
+
+// ─────────────────────────────────────────────
+// API ENDPOINTS — TABLERO
+// ─────────────────────────────────────────────
+
+/**
+ * GET /api/board/schema - Columnas, transiciones y columnas del motor del
+ * proyecto activo. `allowed[col]` = columnas a las que se puede mover desde col.
+ */
+app.get('/api/board/schema', (req, res) => {
+  try {
+    const schema = getBoardSchema(getActiveKanbanPath());
+    const allowed = Object.fromEntries(schema.ids.map(id => [id, allowedTargets(schema, id)]));
+    res.json({ success: true, data: { ...schema, allowed } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/graph - Grafo de dependencias (dependsOn) del proyecto activo:
+ * { nodes, edges, criticalPath, cycles } (ver core/deps.js)
+ */
+app.get('/api/graph', (req, res) => {
+  try {
+    res.json({ success: true, data: buildGraph(getActiveKanbanPath()) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/search?q=&column=&type=&label=&limit= - Búsqueda de texto en tareas,
+ * artefactos de fase e historial (ver core/search.js)
+ */
+app.get('/api/search', (req, res) => {
+  try {
+    const { q = '', column, type, label } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const data = getSearchIndex(getActiveKanbanPath()).search(String(q), { column, type, label, limit });
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/views - Vistas guardadas del proyecto activo: [{ name, query }]
+ */
+app.get('/api/views', (req, res) => {
+  try {
+    res.json({ success: true, data: getViews(getActiveKanbanPath()) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/views - Guardar (o reemplazar) una vista: { name, query }
+ */
+app.post('/api/views', (req, res) => {
+  try {
+    const { name, query } = req.body || {};
+    const view = saveView(name, query || '', getActiveKanbanPath());
+    res.status(201).json({ success: true, data: view });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/views/:name - Borrar una vista guardada
+ */
+app.delete('/api/views/:name', (req, res) => {
+  try {
+    deleteView(req.params.name, getActiveKanbanPath());
+    res.json({ success: true });
+  } catch (err) {
+    res.status(404).json({ success: false, error: err.message });
+  }
 });
 
 // ─────────────────────────────────────────────
@@ -178,13 +286,32 @@ watcher.on('all', () => {
 // ─────────────────────────────────────────────
 
 /**
- * GET /api/tasks - Obtener todas las tareas agrupadas por columna
+ * Tarea con sus criterios de aceptación estructurados (derivados del
+ * contenido, no se guardan en el frontmatter).
+ */
+function withCriteria(task) {
+  return { ...task, criteria: parseCriteria(task.content).map(({ n, text, checked }) => ({ n, text, checked })) };
+}
+
+/**
+ * GET /api/tasks?q= - Obtener todas las tareas agrupadas por columna
+ * q: consulta opcional (type:bug label:auth -label:wip ..., ver core/query.js)
  */
 app.get('/api/tasks', async (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
-    const tasks = await getTasksCached(null, kanbanPath);
-    res.json({ success: true, data: tasks });
+    let tasks = await getTasksCached(null, kanbanPath);
+    if (req.query.q) {
+      try {
+        tasks = filterTasks(tasks, String(req.query.q));
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+    }
+    const data = Object.fromEntries(
+      Object.entries(tasks).map(([column, list]) => [column, list.map(withCriteria)])
+    );
+    res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -200,7 +327,7 @@ app.get('/api/tasks/:id', async (req, res) => {
     if (!found) {
       return res.status(404).json({ success: false, error: 'Tarea no encontrada' });
     }
-    res.json({ success: true, data: found.task });
+    res.json({ success: true, data: withCriteria(found.task) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -236,39 +363,109 @@ function generateTaskContent(type, title) {
   return `# Descripción\n${title}\n\n# Criterios de aceptación\n- ${criteria.join('\n- ')}`;
 }
 
+/**
+ * Tras mover una o varias tareas a la columna de éxito, cierra los padres
+ * cuyas subtareas ya están todas terminadas. En un lote cada padre se
+ * comprueba una sola vez y se avisa con una única notificación.
+ */
+async function closeCompletedParents(taskIds, toColumn, kanbanPath) {
+  const schema = getBoardSchema(kanbanPath);
+  if (toColumn !== schema.motor.success) return [];
+
+  // Un hijo por padre basta: completeParentIfDone sube desde él por la cadena
+  const childByParent = new Map();
+  for (const id of [].concat(taskIds)) {
+    const parent = getTaskById(id, kanbanPath)?.task.parent;
+    const key = parent != null && String(parent).padStart(3, '0');
+    if (key && !childByParent.has(key)) childByParent.set(key, id);
+  }
+
+  const completed = [];
+  for (const childId of childByParent.values()) {
+    try {
+      completed.push(...completeParentIfDone(childId, kanbanPath));
+    } catch (err) {
+      // La tarea ya se movió: un padre que no se puede cerrar no hace fallar la petición
+      console.log(`[Subtareas] No se pudo cerrar la tarea padre de #${childId}: ${err.message}`);
+    }
+  }
+  if (completed.length === 0) return completed;
+
+  await invalidateTasksCache(completed.map(p => p.id), schema.ids, kanbanPath);
+  notifications.create({
+    type: NOTIFICATION_TYPES.TASK_MOVED,
+    title: 'Subtareas terminadas',
+    message: `${completed.map(p => `#${p.id} ${p.title}`).join(', ')} -> ${toColumn}`,
+    meta: completed.length === 1
+      ? { taskId: completed[0].id, to: toColumn }
+      : { ids: completed.map(p => p.id), to: toColumn },
+  });
+  return completed;
+}
+
 /**
  * POST /api/tasks - Crear nueva tarea
+ * Body: { title, type?, priority?, labels?, column?, content?, dependsOn?, parent?, force? }
+ * `parent` la crea como subtarea de esa tarea.
  */
 app.post('/api/tasks', async (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
-    const { title, type = 'feature', priority = 'media', labels = [], column = 'backlog', content, dependsOn = [] } = req.body;
+    const { title, type = 'feature', priority = 'media', labels = [], column = null, content, dependsOn = [], parent = null, force = false } = req.body;
 
     if (!title) {
       return res.status(400).json({ success: false, error: 'El título es requerido' });
     }
 
+    let schedule;
+    try {
+      schedule = normalizeSchedule(req.body);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    if (parent && !getTaskById(parent, kanbanPath)) {
+      return res.status(400).json({ success: false, error: `Tarea padre ${parent} no encontrada` });
+    }
+
     const id = nextId(kanbanPath);
     const branch = generateBranchName(type, title);
 
+    try {
+      assertNoCycle(id, dependsOn, kanbanPath);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
     const taskContent = isEmptyPlaceholder(content)
       ? generateTaskContent(type, title)
       : content;
 
-    const task = createTask({
-      id,
-      title,
-      type,
-      priority,
-      branch,
-      labels,
-      dependsOn,
-      content: taskContent,
-    }, column, kanbanPath);
-
-    await invalidateTaskCache(id, [column], kanbanPath);
+    let task;
+    try {
+      task = createTask({
+        id,
+        title,
+        type,
+        priority,
+        branch,
+        labels,
+        dependsOn,
+        ...schedule,
+        content: taskContent,
+      }, column, kanbanPath, { force, author: req.body.author });
+    } catch (err) {
+      // Columna inválida o límite WIP alcanzado
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    if (parent) {
+      linkChild(parent, id, kanbanPath);
+      await invalidateTaskCache(parent, [getTaskById(parent, kanbanPath).column], kanbanPath);
+    }
+
+    await invalidateTaskCache(id, [task.column], kanbanPath);
     broadcastChange('created');
-    sync.broadcastTaskCreated(task, column, task.filePath);
+    sync.broadcastTaskCreated(task, task.column, task.filePath);
     notifications.create({
       type: NOTIFICATION_TYPES.TASK_CREATED,
       title: 'Tarea creada',
@@ -284,17 +481,19 @@ app.post('/api/tasks', async (req, res) => {
 
 /**
  * PUT /api/tasks/:id/move - Mover tarea a otra columna
+ * Body: { column, force? } — force ignora el límite WIP de la columna
  */
 app.put('/api/tasks/:id/move', async (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
-    const { column } = req.body;
+    const { column, force = false, author = null } = req.body;
     if (!column) {
       return res.status(400).json({ success: false, error: 'El campo column es requerido' });
     }
 
-    const result = moveTask(req.params.id, column, kanbanPath);
+    const result = moveTask(req.params.id, column, kanbanPath, { force, author });
     await invalidateTaskCache(req.params.id, [result.fromColumn, result.toColumn], kanbanPath);
+    await closeCompletedParents(req.params.id, result.toColumn, kanbanPath);
     broadcastChange('moved');
     sync.broadcastTaskMoved(req.params.id, result.fromColumn, result.toColumn, result.fileName);
     notifications.create({
@@ -309,6 +508,59 @@ app.put('/api/tasks/:id/move', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/tasks/reorder - Recolocar una tarea dentro de su columna (o en otra)
+ * Body: { id, column?, afterId?, beforeId?, force? } — afterId/beforeId son las
+ * tareas que quedan justo encima/debajo; sin ninguna va al final.
+ * Va antes de /api/tasks/:id para que 'reorder' no se tome como ID.
+ */
+app.put('/api/tasks/reorder', async (req, res) => {
+  try {
+    const kanbanPath = getActiveKanbanPath();
+    const { id, column, afterId = null, beforeId = null, force = false, author = null } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'El campo id es requerido' });
+    }
+    if (column && !getBoardSchema(kanbanPath).ids.includes(column)) {
+      return res.status(400).json({ success: false, error: `Columna inválida: ${column}` });
+    }
+    const found = getTaskById(id, kanbanPath);
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Tarea no encontrada' });
+    }
+
+    let result;
+    try {
+      result = reorderTask(id, { column, afterId, beforeId, force, author }, kanbanPath);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    // Si se renumeró la columna cambiaron otras tareas: invalidar todas
+    const touched = result.rebalanced ? getTasks(result.toColumn, kanbanPath).map(t => t.id) : [id];
+    for (const taskId of touched) {
+      await invalidateTaskCache(taskId, [result.fromColumn, result.toColumn], kanbanPath);
+    }
+    if (result.fromColumn !== result.toColumn) await closeCompletedParents(id, result.toColumn, kanbanPath);
+    broadcastChange('reordered');
+    if (result.fromColumn !== result.toColumn) {
+      sync.broadcastTaskMoved(id, result.fromColumn, result.toColumn, found.fileName);
+      notifications.create({
+        type: NOTIFICATION_TYPES.TASK_MOVED,
+        title: 'Tarea movida',
+        message: `#${id} ${result.fromColumn} -> ${result.toColumn}`,
+        meta: { taskId: id, from: result.fromColumn, to: result.toColumn },
+      });
+    } else {
+      sync.broadcastTaskUpdated(result.task, result.toColumn, result.task.filePath);
+    }
+
+    res.json({ success: true, data: { task: result.task, order: result.order, rebalanced: result.rebalanced } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * PUT /api/tasks/:id - Actualizar datos de una tarea
  */
@@ -320,8 +572,28 @@ app.put('/api/tasks/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Tarea no encontrada' });
     }
 
-    const updatedTask = { ...found.task, ...req.body };
+    // Con el scheduledAt actual, cambiar solo la recurrencia no reprograma
+    let schedule;
+    try {
+      schedule = normalizeSchedule({ scheduledAt: found.task.scheduledAt, ...req.body });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    if (req.body.dependsOn !== undefined) {
+      try {
+        assertNoCycle(req.params.id, req.body.dependsOn, kanbanPath);
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+    }
+
+    const { author = null, ...changes } = req.body;
+    const updatedTask = { ...found.task, ...changes, ...schedule };
+    delete updatedTask.criteria; // se deriva del contenido en cada lectura
     writeTask(updatedTask, found.filePath);
+    const fields = editedFields(found.task, updatedTask);
+    if (fields.length) recordActivity(req.params.id, { type: 'edited', author, fields }, kanbanPath);
 
     await invalidateTaskCache(req.params.id, [found.column], kanbanPath);
     broadcastChange('updated');
@@ -366,22 +638,67 @@ app.delete('/api/tasks/:id', async (req, res) => {
 });
 
 /**
- * POST /api/tasks/:id/retry - Mover tarea de REVIEW a TODO
+ * Aprobación del plan (ver approval.js): mismo flujo para aprobar y rechazar.
+ */
+const planDecision = (approving) => async (req, res) => {
+  try {
+    const kanbanPath = getActiveKanbanPath();
+    const found = await getTaskByIdCached(req.params.id, kanbanPath);
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Tarea no encontrada' });
+    }
+
+    let approval;
+    try {
+      approval = approving
+        ? approvePlan(req.params.id, kanbanPath, { plan: req.body?.plan })
+        : rejectPlan(req.params.id, req.body?.comment, kanbanPath);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    await invalidateTaskCache(req.params.id, [found.column], kanbanPath);
+    broadcastChange('updated');
+    notifications.create({
+      type: NOTIFICATION_TYPES.TASK_UPDATED,
+      title: approving ? 'Plan aprobado' : 'Plan rechazado',
+      message: `#${req.params.id} ${found.task.title}`,
+      meta: { taskId: req.params.id },
+    });
+    res.json({ success: true, data: approval });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * POST /api/tasks/:id/approve - Aprobar el plan pendiente: { plan? } (editado)
+ */
+app.post('/api/tasks/:id/approve', planDecision(true));
+
+/**
+ * POST /api/tasks/:id/reject - Rechazar el plan: { comment } (feedback del nuevo PLAN)
+ */
+app.post('/api/tasks/:id/reject', planDecision(false));
+
+/**
+ * POST /api/tasks/:id/retry - Mover tarea de REVIEW a TODO (columnas del motor)
  */
 app.post('/api/tasks/:id/retry', async (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
-    const result = moveTask(req.params.id, 'todo', kanbanPath);
-    await invalidateTaskCache(req.params.id, [result.fromColumn, 'todo'], kanbanPath);
+    const { pickFrom } = getBoardSchema(kanbanPath).motor;
+    const result = moveTask(req.params.id, pickFrom, kanbanPath, { author: req.body?.author, event: 'retried' });
+    await invalidateTaskCache(req.params.id, [result.fromColumn, pickFrom], kanbanPath);
     broadcastChange('moved');
-    sync.broadcastTaskMoved(req.params.id, result.fromColumn, 'todo', result.fileName);
+    sync.broadcastTaskMoved(req.params.id, result.fromColumn, pickFrom, result.fileName);
     notifications.create({
       type: NOTIFICATION_TYPES.TASK_MOVED,
       title: 'Tarea reintentada',
-      message: `#${req.params.id} ${result.fromColumn} → todo`,
+      message: `#${req.params.id} ${result.fromColumn} → ${pickFrom}`,
       meta: { taskId: req.params.id },
     });
-    res.json({ success: true, from: result.fromColumn, to: 'todo' });
+    res.json({ success: true, from: result.fromColumn, to: pickFrom });
   } catch (err) {
     res.status(400).json({ success: false, error: err.message });
   }
@@ -393,8 +710,9 @@ app.post('/api/tasks/:id/retry', async (req, res) => {
 app.get('/api/unstuck', (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
-    const inProgress = getTasks('in_progress', kanbanPath);
-    const review = getTasks('review', kanbanPath);
+    const { motor } = getBoardSchema(kanbanPath);
+    const inProgress = getTasks(motor.working, kanbanPath);
+    const review = getTasks(motor.failure, kanbanPath);
     
     const oneHourAgo = Date.now() - 60 * 60 * 1000;
     const stuck = [];
@@ -405,7 +723,7 @@ app.get('/api/unstuck', (req, res) => {
         stuck.push({
           id: task.id,
           title: task.title,
-          column: 'in_progress',
+          column: motor.working,
           startedAt: task.startedAt,
           minutesAgo: Math.round((Date.now() - startedAt) / 60000),
         });
@@ -416,7 +734,7 @@ app.get('/api/unstuck', (req, res) => {
       stuck.push({
         id: task.id,
         title: task.title,
-        column: 'review',
+        column: motor.failure,
         retryCount: task.retryCount || 0,
         lastError: task.lastError,
       });
@@ -430,37 +748,153 @@ app.get('/api/unstuck', (req, res) => {
 
 /**
  * POST /api/unstuck - Arreglar tareas atascadas
+ * Body: { all?, force? }
+ *   Las atascadas en in_progress pasan a failure ignorando el WIP, como hace
+ *   el motor al terminar. Con all, las de failure vuelven a pickFrom
+ *   respetando su límite WIP salvo con force.
+ * Cada tarea se mueve por separado: las que fallan van en `failed` con su
+ * error y el resto se mueve igual.
  */
 app.post('/api/unstuck', async (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
-    const { all } = req.body || {};
+    const { all, force = false } = req.body || {};
     
-    const inProgress = getTasks('in_progress', kanbanPath);
-    const review = getTasks('review', kanbanPath);
+    const { motor } = getBoardSchema(kanbanPath);
+    const inProgress = getTasks(motor.working, kanbanPath);
+    const review = getTasks(motor.failure, kanbanPath);
     
     const oneHourAgo = Date.now() - 60 * 60 * 1000;
     const fixed = [];
+    const failed = [];
+    const tryMove = (task, from, to, moveForce) => {
+      try {
+        moveTask(task.id, to, kanbanPath, { force: moveForce });
+        fixed.push({ id: task.id, from, to });
+      } catch (err) {
+        failed.push({ id: task.id, from, to, error: err.message });
+      }
+    };
     
     for (const task of inProgress) {
       const startedAt = task.startedAt ? new Date(task.startedAt).getTime() : 0;
       if (startedAt && startedAt < oneHourAgo) {
-        moveTask(task.id, 'review', kanbanPath);
-        fixed.push({ id: task.id, from: 'in_progress', to: 'review' });
+        tryMove(task, motor.working, motor.failure, true);
       }
     }
     
     if (all) {
       for (const task of review) {
-        moveTask(task.id, 'todo', kanbanPath);
-        fixed.push({ id: task.id, from: 'review', to: 'todo' });
+        tryMove(task, motor.failure, motor.pickFrom, Boolean(force));
       }
     }
     
-    cache.flush();
-    broadcastChange('moved');
+    if (fixed.length > 0) {
+      cache.flush();
+      broadcastChange('moved');
+    }
     
-    res.json({ success: true, fixed: fixed.length, tasks: fixed });
+    res.json({ success: true, fixed: fixed.length, tasks: fixed, failed });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/tasks/bulk - Operación en lote (ver core/bulk.js)
+ * Body: { ids?: string[], query?: string, action, value?, force?, author? }
+ *   action: move | add-label | remove-label | set-priority | delete | retry
+ *   value: columna (move), etiqueta (add/remove-label) o prioridad (set-priority)
+ * Responde { total, succeeded, failed, results: [{ id, ok, error? }] }; caché,
+ * avisos a la UI, sync, notificación y cierre de padres van una vez por lote.
+ */
+app.post('/api/tasks/bulk', async (req, res) => {
+  try {
+    const kanbanPath = getActiveKanbanPath();
+    const { ids, query, action, value, force = false, author = null } = req.body || {};
+
+    let summary;
+    try {
+      summary = runBulk(resolveSelection({ ids, query }, kanbanPath), action, value, kanbanPath, { force, author });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const changed = summary.results.filter(r => r.ok && !r.unchanged);
+    const columns = changed.flatMap(r => [r.from, r.to, r.column]);
+    await invalidateTasksCache(changed.map(r => r.id), columns, kanbanPath);
+    // Todas las filas movidas van a la misma columna: los padres se cierran una vez por lote
+    const moved = changed.filter(r => r.to);
+    if (moved.length > 0) await closeCompletedParents(moved.map(r => r.id), moved[0].to, kanbanPath);
+
+    sync.broadcastTaskBatch(changed.map(r => {
+      if (r.to) return { type: 'task:moved', taskId: r.id, fromColumn: r.from, toColumn: r.to, filename: r.fileName };
+      if (action === 'delete') return { type: 'task:deleted', taskId: r.id, column: r.column, filename: r.fileName };
+      return { type: 'task:updated', task: r.task, column: r.column, filename: r.fileName, content: fs.readFileSync(r.filePath, 'utf8') };
+    }));
+    if (changed.length > 0) {
+      broadcastChange('bulk', { action, count: changed.length });
+      notifications.create({
+        type: NOTIFICATION_TYPES.TASK_BULK,
+        title: 'Operación en lote',
+        message: `${action}${summary.value ? ` ${summary.value}` : ''}: ${changed.length} tarea(s)${summary.failed ? `, ${summary.failed} con error` : ''}`,
+        meta: { action, value: summary.value, ids: changed.map(r => r.id) },
+      });
+    }
+
+    const results = summary.results.map(({ id, ok, error, unchanged }) => ({ id, ok, ...(error && { error }), ...(unchanged && { unchanged }) }));
+    res.json({ success: true, data: { ...summary, results } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/import - Importar tareas (ver core/importers.js)
+ * Body: { format, content, column?, columnMap?, dryRun?, force?, author? }
+ *   format: trello | jira-csv | github-json | markdown-list
+ *   content: texto del archivo (o el JSON ya parseado)
+ *   columnMap: { 'In Progress': 'todo', ... } o "In Progress=todo,Done=done"
+ * Las tareas ya importadas (mismo importKey) se actualizan en vez de duplicarse.
+ */
+app.post('/api/import', async (req, res) => {
+  try {
+    const kanbanPath = getActiveKanbanPath();
+    const { format, content, column, columnMap, dryRun = false, force = false, author = null } = req.body || {};
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'El campo content es requerido' });
+    }
+
+    let summary;
+    try {
+      summary = importTasks(content, format, kanbanPath, { column, columnMap, dryRun, force, author });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const written = summary.results.filter(r => r.action === 'create' || r.action === 'update');
+    if (!dryRun && written.length > 0) {
+      await invalidateTasksCache(written.map(r => r.id), written.map(r => r.column), kanbanPath);
+      sync.broadcastTaskBatch(written.map(r => {
+        const found = getTaskById(r.id, kanbanPath);
+        return {
+          type: r.action === 'create' ? 'task:created' : 'task:updated',
+          task: found.task,
+          column: found.column,
+          filename: found.fileName,
+          content: fs.readFileSync(found.filePath, 'utf8'),
+        };
+      }));
+      broadcastChange('imported', { count: written.length });
+      notifications.create({
+        type: NOTIFICATION_TYPES.TASK_BULK,
+        title: 'Importación',
+        message: `${format}: ${summary.created} nuevas, ${summary.updated} actualizadas${summary.failed ? `, ${summary.failed} con error` : ''}`,
+        meta: { format, ids: written.map(r => r.id) },
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({ success: true, data: summary });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -589,6 +1023,50 @@ app.get('/api/tasks/:id/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tasks/:id/activity - Comentarios y actividad de una tarea (del más antiguo al más reciente)
+ */
+app.get('/api/tasks/:id/activity', async (req, res) => {
+  try {
+    const kanbanPath = getActiveKanbanPath();
+    res.json({ success: true, data: getActivity(req.params.id, kanbanPath) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/activity - Comentar una tarea
+ * Body: { text, author?, forAI? } — forAI lo añade al próximo PLAN/CODE
+ */
+app.post('/api/tasks/:id/activity', async (req, res) => {
+  try {
+    const kanbanPath = getActiveKanbanPath();
+    const found = await getTaskByIdCached(req.params.id, kanbanPath);
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Tarea no encontrada' });
+    }
+
+    let comment;
+    try {
+      comment = addComment(found.task.id, req.body || {}, kanbanPath);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    broadcastChange('updated', { taskId: found.task.id });
+    notifications.create({
+      type: NOTIFICATION_TYPES.TASK_UPDATED,
+      title: 'Nuevo comentario',
+      message: `#${found.task.id} ${comment.author}: ${comment.text.slice(0, 80)}`,
+      meta: { taskId: found.task.id },
+    });
+    res.status(201).json({ success: true, data: comment });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * GET /api/tasks/:id/artifacts/:phase - Leer artefacto de una fase específica
  */
@@ -686,14 +1164,35 @@ app.get('/api/tasks/:id/diff', async (req, res) => {
   }
 });
 
+/**
+ * Ejecuciones de un tablero con su usage, el título y el tipo de la tarea.
+ */
+function usageEntries(kanbanPath, tasks, project = null) {
+  const byId = new Map(tasks.map(t => [String(t.id).padStart(3, '0'), t]));
+  return listExecutions(kanbanPath).map(entry => {
+    const task = byId.get(entry.taskId);
+    return {
+      taskId: entry.taskId,
+      title: task?.title,
+      type: task?.type,
+      project,
+      timestamp: entry.timestamp,
+      usage: entry.usage,
+    };
+  });
+}
+
 /**
  * GET /api/metrics - Estadísticas agregadas del tablero activo
+ * `cost`: tokens y coste por tarea, tipo y día del tablero activo, y por
+ * proyecto de todos los proyectos registrados.
  */
 app.get('/api/metrics', async (req, res) => {
   try {
     const kanbanPath = getActiveKanbanPath();
     const allTasks = getTasks(null, kanbanPath);
     const allFlat = Object.values(allTasks).flat();
+    const { motor } = getBoardSchema(kanbanPath);
 
     let totalDuration = 0;
     let completedCount = 0;
@@ -705,7 +1204,7 @@ app.get('/api/metrics', async (req, res) => {
       byType[task.type] = (byType[task.type] || 0) + 1;
       byColumn[task.column] = (byColumn[task.column] || 0) + 1;
 
-      if (task.column === 'done' && task.completedAt && task.createdAt) {
+      if (task.column === motor.success && task.completedAt && task.createdAt) {
         const created = new Date(task.createdAt).getTime();
         const completed = new Date(task.completedAt).getTime();
         if (!isNaN(created) && !isNaN(completed)) {
@@ -719,6 +1218,19 @@ app.get('/api/metrics', async (req, res) => {
     const avgDurationMs = completedCount > 0 ? totalDuration / completedCount : 0;
     const avgIterations = completedCount > 0 ? totalIterations / completedCount : 0;
 
+    const activeName = readActiveProject()?.name || null;
+    const activeEntries = usageEntries(kanbanPath, allFlat, activeName);
+    const projectEntries = [...activeEntries];
+    for (const project of readProjectsFile()) {
+      if (!project.path || project.name === activeName) continue;
+      const projectKanban = getKanbanPath(project.path);
+      if (fs.existsSync(projectKanban)) projectEntries.push(...usageEntries(projectKanban, [], project.name));
+    }
+    const cost = {
+      ...aggregateUsage(activeEntries),
+      byProject: aggregateUsage(projectEntries).byProject,
+    };
+
     res.json({
       success: true,
       data: {
@@ -729,6 +1241,7 @@ app.get('/api/metrics', async (req, res) => {
         avgDurationMs: Math.round(avgDurationMs),
         avgDurationMin: Math.round(avgDurationMs / 60000 * 10) / 10,
         avgIterations: Math.round(avgIterations * 10) / 10,
+        cost,
       },
     });
   } catch (err) {
@@ -763,11 +1276,12 @@ app.post('/api/tasks/:id/rollback', async (req, res) => {
       console.log(`Rollback git warning: ${e.message}`);
     }
 
-    const result = moveTask(req.params.id, 'review', kanbanPath);
-    await invalidateTaskCache(req.params.id, [result.fromColumn, 'review'], kanbanPath);
+    const { failure } = getBoardSchema(kanbanPath).motor;
+    const result = moveTask(req.params.id, failure, kanbanPath);
+    await invalidateTaskCache(req.params.id, [result.fromColumn, failure], kanbanPath);
     broadcastChange('moved', { taskId: req.params.id });
 
-    res.json({ success: true, message: 'Rollback ejecutado, tarea movida a review' });
+    res.json({ success: true, message: `Rollback ejecutado, tarea movida a ${failure}` });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -797,10 +1311,20 @@ app.get('/api/engine', (req, res) => {
   res.json({ success: true, ...readEngine() });
 });
 
+// Engines registrados (built-in, engines/ y kanban.config.js) con su disponibilidad
+app.get('/api/engines', (req, res) => {
+  try {
+    res.json({ success: true, data: engines.listEngines() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 app.post('/api/engine', (req, res) => {
   const { engine } = req.body;
-  if (!['claude', 'opencode'].includes(engine)) {
-    return res.status(400).json({ success: false, error: 'Motor no válido. Opciones: claude, opencode' });
+  if (!engine || !engines.getEngine(engine)) {
+    const names = engines.listEngines().map(e => e.name).join(', ');
+    return res.status(400).json({ success: false, error: `Motor no válido. Opciones: ${names}` });
   }
   writeEngine({ engine });
   console.log(`[Engine] Guardado: ${engine} en ${ENGINE_FILE}`);
@@ -816,6 +1340,7 @@ const CLI_PATH  = path.join(__dirname, '../cli/index.js');
 const PID_FILE  = '/tmp/kanban-loop.pid';
 const TASK_STATUS_FILE = '/tmp/kanban-task-status.json';
 const LOOP_LOG_FILE = '/tmp/kanban-motor.log';
+const WORKERS_FILE = '/tmp/kanban-workers.json';
 
 /** Lee el PID del loop desde el archivo, o null si no existe / muerto */
 function readLoopPid() {
@@ -833,6 +1358,17 @@ function getLoopStatus() {
   return readLoopPid() !== null ? 'running' : 'stopped';
 }
 
+/** Workers activos del motor (ejecución paralela), o [] si no corre */
+function readLoopWorkers(loopPid) {
+  if (!loopPid) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(WORKERS_FILE, 'utf8'));
+    return data.loopPid === loopPid ? (data.workers || []) : [];
+  } catch {
+    return [];
+  }
+}
+
 /**
  * Resuelve el path del proyecto activo.
  */
@@ -856,8 +1392,9 @@ function startTaskPolling(taskId, engine) {
   taskPollInterval = setInterval(() => {
     try {
       const kanbanPath = getActiveKanbanPath();
+      const { motor } = getBoardSchema(kanbanPath);
       // Verificar si la tarea ya no está en in_progress (loop.js la mueve)
-      const inProgress = getTasks('in_progress', kanbanPath);
+      const inProgress = getTasks(motor.working, kanbanPath);
       const stillRunning = inProgress.some(t => String(t.id) === String(taskId));
 
       if (!stillRunning) {
@@ -865,29 +1402,29 @@ function startTaskPolling(taskId, engine) {
         taskPollInterval = null;
 
         // Verificar a dónde fue (done o review)
-        const doneTasks = getTasks('done', kanbanPath);
-        const reviewTasks = getTasks('review', kanbanPath);
+        const doneTasks = getTasks(motor.success, kanbanPath);
+        const reviewTasks = getTasks(motor.failure, kanbanPath);
         const inDone = doneTasks.some(t => String(t.id) === String(taskId));
         const inReview = reviewTasks.some(t => String(t.id) === String(taskId));
 
         if (inDone) {
-          broadcastChange('task:completed', { taskId, status: 'done' });
+          broadcastChange('task:completed', { taskId, status: motor.success });
           notifications.create({
             type: NOTIFICATION_TYPES.TASK_COMPLETED,
             title: 'Tarea completada',
             message: `#${taskId} terminada exitosamente`,
             priority: 'high',
-            meta: { taskId, status: 'done' },
+            meta: { taskId, status: motor.success },
           });
           spawn('notify-send', ['AI-Kanban', `Tarea #${taskId} completada`], { stdio: 'ignore' });
         } else if (inReview) {
-          broadcastChange('task:completed', { taskId, status: 'review' });
+          broadcastChange('task:completed', { taskId, status: motor.failure });
           notifications.create({
             type: NOTIFICATION_TYPES.TASK_COMPLETED,
             title: 'Tarea en review',
             message: `#${taskId} enviada a review`,
             priority: 'high',
-            meta: { taskId, status: 'review' },
+            meta: { taskId, status: motor.failure },
           });
           spawn('notify-send', ['AI-Kanban', `Tarea #${taskId} enviada a review`], { stdio: 'ignore' });
         }
@@ -897,7 +1434,7 @@ function startTaskPolling(taskId, engine) {
         if (pid) {
           // El loop sigue — buscar si tomó otra tarea
           setTimeout(() => {
-            const nextInProgress = getTasks('in_progress', kanbanPath);
+            const nextInProgress = getTasks(motor.working, kanbanPath);
             if (nextInProgress.length > 0) {
               const next = nextInProgress[0];
               broadcastChange('loop:started', { taskId: next.id, title: next.title });
@@ -924,7 +1461,7 @@ function startLoopPolling(engine) {
     checks++;
     try {
       const kanbanPath = getActiveKanbanPath();
-      const inProgress = getTasks('in_progress', kanbanPath);
+      const inProgress = getTasks(getBoardSchema(kanbanPath).motor.working, kanbanPath);
 
       if (inProgress.length > 0) {
         clearInterval(taskPollInterval);
@@ -949,25 +1486,29 @@ function startLoopPolling(engine) {
 app.get('/api/loop/status', (req, res) => {
   const pid = readLoopPid();
   const kanbanPath = getActiveKanbanPath();
-  const inProgress = getTasks('in_progress', kanbanPath);
+  const inProgress = getTasks(getBoardSchema(kanbanPath).motor.working, kanbanPath);
   const currentTask = inProgress.length > 0 ? inProgress[0] : null;
 
   res.json({
     status: pid ? 'running' : 'stopped',
     pid: pid || null,
     currentTask: currentTask ? { id: currentTask.id, title: currentTask.title } : null,
+    workers: readLoopWorkers(pid),
     logFile: LOOP_LOG_FILE,
   });
 });
 
 /**
  * GET /api/loop/logs — últimas líneas del log del motor
+ * ?worker=N → log propio del worker N (ejecución paralela)
  */
 app.get('/api/loop/logs', (req, res) => {
   const lines = parseInt(req.query.lines) || 50;
+  const worker = parseInt(req.query.worker);
+  const logFile = worker > 0 ? `/tmp/kanban-worker-${worker}.log` : LOOP_LOG_FILE;
   try {
-    if (fs.existsSync(LOOP_LOG_FILE)) {
-      const content = fs.readFileSync(LOOP_LOG_FILE, 'utf8');
+    if (fs.existsSync(logFile)) {
+      const content = fs.readFileSync(logFile, 'utf8');
       const allLines = content.split('\n');
       const lastLines = allLines.slice(-lines).join('\n');
       res.type('text/plain').send(lastLines);
@@ -995,9 +1536,10 @@ app.post('/api/loop/start', async (req, res) => {
 
   // Verificar que hay tareas
   const kanbanPath = getActiveKanbanPath();
-  const todoTasks = getTasks('todo', kanbanPath);
+  const { pickFrom } = getBoardSchema(kanbanPath).motor;
+  const todoTasks = getTasks(pickFrom, kanbanPath);
   if (todoTasks.length === 0) {
-    return res.json({ success: false, error: 'No hay tareas en TODO' });
+    return res.json({ success: false, error: `No hay tareas en ${pickFrom.toUpperCase()}` });
   }
 
   const firstTask = todoTasks[0];
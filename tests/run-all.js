@@ -0,0 +1,42 @@
+/**
+ * run-all.js - Ejecuta los tests de tests/ uno tras otro
+ *
+ * Cada tests/test-*.js es un script independiente que termina con exit code
+ * 0 si pasa. Se lanzan en serie (comparten /tmp y algunos, variables de
+ * entorno) y al final se resume cuáles fallaron.
+ *
+ * Los de integración (CLI real y repos git) van aparte en
+ * `npm run test:integration`.
+ *
+ * Uso: node tests/run-all.js [filtro]   # filtro: parte del nombre, p.ej. queue
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+const INTEGRATION = ['test-cli-integration.js', 'test-git-integration.js'];
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+const filter = process.argv[2] || '';
+const files = fs.readdirSync(__dirname)
+  .filter(f => /^test-.+\.js$/.test(f) && !INTEGRATION.includes(f) && f.includes(filter))
+  .sort();
+
+const failed = [];
+for (const file of files) {
+  console.log(`\n━━ ${file}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit', timeout: TIMEOUT_MS });
+  if (result.status !== 0) failed.push(result.error ? `${file} (${result.error.message})` : file);
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} archivos de test OK`);
+if (failed.length > 0) {
+  for (const file of failed) console.log(`  ${RED}❌${RESET} ${file}`);
+  process.exit(1);
+}
+console.log(`  ${GREEN}✅${RESET} todos pasan\n`);
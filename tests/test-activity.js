@@ -0,0 +1,149 @@
+/**
+ * test-activity.js - Tests de comentarios y registro de actividad
+ *
+ * recordActivity()/addComment()/pendingAIComments() sobre un kanban temporal,
+ * los eventos que dejan createTask()/moveTask(), y executeTask() con
+ * comentarios para la IA: llegan a los prompts de PLAN y CODE.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  recordActivity, addComment, getActivity, pendingAIComments, editedFields,
+} = require('../src/core/activity');
+const { createTask, moveTask } = require('../src/kanban/board');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-activity-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const types = (id) => getActivity(id, kanbanPath).map(e => e.type);
+
+  try {
+    console.log('\ncreateTask() / moveTask()');
+
+    await test('crear y mover la tarea queda en su actividad con autor', () => {
+      createTask({ id: '001', title: 'Alta de usuarios', type: 'feature', content: 'x' }, 'todo', kanbanPath, { author: 'ana' });
+      moveTask('001', 'in_progress', kanbanPath, { author: 'motor' });
+      moveTask('001', 'todo', kanbanPath, { event: 'retried' });
+      const [created, moved, retried] = getActivity('001', kanbanPath);
+      assert.deepEqual(types('001'), ['created', 'moved', 'retried']);
+      assert.equal(created.author, 'ana');
+      assert.equal(created.column, 'todo');
+      assert.equal(moved.author, 'motor');
+      assert.equal(moved.from, 'todo');
+      assert.equal(moved.to, 'in_progress');
+      assert.ok(retried.author);
+      assert.ok(fs.existsSync(path.join(kanbanPath, '.history', '001', 'activity.jsonl')));
+    });
+
+    console.log('\naddComment() / getActivity()');
+
+    await test('comentarios con autor, fecha e id; vacío da error', () => {
+      assert.throws(() => addComment('001', { text: '   ' }, kanbanPath), /no puede estar vacío/);
+      const comment = addComment('001', { text: ' Usa la tabla users ', author: 'luis' }, kanbanPath);
+      assert.equal(comment.text, 'Usa la tabla users');
+      assert.equal(comment.forAI, false);
+      assert.ok(comment.id && comment.at);
+      assert.equal(getActivity('001', kanbanPath).at(-1).id, comment.id);
+    });
+
+    await test('tipos desconocidos se rechazan y las líneas corruptas se ignoran', () => {
+      assert.throws(() => recordActivity('001', { type: 'raro' }, kanbanPath), /Tipo de actividad desconocido/);
+      fs.appendFileSync(path.join(kanbanPath, '.history', '001', 'activity.jsonl'), '{roto\n');
+      assert.equal(types('001').length, 4);
+      assert.deepEqual(getActivity('999', kanbanPath), []);
+    });
+
+    console.log('\npendingAIComments() / editedFields()');
+
+    await test('los comentarios para la IA siguen pendientes hasta que un resultado los recibe', () => {
+      const a = addComment('001', { text: 'Sin ORM', forAI: true }, kanbanPath);
+      assert.deepEqual(pendingAIComments('001', kanbanPath).map(c => c.id), [a.id]);
+      recordActivity('001', { type: 'result', author: 'motor', result: 'failed', aiComments: [a.id] }, kanbanPath);
+      const b = addComment('001', { text: 'Y con transacción', forAI: true }, kanbanPath);
+      assert.deepEqual(pendingAIComments('001', kanbanPath).map(c => c.id), [b.id]);
+    });
+
+    await test('editedFields lista solo los campos que cambian', () => {
+      const before = { id: '001', title: 'A', labels: ['x'], content: 'c', filePath: '/a' };
+      const after = { id: '001', title: 'B', labels: ['x'], content: 'c', priority: 'alta', filePath: '/b' };
+      assert.deepEqual(editedFields(before, after), ['title', 'priority']);
+      assert.deepEqual(editedFields(before, { ...before }), []);
+    });
+
+    console.log('\nexecuteTask() con comentarios para la IA');
+
+    const engines = require('../src/core/engines');
+    const { executeTask } = require('../src/core/ai-executor');
+    const projectPath = path.join(tmp, 'project');
+    fs.mkdirSync(projectPath);
+    const prompts = {};
+    const markers = { PLAN: 'PLAN: plan x', CODE: 'RESULTADO: completado - ok' };
+    engines.loadEngines({});
+    engines.registerEngine({
+      name: 'grabador',
+      requiresInternet: false,
+      async run({ prompt, phase, write }) {
+        (prompts[phase] = prompts[phase] || []).push(prompt);
+        write(`${markers[phase]}\n`);
+        return { exitCode: 0 };
+      },
+    });
+
+    const quiet = async (fn) => {
+      const origLog = console.log;
+      const origWrite = process.stdout.write;
+      console.log = () => {};
+      process.stdout.write = () => true;
+      try { return await fn(); } finally {
+        console.log = origLog;
+        process.stdout.write = origWrite;
+      }
+    };
+
+    await test('PLAN y CODE reciben los comentarios; sin comentarios no hay sección', async () => {
+      const task = { id: '961', title: 'Alta de usuarios', type: 'feature', content: '# Descripción\nx' };
+      const pipeline = { phases: ['plan', 'code'] };
+      const aiComments = pendingAIComments('001', kanbanPath);
+      const result = await quiet(() => executeTask(task, { projectPath, kanbanPath, engine: 'grabador', pipeline, aiComments }));
+      assert.equal(result.success, true, result.reason);
+      assert.match(prompts.PLAN[0], /COMENTARIOS DEL EQUIPO[\s\S]*: Y con transacción/);
+      assert.match(prompts.CODE[0], /COMENTARIOS DEL EQUIPO[\s\S]*: Y con transacción/);
+
+      await quiet(() => executeTask({ ...task, id: '962' }, { projectPath, kanbanPath, engine: 'grabador', pipeline }));
+      assert.doesNotMatch(prompts.PLAN[1], /COMENTARIOS DEL EQUIPO/);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+/**
+ * test-approval.js - Tests de la aprobación humana del plan
+ *
+ * requestApproval()/approvePlan()/rejectPlan() sobre un kanban temporal, y
+ * executeTask() con approve: [plan] y un PLAN guionizado del motor mock:
+ * se detiene tras PLAN, continúa con el plan aprobado y repite PLAN tras
+ * un rechazo.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  isAwaitingApproval, approvedPlan, requestApproval, approvePlan, rejectPlan, rejectionFeedback,
+} = require('../src/core/approval');
+const { createTask, getTaskById } = require('../src/kanban/board');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-approval-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const task = (id) => getTaskById(id, kanbanPath).task;
+
+  try {
+    createTask({ id: '001', title: 'Alta de usuarios', type: 'feature', approve: ['plan'], content: 'x' }, 'todo', kanbanPath);
+
+    console.log('\nrequestApproval() / approvePlan() / rejectPlan()');
+
+    await test('sin plan pendiente no se puede aprobar ni rechazar', () => {
+      assert.equal(isAwaitingApproval(task('001')), false);
+      assert.throws(() => approvePlan('001', kanbanPath), /#001 no tiene un plan pendiente/);
+      assert.throws(() => rejectPlan('001', 'no', kanbanPath), /no tiene un plan pendiente/);
+      assert.throws(() => approvePlan('999', kanbanPath), /Tarea 999 no encontrada/);
+    });
+
+    await test('requestApproval deja la tarea esperando con el plan', () => {
+      requestApproval('001', 'Usar Express y Prisma', kanbanPath);
+      const { approval } = task('001');
+      assert.equal(isAwaitingApproval(task('001')), true);
+      assert.equal(approval.phase, 'plan');
+      assert.equal(approval.plan, 'Usar Express y Prisma');
+      assert.deepEqual(approval.comments, []);
+      assert.equal(approvedPlan(task('001')), null);
+    });
+
+    await test('rechazar exige comentario y guarda el plan rechazado como feedback', () => {
+      assert.throws(() => rejectPlan('001', '  ', kanbanPath), /necesita un comentario/);
+      rejectPlan('001', 'Sin ORM: usa SQL directo', kanbanPath);
+      const { approval } = task('001');
+      assert.equal(approval.status, 'rejected');
+      assert.equal(approval.plan, null);
+      assert.equal(approval.comments[0].plan, 'Usar Express y Prisma');
+      assert.match(rejectionFeedback(task('001')), /Rechazo 1: Sin ORM: usa SQL directo\n  Plan rechazado: Usar Express y Prisma/);
+    });
+
+    await test('un nuevo plan conserva los comentarios; aprobar acepta la versión editada', () => {
+      requestApproval('001', 'Express + pg', kanbanPath);
+      assert.equal(task('001').approval.comments.length, 1);
+
+      const same = approvePlan('001', kanbanPath, { plan: '  Express + pg \n' });
+      assert.equal(same.edited, false);
+
+      requestApproval('001', 'Express + pg', kanbanPath);
+      const approval = approvePlan('001', kanbanPath, { plan: 'Express + pg, con transacción' });
+      assert.equal(approval.status, 'approved');
+      assert.equal(approval.edited, true);
+      assert.equal(approvedPlan(task('001')), 'Express + pg, con transacción');
+    });
+
+    console.log('\nexecuteTask() con approve: [plan] (motor mock)');
+
+    const engines = require('../src/core/engines');
+    const { executeTask } = require('../src/core/ai-executor');
+    const projectPath = path.join(tmp, 'project');
+    fs.mkdirSync(projectPath);
+    const base = { title: 'Alta de usuarios', type: 'feature', content: '# Descripción\nAlta' };
+    const pipeline = { phases: ['plan', 'code'], approve: ['plan'] };
+    const run = (t) => quiet(() => executeTask(t, { projectPath, kanbanPath, engine: 'mock', pipeline }));
+
+    const quiet = async (fn) => {
+      const origLog = console.log;
+      const origWrite = process.stdout.write;
+      console.log = () => {};
+      process.stdout.write = () => true;
+      try { return await fn(); } finally {
+        console.log = origLog;
+        process.stdout.write = origWrite;
+      }
+    };
+
+    try {
+      engines.loadEngines({ mock: { script: { PLAN: ['PLAN: primer plan', 'PLAN: plan corregido'] } } });
+
+      await test('tras PLAN la tarea queda esperando aprobación sin CODE', async () => {
+        const result = await run({ ...base, id: '981' });
+        assert.equal(result.success, true, result.reason);
+        assert.equal(result.awaitingApproval, true);
+        assert.equal(result.plan, 'primer plan');
+        assert.equal(result.phasesRecord.result, 'awaiting-approval');
+        assert.equal(result.phasesRecord.code.length, 0);
+      });
+
+      await test('con el plan aprobado salta PLAN y ejecuta CODE con él', async () => {
+        const approval = { phase: 'plan', status: 'approved', plan: 'plan editado a mano', edited: true };
+        const result = await run({ ...base, id: '981', approval });
+        assert.equal(result.success, true, result.reason);
+        assert.equal(result.awaitingApproval, undefined);
+        assert.equal(result.plan, 'plan editado a mano');
+        assert.equal(result.phasesRecord.plan.status, 'approved');
+        assert.equal(result.phasesRecord.plan.edited, true);
+        assert.equal(result.phasesRecord.code.length, 1);
+      });
+
+      await test('rechazado: repite PLAN y vuelve a esperar aprobación', async () => {
+        const approval = { phase: 'plan', status: 'rejected', plan: null, comments: [{ comment: 'más simple', plan: 'primer plan' }] };
+        const result = await run({ ...base, id: '981', approval });
+        assert.equal(result.awaitingApproval, true);
+        assert.equal(result.plan, 'plan corregido');
+      });
+    } finally {
+      engines.loadEngines({});
+    }
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
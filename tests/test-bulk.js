@@ -0,0 +1,143 @@
+/**
+ * test-bulk.js - Tests de las operaciones en lote
+ *
+ * resolveSelection() por IDs y por consulta, y runBulk() con cada acción
+ * sobre un kanban temporal: fallos por tarea (WIP) que no paran el lote,
+ * tareas que ya estaban así y la actividad que deja cada cambio.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveSelection, runBulk } = require('../src/core/bulk');
+const { createTask, getTaskById } = require('../src/kanban/board');
+const { setBoardConfig } = require('../src/core/workflow');
+const { getActivity } = require('../src/core/activity');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-bulk-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const column = (id) => getTaskById(id, kanbanPath).column;
+  const add = (id, data, col = 'backlog') => createTask({ id, title: `Tarea ${id}`, type: 'feature', priority: 'media', content: 'x', ...data }, col, kanbanPath);
+
+  try {
+    setBoardConfig({ projects: { bulk: { path: tmp, board: { wip: { todo: 2 } } } } });
+    add('001', { labels: ['auth'] });
+    add('002', { labels: ['auth', 'wip'], type: 'bug' });
+    add('003', { labels: ['auth'] });
+    add('004', { labels: ['ui'] }, 'review');
+
+    console.log('\nresolveSelection()');
+
+    await test('por IDs (lista o texto con comas) y por consulta', () => {
+      assert.deepEqual(resolveSelection({ ids: ['1', '002', '1'] }, kanbanPath), ['001', '002']);
+      assert.deepEqual(resolveSelection({ ids: '003, 4' }, kanbanPath), ['003', '004']);
+      assert.deepEqual(resolveSelection({ query: 'label:auth -label:wip' }, kanbanPath), ['001', '003']);
+      assert.deepEqual(resolveSelection({ query: 'type:fix' }, kanbanPath), []);
+    });
+
+    await test('selección vacía, ambigua o con consulta inválida da error', () => {
+      assert.throws(() => resolveSelection({}, kanbanPath), /Indica las tareas/);
+      assert.throws(() => resolveSelection({ ids: [] }, kanbanPath), /Indica las tareas/);
+      assert.throws(() => resolveSelection({ query: '  ' }, kanbanPath), /consulta de la selección está vacía/);
+      assert.throws(() => resolveSelection({ ids: ['001'], query: 'type:bug' }, kanbanPath), /no con ambos/);
+      assert.throws(() => resolveSelection({ query: 'colour:red' }, kanbanPath), /Campo desconocido/);
+    });
+
+    console.log('\nrunBulk()');
+
+    await test('acción o valor inválidos fallan antes de tocar ninguna tarea', () => {
+      assert.throws(() => runBulk(['001'], 'archive', null, kanbanPath), /Acción desconocida: archive/);
+      assert.throws(() => runBulk(['001'], 'move', 'qa', kanbanPath), /Columna inválida: qa/);
+      assert.throws(() => runBulk(['001'], 'move', null, kanbanPath), /necesita la columna destino/);
+      assert.throws(() => runBulk(['001'], 'add-label', ' ', kanbanPath), /necesita la etiqueta/);
+      assert.throws(() => runBulk(['001'], 'set-priority', 'urgente', kanbanPath), /Prioridad inválida/);
+      assert.equal(column('001'), 'backlog');
+    });
+
+    await test('move: cada tarea por separado; el límite WIP no para el lote', () => {
+      const summary = runBulk(['001', '002', '003', '999'], 'move', 'todo', kanbanPath, { author: 'ana' });
+      assert.equal(summary.total, 4);
+      assert.equal(summary.succeeded, 2);
+      assert.equal(summary.failed, 2);
+      assert.deepEqual(summary.results.map(r => r.ok), [true, true, false, false]);
+      assert.match(summary.results[2].error, /Límite WIP/);
+      assert.match(summary.results[3].error, /no encontrada/);
+      assert.deepEqual(summary.results[0], { ...summary.results[0], from: 'backlog', to: 'todo', fileName: '001-tarea-001.md' });
+      assert.equal(column('003'), 'backlog');
+      assert.equal(getActivity('001', kanbanPath).at(-1).author, 'ana');
+
+      const forced = runBulk(['003'], 'move', 'todo', kanbanPath, { force: true });
+      assert.equal(forced.succeeded, 1);
+      assert.equal(column('003'), 'todo');
+    });
+
+    await test('las que ya están así cuentan como bien pero sin cambios', () => {
+      const summary = runBulk(['001', '004'], 'move', 'review', kanbanPath);
+      assert.equal(summary.results[0].unchanged, undefined);
+      assert.equal(summary.results[1].unchanged, true);
+      runBulk(['001'], 'move', 'todo', kanbanPath, { force: true });
+      const labels = runBulk(['001', '002'], 'add-label', 'wip', kanbanPath);
+      assert.deepEqual(labels.results.map(r => Boolean(r.unchanged)), [false, true]);
+    });
+
+    await test('add-label, remove-label y set-priority editan el frontmatter y la actividad', () => {
+      runBulk(['001', '002', '003'], 'add-label', 'urgente', kanbanPath, { author: 'luis' });
+      runBulk(['001', '002'], 'remove-label', 'wip', kanbanPath);
+      runBulk(['002', '003'], 'set-priority', 'alta', kanbanPath);
+      assert.deepEqual(getTaskById('001', kanbanPath).task.labels, ['auth', 'urgente']);
+      assert.deepEqual(getTaskById('002', kanbanPath).task.labels, ['auth', 'urgente']);
+      assert.equal(getTaskById('003', kanbanPath).task.priority, 'alta');
+      assert.equal(getTaskById('001', kanbanPath).task.priority, 'media');
+      const edit = getActivity('003', kanbanPath).find(e => e.type === 'edited');
+      assert.deepEqual(edit.fields, ['labels']);
+      assert.equal(edit.author, 'luis');
+    });
+
+    await test('retry devuelve a la cola del motor y delete elimina', () => {
+      assert.match(runBulk(['004'], 'retry', null, kanbanPath).results[0].error, /Límite WIP/);
+      const retried = runBulk(['004'], 'retry', null, kanbanPath, { force: true });
+      assert.equal(retried.results[0].from, 'review');
+      assert.equal(retried.results[0].to, 'todo');
+      assert.equal(getActivity('004', kanbanPath).at(-1).type, 'retried');
+
+      const deleted = runBulk(resolveSelection({ query: 'label:urgente priority:alta' }, kanbanPath), 'delete', null, kanbanPath);
+      assert.deepEqual(deleted.results.map(r => [r.id, r.column]), [['002', 'todo'], ['003', 'todo']]);
+      assert.equal(getTaskById('002', kanbanPath), null);
+      assert.equal(getTaskById('003', kanbanPath), null);
+      assert.ok(getTaskById('001', kanbanPath));
+    });
+  } finally {
+    setBoardConfig({});
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+/**
+ * test-checkpoint.js - Tests de la reanudación tras un crash
+ *
+ * saveCheckpoint()/findOrphans()/phaseDone() sobre un kanban temporal, y
+ * executeTask() con `resume` y el motor mock: no repite las fases que el
+ * checkpoint da por hechas y deja su propio checkpoint tras cada fase.
+ */
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  readCheckpoint, saveCheckpoint, clearCheckpoint, findOrphans, phaseDone, planOnly, describeCheckpoint,
+} = require('../src/core/checkpoint');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-checkpoint-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+
+  try {
+    console.log('\nsaveCheckpoint() / readCheckpoint() / clearCheckpoint()');
+
+    await test('guarda en .history/{id}/checkpoint.json y mezcla los campos', () => {
+      assert.equal(readCheckpoint(kanbanPath, '7'), null);
+      saveCheckpoint(kanbanPath, '7', { pid: 123, branch: 'feature/007-x' });
+      saveCheckpoint(kanbanPath, '7', { phase: 'CODE', iteration: 1 });
+      const file = path.join(kanbanPath, '.history', '007', 'checkpoint.json');
+      assert.ok(fs.existsSync(file));
+      assert.ok(!fs.existsSync(`${file}.tmp`));
+      const checkpoint = readCheckpoint(kanbanPath, '007');
+      assert.equal(checkpoint.pid, 123);
+      assert.equal(checkpoint.branch, 'feature/007-x');
+      assert.equal(checkpoint.phase, 'CODE');
+      assert.ok(checkpoint.updatedAt);
+    });
+
+    await test('clearCheckpoint lo borra (y no falla si no existe)', () => {
+      clearCheckpoint(kanbanPath, '007');
+      assert.equal(readCheckpoint(kanbanPath, '007'), null);
+      clearCheckpoint(kanbanPath, '007');
+    });
+
+    console.log('\nfindOrphans()');
+
+    await test('solo son huérfanas las tareas con checkpoint de un pid muerto', () => {
+      const dead = spawnSync(process.execPath, ['-e', '']).pid;
+      saveCheckpoint(kanbanPath, '001', { pid: dead, phase: 'CODE', iteration: 1 });
+      saveCheckpoint(kanbanPath, '002', { pid: process.pid });
+      saveCheckpoint(kanbanPath, '003', { pid: process.ppid });
+      const tasks = ['001', '002', '003', '004'].map(id => ({ id, title: `Tarea ${id}` }));
+      const orphans = findOrphans(tasks, kanbanPath);
+      assert.deepEqual(orphans.map(o => o.task.id), ['001']);
+      assert.equal(orphans[0].checkpoint.phase, 'CODE');
+    });
+
+    console.log('\nphaseDone() / planOnly() / describeCheckpoint()');
+
+    await test('phaseDone: fases hasta la del checkpoint y solo en su iteración', () => {
+      const checkpoint = { phase: 'REVIEW', iteration: 2 };
+      assert.equal(phaseDone(checkpoint, 'CODE', 2), true);
+      assert.equal(phaseDone(checkpoint, 'REVIEW', 2), true);
+      assert.equal(phaseDone(checkpoint, 'TEST', 2), false);
+      assert.equal(phaseDone(checkpoint, 'CODE', 3), false);
+      assert.equal(phaseDone({ phase: 'PLAN', iteration: 1 }, 'CODE', 1), false);
+      assert.equal(phaseDone(null, 'CODE', 1), false);
+    });
+
+    await test('planOnly conserva el plan y descarta el progreso del código', () => {
+      const reduced = planOnly({
+        plan: 'el plan', phase: 'TEST', iteration: 2, feedback: 'x', codeSummary: 'y',
+        phasesRecord: { plan: { status: 'ok' }, code: [{ iteration: 1 }] },
+      });
+      assert.equal(reduced.plan, 'el plan');
+      assert.equal(reduced.phase, 'PLAN');
+      assert.equal(reduced.iteration, 0);
+      assert.equal(reduced.feedback, null);
+      assert.deepEqual(reduced.phasesRecord, { plan: { status: 'ok' } });
+      assert.equal(planOnly({ phase: 'CODE' }), null);
+      assert.equal(describeCheckpoint({ phase: 'PLAN', iteration: 1 }), 'tras PLAN (iteración 2)');
+      assert.equal(describeCheckpoint({ phase: 'REVIEW', iteration: 1 }), 'tras REVIEW (iteración 1)');
+    });
+
+    console.log('\nexecuteTask() con resume (motor mock)');
+
+    const engines = require('../src/core/engines');
+    const { executeTask } = require('../src/core/ai-executor');
+    const projectPath = path.join(tmp, 'project');
+    fs.mkdirSync(projectPath);
+    const base = { title: 'Alta de usuarios', type: 'feature', content: '# Descripción\nAlta' };
+    const pipeline = { phases: ['plan', 'code', 'review'] };
+    const run = (t, resume) => quiet(() => executeTask(t, { projectPath, kanbanPath, engine: 'mock', pipeline, resume }));
+
+    const quiet = async (fn) => {
+      const origLog = console.log;
+      const origWrite = process.stdout.write;
+      console.log = () => {};
+      process.stdout.write = () => true;
+      try { return await fn(); } finally {
+        console.log = origLog;
+        process.stdout.write = origWrite;
+      }
+    };
+
+    try {
+      engines.loadEngines({ mock: { script: {
+        PLAN: ['PLAN: plan nuevo'],
+        CODE: ['RESULTADO: completado - código nuevo'],
+      } } });
+
+      await test('tras CODE: no repite PLAN ni CODE y sigue con REVIEW', async () => {
+        const resume = {
+          phase: 'CODE', iteration: 1, plan: 'plan guardado', codeSummary: 'código de antes',
+          phasesRecord: {
+            plan: { status: 'ok', duration: 10, summary: 'plan guardado' },
+            code: [{ iteration: 1, status: 'ok', duration: 20, summary: 'código de antes' }],
+          },
+        };
+        const result = await run({ ...base, id: '971' }, resume);
+        assert.equal(result.success, true, result.reason);
+        assert.equal(result.plan, 'plan guardado');
+        assert.equal(result.summary, 'código de antes');
+        assert.equal(result.iterations, 1);
+        assert.equal(result.phasesRecord.plan.duration, 10);
+        assert.equal(result.phasesRecord.code.length, 1);
+        assert.equal(result.phasesRecord.review.length, 1);
+        const checkpoint = readCheckpoint(kanbanPath, '971');
+        assert.equal(checkpoint.phase, 'REVIEW');
+        assert.equal(checkpoint.iteration, 1);
+      });
+
+      await test('tras PLAN de la iteración 1: CODE de la iteración 2 con el feedback', async () => {
+        const resume = { phase: 'PLAN', iteration: 1, plan: 'plan guardado', feedback: 'el revisor pidió tests' };
+        const result = await run({ ...base, id: '972' }, resume);
+        assert.equal(result.success, true, result.reason);
+        assert.equal(result.iterations, 2);
+        assert.equal(result.summary, 'código nuevo');
+        assert.equal(result.phasesRecord.code[0].iteration, 2);
+      });
+
+      await test('sin resume guarda un checkpoint tras cada fase', async () => {
+        const result = await run({ ...base, id: '973' }, null);
+        assert.equal(result.plan, 'plan nuevo');
+        const checkpoint = readCheckpoint(kanbanPath, '973');
+        assert.equal(checkpoint.phase, 'REVIEW');
+        assert.equal(checkpoint.plan, 'plan nuevo');
+        assert.equal(checkpoint.codeSummary, 'código nuevo');
+        assert.equal(checkpoint.phasesRecord.code.length, 1);
+      });
+    } finally {
+      engines.loadEngines({});
+    }
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
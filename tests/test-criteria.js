@@ -0,0 +1,199 @@
+/**
+ * test-criteria.js - Tests de criterios de aceptación estructurados
+ *
+ * parseCriteria() sobre el markdown de la tarea, parseVerdicts() con bloques
+ * CRITERIOS válidos e inválidos, applyVerdicts()/verdictTable(), y
+ * executeTask() con un SCOPE guionizado del motor mock.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCriteria, parseVerdicts, applyVerdicts, failedCriteria, verdictTable } = require('../src/core/criteria');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const CONTENT = [
+  '# Descripción',
+  'Crear POST /api/users.',
+  '- esto no es un criterio',
+  '',
+  '# Criterios de aceptación',
+  '- [ ] Devuelve 201 al crear',
+  '- [x] Valida el email',
+  '  - detalle del criterio anterior',
+  '- Rechaza emails duplicados',
+  '',
+  '# Notas',
+  '- [ ] tampoco es un criterio',
+].join('\n');
+
+const scopeOutput = (verdicts, line = 'SCOPE: ok - todo listo') =>
+  ['Reviso la implementación.', 'CRITERIOS:', '```json', JSON.stringify(verdicts), '```', line].join('\n');
+
+async function main() {
+  const criteria = parseCriteria(CONTENT);
+
+  console.log('\nparseCriteria()');
+
+  await test('lee solo la sección de criterios, con y sin casilla', () => {
+    assert.deepEqual(criteria.map(({ n, text, checked }) => ({ n, text, checked })), [
+      { n: 1, text: 'Devuelve 201 al crear', checked: false },
+      { n: 2, text: 'Valida el email', checked: true },
+      { n: 3, text: 'Rechaza emails duplicados', checked: false },
+    ]);
+  });
+
+  await test('sin sección usa las casillas del texto; vacío devuelve []', () => {
+    const loose = parseCriteria('Hacer cosas\n- [ ] Una\n- [X] Dos\n- viñeta suelta');
+    assert.deepEqual(loose.map(c => [c.text, c.checked]), [['Una', false], ['Dos', true]]);
+    assert.deepEqual(parseCriteria('# Criterios de aceptación\n- '), []);
+    assert.deepEqual(parseCriteria(undefined), []);
+  });
+
+  console.log('\nparseVerdicts()');
+
+  await test('sin bloque CRITERIOS devuelve null', () => {
+    assert.equal(parseVerdicts('SCOPE: ok - bien', criteria), null);
+  });
+
+  await test('un veredicto por criterio; los que faltan quedan sin veredicto', () => {
+    const verdicts = parseVerdicts(scopeOutput([
+      { n: 1, met: true, evidence: 'src/routes/users.js:42' },
+      { n: 3, met: false, evidence: 'no hay índice único' },
+    ]), criteria);
+    assert.deepEqual(verdicts, [
+      { n: 1, text: 'Devuelve 201 al crear', met: true, evidence: 'src/routes/users.js:42' },
+      { n: 2, text: 'Valida el email', met: null, evidence: '' },
+      { n: 3, text: 'Rechaza emails duplicados', met: false, evidence: 'no hay índice único' },
+    ]);
+    assert.deepEqual(failedCriteria(verdicts), [{ n: 3, text: 'Rechaza emails duplicados', evidence: 'no hay índice único' }]);
+  });
+
+  await test('bloques mal formados o criterios inexistentes lanzan error', () => {
+    assert.throws(() => parseVerdicts('CRITERIOS:\n```json\n[{ n: 1 }]\n```', criteria), /JSON mal formado/);
+    assert.throws(() => parseVerdicts('CRITERIOS:\n```json\n{"n":1}\n```', criteria), /debe ser una lista/);
+    assert.throws(() => parseVerdicts(scopeOutput([{ n: 4, met: true }]), criteria), /criterio 4 no existe \(1\.\.3\)/);
+  });
+
+  console.log('\napplyVerdicts() / verdictTable()');
+
+  await test('marca las casillas según el veredicto y respeta el resto del texto', () => {
+    const verdicts = parseVerdicts(scopeOutput([
+      { n: 1, met: true }, { n: 2, met: false }, { n: 3, met: true },
+    ]), criteria);
+    const content = applyVerdicts(CONTENT, verdicts);
+    assert.match(content, /- \[x\] Devuelve 201 al crear/);
+    assert.match(content, /- \[ \] Valida el email/);
+    assert.match(content, /- \[x\] Rechaza emails duplicados/);
+    assert.match(content, /  - detalle del criterio anterior/);
+    assert.match(content, /- \[ \] tampoco es un criterio/);
+    assert.match(content, /- esto no es un criterio/);
+    assert.deepEqual(parseCriteria(content).map(c => c.checked), [true, false, true]);
+  });
+
+  await test('la tabla tiene una fila por criterio con su veredicto', () => {
+    const table = verdictTable([
+      { n: 1, text: 'A | B', met: true, evidence: 'ok' },
+      { n: 2, text: 'C', met: false, evidence: '' },
+      { n: 3, text: 'D', met: null, evidence: '' },
+    ]);
+    const rows = table.split('\n');
+    assert.equal(rows.length, 5);
+    assert.equal(rows[2], '| 1 | A \\| B | ✅ Cumple | ok |');
+    assert.equal(rows[3], '| 2 | C | ❌ No cumple | — |');
+    assert.match(rows[4], /❔ Sin veredicto/);
+  });
+
+  console.log('\nexecuteTask() con veredicto por criterio (motor mock)');
+
+  const engines = require('../src/core/engines');
+  const { executeTask } = require('../src/core/ai-executor');
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-criteria-'));
+  const kanbanPath = path.join(projectPath, 'kanban');
+  fs.mkdirSync(kanbanPath);
+  const task = { id: '971', title: 'Alta de usuarios', type: 'feature', content: CONTENT };
+  const pipeline = { phases: ['plan', 'code', 'scope'] };
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    const origWrite = process.stdout.write;
+    console.log = () => {};
+    process.stdout.write = () => true;
+    try { return await fn(); } finally {
+      console.log = origLog;
+      process.stdout.write = origWrite;
+    }
+  };
+
+  try {
+    await test('un criterio no cumplido manda a Review aunque SCOPE diga ok', async () => {
+      engines.loadEngines({ mock: { script: { SCOPE: [scopeOutput([
+        { n: 1, met: true, evidence: 'test de 201' },
+        { n: 2, met: true, evidence: 'validator.isEmail' },
+        { n: 3, met: false, evidence: 'no hay índice único' },
+      ])] } } });
+      const result = await quiet(() => executeTask(task, { projectPath, kanbanPath, engine: 'mock', pipeline }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.scopeIncomplete, true);
+      assert.equal(result.scopeNote, 'Criterios no cumplidos: 3. Rechaza emails duplicados');
+      assert.deepEqual(result.criteria.map(c => c.met), [true, true, false]);
+      assert.equal(result.phasesRecord.scope.status, 'incomplete');
+
+      const artifacts = path.join(kanbanPath, '.history', '971');
+      const table = fs.readFileSync(path.join(artifacts, 'criteria.md'), 'utf8');
+      assert.match(table, /\| 3 \| Rechaza emails duplicados \| ❌ No cumple \| no hay índice único \|/);
+      assert.match(fs.readFileSync(path.join(artifacts, 'scope.md'), 'utf8'), /\*\*Veredicto:\*\* INCOMPLETO/);
+    });
+
+    await test('todos cumplidos: tarea completa con los veredictos en el resultado', async () => {
+      engines.loadEngines({ mock: { script: { SCOPE: [scopeOutput([
+        { n: 1, met: true }, { n: 2, met: true }, { n: 3, met: true },
+      ])] } } });
+      const result = await quiet(() => executeTask({ ...task, id: '972' }, { projectPath, kanbanPath, engine: 'mock', pipeline }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.scopeIncomplete, undefined);
+      assert.equal(result.criteria.length, 3);
+      assert.ok(fs.existsSync(path.join(kanbanPath, '.history', '972', 'criteria.md')));
+    });
+
+    await test('un bloque CRITERIOS mal formado se ignora y manda la línea SCOPE', async () => {
+      engines.loadEngines({ mock: { script: { SCOPE: ['CRITERIOS:\n```json\n[{"n":9,"met":false}]\n```\nSCOPE: ok - bien'] } } });
+      const result = await quiet(() => executeTask({ ...task, id: '973' }, { projectPath, kanbanPath, engine: 'mock', pipeline }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.scopeIncomplete, undefined);
+      assert.equal(result.criteria, null);
+      assert.equal(fs.existsSync(path.join(kanbanPath, '.history', '973', 'criteria.md')), false);
+    });
+  } finally {
+    engines.loadEngines({});
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
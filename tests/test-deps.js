@@ -0,0 +1,129 @@
+/**
+ * test-deps.js - Tests del grafo de dependencias
+ *
+ * buildGraph() con nodos, aristas, bloqueos, ruta crítica y ciclos escritos
+ * a mano; assertNoCycle() al crear/editar; dependencyTree() hacia arriba y
+ * hacia abajo, sobre un kanban temporal.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildGraph, assertNoCycle, dependencyTree } = require('../src/core/deps');
+const { createTask, getTaskById } = require('../src/kanban/board');
+const { writeTask } = require('../src/core/task');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-deps-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const add = (id, column, dependsOn = []) =>
+    createTask({ id, title: `Tarea ${id}`, type: 'feature', dependsOn, content: 'x' }, column, kanbanPath);
+
+  try {
+    // 001 ← 002 ← 003 ← 004   y   001 ← 005,   003 ← 009 (no existe),   006 suelta
+    add('001', 'done');
+    add('002', 'todo', ['001']);
+    add('003', 'todo', ['002', '009']);
+    add('004', 'backlog', [3]);
+    add('005', 'todo', ['001']);
+    add('006', 'todo');
+
+    console.log('\nbuildGraph()');
+
+    await test('nodos con columna y dependencias pendientes; aristas dep → tarea', () => {
+      const graph = buildGraph(kanbanPath);
+      assert.equal(graph.nodes.length, 6);
+      const node = (id) => graph.nodes.find(n => n.id === id);
+      assert.equal(node('001').done, true);
+      assert.deepEqual(node('002').blockedBy, []);
+      assert.deepEqual(node('003').blockedBy, ['002', '009']);
+      assert.deepEqual(node('004').blockedBy, ['003']);
+
+      assert.equal(graph.edges.length, 5);
+      assert.deepEqual(graph.edges.find(e => e.to === '002'), { from: '001', to: '002', done: true, missing: false });
+      assert.equal(graph.edges.find(e => e.from === '009').missing, true);
+      assert.deepEqual(graph.cycles, []);
+    });
+
+    await test('la ruta crítica es la cadena más larga de tareas sin terminar', () => {
+      assert.deepEqual(buildGraph(kanbanPath).criticalPath, ['002', '003', '004']);
+    });
+
+    await test('un ciclo escrito a mano aparece en cycles', () => {
+      const found = getTaskById('002', kanbanPath);
+      writeTask({ ...found.task, dependsOn: ['001', '004'] }, found.filePath);
+      const graph = buildGraph(kanbanPath);
+      assert.equal(graph.cycles.length, 1);
+      const cycle = graph.cycles[0];
+      assert.equal(cycle[0], cycle[cycle.length - 1]);
+      assert.deepEqual([...new Set(cycle)].sort(), ['002', '003', '004']);
+      writeTask({ ...found.task, dependsOn: ['001'] }, found.filePath);
+    });
+
+    console.log('\nassertNoCycle()');
+
+    await test('acepta dependencias sin ciclo, también para una tarea nueva', () => {
+      assert.doesNotThrow(() => assertNoCycle('004', ['003', '005'], kanbanPath));
+      assert.doesNotThrow(() => assertNoCycle('007', ['004', '006'], kanbanPath));
+      assert.doesNotThrow(() => assertNoCycle('002', [], kanbanPath));
+    });
+
+    await test('rechaza la edición que cierra un ciclo con la ruta completa', () => {
+      assert.throws(() => assertNoCycle('001', ['004'], kanbanPath),
+        /Dependencia circular: #001 → #004 → #003 → #002 → #001/);
+      assert.throws(() => assertNoCycle('005', [5], kanbanPath), /#005 no puede depender de sí misma/);
+    });
+
+    console.log('\ndependencyTree()');
+
+    await test('up: de qué depende, hasta el final, marcando las que no existen', () => {
+      const tree = dependencyTree('4', kanbanPath, 'up');
+      assert.equal(tree.id, '004');
+      assert.deepEqual(tree.children.map(c => c.id), ['003']);
+      const [api, missing] = tree.children[0].children;
+      assert.equal(api.id, '002');
+      assert.equal(api.children[0].id, '001');
+      assert.equal(api.children[0].done, true);
+      assert.equal(missing.id, '009');
+      assert.equal(missing.missing, true);
+    });
+
+    await test('down: qué tareas la esperan; null si la tarea no existe', () => {
+      const tree = dependencyTree('001', kanbanPath, 'down');
+      assert.deepEqual(tree.children.map(c => c.id), ['002', '005']);
+      assert.deepEqual(tree.children[0].children.map(c => c.id), ['003']);
+      assert.equal(dependencyTree('999', kanbanPath), null);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
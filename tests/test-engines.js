@@ -0,0 +1,321 @@
+/**
+ * test-engines.js - Tests del registro de engines, del motor mock y del motor api
+ *
+ * Ejecuta executeTask() completo con el engine 'mock' (sin red ni CLIs) y
+ * con el engine 'api' contra un servidor local que imita la API de mensajes.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const engines = require('../src/core/engines');
+const createMockAdapter = require('../src/core/engines/mock');
+const { resolveInProject, parseCommand, DEFAULT_ALLOWED_COMMANDS } = require('../src/core/engines/api');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+function silence(fn) {
+  const origLog = console.log;
+  const origWrite = process.stdout.write;
+  console.log = () => {};
+  process.stdout.write = () => true;
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      console.log = origLog;
+      process.stdout.write = origWrite;
+    });
+}
+
+// ─── SERVIDOR LOCAL QUE IMITA /v1/messages (SSE) ─────────────
+// respond(body) → { content: [...bloques], stop_reason }
+function startFakeApi(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push(body);
+      const { content, stop_reason } = respond(body);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+      send('message_start', {
+        message: {
+          id: `msg_${requests.length}`, type: 'message', role: 'assistant', model: body.model,
+          content: [], stop_reason: null, stop_sequence: null, usage: { input_tokens: 10, output_tokens: 0 },
+        },
+      });
+      content.forEach((block, index) => {
+        if (block.type === 'text') {
+          send('content_block_start', { index, content_block: { type: 'text', text: '' } });
+          send('content_block_delta', { index, delta: { type: 'text_delta', text: block.text } });
+        } else {
+          send('content_block_start', { index, content_block: { type: 'tool_use', id: block.id, name: block.name, input: {} } });
+          send('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+        }
+        send('content_block_stop', { index });
+      });
+      send('message_delta', { delta: { stop_reason, stop_sequence: null }, usage: { output_tokens: 5 } });
+      send('message_stop', {});
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ requests, baseURL: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(r => server.close(r)) });
+    });
+  });
+}
+
+async function main() {
+  console.log('\nRegistro de engines');
+
+  await test('incluye los built-in claude, opencode, mock y api', () => {
+    engines.loadEngines({});
+    const names = engines.listEngines().map(e => e.name);
+    for (const n of ['claude', 'opencode', 'mock', 'api']) assert.ok(names.includes(n), n);
+  });
+
+  await test('mock siempre está disponible pero no es fallback', () => {
+    const mock = engines.listEngines().find(e => e.name === 'mock');
+    assert.equal(mock.available, true);
+    assert.equal(mock.fallback, false);
+    assert.equal(engines.detectAvailableEngine('mock'), 'mock');
+  });
+
+  await test('spec declarativa en config sustituye {prompt}, {projectPath} y {phase}', () => {
+    engines.loadEngines({ echoer: { command: 'node', args: ['-e', '0', '{phase}', '{projectPath}', '{prompt}'] } });
+    const adapter = engines.getEngine('echoer');
+    const { cmd, args } = adapter.buildCommand({ prompt: 'hola\nmundo', projectPath: '/tmp/p', phase: 'CODE' });
+    assert.equal(cmd, 'node');
+    assert.deepEqual(args, ['-e', '0', 'CODE', '/tmp/p', 'hola\nmundo']);
+    assert.equal(adapter.detect(), true);
+  });
+
+  await test('opciones de un built-in no se confunden con una spec', () => {
+    engines.loadEngines({ claude: { args: ['--model', 'sonnet'] } });
+    const { args } = engines.getEngine('claude').buildCommand({ prompt: 'p', projectPath: '/tmp' });
+    assert.ok(args.includes('--model'));
+    assert.equal(args[args.length - 1], 'p');
+  });
+
+  await test('registerEngine valida el adapter', () => {
+    assert.throws(() => engines.registerEngine({ name: 'roto' }), /buildCommand\(\) o run\(\)/);
+    const custom = engines.registerEngine({ name: 'custom', buildCommand: () => ({ cmd: 'true', args: [] }) });
+    assert.equal(custom.label, 'custom');
+    assert.equal(engines.getEngine('custom').fallback, false);
+  });
+
+  await test('entradas inválidas en config se ignoran sin romper el registro', () => {
+    const origError = console.error;
+    console.error = () => {};
+    try {
+      engines.loadEngines({ raro: { foo: 1 } });
+    } finally {
+      console.error = origError;
+    }
+    assert.equal(engines.getEngine('raro'), null);
+    assert.ok(engines.getEngine('mock'));
+  });
+
+  await test('parseMarkers toma el último marcador del output', () => {
+    const out = 'ruido\nRESULTADO: fallido - x\nmás ruido\nRESULTADO: completado - ok';
+    assert.deepEqual(engines.parseMarkers(out), { marker: 'RESULTADO', value: 'completado - ok' });
+    assert.deepEqual(engines.parseMarkers('sin marcadores'), { marker: null, value: null });
+  });
+
+  await test('el mock consume los pasos por tarea y repite el último', () => {
+    const mock = createMockAdapter({ script: { CODE: ['uno', { output: 'dos', exitCode: 1 }] } });
+    const step = (id) => JSON.parse(mock.buildCommand({ phase: 'CODE', task: { id } }).args[1]);
+    assert.equal(step('001').output, 'uno');
+    assert.equal(step('001').output, 'dos');
+    assert.equal(step('001').exitCode, 1);
+    assert.equal(step('002').output, 'uno');
+    mock.reset();
+    assert.equal(step('001').output, 'uno');
+  });
+
+  console.log('\nexecuteTask() con el motor mock');
+
+  const { executeTask, classifyTask } = require('../src/core/ai-executor');
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-mock-'));
+  const task = { id: '901', title: 'Tarea mock', type: 'feature', content: '# Descripción\nAlgo\n\n# Criterios de aceptación\n- Funciona' };
+
+  try {
+    await test('ciclo completo aprobado', async () => {
+      engines.loadEngines({});
+      const result = await silence(() => executeTask(task, { projectPath, engine: 'mock' }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.iterations, 1);
+      assert.equal(result.phasesRecord.plan.status, 'ok');
+    });
+
+    await test('un CODE fallido se reintenta y escribe archivos en el proyecto', async () => {
+      engines.loadEngines({
+        mock: {
+          script: {
+            CODE: [
+              'RESULTADO: fallido - primer intento',
+              { output: 'RESULTADO: completado - listo', files: { 'src/a.js': 'module.exports = 1;\n', '../fuera.txt': 'x' } },
+            ],
+          },
+        },
+      });
+      const result = await silence(() => executeTask({ ...task, id: '902' }, { projectPath, engine: 'mock' }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.iterations, 2);
+      assert.equal(fs.readFileSync(path.join(projectPath, 'src/a.js'), 'utf8'), 'module.exports = 1;\n');
+      assert.equal(fs.existsSync(path.join(path.dirname(projectPath), 'fuera.txt')), false);
+    });
+
+    await test('engine desconocido cae al fallback o falla con motivo claro', async () => {
+      engines.loadEngines({});
+      const fallback = engines.detectAvailableEngine('no-existe');
+      if (fallback) {
+        assert.ok(['claude', 'opencode', 'api'].includes(fallback));
+      } else {
+        const result = await silence(() => executeTask(task, { projectPath, engine: 'no-existe' }));
+        assert.equal(result.success, false);
+        assert.match(result.reason, /No hay ningún engine disponible/);
+      }
+    });
+
+    await test('classifyTask usa el guion CLASSIFY del mock', async () => {
+      engines.loadEngines({});
+      const result = await silence(() => classifyTask('algo que hacer', 'mock'));
+      assert.equal(result.title, 'Tarea mock');
+      assert.equal(result.type, 'feature');
+    });
+  } finally {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  }
+
+  console.log('\nexecuteTask() con el motor api (servidor local)');
+
+  await test('resolveInProject rechaza rutas fuera del proyecto', () => {
+    assert.equal(resolveInProject('/tmp/p', 'src/a.js'), path.join('/tmp/p', 'src/a.js'));
+    assert.throws(() => resolveInProject('/tmp/p', '../x'), /fuera del proyecto/);
+    assert.throws(() => resolveInProject('/tmp/p', '/etc/passwd'), /fuera del proyecto/);
+  });
+
+  await test('resolveInProject sigue los symlinks que salen del proyecto', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-symlink-'));
+    try {
+      fs.symlinkSync(os.tmpdir(), path.join(dir, 'enlace'));
+      assert.throws(() => resolveInProject(dir, 'enlace/x.txt'), /fuera del proyecto/);
+      assert.ok(resolveInProject(dir, 'nuevo/dir/x.txt').endsWith(path.join('nuevo', 'dir', 'x.txt')));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('run_command solo lanza programas permitidos con rutas del proyecto', () => {
+    const allowed = DEFAULT_ALLOWED_COMMANDS;
+    assert.deepEqual(parseCommand('npm test -- --grep "dos palabras"', '/tmp/p', allowed),
+      { file: 'npm', args: ['test', '--', '--grep', 'dos palabras'] });
+    assert.throws(() => parseCommand('cat ../../etc/passwd', '/tmp/p', allowed), /fuera del proyecto/);
+    assert.throws(() => parseCommand('cat /etc/passwd', '/tmp/p', allowed), /fuera del proyecto/);
+    assert.throws(() => parseCommand('git --git-dir=/etc status', '/tmp/p', allowed), /fuera del proyecto/);
+    assert.throws(() => parseCommand('ls ~', '/tmp/p', allowed), /fuera del proyecto/);
+    assert.throws(() => parseCommand('ls src && cat x', '/tmp/p', allowed), /operadores de shell/);
+    assert.throws(() => parseCommand('curl http://x', '/tmp/p', allowed), /no permitido/);
+    assert.throws(() => parseCommand('/bin/ls', '/tmp/p', allowed), /no permitido/);
+  });
+
+  const apiProject = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-api-'));
+  // CODE: primero pide herramientas, luego responde con el marcador.
+  // El resto de fases responde directamente con el marcador del guion mock.
+  const fake = await startFakeApi((body) => {
+    const phase = (body.system.match(/fase (\w+)/) || [])[1];
+    const last = body.messages[body.messages.length - 1];
+    const afterTools = Array.isArray(last.content);
+    if (phase === 'CODE' && !afterTools) {
+      return {
+        stop_reason: 'tool_use',
+        content: [
+          { type: 'text', text: 'Voy a crear el archivo.' },
+          { type: 'tool_use', id: 'tu_1', name: 'write_file', input: { path: 'src/hola.js', content: 'module.exports = "hola";\n' } },
+          { type: 'tool_use', id: 'tu_2', name: 'write_file', input: { path: '../fuera.js', content: 'x' } },
+          { type: 'tool_use', id: 'tu_3', name: 'run_command', input: { command: 'ls src' } },
+        ],
+      };
+    }
+    const text = createMockAdapter.DEFAULT_SCRIPT[phase]?.[0] || 'sin marcador';
+    return { stop_reason: 'end_turn', content: [{ type: 'text', text: `Hecho.\n${text}` }] };
+  });
+
+  try {
+    await test('ciclo completo con bucle de herramientas restringido al proyecto', async () => {
+      engines.loadEngines({ api: { baseURL: fake.baseURL, apiKey: 'test-key', model: 'modelo-test' } });
+      assert.equal(engines.getEngine('api').requiresInternet, false);
+      const pids = [];
+      const result = await silence(() => executeTask({ ...task, id: '903' }, {
+        projectPath: apiProject, engine: 'api', onProcess: (pid) => pids.push(pid),
+      }));
+      assert.equal(result.success, true, result.reason);
+      // En proceso no hay subprocess: nunca se registra el PID del propio motor
+      assert.ok(pids.length > 0);
+      assert.ok(pids.every(pid => pid === null));
+      assert.equal(fs.readFileSync(path.join(apiProject, 'src/hola.js'), 'utf8'), 'module.exports = "hola";\n');
+      assert.equal(fs.existsSync(path.join(path.dirname(apiProject), 'fuera.js')), false);
+
+      const toolTurn = fake.requests.find(r => Array.isArray(r.messages[r.messages.length - 1].content));
+      const results = toolTurn.messages[toolTurn.messages.length - 1].content;
+      assert.equal(results.find(r => r.tool_use_id === 'tu_1').is_error, false);
+      assert.equal(results.find(r => r.tool_use_id === 'tu_2').is_error, true);
+      assert.match(results.find(r => r.tool_use_id === 'tu_3').content, /hola\.js/);
+      assert.equal(toolTurn.model, 'modelo-test');
+
+      // CODE = 2 turnos de 10 tokens de entrada y 5 de salida; coste estimado
+      const codeUsage = result.phasesRecord.code[0].usage;
+      assert.equal(codeUsage.inputTokens, 20);
+      assert.equal(codeUsage.outputTokens, 10);
+      assert.equal(codeUsage.model, 'modelo-test');
+      assert.equal(codeUsage.estimated, true);
+      assert.ok(codeUsage.costUsd > 0);
+    });
+
+    await test('sin API key el engine api no está disponible', () => {
+      const saved = process.env.ANTHROPIC_API_KEY;
+      delete process.env.ANTHROPIC_API_KEY;
+      try {
+        engines.loadEngines({});
+        assert.equal(engines.listEngines().find(e => e.name === 'api').available, false);
+      } finally {
+        if (saved !== undefined) process.env.ANTHROPIC_API_KEY = saved;
+      }
+    });
+  } finally {
+    await fake.close();
+    fs.rmSync(apiProject, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -337,7 +337,7 @@ function testOneTaskAtATime() {
   
   test('Verifica in_progress antes de procesar', () => {
     assert.ok(loop.includes('inProgressTasks = getTasks'));
-    assert.ok(loop.includes('inProgressTasks.length > 0'));
+    assert.ok(loop.includes('concurrency - inProgressTasks.length'));
   });
   
   test('Espera si hay tarea en progreso', () => {
@@ -345,8 +345,8 @@ function testOneTaskAtATime() {
     assert.ok(loop.includes('continue;'));
   });
   
-  test('Solo toma UNA tarea con break', () => {
-    assert.ok(loop.includes('taskToProcess = candidate'));
+  test('Solo toma tantas tareas como slots libres (concurrency)', () => {
+    assert.ok(loop.includes('tasksToProcess.length >= wanted'));
     assert.ok(loop.includes('break;'));
   });
 }
@@ -5,6 +5,8 @@
  *   - Crear branch, hacer cambios, commit, merge
  *   - Abortar tareas y limpiar estado
  *   - Manejo de conflictos
+ *   - Fase RESOLVE (motor mock) sobre un merge con conflictos
+ *   - Actualizar el branch con la base antes del merge (drift + re-verificación)
  */
 
 const assert = require('assert');
@@ -207,6 +209,35 @@ async function testGitServiceVerify() {
   });
 }
 
+async function testGitServiceSafeReset() {
+  console.log('\n📋 TEST: GitService SafeReset (preserva kanban/)\n');
+  
+  const git = new GitService(TEST_DIR);
+  const kanbanPath = path.join(TEST_DIR, 'kanban');
+  const systemFiles = {
+    'prompts/code.md': 'Prompt propio de CODE',
+    'templates/semanal.md': '---\ntitle: Revisión semanal\n---\n# Descripción\nx',
+    '.history/001/activity.jsonl': '{"type":"comment","author":"ana","text":"ojo con el login"}\n',
+  };
+  
+  await git.checkout('main');
+  for (const [file, content] of Object.entries(systemFiles)) {
+    fs.mkdirSync(path.dirname(path.join(kanbanPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(kanbanPath, file), content);
+  }
+  fs.writeFileSync(path.join(TEST_DIR, 'basura.txt'), 'x');
+  
+  await test('_safeReset limpia el proyecto pero conserva los directorios de sistema', async () => {
+    await git._safeReset(kanbanPath);
+    assert.ok(!fs.existsSync(path.join(TEST_DIR, 'basura.txt')));
+    for (const [file, content] of Object.entries(systemFiles)) {
+      assert.strictEqual(fs.readFileSync(path.join(kanbanPath, file), 'utf8'), content, file);
+    }
+  });
+  
+  fs.rmSync(kanbanPath, { recursive: true, force: true });
+}
+
 async function testGitServiceEnsureBranch() {
   console.log('\n📋 TEST: GitService EnsureBranch\n');
   
@@ -230,6 +261,294 @@ async function testGitServiceEnsureBranch() {
   });
 }
 
+async function testGitServiceWorktrees() {
+  console.log('\n📋 TEST: GitService Worktrees + MergeQueue\n');
+
+  const MergeQueue = require('../src/git/mergeQueue');
+  const git = new GitService(TEST_DIR);
+  const wtA = path.join(TEST_DIR, '..', '.test-git-worktrees', 'wt-a');
+  const wtB = path.join(TEST_DIR, '..', '.test-git-worktrees', 'wt-b');
+
+  await git.checkout('main');
+  await git.hardReset();
+
+  try {
+    await test('createWorktree crea branch aislado sin mover el repo principal', async () => {
+      const created = await git.createWorktree('feature/wt-a', 'main', wtA);
+      assert.strictEqual(created, path.resolve(wtA));
+      assert.ok(fs.existsSync(path.join(wtA, 'README.md')));
+      assert.strictEqual(await git.getCurrentBranch(), 'main');
+      assert.strictEqual(await new GitService(wtA).getCurrentBranch(), 'feature/wt-a');
+    });
+
+    await test('listWorktrees incluye el worktree creado', async () => {
+      const list = await git.listWorktrees();
+      assert.ok(list.some(w => w.path === path.resolve(wtA) && w.branch === 'feature/wt-a'));
+    });
+
+    await test('dos worktrees en paralelo mergean en serie por la MergeQueue', async () => {
+      await git.createWorktree('feature/wt-b', 'main', wtB);
+      for (const [dir, file] of [[wtA, 'a.txt'], [wtB, 'b.txt']]) {
+        fs.writeFileSync(path.join(dir, file), file);
+        const wg = new GitService(dir);
+        await wg.addAll();
+        await wg.commit(`add ${file}`);
+      }
+
+      const queue = new MergeQueue();
+      const order = [];
+      const mergeOne = (branch, dir) => queue.run(async () => {
+        order.push(`start ${branch}`);
+        await git.merge(branch);
+        await git.removeWorktree(dir, { force: true });
+        await git.deleteBranch(branch);
+        order.push(`end ${branch}`);
+      });
+      await Promise.all([mergeOne('feature/wt-a', wtA), mergeOne('feature/wt-b', wtB)]);
+
+      assert.deepStrictEqual(order, ['start feature/wt-a', 'end feature/wt-a', 'start feature/wt-b', 'end feature/wt-b']);
+      assert.ok(fs.existsSync(path.join(TEST_DIR, 'a.txt')));
+      assert.ok(fs.existsSync(path.join(TEST_DIR, 'b.txt')));
+      assert.strictEqual(queue.pending, 0);
+    });
+
+    await test('removeWorktree no falla si el worktree no existe', async () => {
+      const removed = await git.removeWorktree(wtA, { force: true });
+      assert.strictEqual(removed, false);
+    });
+
+    await test('MergeQueue sigue funcionando tras un error', async () => {
+      const queue = new MergeQueue();
+      await assert.rejects(queue.run(async () => { throw new Error('boom'); }), /boom/);
+      assert.strictEqual(await queue.run(async () => 'ok'), 'ok');
+    });
+  } finally {
+    fs.rmSync(path.join(TEST_DIR, '..', '.test-git-worktrees'), { recursive: true, force: true });
+  }
+}
+
+async function testGitServiceConflicts() {
+  console.log('\n📋 TEST: Conflictos de merge + fase RESOLVE\n');
+
+  const engines = require('../src/core/engines');
+  const { resolveMergeConflicts } = require('../src/core/ai-executor');
+  const git = new GitService(TEST_DIR);
+  const kanbanPath = path.join(TEST_DIR, '..', '.test-git-resolve-kanban');
+  const task = { id: '991', title: 'Conflicto', branch: 'feature/conflicto', content: '# Descripción\nx' };
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    const origWrite = process.stdout.write;
+    console.log = () => {};
+    process.stdout.write = () => true;
+    try { return await fn(); } finally {
+      console.log = origLog;
+      process.stdout.write = origWrite;
+    }
+  };
+
+  // main y el branch de la tarea tocan la misma línea de conflict.txt
+  const prepareConflict = async (branch) => {
+    await git.checkout('main');
+    fs.writeFileSync(path.join(TEST_DIR, 'conflict.txt'), 'base\n');
+    await git.addAll();
+    await git.commit(`base ${branch}`);
+    await git.createBranch(branch);
+    fs.writeFileSync(path.join(TEST_DIR, 'conflict.txt'), 'tarea\n');
+    await git.addAll();
+    await git.commit(`tarea ${branch}`);
+    await git.checkout('main');
+    fs.writeFileSync(path.join(TEST_DIR, 'conflict.txt'), 'main\n');
+    await git.addAll();
+    await git.commit(`main ${branch}`);
+  };
+
+  try {
+    await git.checkout('main');
+    await git.hardReset();
+
+    await test('merge sin keepConflicts aborta y lanza error', async () => {
+      await prepareConflict('feature/c0');
+      await assert.rejects(git.merge('feature/c0'), /Merge conflict/);
+      assert.strictEqual(await git.isMerging(), false);
+      assert.strictEqual(await git.getDirtyCount(), 0);
+    });
+
+    await test('merge con keepConflicts deja el merge a medias y lista los archivos', async () => {
+      await prepareConflict('feature/c1');
+      const result = await git.merge('feature/c1', { keepConflicts: true });
+      assert.strictEqual(result.merged, false);
+      assert.deepStrictEqual(result.conflicts, ['conflict.txt']);
+      assert.strictEqual(await git.isMerging(), true);
+    });
+
+    await test('RESOLVE resuelve, pasa verify y completeMerge cierra el merge', async () => {
+      engines.loadEngines({
+        mock: { script: { RESOLVE: [{ output: 'RESUELTO: ok - se conservan ambos lados', files: { 'conflict.txt': 'main\ntarea\n' } }] } },
+      });
+      const resolution = await quiet(() => resolveMergeConflicts(task, {
+        projectPath: TEST_DIR, kanbanPath, engine: 'mock',
+        files: ['conflict.txt'], baseBranch: 'main',
+        verify: 'grep -q tarea conflict.txt',
+      }));
+      assert.strictEqual(resolution.success, true, resolution.reason);
+      assert.strictEqual(resolution.record.status, 'ok');
+      assert.strictEqual(resolution.record.verify.status, 'ok');
+      assert.strictEqual(await git.completeMerge('merge resuelto'), true);
+      assert.strictEqual(await git.isMerging(), false);
+      assert.strictEqual(fs.readFileSync(path.join(TEST_DIR, 'conflict.txt'), 'utf8'), 'main\ntarea\n');
+      const artifact = fs.readFileSync(path.join(kanbanPath, '.history', '991', 'resolve.md'), 'utf8');
+      assert.ok(artifact.includes('RESUELTO'));
+      assert.ok(artifact.includes('<<<<<<<'));
+    });
+
+    await test('RESOLVE falla si quedan marcadores; abortMerge deja el repo limpio', async () => {
+      await prepareConflict('feature/c2');
+      await git.merge('feature/c2', { keepConflicts: true });
+      engines.loadEngines({}); // el guion por defecto dice "ok" pero no toca archivos
+      const resolution = await quiet(() => resolveMergeConflicts({ ...task, id: '992' }, {
+        projectPath: TEST_DIR, kanbanPath, engine: 'mock',
+        files: ['conflict.txt'], baseBranch: 'main',
+      }));
+      assert.strictEqual(resolution.success, false);
+      assert.ok(/marcadores de conflicto/.test(resolution.reason));
+      await git.abortMerge();
+      assert.strictEqual(await git.isMerging(), false);
+      assert.strictEqual(await git.getDirtyCount(), 0);
+    });
+
+    await test('RESOLVE falla si el comando de verify falla tras resolver', async () => {
+      await prepareConflict('feature/c3');
+      await git.merge('feature/c3', { keepConflicts: true });
+      engines.loadEngines({
+        mock: { script: { RESOLVE: [{ output: 'RESUELTO: ok - resuelto', files: { 'conflict.txt': 'main\n' } }] } },
+      });
+      const resolution = await quiet(() => resolveMergeConflicts({ ...task, id: '993' }, {
+        projectPath: TEST_DIR, kanbanPath, engine: 'mock',
+        files: ['conflict.txt'], baseBranch: 'main',
+        verify: 'grep -q tarea conflict.txt',
+      }));
+      assert.strictEqual(resolution.success, false);
+      assert.strictEqual(resolution.record.status, 'verify-failed');
+      assert.ok(fs.existsSync(path.join(kanbanPath, '.history', '993', 'resolve-verify.md')));
+      await git.abortMerge();
+    });
+  } finally {
+    engines.loadEngines({});
+    fs.rmSync(kanbanPath, { recursive: true, force: true });
+  }
+}
+
+async function testGitServiceRefresh() {
+  console.log('\n📋 TEST: Actualizar branch con la base antes del merge\n');
+
+  const engines = require('../src/core/engines');
+  const { recheckAfterUpdate } = require('../src/core/ai-executor');
+  const git = new GitService(TEST_DIR);
+  const kanbanPath = path.join(TEST_DIR, '..', '.test-git-refresh-kanban');
+  const task = { id: '994', title: 'Drift', branch: 'feature/drift', content: '# Descripción\nx' };
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    const origWrite = process.stdout.write;
+    console.log = () => {};
+    process.stdout.write = () => true;
+    try { return await fn(); } finally {
+      console.log = origLog;
+      process.stdout.write = origWrite;
+    }
+  };
+  const commitFile = async (file, content) => {
+    fs.writeFileSync(path.join(TEST_DIR, file), content);
+    await git.addAll();
+    await git.commit(`update ${file}`);
+  };
+  const head = () => execSync('git rev-parse HEAD', { cwd: TEST_DIR }).toString().trim();
+
+  try {
+    await git.checkout('main');
+    await git.hardReset();
+
+    await test('pullBase sin remote no hace nada', async () => {
+      assert.strictEqual(await git.pullBase('main'), false);
+    });
+
+    await test('countBehind mide los commits nuevos de la base', async () => {
+      await git.createBranch('feature/drift');
+      await commitFile('tarea.txt', 'tarea');
+      await git.checkout('main');
+      await commitFile('base-1.txt', '1');
+      await commitFile('base-2.txt', '2');
+      assert.strictEqual(await git.countBehind('feature/drift', 'main'), 2);
+    });
+
+    await test('updateFromBase (rebase) integra la base en el branch', async () => {
+      await git.checkout('feature/drift');
+      const result = await git.updateFromBase('main', 'rebase');
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(await git.countBehind('feature/drift', 'main'), 0);
+      assert.ok(fs.existsSync(path.join(TEST_DIR, 'base-2.txt')));
+      assert.ok(fs.existsSync(path.join(TEST_DIR, 'tarea.txt')));
+    });
+
+    await test('updateFromBase con conflicto se deshace y deja el branch intacto', async () => {
+      await commitFile('compartido.txt', 'tarea');
+      await git.checkout('main');
+      await commitFile('compartido.txt', 'main');
+      await git.checkout('feature/drift');
+      const before = head();
+      const result = await git.updateFromBase('main', 'rebase');
+      assert.strictEqual(result.ok, false);
+      assert.deepStrictEqual(result.conflicts, ['compartido.txt']);
+      assert.strictEqual(head(), before);
+      assert.strictEqual(await git.getCurrentBranch(), 'feature/drift');
+      assert.strictEqual(await git.getDirtyCount(), 0);
+    });
+
+    await test('updateFromBase (merge) con conflicto también se deshace', async () => {
+      const result = await git.updateFromBase('main', 'merge');
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(await git.isMerging(), false);
+      assert.strictEqual(await git.getDirtyCount(), 0);
+    });
+
+    await test('recheckAfterUpdate repite REVIEW y TEST y guarda artefactos', async () => {
+      engines.loadEngines({});
+      const result = await quiet(() => recheckAfterUpdate(task, {
+        projectPath: TEST_DIR, kanbanPath, engine: 'mock', baseBranch: 'main', behind: 2,
+      }));
+      assert.strictEqual(result.success, true, result.reason);
+      assert.strictEqual(result.record.review.status, 'approved');
+      assert.strictEqual(result.record.test.status, 'ok');
+      assert.ok(fs.existsSync(path.join(kanbanPath, '.history', '994', 'review-rebase.md')));
+      assert.ok(fs.existsSync(path.join(kanbanPath, '.history', '994', 'test-rebase.md')));
+    });
+
+    await test('recheckAfterUpdate falla si la base rompe los tests o verify', async () => {
+      engines.loadEngines({ mock: { script: { TEST: ['TESTS: fallido - rompe con la base'] } } });
+      const testFail = await quiet(() => recheckAfterUpdate({ ...task, id: '995' }, {
+        projectPath: TEST_DIR, kanbanPath, engine: 'mock', baseBranch: 'main',
+      }));
+      assert.strictEqual(testFail.success, false);
+      assert.strictEqual(testFail.failedPhase, 'test');
+      assert.ok(/rompe con la base/.test(testFail.reason));
+
+      engines.loadEngines({});
+      const verifyFail = await quiet(() => recheckAfterUpdate({ ...task, id: '996', phases: ['code'] }, {
+        projectPath: TEST_DIR, kanbanPath, engine: 'mock', baseBranch: 'main', verify: 'exit 2',
+      }));
+      assert.strictEqual(verifyFail.success, false);
+      assert.strictEqual(verifyFail.failedPhase, 'verify');
+      assert.strictEqual(verifyFail.record.review, null);
+      assert.ok(fs.existsSync(path.join(kanbanPath, '.history', '996', 'verify-rebase.md')));
+    });
+  } finally {
+    engines.loadEngines({});
+    await git.checkout('main');
+    fs.rmSync(kanbanPath, { recursive: true, force: true });
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // RUN ALL TESTS
 // ─────────────────────────────────────────────────────────────
@@ -246,7 +565,11 @@ async function runTests() {
     await testGitServiceOperations();
     await testGitServiceAbort();
     await testGitServiceVerify();
+    await testGitServiceSafeReset();
     await testGitServiceEnsureBranch();
+    await testGitServiceWorktrees();
+    await testGitServiceConflicts();
+    await testGitServiceRefresh();
     
   } finally {
     cleanup();
@@ -0,0 +1,237 @@
+/**
+ * test-git-providers.js - Tests del modo pull request (git.strategy: 'pr')
+ *
+ * Los providers GitHub, GitLab y Gitea hablan con un servidor HTTP local
+ * que imita sus APIs REST; checkPullRequests() mueve las tareas según el
+ * estado del PR en ese mismo servidor.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { parseRemoteUrl, resolvePrConfig, createProvider, buildPullRequestBody } = require('../src/git/providers');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Servidor que responde según `routes['METHOD /ruta']` y guarda las
+ * peticiones recibidas (con cabeceras y body parseado).
+ */
+function startFakeGitServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+      const [status, payload] = route ? route({ url: req.url, body }) : [404, { message: 'Not Found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+async function main() {
+  console.log('\nparseRemoteUrl() / resolvePrConfig()');
+
+  await test('entiende remotes ssh, scp y https', () => {
+    assert.deepEqual(parseRemoteUrl('git@github.com:acme/web.git'), { host: 'github.com', repo: 'acme/web' });
+    assert.deepEqual(parseRemoteUrl('https://gitlab.com/grupo/sub/app.git'), { host: 'gitlab.com', repo: 'grupo/sub/app' });
+    assert.deepEqual(parseRemoteUrl('ssh://git@gitea.local:2222/acme/api'), { host: 'gitea.local:2222', repo: 'acme/api' });
+    assert.equal(parseRemoteUrl('/ruta/local/repo'), null);
+  });
+
+  await test('deduce provider, API y repo del remote; la config manda', () => {
+    const gh = resolvePrConfig({ token: 't' }, 'git@github.com:acme/web.git');
+    assert.equal(gh.provider, 'github');
+    assert.equal(gh.baseUrl, 'https://api.github.com');
+    assert.equal(gh.repo, 'acme/web');
+    assert.equal(gh.pollSeconds, 60);
+
+    const tea = resolvePrConfig({ provider: 'gitea', baseUrl: 'http://localhost:3000/' }, 'git@git.empresa.com:acme/api.git');
+    assert.equal(tea.provider, 'gitea');
+    assert.equal(tea.baseUrl, 'http://localhost:3000');
+    assert.equal(tea.repo, 'acme/api');
+  });
+
+  await test('createProvider falla con mensaje claro si falta config', () => {
+    assert.throws(() => createProvider(resolvePrConfig({}, null)), /provider no configurado/);
+    assert.throws(() => createProvider(resolvePrConfig({ provider: 'bitbucket', baseUrl: 'x', repo: 'a/b' })), /desconocido/);
+    assert.throws(() => createProvider(resolvePrConfig({ provider: 'github' })), /repo no configurado/);
+  });
+
+  await test('el cuerpo incluye plan, alcance e iteraciones', () => {
+    const body = buildPullRequestBody({ id: '42', title: 'Login' }, {
+      summary: 'Login con email',
+      plan: '1. Form\n2. Endpoint',
+      iterations: 2,
+      phasesRecord: { scope: { status: 'ok', summary: 'Todos los criterios cubiertos' } },
+    });
+    assert.match(body, /Tarea #42: Login/);
+    assert.match(body, /## Plan\n\n1\. Form/);
+    assert.match(body, /Todos los criterios cubiertos/);
+    assert.match(body, /Iteraciones: 2/);
+  });
+
+  console.log('\nProviders contra servidor HTTP local');
+
+  const state = { githubMerged: false };
+  const fake = await startFakeGitServer({
+    // GitHub
+    'GET /repos/acme/web/pulls': () => [200, []],
+    'POST /repos/acme/web/pulls': ({ body }) => [201, { number: 7, html_url: `https://github.com/acme/web/pull/7`, title: body.title }],
+    'POST /repos/acme/web/issues/7/labels': () => [200, []],
+    'GET /repos/acme/web/pulls/7': () => [200, { number: 7, state: state.githubMerged ? 'closed' : 'open', merged: state.githubMerged, html_url: 'https://github.com/acme/web/pull/7' }],
+    'GET /repos/acme/web/pulls/8': () => [200, { number: 8, state: 'closed', merged: false, html_url: 'https://github.com/acme/web/pull/8' }],
+    // GitLab
+    'GET /api/v4/projects/grupo%2Fapp/merge_requests': () => [200, [{ iid: 3, web_url: 'https://gitlab.com/grupo/app/-/merge_requests/3' }]],
+    'GET /api/v4/projects/grupo%2Fapp/merge_requests/3': () => [200, { iid: 3, state: 'merged', web_url: 'https://gitlab.com/grupo/app/-/merge_requests/3' }],
+    // Gitea
+    'GET /api/v1/repos/acme/api/pulls': () => [200, [{ number: 1, head: { ref: 'otro' }, base: { ref: 'main' }, html_url: 'x' }]],
+    'GET /api/v1/repos/acme/api/labels': () => [200, [{ id: 11, name: 'ai-kanban' }, { id: 12, name: 'otro' }]],
+    'POST /api/v1/repos/acme/api/pulls': () => [201, { number: 2, html_url: 'http://gitea.local/acme/api/pulls/2' }],
+    'GET /api/v1/repos/acme/api/pulls/2': () => [200, { number: 2, state: 'open', merged: false, html_url: 'http://gitea.local/acme/api/pulls/2' }],
+    // Errores
+    'GET /repos/acme/roto/pulls': () => [200, []],
+    'POST /repos/acme/roto/pulls': () => [422, { message: 'Validation Failed' }],
+  });
+  const { requests, baseUrl } = fake;
+  const pr = { head: 'feature/login', base: 'main', title: '#42 Login', body: 'cuerpo', labels: ['ai-kanban'] };
+
+  try {
+    await test('GitHub: crea el PR con Bearer, head/base y labels', async () => {
+      const provider = createProvider(resolvePrConfig({ provider: 'github', baseUrl, repo: 'acme/web', token: 'gh-tok' }));
+      const created = await provider.createPullRequest(pr);
+      assert.deepEqual(created, { url: 'https://github.com/acme/web/pull/7', number: 7, reused: false });
+      const post = requests.find(r => r.method === 'POST' && r.url === '/repos/acme/web/pulls');
+      assert.equal(post.headers.authorization, 'Bearer gh-tok');
+      assert.deepEqual(post.body, { title: '#42 Login', head: 'feature/login', base: 'main', body: 'cuerpo', draft: false });
+      assert.ok(requests.some(r => r.url === '/repos/acme/web/issues/7/labels'));
+      assert.ok(requests.some(r => r.method === 'GET' && r.url.includes('head=acme%3Afeature%2Flogin')));
+    });
+
+    await test('GitHub: estado open → merged / closed', async () => {
+      const provider = createProvider(resolvePrConfig({ provider: 'github', baseUrl, repo: 'acme/web' }));
+      assert.equal((await provider.getPullRequest(7)).state, 'open');
+      state.githubMerged = true;
+      assert.equal((await provider.getPullRequest(7)).state, 'merged');
+      assert.equal((await provider.getPullRequest(8)).state, 'closed');
+      state.githubMerged = false;
+    });
+
+    await test('GitLab: reutiliza el MR abierto y usa PRIVATE-TOKEN', async () => {
+      requests.length = 0;
+      const provider = createProvider(resolvePrConfig({ provider: 'gitlab', baseUrl, repo: 'grupo/app', token: 'gl-tok' }));
+      const created = await provider.createPullRequest(pr);
+      assert.equal(created.reused, true);
+      assert.equal(created.number, 3);
+      assert.equal(requests[0].headers['private-token'], 'gl-tok');
+      assert.ok(!requests.some(r => r.method === 'POST'));
+      assert.equal((await provider.getPullRequest(3)).state, 'merged');
+    });
+
+    await test('Gitea: resuelve labels a ids y usa "token"', async () => {
+      requests.length = 0;
+      const provider = createProvider(resolvePrConfig({ provider: 'gitea', baseUrl, repo: 'acme/api', token: 'tea-tok', draft: true }));
+      const created = await provider.createPullRequest({ ...pr, draft: true });
+      assert.equal(created.number, 2);
+      const post = requests.find(r => r.method === 'POST');
+      assert.equal(post.headers.authorization, 'token tea-tok');
+      assert.deepEqual(post.body.labels, [11]);
+      assert.equal(post.body.title, 'WIP: #42 Login');
+      assert.equal((await provider.getPullRequest(2)).state, 'open');
+    });
+
+    await test('los errores HTTP llevan el status y el mensaje de la API', async () => {
+      const provider = createProvider(resolvePrConfig({ provider: 'github', baseUrl, repo: 'acme/roto' }));
+      await assert.rejects(() => provider.createPullRequest(pr), /github API 422.*Validation Failed/);
+    });
+
+    console.log('\ncheckPullRequests() / checkRetryableTasks()');
+
+    const { createTask, getTaskById } = require('../src/kanban/board');
+    // loop.js redirige stdout/stderr a su log al cargarse: se restauran
+    const { write: stdoutWrite } = process.stdout;
+    const { write: stderrWrite } = process.stderr;
+    const { checkPullRequests, checkRetryableTasks } = require('../src/core/loop');
+    process.stdout.write = stdoutWrite;
+    process.stderr.write = stderrWrite;
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-pr-'));
+    const kanbanPath = path.join(tmp, 'kanban');
+    const gitCfg = { defaultBranch: 'main', strategy: 'pr', pr: { provider: 'github', baseUrl, repo: 'acme/web' } };
+    const quiet = async (fn) => {
+      const origLog = console.log;
+      console.log = () => {};
+      try { return await fn(); } finally { console.log = origLog; }
+    };
+
+    try {
+      createTask({ id: '981', title: 'Con PR', branch: 'feature/login', prUrl: 'https://github.com/acme/web/pull/7', prNumber: 7, prProvider: 'github', prState: 'open' }, 'review', kanbanPath);
+      createTask({ id: '982', title: 'PR rechazado', branch: 'feature/otra', prUrl: 'https://github.com/acme/web/pull/8', prNumber: 8, prProvider: 'github', prState: 'open' }, 'review', kanbanPath);
+      createTask({ id: '983', title: 'Fallida', lastAttemptAt: '2020-01-01T00:00:00.000Z' }, 'review', kanbanPath);
+
+      await test('las tareas con PR no entran en el reintento automático', () => {
+        const ids = checkRetryableTasks(kanbanPath, { autoRetry: true, maxRetries: 3, retryDelayMinutes: 1 }).map(r => r.task.id);
+        assert.deepEqual(ids, ['983']);
+      });
+
+      await test('PR abierto → sigue en review; cerrado sin merge → lastError', async () => {
+        const changed = await quiet(() => checkPullRequests(kanbanPath, gitCfg, tmp));
+        assert.deepEqual(changed.map(c => [c.task.id, c.state]), [['982', 'closed']]);
+        assert.equal(getTaskById('981', kanbanPath).column, 'review');
+        const closed = getTaskById('982', kanbanPath).task;
+        assert.equal(closed.prState, 'closed');
+        assert.match(closed.lastError, /cerrado sin merge/);
+      });
+
+      await test('PR mergeado → done con completedAt', async () => {
+        state.githubMerged = true;
+        const changed = await quiet(() => checkPullRequests(kanbanPath, gitCfg, tmp));
+        assert.deepEqual(changed.map(c => c.task.id), ['981']);
+        const found = getTaskById('981', kanbanPath);
+        assert.equal(found.column, 'done');
+        assert.equal(found.task.prState, 'merged');
+        assert.ok(found.task.completedAt);
+      });
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  } finally {
+    fake.server.close();
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
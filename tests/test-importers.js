@@ -0,0 +1,204 @@
+/**
+ * test-importers.js - Tests de la importación de tareas
+ *
+ * parseImport() con un export de cada formato (Trello, Jira CSV, GitHub y
+ * lista markdown) e importTasks() sobre un kanban temporal: dry-run, mapa de
+ * columnas y reimportación idempotente por importKey.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseImport, parseCsv, importTasks } = require('../src/core/importers');
+const { getTasks, getTaskById } = require('../src/kanban/board');
+const { parseCriteria } = require('../src/core/criteria');
+const { getActivity } = require('../src/core/activity');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const TRELLO = {
+  lists: [{ id: 'l1', name: 'To Do' }, { id: 'l2', name: 'Hecho' }, { id: 'l3', name: 'Archivo', closed: true }],
+  cards: [
+    { id: 'c1', name: 'Login con Google', desc: 'OAuth2 con Google', idList: 'l1', labels: [{ name: 'auth' }, { name: 'High' }], shortUrl: 'https://trello.com/c/c1' },
+    { id: 'c2', name: 'Crash al subir fotos', desc: '', idList: 'l2', labels: [{ name: 'Bug' }, { name: '', color: 'green' }] },
+    { id: 'c3', name: 'Tarjeta archivada', idList: 'l1', closed: true },
+    { id: 'c4', name: 'En lista archivada', idList: 'l3' },
+  ],
+  checklists: [
+    { id: 'k1', idCard: 'c1', checkItems: [{ name: 'Botón en login', state: 'complete', pos: 2 }, { name: 'Callback', state: 'incomplete', pos: 1 }] },
+  ],
+};
+
+const JIRA = [
+  'Summary,Issue key,Issue Type,Status,Priority,Description,Labels,Labels',
+  'Pagos duplicados,PAY-1,Bug,In Progress,Highest,"El cobro se hace dos veces.',
+  '- [ ] No cobra dos veces',
+  '- [x] Log del ""retry""",payments,backend',
+  'Exportar CSV,PAY-2,Story,Done,Low,,,',
+].join('\r\n');
+
+const GITHUB = [
+  { number: 12, title: 'Modo oscuro', body: 'Tema oscuro.\n\n- [ ] Respeta el sistema\n- [ ] Toggle en ajustes', labels: [{ name: 'ui' }, { name: 'priority: low' }], state: 'OPEN', url: 'https://github.com/o/r/issues/12' },
+  { number: 13, title: 'Un PR', pull_request: {}, labels: [] },
+  { number: 14, title: 'Arreglar typo', body: null, labels: ['fix'], state: 'closed', html_url: 'https://github.com/o/r/issues/14' },
+];
+
+const MARKDOWN = `## Backlog
+- [ ] Documentar la API #docs !baja
+  Con ejemplos de curl.
+  - [ ] Endpoints de tareas
+  - [x] Autenticación
+- Revisar dependencias #chore
+
+## Done
+- [x] Configurar CI
+`;
+
+async function main() {
+  console.log('\nparseImport()');
+
+  await test('trello: listas, etiquetas (prioridad y tipo aparte), checklists y archivadas fuera', () => {
+    const [login, crash, ...rest] = parseImport(JSON.stringify(TRELLO), 'trello');
+    assert.equal(rest.length, 0);
+    assert.equal(login.key, 'trello:c1');
+    assert.equal(login.sourceColumn, 'To Do');
+    assert.deepEqual(login.labels, ['auth']);
+    assert.equal(login.priority, 'alta');
+    assert.deepEqual(login.checklist, [{ text: 'Callback', checked: false }, { text: 'Botón en login', checked: true }]);
+    assert.equal(crash.type, 'bug');
+    assert.deepEqual(crash.labels, ['green']);
+  });
+
+  await test('jira-csv: comillas, saltos de línea, Labels repetidas y checklist en la descripción', () => {
+    assert.deepEqual(parseCsv('a,"b ""c""",d\n"x\ny",,\n'), [['a', 'b "c"', 'd'], ['x\ny', '', '']]);
+    const [pay1, pay2] = parseImport(JIRA, 'jira-csv');
+    assert.equal(pay1.key, 'jira:PAY-1');
+    assert.equal(pay1.type, 'bug');
+    assert.equal(pay1.priority, 'alta');
+    assert.equal(pay1.sourceColumn, 'In Progress');
+    assert.equal(pay1.description, 'El cobro se hace dos veces.');
+    assert.deepEqual(pay1.labels, ['payments', 'backend']);
+    assert.deepEqual(pay1.checklist, [{ text: 'No cobra dos veces', checked: false }, { text: 'Log del "retry"', checked: true }]);
+    assert.equal(pay2.type, null);
+    assert.equal(pay2.priority, 'baja');
+    assert.throws(() => parseImport('Title,Key\nx,1', 'jira-csv'), /sin columna "Summary"/);
+  });
+
+  await test('github-json: sin PRs, etiquetas en texto u objeto y estado como columna', () => {
+    const [dark, typo, ...rest] = parseImport(GITHUB, 'github-json');
+    assert.equal(rest.length, 0);
+    assert.equal(dark.key, 'github:https://github.com/o/r/issues/12');
+    assert.equal(dark.priority, 'baja');
+    assert.equal(dark.description, 'Tema oscuro.');
+    assert.equal(dark.checklist.length, 2);
+    assert.equal(dark.sourceColumn, 'open');
+    assert.equal(typo.type, 'fix');
+    assert.equal(typo.sourceColumn, 'closed');
+    assert.throws(() => parseImport('{"x":1}', 'github-json'), /array de issues/);
+  });
+
+  await test('markdown-list: encabezados como columna, #etiquetas, !prioridad y subitems', () => {
+    const [docs, deps, ci] = parseImport(MARKDOWN, 'markdown-list');
+    assert.equal(docs.title, 'Documentar la API');
+    assert.deepEqual(docs.labels, ['docs']);
+    assert.equal(docs.priority, 'baja');
+    assert.equal(docs.description, 'Con ejemplos de curl.');
+    assert.deepEqual(docs.checklist.map(c => c.checked), [false, true]);
+    assert.equal(deps.sourceColumn, 'Backlog');
+    assert.equal(ci.sourceColumn, 'done');
+  });
+
+  await test('formato desconocido o JSON roto dan error', () => {
+    assert.throws(() => parseImport('x', 'asana'), /Formato desconocido: asana/);
+    assert.throws(() => parseImport('{', 'trello'), /no es JSON válido/);
+  });
+
+  console.log('\nimportTasks()');
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-import-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const count = () => Object.values(getTasks(null, kanbanPath)).flat().length;
+
+  try {
+    await test('dry-run: calcula columnas y acciones sin escribir nada', () => {
+      const summary = importTasks(JIRA, 'jira-csv', kanbanPath, { dryRun: true, columnMap: 'In Progress=todo' });
+      assert.equal(summary.created, 2);
+      assert.deepEqual(summary.results.map(r => [r.action, r.column]), [['create', 'todo'], ['create', 'done']]);
+      assert.equal(count(), 0);
+    });
+
+    await test('crea tareas con nextId, criterios desde el checklist e importKey', () => {
+      const summary = importTasks(JSON.stringify(TRELLO), 'trello', kanbanPath, { column: 'todo', author: 'ana' });
+      assert.equal(summary.created, 2);
+      const [login, crash] = summary.results;
+      assert.deepEqual([login.id, login.column], ['001', 'todo']);
+      assert.deepEqual([crash.id, crash.column], ['002', 'todo']);
+
+      const { task } = getTaskById('001', kanbanPath);
+      assert.equal(task.importKey, 'trello:c1');
+      assert.equal(task.priority, 'alta');
+      assert.equal(task.branch, 'feature/login-con-google');
+      assert.match(task.content, /# Descripción\nOAuth2 con Google/);
+      assert.match(task.content, /Importada de https:\/\/trello\.com\/c\/c1/);
+      assert.deepEqual(parseCriteria(task.content).map(c => c.checked), [false, true]);
+      assert.equal(getActivity('001', kanbanPath)[0].author, 'ana');
+      assert.equal(getTaskById('002', kanbanPath).task.type, 'bug');
+    });
+
+    await test('reimportar actualiza en vez de duplicar y no mueve la tarea', () => {
+      const again = importTasks(JSON.stringify(TRELLO), 'trello', kanbanPath);
+      assert.equal(again.unchanged, 2);
+      assert.equal(count(), 2);
+
+      const edited = JSON.parse(JSON.stringify(TRELLO));
+      edited.cards[0].name = 'Login con Google y GitHub';
+      edited.cards[0].idList = 'l2';
+      edited.cards.push({ id: 'c5', name: 'Nueva', idList: 'l1' });
+      const summary = importTasks(JSON.stringify(edited), 'trello', kanbanPath, { author: 'luis' });
+      assert.deepEqual(summary.results.map(r => r.action), ['update', 'unchanged', 'create']);
+      assert.deepEqual(summary.results[0].fields, ['title']);
+      assert.equal(count(), 3);
+      const { task, column } = getTaskById('001', kanbanPath);
+      assert.equal(task.title, 'Login con Google y GitHub');
+      assert.equal(column, 'todo');
+      assert.deepEqual(getActivity('001', kanbanPath).at(-1).fields, ['title']);
+    });
+
+    await test('columna o mapa inválidos fallan antes de importar; repetidas en el archivo, error', () => {
+      assert.throws(() => importTasks(MARKDOWN, 'markdown-list', kanbanPath, { column: 'qa' }), /Columna inválida: qa/);
+      assert.throws(() => importTasks(MARKDOWN, 'markdown-list', kanbanPath, { columnMap: { Backlog: 'qa' } }), /Columna inválida en el mapa/);
+      const summary = importTasks('- Tarea A\n- tarea a\n', 'markdown-list', kanbanPath);
+      assert.deepEqual(summary.results.map(r => r.action), ['create', 'error']);
+      assert.match(summary.results[1].error, /Repetida/);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,223 @@
+/**
+ * test-pipeline.js - Tests del pipeline configurable de fases
+ *
+ * Resolución por capas (config → tipo → frontmatter), duraciones y
+ * ejecución real con el motor mock omitiendo fases.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseDuration, normalizePhases, mergePipelineConfig, resolvePipeline } = require('../src/core/pipeline');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const MIN = 60 * 1000;
+const DEFAULTS = {
+  maxIterations: 3,
+  timeouts: {
+    PLAN:   { total: 15 * MIN, inactivity: 8 * MIN },
+    CODE:   { total: 30 * MIN, inactivity: 12 * MIN },
+    REVIEW: { total: 15 * MIN, inactivity: 8 * MIN },
+    TEST:   { total: 20 * MIN, inactivity: 10 * MIN },
+    SCOPE:  { total: 15 * MIN, inactivity: 8 * MIN },
+  },
+};
+
+async function main() {
+  console.log('\nparseDuration()');
+
+  await test('número = minutos', () => {
+    assert.equal(parseDuration(60), 60 * MIN);
+  });
+
+  await test('unidades ms, s, m, min y h', () => {
+    assert.equal(parseDuration('1500ms'), 1500);
+    assert.equal(parseDuration('90s'), 90 * 1000);
+    assert.equal(parseDuration('45m'), 45 * MIN);
+    assert.equal(parseDuration('10 min'), 10 * MIN);
+    assert.equal(parseDuration('1.5h'), 90 * MIN);
+    assert.equal(parseDuration('20'), 20 * MIN);
+  });
+
+  await test('rechaza valores inválidos', () => {
+    assert.throws(() => parseDuration('mucho'), /Duración inválida/);
+    assert.throws(() => parseDuration('0m'), /Duración inválida/);
+    assert.throws(() => parseDuration(null), /Duración inválida/);
+  });
+
+  console.log('\nnormalizePhases()');
+
+  await test('ordena, quita duplicados y pasa a mayúsculas', () => {
+    assert.deepEqual(normalizePhases(['test', 'code', 'plan', 'code']), ['PLAN', 'CODE', 'TEST']);
+    assert.deepEqual(normalizePhases('plan, code'), ['PLAN', 'CODE']);
+  });
+
+  await test('CODE es obligatoria y las fases desconocidas fallan', () => {
+    assert.throws(() => normalizePhases(['plan', 'review']), /debe incluir la fase code/);
+    assert.throws(() => normalizePhases(['code', 'deploy']), /Fase desconocida/);
+  });
+
+  console.log('\nresolvePipeline()');
+
+  await test('sin config usa los defaults completos', () => {
+    const p = resolvePipeline({}, { type: 'feature' }, DEFAULTS);
+    assert.deepEqual(p.phases, ['PLAN', 'CODE', 'REVIEW', 'TEST', 'SCOPE']);
+    assert.equal(p.maxIterations, 3);
+    assert.deepEqual(p.timeouts.CODE, DEFAULTS.timeouts.CODE);
+    assert.deepEqual(p.source, []);
+  });
+
+  await test('architecture conserva su ciclo PLAN → CODE → SCOPE', () => {
+    const p = resolvePipeline({}, { type: 'architecture' }, DEFAULTS);
+    assert.deepEqual(p.phases, ['PLAN', 'CODE', 'SCOPE']);
+  });
+
+  await test('config por tipo (docs sin REVIEW ni TEST)', () => {
+    const cfg = { types: { docs: { phases: ['plan', 'code', 'scope'] } } };
+    assert.deepEqual(resolvePipeline(cfg, { type: 'docs' }, DEFAULTS).phases, ['PLAN', 'CODE', 'SCOPE']);
+    assert.equal(resolvePipeline(cfg, { type: 'feature' }, DEFAULTS).phases.length, 5);
+  });
+
+  await test('el frontmatter sobrescribe config y tipo', () => {
+    const cfg = { maxIterations: 5, timeouts: { code: '45m' }, types: { fix: { phases: ['code', 'test'] } } };
+    const p = resolvePipeline(cfg, { type: 'fix', phases: ['plan', 'code'], maxIterations: 2, timeouts: { code: '2h' } }, DEFAULTS);
+    assert.deepEqual(p.phases, ['PLAN', 'CODE']);
+    assert.equal(p.maxIterations, 2);
+    assert.equal(p.timeouts.CODE.total, 120 * MIN);
+    assert.deepEqual(p.source, ['config', 'type:fix', 'tarea']);
+  });
+
+  await test('acepta la forma plana timeouts.code del frontmatter', () => {
+    const p = resolvePipeline({}, { 'timeouts.code': '60m' }, DEFAULTS);
+    assert.equal(p.timeouts.CODE.total, 60 * MIN);
+    assert.equal(p.timeouts.CODE.inactivity, 12 * MIN);
+  });
+
+  await test('la inactividad nunca supera el total', () => {
+    const p = resolvePipeline({ timeouts: { test: '5m', review: { total: '20m', inactivity: '30m' } } }, {}, DEFAULTS);
+    assert.equal(p.timeouts.TEST.inactivity, 5 * MIN);
+    assert.equal(p.timeouts.REVIEW.inactivity, 20 * MIN);
+  });
+
+  await test('maxIterations y timeouts inválidos fallan con mensaje claro', () => {
+    assert.throws(() => resolvePipeline({}, { maxIterations: 0 }, DEFAULTS), /maxIterations inválido/);
+    assert.throws(() => resolvePipeline({}, { timeouts: { deploy: '5m' } }, DEFAULTS), /fase desconocida/);
+  });
+
+  await test('approve: lista de fases con aprobación; true = [plan]', () => {
+    assert.deepEqual(resolvePipeline({}, {}, DEFAULTS).approve, []);
+    assert.deepEqual(resolvePipeline({ approve: true }, {}, DEFAULTS).approve, ['PLAN']);
+    assert.deepEqual(resolvePipeline({ approve: ['plan'] }, { approve: false }, DEFAULTS).approve, []);
+    assert.deepEqual(resolvePipeline({}, { approve: 'plan' }, DEFAULTS).approve, ['PLAN']);
+    assert.throws(() => resolvePipeline({}, { approve: ['code'] }, DEFAULTS), /Aprobación no disponible tras 'code'/);
+  });
+
+  await test('mergePipelineConfig mezcla timeouts y types entre capas', () => {
+    const merged = mergePipelineConfig(
+      { maxIterations: 3, timeouts: { code: '30m' }, types: { docs: { phases: ['code'] } } },
+      { maxIterations: 4, timeouts: { test: '10m' }, types: { docs: { maxIterations: 1 } } },
+      null,
+    );
+    assert.equal(merged.maxIterations, 4);
+    assert.deepEqual(merged.timeouts, { code: '30m', test: '10m' });
+    assert.deepEqual(merged.types.docs, { phases: ['code'], maxIterations: 1 });
+  });
+
+  console.log('\nexecuteTask() con pipeline reducido (motor mock)');
+
+  const engines = require('../src/core/engines');
+  const { executeTask } = require('../src/core/ai-executor');
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-pipeline-'));
+  const kanbanPath = path.join(projectPath, 'kanban');
+  fs.mkdirSync(kanbanPath);
+  const task = { id: '951', title: 'Docs', type: 'docs', content: '# Descripción\nDocs\n\n# Criterios de aceptación\n- Ok' };
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    const origWrite = process.stdout.write;
+    console.log = () => {};
+    process.stdout.write = () => true;
+    try { return await fn(); } finally {
+      console.log = origLog;
+      process.stdout.write = origWrite;
+    }
+  };
+
+  try {
+    engines.loadEngines({});
+
+    await test('tipo docs: ejecuta PLAN, CODE y SCOPE sin REVIEW ni TEST', async () => {
+      const result = await quiet(() => executeTask(task, {
+        projectPath, kanbanPath, engine: 'mock',
+        pipeline: { types: { docs: { phases: ['plan', 'code', 'scope'] } } },
+      }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.phasesRecord.plan.status, 'ok');
+      assert.equal(result.phasesRecord.code.length, 1);
+      assert.equal(result.phasesRecord.review.length, 0);
+      assert.equal(result.phasesRecord.test.length, 0);
+      assert.equal(result.phasesRecord.scope.status, 'ok');
+    });
+
+    await test('frontmatter phases: [code, test] omite PLAN y SCOPE', async () => {
+      const result = await quiet(() => executeTask({ ...task, id: '952', type: 'feature', phases: ['code', 'test'] }, {
+        projectPath, kanbanPath, engine: 'mock',
+      }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.phasesRecord.plan.status, 'skipped');
+      assert.equal(result.phasesRecord.review.length, 0);
+      assert.equal(result.phasesRecord.test.length, 1);
+      assert.equal(result.phasesRecord.scope.status, 'skipped');
+    });
+
+    await test('maxIterations del frontmatter limita los reintentos de CODE', async () => {
+      engines.loadEngines({ mock: { script: { CODE: ['RESULTADO: fallido - no sale'] } } });
+      const result = await quiet(() => executeTask({ ...task, id: '953', maxIterations: 1 }, {
+        projectPath, kanbanPath, engine: 'mock',
+      }));
+      assert.equal(result.success, false);
+      assert.equal(result.iterations, 1);
+      assert.match(result.reason, /tras 1 intentos/);
+    });
+
+    await test('un pipeline inválido falla sin ejecutar fases', async () => {
+      engines.loadEngines({});
+      const result = await quiet(() => executeTask({ ...task, id: '954', phases: ['review'] }, {
+        projectPath, kanbanPath, engine: 'mock',
+      }));
+      assert.equal(result.success, false);
+      assert.match(result.reason, /Pipeline inválido/);
+      assert.equal(result.phasesRecord.result, 'invalid-pipeline');
+    });
+  } finally {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+/**
+ * test-prompt-templates.js - Tests de los templates de prompts por proyecto
+ *
+ * Render de {{var}} y secciones, búsqueda por fase/tipo y uso real desde
+ * executeTask() con un engine que registra los prompts recibidos.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { renderTemplate, findTemplate, resolvePrompt } = require('../src/core/prompt-templates');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-prompts-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const promptsDir = path.join(kanbanPath, 'prompts');
+  fs.mkdirSync(promptsDir, { recursive: true });
+
+  try {
+    console.log('\nrenderTemplate()');
+
+    await test('sustituye variables con rutas anidadas', () => {
+      const out = renderTemplate('#{{ task.id }} {{task.title}} — {{plan}}', { task: { id: '7', title: 'Hola' }, plan: 'P' });
+      assert.equal(out, '#7 Hola — P');
+    });
+
+    await test('variables inexistentes quedan vacías y los arrays se unen', () => {
+      assert.equal(renderTemplate('[{{nada}}] [{{task.labels}}]', { task: { labels: ['a', 'b'] } }), '[] [a, b]');
+    });
+
+    await test('secciones {{#x}} y {{^x}} según haya valor', () => {
+      const tpl = '{{#feedback}}FEEDBACK: {{feedback}}{{/feedback}}{{^feedback}}primera vez{{/feedback}}';
+      assert.equal(renderTemplate(tpl, { feedback: 'arregla X' }), 'FEEDBACK: arregla X');
+      assert.equal(renderTemplate(tpl, { feedback: null }), 'primera vez');
+    });
+
+    await test('secciones anidadas', () => {
+      const tpl = '{{#a}}A{{#b}}B{{/b}}{{/a}}';
+      assert.equal(renderTemplate(tpl, { a: 1, b: 1 }), 'AB');
+      assert.equal(renderTemplate(tpl, { a: 1 }), 'A');
+      assert.equal(renderTemplate(tpl, { b: 1 }), '');
+    });
+
+    console.log('\nfindTemplate() / resolvePrompt()');
+
+    fs.writeFileSync(path.join(promptsDir, 'review.md'), 'Review genérico de {{task.title}}\nREVIEW: aprobado|rechazado');
+    fs.writeFileSync(path.join(promptsDir, 'review.bug.md'), 'Checklist de bugs para {{task.title}}\nREVIEW: aprobado|rechazado');
+    fs.writeFileSync(path.join(promptsDir, 'test.md'), 'Run the tests please');
+
+    await test('la variante por tipo tiene prioridad sobre la genérica', () => {
+      assert.equal(path.basename(findTemplate(kanbanPath, 'review', 'bug').file), 'review.bug.md');
+      assert.equal(path.basename(findTemplate(kanbanPath, 'review', 'feature').file), 'review.md');
+      assert.equal(path.basename(findTemplate(kanbanPath, 'REVIEW', null).file), 'review.md');
+    });
+
+    await test('sin template se usa el built-in', () => {
+      const r = resolvePrompt(kanbanPath, 'plan', { task: { type: 'feature' } }, () => 'BUILTIN');
+      assert.deepEqual(r, { prompt: 'BUILTIN', file: null, warning: null });
+      assert.equal(resolvePrompt(null, 'review', { task: {} }, () => 'BUILTIN').prompt, 'BUILTIN');
+    });
+
+    await test('avisa si el template no pide el marcador de la fase', () => {
+      const r = resolvePrompt(kanbanPath, 'test', { task: { type: 'feature' } }, () => 'BUILTIN');
+      assert.equal(r.prompt, 'Run the tests please');
+      assert.match(r.warning, /TESTS:/);
+    });
+
+    console.log('\nexecuteTask() con templates del proyecto');
+
+    const engines = require('../src/core/engines');
+    const { executeTask } = require('../src/core/ai-executor');
+    const prompts = {};
+    const markers = { PLAN: 'PLAN: plan x', CODE: 'RESULTADO: completado - ok', REVIEW: 'REVIEW: aprobado - ok', TEST: 'TESTS: ok - ok', SCOPE: 'SCOPE: ok - ok' };
+    engines.loadEngines({});
+    engines.registerEngine({
+      name: 'grabador',
+      requiresInternet: false,
+      async run({ prompt, phase, write }) {
+        (prompts[phase] = prompts[phase] || []).push(prompt);
+        write(`${markers[phase]}\n`);
+        return { exitCode: 0 };
+      },
+    });
+
+    fs.writeFileSync(path.join(promptsDir, 'code.md'),
+      'Implement task #{{task.id}} ({{task.type}})\nPlan: {{plan}}\n{{#feedback}}Feedback: {{feedback}}{{/feedback}}\nRESULTADO: completado|fallido');
+
+    const quiet = async (fn) => {
+      const origLog = console.log;
+      const origWrite = process.stdout.write;
+      console.log = () => {};
+      process.stdout.write = () => true;
+      try { return await fn(); } finally {
+        console.log = origLog;
+        process.stdout.write = origWrite;
+      }
+    };
+
+    await test('CODE y REVIEW usan los templates; PLAN y SCOPE los built-in', async () => {
+      const task = { id: '961', title: 'Arreglar login', type: 'bug', priority: 'alta', content: '# Descripción\nx' };
+      const result = await quiet(() => executeTask(task, { projectPath: tmp, kanbanPath, engine: 'grabador' }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(prompts.CODE[0], 'Implement task #961 (bug)\nPlan: plan x\n\nRESULTADO: completado|fallido');
+      assert.equal(prompts.REVIEW[0], 'Checklist de bugs para Arreglar login\nREVIEW: aprobado|rechazado');
+      assert.match(prompts.PLAN[0], /ANALIZAR y PLANIFICAR/);
+      assert.match(prompts.SCOPE[0], /validación de alcance/);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+/**
+ * test-query.js - Tests del lenguaje de consulta y las vistas guardadas
+ *
+ * parseQuery()/matchesQuery() sobre tareas en memoria, filterTasks() con el
+ * formato de getTasks() y saveView()/deleteView() sobre un kanban temporal.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseQuery, matchesQuery, filterTasks, getViews, saveView, deleteView, getViewQuery,
+} = require('../src/core/query');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const TASKS = [
+  { id: '001', title: 'Login con OAuth', type: 'feature', priority: 'alta', column: 'done', labels: ['auth', 'backend'], createdAt: '2025-12-20T10:00:00.000Z', completedAt: '2026-01-31T18:00:00.000Z', iterations: 2, content: 'Usar JWT' },
+  { id: '002', title: 'Sesión caduca', type: 'bug', priority: 'alta', column: 'todo', labels: ['auth', 'wip'], createdAt: '2026-01-15T09:00:00.000Z', lastError: 'Timeout en TEST', iterations: 4 },
+  { id: '003', title: 'Arreglar el footer', type: 'fix', priority: 'baja', column: 'backlog', labels: ['needs review'], createdAt: '2026-02-01T00:00:00.000Z', dependsOn: ['001'], lastError: '' },
+];
+
+function ids(query) {
+  return TASKS.filter(t => matchesQuery(t, query)).map(t => t.id);
+}
+
+async function main() {
+  console.log('\nparseQuery()');
+
+  await test('campos, negación, alternativas y comillas', () => {
+    const terms = parseQuery('type:bug,fix -label:wip label:"needs review" oauth');
+    assert.deepEqual(terms.map(t => [t.kind, t.negate]), [['text-field', false], ['list', true], ['list', false], ['text', false]]);
+    assert.deepEqual(terms[0].values, ['bug', 'fix']);
+    assert.deepEqual(terms[2].values, ['needs review']);
+    assert.deepEqual(parseQuery('   '), []);
+  });
+
+  await test('campos desconocidos, valores vacíos y fechas o números inválidos dan error', () => {
+    assert.throws(() => parseQuery('colour:red'), /Campo desconocido en la consulta: colour/);
+    assert.throws(() => parseQuery('type:'), /Falta el valor de type/);
+    assert.throws(() => parseQuery('created:>ayer'), /Fecha inválida en created/);
+    assert.throws(() => parseQuery('iterations:>muchas'), /Número inválido en iterations/);
+  });
+
+  console.log('\nmatchesQuery()');
+
+  await test('tipo, prioridad, columna, id y etiquetas (sin mayúsculas)', () => {
+    assert.deepEqual(ids('type:bug'), ['002']);
+    assert.deepEqual(ids('priority:alta label:auth -label:wip'), ['001']);
+    assert.deepEqual(ids('type:bug,fix'), ['002', '003']);
+    assert.deepEqual(ids('column:done'), ['001']);
+    assert.deepEqual(ids('status:TODO'), ['002']);
+    assert.deepEqual(ids('id:3'), ['003']);
+    assert.deepEqual(ids('label:"needs review"'), ['003']);
+    assert.deepEqual(ids(''), ['001', '002', '003']);
+  });
+
+  await test('fechas: comparaciones y una fecha sin hora es el día entero', () => {
+    assert.deepEqual(ids('created:>2026-01-01'), ['002', '003']);
+    assert.deepEqual(ids('created:<2026-01-01'), ['001']);
+    assert.deepEqual(ids('completed:<=2026-01-31'), ['001']);
+    assert.deepEqual(ids('completed:>2026-01-31'), []);
+    assert.deepEqual(ids('created:2026-01-15'), ['002']);
+    assert.deepEqual(ids('-completed:>2000-01-01'), ['002', '003']);
+  });
+
+  await test('números, has: y texto libre', () => {
+    assert.deepEqual(ids('iterations:>=3'), ['002']);
+    assert.deepEqual(ids('iterations:2'), ['001']);
+    assert.deepEqual(ids('has:lastError'), ['002']);
+    assert.deepEqual(ids('has:dependsOn'), ['003']);
+    assert.deepEqual(ids('-has:labels'), []);
+    assert.deepEqual(ids('jwt'), ['001']);
+    assert.deepEqual(ids('has:lastError created:>2026-01-01 type:bug'), ['002']);
+  });
+
+  await test('filterTasks conserva las columnas y usa su nombre como column', () => {
+    const byColumn = { todo: [{ id: '010', type: 'bug' }, { id: '011', type: 'feature' }], done: [{ id: '012', type: 'bug' }] };
+    assert.deepEqual(filterTasks(byColumn, 'type:bug'), { todo: [{ id: '010', type: 'bug' }], done: [{ id: '012', type: 'bug' }] });
+    assert.deepEqual(filterTasks(byColumn, 'column:done').todo, []);
+    assert.throws(() => filterTasks(byColumn, 'nope:1'), /Campo desconocido/);
+  });
+
+  console.log('\nVistas guardadas');
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-query-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  try {
+    await test('guardar, reemplazar, leer y borrar vistas del proyecto', () => {
+      assert.deepEqual(getViews(kanbanPath), []);
+      saveView('bugs-auth', 'type:bug label:auth', kanbanPath);
+      saveView('recientes', 'created:>2026-01-01', kanbanPath);
+      saveView('bugs-auth', ' type:bug,fix label:auth ', kanbanPath);
+      assert.deepEqual(getViews(kanbanPath).map(v => v.name), ['recientes', 'bugs-auth']);
+      assert.equal(getViewQuery('bugs-auth', kanbanPath), 'type:bug,fix label:auth');
+      assert.equal(getViewQuery('otra', kanbanPath), null);
+      assert.ok(fs.existsSync(path.join(kanbanPath, 'views.json')));
+
+      deleteView('recientes', kanbanPath);
+      assert.deepEqual(getViews(kanbanPath).map(v => v.name), ['bugs-auth']);
+      assert.throws(() => deleteView('recientes', kanbanPath), /Vista no encontrada/);
+    });
+
+    await test('no se guardan vistas sin nombre ni con consultas inválidas', () => {
+      assert.throws(() => saveView('  ', 'type:bug', kanbanPath), /necesita un nombre/);
+      assert.throws(() => saveView('mala', 'colour:red', kanbanPath), /Campo desconocido/);
+      assert.equal(getViewQuery('mala', kanbanPath), null);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,156 @@
+/**
+ * test-queue.js - Tests de las políticas de orden de la cola de TODO
+ *
+ * resolveSchedulingConfig() por capas y orderQueue() con cada política:
+ * priority (con y sin aging), fair, order, fifo y una función propia.
+ */
+
+const assert = require('node:assert/strict');
+
+const { resolveSchedulingConfig, orderQueue, registerPolicy } = require('../src/core/queue');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const NOW = Date.parse('2026-03-10T00:00:00Z');
+const daysAgo = (n) => new Date(NOW - n * 24 * 3600 * 1000).toISOString();
+
+const task = (id, priority, createdDaysAgo, extra = {}) => ({
+  id, title: `Tarea ${id}`, priority, createdAt: daysAgo(createdDaysAgo),
+  filePath: `/kanban/todo/${id}-tarea-${id}.md`, labels: [], ...extra,
+});
+
+const ids = (tasks) => tasks.map(t => t.id);
+
+async function main() {
+  console.log('\nresolveSchedulingConfig()');
+
+  await test('por defecto priority; string = política; el proyecto sobrescribe', () => {
+    assert.deepEqual(resolveSchedulingConfig(), { policy: 'priority', weights: {}, agingHours: null });
+    assert.equal(resolveSchedulingConfig('fifo').policy, 'fifo');
+    const cfg = resolveSchedulingConfig({ policy: 'fair', weights: { ui: 2 } }, { agingHours: 24 });
+    assert.equal(cfg.policy, 'fair');
+    assert.deepEqual(cfg.weights, { ui: 2 });
+    assert.equal(cfg.agingHours, 24);
+  });
+
+  await test('política desconocida o config inválida lanzan error', () => {
+    assert.throws(() => resolveSchedulingConfig('lifo'), /desconocida: 'lifo'/);
+    assert.throws(() => resolveSchedulingConfig(42), /scheduling inválida/);
+  });
+
+  console.log('\norderQueue()');
+
+  const tasks = [
+    task('001', 'baja', 10),
+    task('002', 'media', 5),
+    task('003', 'alta', 1),
+    task('004', 'alta', 3),
+    task('005', null, 8),
+  ];
+
+  await test('priority: alta antes que baja aunque sea más nueva; empate por antigüedad', () => {
+    const queue = orderQueue(tasks, resolveSchedulingConfig(), { now: NOW });
+    assert.deepEqual(ids(queue), ['004', '003', '005', '002', '001']);
+  });
+
+  await test('priority: entre tareas arrastradas manda order; sin order, la antigüedad', () => {
+    const mixed = [
+      task('001', 'alta', 10, { order: 2 }),
+      task('002', 'alta', 5, { order: 1 }),
+      task('003', 'alta', 1),
+      task('004', 'baja', 20, { order: 0.1 }),
+    ];
+    const queue = orderQueue(mixed, resolveSchedulingConfig(), { now: NOW });
+    // 002 antes que 001 por order aunque sea más nueva; 003 sin order va tras las más antiguas
+    assert.deepEqual(ids(queue), ['002', '001', '003', '004']);
+  });
+
+  await test('priority: a igual orden, la más antigua', () => {
+    const same = [task('001', 'media', 1, { order: 3 }), task('002', 'media', 4, { order: 3 })];
+    assert.deepEqual(ids(orderQueue(same, resolveSchedulingConfig(), { now: NOW })), ['002', '001']);
+  });
+
+  await test('priority con agingHours: la baja que lleva días esperando sube', () => {
+    const queue = orderQueue(tasks, resolveSchedulingConfig({ agingHours: 24 * 5 }), { now: NOW });
+    // 001 (baja, 10 días) sube 2 niveles → alta, y es la más antigua
+    assert.equal(queue[0].id, '001');
+  });
+
+  await test('fifo: por nombre de archivo, como antes', () => {
+    const queue = orderQueue([...tasks].reverse(), resolveSchedulingConfig('fifo'), { now: NOW });
+    assert.deepEqual(ids(queue), ['001', '002', '003', '004', '005']);
+  });
+
+  await test('order: orden del tablero (campo order con decimales o, sin él, el ID)', () => {
+    const withOrder = [
+      task('001', 'baja', 10, { order: 2 }),
+      task('002', 'media', 5, { order: 1.5 }),
+      task('003', 'alta', 1),
+      task('004', 'baja', 3, { order: 2.5 }),
+    ];
+    const queue = orderQueue(withOrder, resolveSchedulingConfig('order'), { now: NOW });
+    assert.deepEqual(ids(queue), ['002', '001', '004', '003']);
+  });
+
+  await test('fair: alterna etiquetas según su peso', () => {
+    const labelled = [
+      task('001', 'alta', 9, { labels: ['backend'] }),
+      task('002', 'alta', 8, { labels: ['backend'] }),
+      task('003', 'alta', 7, { labels: ['backend'] }),
+      task('004', 'alta', 6, { labels: ['backend'] }),
+      task('005', 'baja', 5, { labels: ['ui'] }),
+      task('006', 'baja', 4, { labels: ['ui'] }),
+    ];
+    const even = orderQueue(labelled, resolveSchedulingConfig('fair'), { now: NOW });
+    assert.deepEqual(ids(even), ['001', '005', '002', '006', '003', '004']);
+
+    const weighted = orderQueue(labelled, resolveSchedulingConfig({ policy: 'fair', weights: { backend: 2 } }), { now: NOW });
+    assert.deepEqual(ids(weighted), ['001', '005', '002', '003', '006', '004']);
+  });
+
+  await test('fair: las tareas en curso cuentan como servidas', () => {
+    const labelled = [
+      task('001', 'alta', 9, { labels: ['backend'] }),
+      task('002', 'baja', 5, { labels: ['ui'] }),
+    ];
+    const queue = orderQueue(labelled, resolveSchedulingConfig('fair'), {
+      now: NOW,
+      inProgress: [task('090', 'alta', 1, { labels: ['backend'] })],
+    });
+    assert.equal(queue[0].id, '002');
+  });
+
+  await test('política propia: función en la config o registrada por nombre', () => {
+    const reversed = orderQueue(tasks, resolveSchedulingConfig({ policy: (list) => [...list].reverse() }));
+    assert.deepEqual(ids(reversed), ['005', '004', '003', '002', '001']);
+
+    registerPolicy('porTitulo', (list) => [...list].sort((a, b) => b.title.localeCompare(a.title)));
+    assert.equal(orderQueue(tasks, resolveSchedulingConfig('porTitulo'))[0].id, '005');
+    assert.throws(() => orderQueue(tasks, { policy: () => null }), /no devolvió un array/);
+  });
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
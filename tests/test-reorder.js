@@ -0,0 +1,123 @@
+/**
+ * test-reorder.js - Tests del orden manual de las cartas dentro de una columna
+ *
+ * reorderTask() sobre un kanban temporal: rangos decimales entre vecinos,
+ * un solo archivo reescrito, renumeración cuando no queda hueco y
+ * getTasks()/orderQueue('order') respetando el orden.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createTask, getTasks, getTaskById, reorderTask } = require('../src/kanban/board');
+const { orderQueue, resolveSchedulingConfig } = require('../src/core/queue');
+const { writeTask } = require('../src/core/task');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const ids = (tasks) => tasks.map(t => t.id);
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-reorder-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const mtime = (id) => fs.statSync(getTaskById(id, kanbanPath).filePath).mtimeMs;
+
+  try {
+    for (const id of ['001', '002', '003', '004']) {
+      createTask({ id, title: `Tarea ${id}`, type: 'feature', priority: 'media', content: 'x' }, 'todo', kanbanPath);
+    }
+    createTask({ id: '005', title: 'Tarea 005', type: 'fix', content: 'x' }, 'backlog', kanbanPath);
+
+    console.log('\nreorderTask()');
+
+    await test('sin order las tareas salen por ID', () => {
+      assert.deepEqual(ids(getTasks('todo', kanbanPath)), ['001', '002', '003', '004']);
+    });
+
+    await test('mover entre dos cartas usa un rango decimal y solo reescribe esa tarea', async () => {
+      const before = ['001', '002', '003'].map(mtime);
+      await new Promise(r => setTimeout(r, 20));
+      const result = reorderTask('004', { afterId: '001', beforeId: '002' }, kanbanPath);
+      assert.equal(result.order, 1.5);
+      assert.equal(result.rebalanced, false);
+      assert.deepEqual(ids(getTasks('todo', kanbanPath)), ['001', '004', '002', '003']);
+      assert.deepEqual(['001', '002', '003'].map(mtime), before);
+      assert.equal(getTaskById('004', kanbanPath).task.order, 1.5);
+    });
+
+    await test('al principio o al final con un solo vecino', () => {
+      assert.equal(reorderTask('003', { beforeId: '001' }, kanbanPath).order, 0);
+      assert.equal(reorderTask('001', {}, kanbanPath).order, 3);
+      assert.deepEqual(ids(getTasks('todo', kanbanPath)), ['003', '004', '002', '001']);
+    });
+
+    await test('con column la mueve y la coloca en la otra columna', () => {
+      const result = reorderTask('005', { column: 'todo', afterId: '003' }, kanbanPath);
+      assert.equal(result.fromColumn, 'backlog');
+      assert.equal(result.toColumn, 'todo');
+      assert.equal(getTasks('backlog', kanbanPath).length, 0);
+      assert.deepEqual(ids(getTasks('todo', kanbanPath)), ['003', '005', '004', '002', '001']);
+    });
+
+    await test('sin hueco entre vecinos se renumera la columna', () => {
+      // 004 con order: 2 empata con el rango implícito de 002 (su ID)
+      const found = getTaskById('004', kanbanPath);
+      writeTask({ ...found.task, order: 2 }, found.filePath);
+      const todo = ids(getTasks('todo', kanbanPath));
+      assert.equal(todo.indexOf('004'), todo.indexOf('002') + 1);
+
+      const result = reorderTask('001', { afterId: '002', beforeId: '004' }, kanbanPath);
+      assert.equal(result.rebalanced, true);
+      const after = getTasks('todo', kanbanPath);
+      assert.deepEqual(after.map(t => t.order), [1, 2, 3, 4, 5]);
+      assert.deepEqual(ids(after).slice(-3), ['002', '001', '004']);
+    });
+
+    await test('vecino que no está en la columna lanza error', () => {
+      assert.throws(() => reorderTask('001', { afterId: '999' }, kanbanPath), /no está en todo/);
+    });
+
+    await test('con un vecino erróneo la tarea no cambia de columna', () => {
+      createTask({ id: '006', title: 'Tarea 006', type: 'fix', content: 'x' }, 'backlog', kanbanPath);
+      // 002 existe pero está en todo, no en review
+      assert.throws(() => reorderTask('006', { column: 'review', beforeId: '002' }, kanbanPath), /no está en review/);
+      assert.equal(getTaskById('006', kanbanPath).column, 'backlog');
+      assert.throws(() => reorderTask('006', { column: 'todo', afterId: '999' }, kanbanPath), /no está en todo/);
+      assert.equal(getTaskById('006', kanbanPath).column, 'backlog');
+    });
+
+    await test('la política order del motor sigue el orden del tablero', () => {
+      const todo = getTasks('todo', kanbanPath);
+      assert.deepEqual(ids(orderQueue(todo, resolveSchedulingConfig('order'))), ids(todo));
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
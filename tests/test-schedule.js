@@ -0,0 +1,201 @@
+/**
+ * test-schedule.js - Tests de tareas programadas y recurrentes
+ *
+ * parseCron()/nextRun() con fechas en hora local, isDue() y
+ * normalizeSchedule(), y spawnNextOccurrence() sobre un kanban temporal
+ * (copia de la propia tarea o desde kanban/templates/).
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCron, nextRun, isDue, normalizeSchedule, spawnNextOccurrence } = require('../src/core/schedule');
+const { approvedPlan } = require('../src/core/approval');
+const { parseCriteria } = require('../src/core/criteria');
+const { createTask, getTasks, getTaskById } = require('../src/kanban/board');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+// Fecha local: mes 1-12 para leer mejor los casos
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+async function main() {
+  console.log('\nparseCron() / nextRun()');
+
+  await test('listas, rangos, pasos y nombres', () => {
+    const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.equal(cron.hours.size, 9);
+    assert.deepEqual([...cron.months], [1, 7]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  });
+
+  await test('expresiones inválidas lanzan error', () => {
+    assert.throws(() => parseCron('* * * *'), /5 campos/);
+    assert.throws(() => parseCron('60 * * * *'), /fuera de rango/);
+    assert.throws(() => parseCron('* * * * lunes'), /no válido/);
+    assert.throws(() => parseCron('*/0 * * * *'), /paso/);
+  });
+
+  await test('"cada lunes a las 02:00" desde un miércoles', () => {
+    // 2026-03-04 es miércoles
+    assert.deepEqual(nextRun('0 2 * * 1', at(2026, 3, 4, 10, 30)), at(2026, 3, 9, 2, 0));
+  });
+
+  await test('siempre estrictamente posterior a la fecha de partida', () => {
+    assert.deepEqual(nextRun('@daily', at(2026, 3, 4, 0, 0)), at(2026, 3, 5, 0, 0));
+    assert.deepEqual(nextRun('*/15 * * * *', at(2026, 3, 4, 10, 14)), at(2026, 3, 4, 10, 15));
+  });
+
+  await test('día del mes y de semana restringidos: basta uno (como cron)', () => {
+    // día 15 o cualquier viernes; 2026-03-06 es viernes
+    assert.deepEqual(nextRun('0 0 15 * 5', at(2026, 3, 1, 12)), at(2026, 3, 6));
+    // 7 también es domingo
+    assert.deepEqual(nextRun('0 0 * * 7', at(2026, 3, 4)), at(2026, 3, 8));
+  });
+
+  await test('cambio de mes y de año; fechas imposibles fallan', () => {
+    assert.deepEqual(nextRun('@monthly', at(2026, 12, 15)), at(2027, 1, 1));
+    assert.deepEqual(nextRun('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29));
+    assert.throws(() => nextRun('0 0 30 2 *', at(2026, 1, 1)), /no tiene ejecuciones/);
+  });
+
+  console.log('\nisDue() / normalizeSchedule()');
+
+  await test('sin scheduledAt siempre toca; con fecha solo al llegar', () => {
+    const now = at(2026, 3, 4, 10);
+    assert.equal(isDue({}, now), true);
+    assert.equal(isDue({ scheduledAt: at(2026, 3, 4, 11).toISOString() }, now), false);
+    assert.equal(isDue({ scheduledAt: at(2026, 3, 4, 9).toISOString() }, now), true);
+    // gray-matter devuelve Date para fechas YAML sin comillas
+    assert.equal(isDue({ scheduledAt: at(2026, 3, 4, 9) }, now), true);
+  });
+
+  await test('recurrente sin scheduledAt se programa para la próxima ejecución', () => {
+    const result = normalizeSchedule({ recurrence: '0 2 * * 1' }, at(2026, 3, 4, 10));
+    assert.equal(result.recurrence, '0 2 * * 1');
+    assert.equal(result.scheduledAt, at(2026, 3, 9, 2).toISOString());
+    assert.deepEqual(normalizeSchedule({}), {});
+    assert.throws(() => normalizeSchedule({ recurrence: 'cada lunes' }), /Cron inválido/);
+    assert.throws(() => normalizeSchedule({ scheduledAt: 'mañana' }), /scheduledAt inválida/);
+  });
+
+  console.log('\nspawnNextOccurrence()');
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-schedule-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+
+  try {
+    await test('copia la tarea terminada con ID nuevo, en TODO y sin campos de ejecución', () => {
+      const done = createTask({
+        id: '007', title: 'Auditar dependencias', type: 'fix', priority: 'alta',
+        branch: 'fix/auditar-dependencias', labels: ['deps'], recurrence: '0 2 * * 1',
+        completedAt: '2026-03-02T02:10:00.000Z', iterations: 2, retryCount: 1,
+        lastError: 'viejo', order: 0.5, children: ['002', '003'], parent: '001',
+        failedCriteria: [{ n: 1, text: 'Sin vulnerabilidades altas', evidence: 'lodash' }],
+        importKey: 'jira:OPS-7', content: '# Descripción\nnpm audit',
+      }, 'done', kanbanPath);
+
+      const next = spawnNextOccurrence(done, kanbanPath, at(2026, 3, 4, 10));
+      assert.equal(next.id, '008');
+      assert.equal(next.column, 'todo');
+      assert.equal(next.title, 'Auditar dependencias');
+      assert.deepEqual(next.labels, ['deps']);
+      assert.equal(next.recurrenceOf, '007');
+      assert.equal(next.scheduledAt, at(2026, 3, 9, 2).toISOString());
+      assert.equal(next.completedAt, null);
+      assert.equal(next.iterations, 0);
+      assert.equal(next.retryCount, undefined);
+      assert.equal(next.lastError, undefined);
+      assert.equal(next.order, undefined);
+      assert.equal(next.children, undefined);
+      assert.equal(next.parent, undefined);
+      assert.equal(next.failedCriteria, undefined);
+      assert.equal(next.importKey, undefined);
+      assert.equal(next.content, '# Descripción\nnpm audit');
+      assert.equal(getTasks('todo', kanbanPath).length, 1);
+    });
+
+    await test('la nueva ocurrencia vuelve a pedir aprobación del plan', () => {
+      // spawnRecurrence corre antes de que el loop borre `approval`
+      const done = createTask({
+        id: '015', title: 'Rotar claves', type: 'fix', recurrence: '@daily', approve: ['plan'],
+        approval: { phase: 'plan', status: 'approved', plan: 'Plan de la semana pasada' }, content: 'x',
+      }, 'done', kanbanPath);
+      assert.equal(approvedPlan(getTaskById('015', kanbanPath).task), 'Plan de la semana pasada');
+
+      const next = spawnNextOccurrence(done, kanbanPath, at(2026, 3, 4, 10));
+      assert.equal(next.approval, undefined);
+      assert.equal(approvedPlan(next), null);
+      assert.deepEqual(next.approve, ['plan']);
+    });
+
+    await test('los criterios marcados por SCOPE vuelven a estar sin cumplir', () => {
+      const done = createTask({
+        id: '017', title: 'Auditoría semanal', type: 'fix', recurrence: '@weekly',
+        content: '# Descripción\nnpm audit\n\n# Criterios de aceptación\n- [x] Sin vulnerabilidades\n- [x] Lockfile al día\n- [ ] Informe enviado',
+      }, 'done', kanbanPath);
+
+      const next = spawnNextOccurrence(done, kanbanPath, at(2026, 3, 4, 10));
+      assert.equal(next.content,
+        '# Descripción\nnpm audit\n\n# Criterios de aceptación\n- [ ] Sin vulnerabilidades\n- [ ] Lockfile al día\n- [ ] Informe enviado');
+      assert.ok(parseCriteria(next.content).every(c => !c.checked));
+    });
+
+    await test('con template usa kanban/templates/<nombre>.md', () => {
+      fs.mkdirSync(path.join(kanbanPath, 'templates'), { recursive: true });
+      fs.writeFileSync(path.join(kanbanPath, 'templates', 'lint-fix.md'),
+        '---\ntitle: Arreglar lint\ntype: fix\nlabels: [lint]\n---\n# Descripción\nnpm run lint -- --fix\n');
+      const done = createTask({
+        id: '020', title: 'Arreglar lint (marzo)', type: 'fix', recurrence: '@daily',
+        template: 'lint-fix', recurrenceOf: '010', content: 'editado a mano',
+      }, 'done', kanbanPath);
+
+      const next = spawnNextOccurrence(done, kanbanPath, at(2026, 3, 4, 10));
+      assert.equal(next.id, '021');
+      assert.equal(next.title, 'Arreglar lint');
+      assert.equal(next.branch, 'fix/arreglar-lint');
+      assert.deepEqual(next.labels, ['lint']);
+      assert.equal(next.template, 'lint-fix');
+      assert.equal(next.recurrenceOf, '010');
+      assert.match(next.content, /--fix/);
+    });
+
+    await test('sin recurrence no crea nada; plantilla inexistente lanza error', () => {
+      assert.equal(spawnNextOccurrence({ id: '030', title: 'x' }, kanbanPath), null);
+      assert.throws(
+        () => spawnNextOccurrence({ id: '031', title: 'x', recurrence: '@daily', template: 'no-existe' }, kanbanPath),
+        /Plantilla no encontrada/
+      );
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+/**
+ * test-search.js - Tests de la búsqueda de texto
+ *
+ * SearchIndex sobre un kanban temporal: tareas, artefactos de fase
+ * (.history/{id}/*.md) y resúmenes del historial; filtros, acentos,
+ * prefijos y la actualización por archivo que usa el watcher de la UI.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SearchIndex, getSearchIndex, refreshSearchIndex, taskIdFromPath, tokenize } = require('../src/core/search');
+const { createTask, moveTask, deleteTask } = require('../src/kanban/board');
+const { saveExecution } = require('../src/core/history');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+async function main() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-search-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  const ids = (results) => results.map(r => r.id);
+
+  try {
+    createTask({ id: '001', title: 'Limitar peticiones del API', type: 'feature', labels: ['api'], content: '# Descripción\nAñadir rate limiter por IP.' }, 'todo', kanbanPath);
+    createTask({ id: '002', title: 'Arreglar sesión caducada', type: 'fix', labels: ['auth'], content: '# Descripción\nEl token JWT no se renueva.' }, 'todo', kanbanPath);
+    createTask({ id: '003', title: 'Página de ayuda', type: 'feature', content: '# Descripción\nTexto estático.' }, 'backlog', kanbanPath);
+    const artifacts = path.join(kanbanPath, '.history', '003');
+    fs.mkdirSync(artifacts, { recursive: true });
+    fs.writeFileSync(path.join(artifacts, 'plan.md'), 'Reutilizar el middleware de autenticación existente.');
+    saveExecution('002', { result: 'failed', summary: 'Timeout en la renovación del refresh token', phases: { plan: { summary: 'Usar cookie httpOnly' } } }, kanbanPath);
+
+    console.log('\ntokenize()');
+
+    await test('ignora mayúsculas y acentos, y descarta palabras de una letra', () => {
+      assert.deepEqual(tokenize('Sesión CADUCADA y a/b_c'), ['sesion', 'caducada', 'b_c']);
+    });
+
+    console.log('\nSearchIndex.search()');
+
+    const index = new SearchIndex(kanbanPath);
+
+    await test('encuentra en título, cuerpo, artefactos e historial', () => {
+      assert.deepEqual(ids(index.search('rate limiter')), ['001']);
+      assert.deepEqual(ids(index.search('middleware')), ['003']);
+      assert.deepEqual(ids(index.search('refresh')), ['002']);
+      assert.deepEqual(ids(index.search('httponly')), ['002']);
+      assert.deepEqual(index.search('inexistente'), []);
+      assert.deepEqual(index.search(''), []);
+    });
+
+    await test('sin acentos, por prefijo y con todas las palabras', () => {
+      assert.deepEqual(ids(index.search('sesion')), ['002']);
+      assert.deepEqual(ids(index.search('autent')), ['003']);
+      assert.deepEqual(ids(index.search('token renovacion')), ['002']);
+      assert.deepEqual(index.search('token middleware'), []);
+    });
+
+    await test('agrupa por tarea con el tipo de coincidencia y un fragmento', () => {
+      const [hit] = index.search('token');
+      assert.equal(hit.id, '002');
+      assert.equal(hit.column, 'todo');
+      assert.deepEqual(hit.matches.map(m => m.kind).sort(), ['history', 'task']);
+      assert.match(hit.matches.find(m => m.kind === 'history').snippet, /refresh token/);
+      const [plan] = index.search('middleware')[0].matches;
+      assert.equal(plan.kind, 'artifact');
+      assert.equal(plan.name, 'plan');
+    });
+
+    await test('lo que coincide en la tarea puntúa más que lo de sus artefactos', () => {
+      fs.writeFileSync(path.join(artifacts, 'code-iter1.md'), 'Se añadió rate limit al endpoint de ayuda.');
+      const fresh = new SearchIndex(kanbanPath);
+      assert.deepEqual(ids(fresh.search('rate')), ['001', '003']);
+    });
+
+    await test('filtros por columna, tipo y etiqueta', () => {
+      const fresh = new SearchIndex(kanbanPath);
+      assert.deepEqual(ids(fresh.search('rate', { column: 'backlog' })), ['003']);
+      assert.deepEqual(ids(fresh.search('descripcion', { type: 'fix' })), ['002']);
+      assert.deepEqual(ids(fresh.search('descripcion', { label: 'api' })), ['001']);
+      assert.equal(fresh.search('descripcion', { limit: 2 }).length, 2);
+    });
+
+    console.log('\nrefreshSearchIndex()');
+
+    await test('taskIdFromPath reconoce tareas, historial y artefactos', () => {
+      assert.equal(taskIdFromPath(kanbanPath, path.join(kanbanPath, 'todo', '012-algo.md')), '012');
+      assert.equal(taskIdFromPath(kanbanPath, path.join(kanbanPath, '.history', '012.json')), '012');
+      assert.equal(taskIdFromPath(kanbanPath, path.join(kanbanPath, '.history', '012', 'plan.md')), '012');
+      assert.equal(taskIdFromPath(kanbanPath, path.join(kanbanPath, 'projects.json')), null);
+      assert.equal(taskIdFromPath(kanbanPath, path.join(tmp, 'otro', 'todo', '012-algo.md')), null);
+    });
+
+    await test('actualiza la tarea del archivo que cambió y quita las borradas', () => {
+      const shared = getSearchIndex(kanbanPath);
+      assert.equal(shared, getSearchIndex(kanbanPath));
+      assert.deepEqual(ids(shared.search('cookie')), ['002']);
+
+      fs.writeFileSync(path.join(artifacts, 'scope.md'), 'Cumple: cookie de preferencias.');
+      refreshSearchIndex(path.join(artifacts, 'scope.md'));
+      assert.deepEqual(ids(shared.search('cookie')), ['002', '003']);
+
+      moveTask('001', 'done', kanbanPath);
+      refreshSearchIndex(path.join(kanbanPath, 'done', '001-x.md'));
+      assert.equal(shared.search('limiter')[0].column, 'done');
+
+      deleteTask('002', kanbanPath);
+      refreshSearchIndex(path.join(kanbanPath, '.history', '002.json'));
+      assert.deepEqual(ids(shared.search('cookie')), ['003']);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
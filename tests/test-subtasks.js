@@ -0,0 +1,244 @@
+/**
+ * test-subtasks.js - Tests de subtareas y descomposición en la fase PLAN
+ *
+ * parseSubtasks() con bloques válidos e inválidos, createSubtasks() y
+ * completeParentIfDone() sobre un kanban temporal, y executeTask() con
+ * decompose y un PLAN guionizado del motor mock.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseSubtasks, createSubtasks, linkChild, childrenProgress, completeParentIfDone } = require('../src/core/subtasks');
+const { createTask, moveTask, getTaskById } = require('../src/kanban/board');
+const { setBoardConfig } = require('../src/core/workflow');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const PLAN_OUTPUT = [
+  'Analizo el proyecto: la tarea toca modelo, API y UI.',
+  'SUBTAREAS:',
+  '```json',
+  JSON.stringify([
+    { title: 'Modelo de usuarios', criteria: ['Migración creada'] },
+    { title: 'API de usuarios', description: 'POST y GET /api/users' },
+    { title: 'Pantalla de alta', type: 'fix', priority: 'alta', dependsOn: [1, 2] },
+    { title: 'Documentación', dependsOn: [] },
+  ]),
+  '```',
+  'PLAN: dividir en cuatro subtareas',
+].join('\n');
+
+async function main() {
+  console.log('\nparseSubtasks()');
+
+  await test('sin bloque SUBTAREAS devuelve null', () => {
+    assert.equal(parseSubtasks('PLAN: todo en una'), null);
+    assert.equal(parseSubtasks(''), null);
+  });
+
+  await test('normaliza las specs y encadena dependsOn por defecto', () => {
+    const specs = parseSubtasks(PLAN_OUTPUT);
+    assert.equal(specs.length, 4);
+    assert.deepEqual(specs.map(s => s.dependsOn), [[], [0], [0, 1], []]);
+    assert.deepEqual(specs[0].criteria, ['Migración creada']);
+    assert.equal(specs[1].description, 'POST y GET /api/users');
+    assert.equal(specs[2].type, 'fix');
+    assert.equal(specs[2].priority, 'alta');
+    assert.equal(specs[3].type, null);
+  });
+
+  await test('bloque inválido lanza un error claro', () => {
+    const block = (json) => `SUBTAREAS:\n\`\`\`json\n${json}\n\`\`\`\nPLAN: x`;
+    assert.throws(() => parseSubtasks(block('[{ title: ')), /JSON mal formado/);
+    assert.throws(() => parseSubtasks(block('[{"title":"Sola"}]')), /al menos 2 subtareas/);
+    assert.throws(() => parseSubtasks(block('[{"title":"A"},{"description":"sin título"}]')), /subtarea 2 no tiene title/);
+    assert.throws(() => parseSubtasks(block('[{"title":"A","dependsOn":[2]},{"title":"B"}]')), /subtarea 1 depende de 2/);
+    const many = JSON.stringify(Array.from({ length: 11 }, (_, i) => ({ title: `T${i}` })));
+    assert.throws(() => parseSubtasks(block(many)), /máximo 10/);
+  });
+
+  console.log('\ncreateSubtasks() / completeParentIfDone()');
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-subtasks-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+
+  try {
+    const parent = createTask({
+      id: '001', title: 'Gestión de usuarios', type: 'feature', priority: 'media', labels: ['backend'], content: 'x',
+    }, 'in_progress', kanbanPath);
+
+    await test('crea las hijas en todo con parent, dependencias e IDs nuevos', () => {
+      const children = createSubtasks(parent, parseSubtasks(PLAN_OUTPUT), kanbanPath);
+      assert.deepEqual(children.map(c => c.id), ['002', '003', '004', '005']);
+      assert.deepEqual(children.map(c => c.column), ['todo', 'todo', 'todo', 'todo']);
+      assert.deepEqual(children.map(c => c.dependsOn), [[], ['002'], ['002', '003'], []]);
+      assert.ok(children.every(c => c.parent === '001'));
+
+      const ui = getTaskById('004', kanbanPath).task;
+      assert.equal(ui.type, 'fix');
+      assert.equal(ui.priority, 'alta');
+      assert.deepEqual(ui.labels, ['backend']);
+      assert.match(ui.branch, /^fix\//);
+      assert.match(ui.content, /Subtarea 3\/4 de #001 — Gestión de usuarios/);
+      assert.match(getTaskById('002', kanbanPath).task.content, /- \[ \] Migración creada/);
+
+      assert.deepEqual(getTaskById('001', kanbanPath).task.children, ['002', '003', '004', '005']);
+    });
+
+    await test('el padre pasa a done solo cuando terminan todas las hijas', () => {
+      moveTask('001', 'todo', kanbanPath);
+      for (const id of ['002', '003', '004']) {
+        moveTask(id, 'done', kanbanPath);
+        assert.deepEqual(completeParentIfDone(id, kanbanPath), []);
+      }
+      assert.deepEqual(childrenProgress(getTaskById('001', kanbanPath).task, kanbanPath),
+        { total: 4, done: 3, pending: ['005'] });
+
+      moveTask('005', 'done', kanbanPath);
+      const completed = completeParentIfDone('005', kanbanPath);
+      assert.deepEqual(completed.map(t => t.id), ['001']);
+      const found = getTaskById('001', kanbanPath);
+      assert.equal(found.column, 'done');
+      assert.ok(found.task.completedAt);
+    });
+
+    await test('linkChild() enlaza una tarea existente y se propaga hacia arriba', () => {
+      createTask({ id: '010', title: 'Épica', type: 'feature', content: 'x' }, 'todo', kanbanPath);
+      createTask({ id: '011', title: 'Historia', type: 'feature', content: 'x' }, 'todo', kanbanPath);
+      createTask({ id: '012', title: 'Paso', type: 'feature', content: 'x' }, 'todo', kanbanPath);
+      linkChild('010', '011', kanbanPath);
+      linkChild('011', '012', kanbanPath);
+      linkChild('011', '012', kanbanPath);
+      assert.deepEqual(getTaskById('011', kanbanPath).task.children, ['012']);
+      assert.equal(getTaskById('012', kanbanPath).task.parent, '011');
+      assert.throws(() => linkChild('010', '999', kanbanPath), /Subtarea 999 no encontrada/);
+
+      moveTask('012', 'done', kanbanPath);
+      assert.deepEqual(completeParentIfDone('012', kanbanPath).map(t => t.id), ['011', '010']);
+    });
+
+    await test('con transiciones configuradas el padre en todo también se cierra', () => {
+      const project = path.join(tmp, 'transiciones');
+      const kanban = path.join(project, 'kanban');
+      // todo → done no está en las reglas: solo lo permite el motor
+      setBoardConfig({ projects: { transiciones: { path: project, board: {
+        transitions: { backlog: ['todo'], todo: ['backlog'], done: ['todo'] },
+      } } } });
+      try {
+        createTask({ id: '001', title: 'Padre', type: 'feature', content: 'x' }, 'todo', kanban);
+        createTask({ id: '002', title: 'Hija', type: 'feature', content: 'x' }, 'todo', kanban);
+        createTask({ id: '003', title: 'Padre en backlog', type: 'feature', content: 'x' }, 'backlog', kanban);
+        createTask({ id: '004', title: 'Hija', type: 'feature', content: 'x' }, 'todo', kanban);
+        linkChild('001', '002', kanban);
+        linkChild('003', '004', kanban);
+        assert.throws(() => moveTask('003', 'done', kanban), /Transición no permitida/);
+
+        moveTask('002', 'in_progress', kanban);
+        moveTask('002', 'done', kanban);
+        assert.deepEqual(completeParentIfDone('002', kanban).map(t => t.id), ['001']);
+        assert.equal(getTaskById('001', kanban).column, 'done');
+
+        // backlog → done no es un movimiento del motor: el padre se queda donde está
+        moveTask('004', 'in_progress', kanban);
+        moveTask('004', 'done', kanban);
+        assert.deepEqual(completeParentIfDone('004', kanban), []);
+        assert.equal(getTaskById('003', kanban).column, 'backlog');
+      } finally {
+        setBoardConfig({});
+      }
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log('\nexecuteTask() con decompose (motor mock)');
+
+  const engines = require('../src/core/engines');
+  const { executeTask } = require('../src/core/ai-executor');
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-decompose-'));
+  const execKanban = path.join(projectPath, 'kanban');
+  fs.mkdirSync(execKanban);
+  const task = { id: '961', title: 'Gestión de usuarios', type: 'feature', content: '# Descripción\nTodo\n\n# Criterios de aceptación\n- Ok' };
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    const origWrite = process.stdout.write;
+    console.log = () => {};
+    process.stdout.write = () => true;
+    try { return await fn(); } finally {
+      console.log = origLog;
+      process.stdout.write = origWrite;
+    }
+  };
+
+  try {
+    engines.loadEngines({ mock: { script: { PLAN: [PLAN_OUTPUT] } } });
+
+    await test('PLAN con SUBTAREAS termina la tarea como decomposed sin CODE', async () => {
+      const result = await quiet(() => executeTask(task, {
+        projectPath, kanbanPath: execKanban, engine: 'mock', pipeline: { decompose: true },
+      }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.decomposed, true);
+      assert.equal(result.subtasks.length, 4);
+      assert.equal(result.phasesRecord.plan.status, 'decomposed');
+      assert.equal(result.phasesRecord.result, 'decomposed');
+      assert.equal(result.phasesRecord.code.length, 0);
+    });
+
+    await test('sin decompose, o en una subtarea, el bloque se ignora', async () => {
+      const off = await quiet(() => executeTask({ ...task, id: '962' }, {
+        projectPath, kanbanPath: execKanban, engine: 'mock',
+      }));
+      assert.equal(off.decomposed, undefined);
+      assert.equal(off.phasesRecord.code.length, 1);
+
+      const child = await quiet(() => executeTask({ ...task, id: '963', parent: '961' }, {
+        projectPath, kanbanPath: execKanban, engine: 'mock', pipeline: { decompose: true },
+      }));
+      assert.equal(child.decomposed, undefined);
+      assert.equal(child.success, true, child.reason);
+    });
+
+    await test('un bloque SUBTAREAS mal formado no detiene la tarea', async () => {
+      engines.loadEngines({ mock: { script: { PLAN: ['SUBTAREAS:\n```json\n[{"title":"Sola"}]\n```\nPLAN: seguir'] } } });
+      const result = await quiet(() => executeTask({ ...task, id: '964', decompose: true }, {
+        projectPath, kanbanPath: execKanban, engine: 'mock',
+      }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.decomposed, undefined);
+      assert.equal(result.phasesRecord.plan.status, 'ok');
+    });
+  } finally {
+    engines.loadEngines({});
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,289 @@
+/**
+ * test-usage.js - Tests de tokens, coste y presupuesto por tarea
+ *
+ * Normalización y parseo del usage que reportan los engines, estimación con
+ * la tabla de precios, agregados para /api/metrics y el presupuesto dentro
+ * de executeTask() con el motor mock.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const {
+  normalizeUsage, parseUsage, estimateCost, setPricing, addUsage, collectUsage,
+  resolveBudgetConfig, checkBudget, aggregateUsage,
+} = require('../src/core/usage');
+const { saveExecution, getTaskUsage, listExecutions } = require('../src/core/history');
+const { resultText } = require('../src/core/engines/claude');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const quiet = async (fn) => {
+  const origLog = console.log;
+  const origWrite = process.stdout.write;
+  console.log = () => {};
+  process.stdout.write = () => true;
+  try { return await fn(); } finally {
+    console.log = origLog;
+    process.stdout.write = origWrite;
+  }
+};
+
+// Línea final de `claude -p --output-format stream-json --verbose`
+const CLAUDE_RESULT = JSON.stringify({
+  type: 'result',
+  subtype: 'success',
+  result: 'Hecho.\nRESULTADO: completado - ok',
+  total_cost_usd: 0.0421,
+  usage: { input_tokens: 1200, cache_read_input_tokens: 5000, cache_creation_input_tokens: 800, output_tokens: 350 },
+  modelUsage: { 'claude-sonnet-4-5': {} },
+});
+
+async function main() {
+  console.log('\nnormalizeUsage() / parseUsage()');
+
+  await test('línea de resultado del CLI de Claude: coste reportado, no estimado', () => {
+    const usage = parseUsage(`{"type":"system"}\n${CLAUDE_RESULT}\n`);
+    assert.deepEqual(usage, {
+      inputTokens: 1200, outputTokens: 350, cacheReadTokens: 5000, cacheWriteTokens: 800,
+      costUsd: 0.0421, estimated: false, model: 'claude-sonnet-4-5',
+    });
+    assert.equal(resultText(CLAUDE_RESULT), 'Hecho.\nRESULTADO: completado - ok');
+  });
+
+  await test('sin coste se estima con la tabla de precios del modelo', () => {
+    const usage = normalizeUsage({ input_tokens: 1000000, output_tokens: 1000000 }, 'claude-opus-4');
+    assert.equal(usage.estimated, true);
+    assert.equal(usage.costUsd, 90);
+    assert.equal(estimateCost({ inputTokens: 1000000 }, 'modelo-raro'), 3);
+  });
+
+  await test('pricing de la config sobrescribe la tabla', () => {
+    try {
+      setPricing({ 'mi-modelo': { input: 1, output: 2 } });
+      assert.equal(estimateCost({ inputTokens: 1000000, outputTokens: 1000000 }, 'mi-modelo-v2'), 3);
+      assert.equal(estimateCost({ inputTokens: 1000000 }, 'claude-sonnet-4-5'), 3);
+    } finally {
+      setPricing({});
+    }
+  });
+
+  await test('output sin datos de consumo → null', () => {
+    assert.equal(parseUsage('RESULTADO: completado - ok'), null);
+    assert.equal(normalizeUsage({ foo: 1 }), null);
+  });
+
+  console.log('\naddUsage() / collectUsage() / aggregateUsage()');
+
+  await test('collectUsage suma las fases de un registro, incluidos los anidados', () => {
+    const u = (costUsd) => ({ inputTokens: 10, outputTokens: 1, costUsd, estimated: false, model: 'm' });
+    const record = {
+      phases: {
+        plan: { status: 'ok', usage: u(0.1) },
+        code: [{ iteration: 1, usage: u(0.2) }, { iteration: 2, usage: null }],
+        resolve: { status: 'ok', usage: u(0.3) },
+      },
+      drift: { recheck: { review: { usage: u(0.4) } } },
+    };
+    const total = collectUsage(record);
+    assert.equal(total.inputTokens, 40);
+    assert.equal(total.costUsd, 1);
+    assert.equal(addUsage(null, null), null);
+  });
+
+  await test('aggregateUsage agrupa por tarea, tipo, proyecto y día', () => {
+    const usage = { inputTokens: 100, outputTokens: 10, costUsd: 0.5 };
+    const agg = aggregateUsage([
+      { taskId: '001', title: 'A', type: 'bug', project: 'web', timestamp: '2026-03-01T10:00:00Z', usage },
+      { taskId: '001', title: 'A', type: 'bug', project: 'web', timestamp: '2026-03-02T10:00:00Z', usage },
+      { taskId: '002', title: 'B', type: 'feature', project: 'api', timestamp: '2026-03-02T11:00:00Z', usage },
+      { taskId: '003', type: 'feature', timestamp: '2026-03-02T12:00:00Z', usage: null },
+    ]);
+    assert.equal(agg.total.costUsd, 1.5);
+    assert.equal(agg.byTask['001'].costUsd, 1);
+    assert.equal(agg.byTask['001'].executions, 2);
+    assert.equal(agg.byTask['001'].title, 'A');
+    assert.equal(agg.byType.feature.costUsd, 0.5);
+    assert.deepEqual(Object.keys(agg.byProject).sort(), ['api', 'web']);
+    assert.equal(agg.byDay['2026-03-02'].executions, 2);
+    assert.equal(agg.byTask['003'], undefined);
+  });
+
+  console.log('\nresolveBudgetConfig() / checkBudget()');
+
+  await test('número = maxCostUsd; el proyecto y la tarea sobrescriben; false desactiva', () => {
+    assert.deepEqual(resolveBudgetConfig(null, undefined), { enabled: false, maxCostUsd: null, maxTokens: null });
+    assert.equal(resolveBudgetConfig(5).maxCostUsd, 5);
+    assert.deepEqual(resolveBudgetConfig({ maxCostUsd: 5 }, { maxTokens: 1000 }), { enabled: true, maxCostUsd: 5, maxTokens: 1000 });
+    assert.equal(resolveBudgetConfig({ maxCostUsd: 5 }, 2).maxCostUsd, 2);
+    assert.equal(resolveBudgetConfig({ maxCostUsd: 5 }, false).enabled, false);
+    assert.throws(() => resolveBudgetConfig(-1), /budget inválida/);
+  });
+
+  await test('checkBudget avisa al alcanzar el coste o los tokens', () => {
+    const budget = resolveBudgetConfig({ maxCostUsd: 1, maxTokens: 1000 });
+    assert.equal(checkBudget(budget, { inputTokens: 10, costUsd: 0.5 }), null);
+    assert.match(checkBudget(budget, { inputTokens: 10, costUsd: 1.2 }), /\$1\.20 de \$1\.00/);
+    assert.match(checkBudget(budget, { inputTokens: 900, outputTokens: 200, costUsd: 0 }), /tokens/);
+    assert.equal(checkBudget(resolveBudgetConfig(false), { costUsd: 99 }), null);
+  });
+
+  console.log('\nexecuteTask() con coste y presupuesto (motor mock)');
+
+  const engines = require('../src/core/engines');
+  const { executeTask } = require('../src/core/ai-executor');
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-usage-'));
+  const kanbanPath = path.join(tmp, 'kanban');
+  fs.mkdirSync(kanbanPath);
+  const task = { id: '981', title: 'Coste', type: 'feature', content: '# Descripción\nx' };
+  const step = (output, cost) => ({ output, usage: { input_tokens: 1000, output_tokens: 100, total_cost_usd: cost } });
+  const costlyScript = {
+    PLAN: [step('PLAN: plan', 0.2)],
+    CODE: [step('RESULTADO: completado - ok', 0.5)],
+    REVIEW: [step('REVIEW: aprobado - ok', 0.1)],
+    TEST: [step('TESTS: ok - ok', 0.1)],
+    SCOPE: [step('SCOPE: ok - ok', 0.1)],
+  };
+
+  try {
+    await test('cada fase guarda su usage y el historial suma la ejecución', async () => {
+      engines.loadEngines({ mock: { script: costlyScript } });
+      const result = await quiet(() => executeTask(task, { projectPath: tmp, kanbanPath, engine: 'mock' }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.phasesRecord.plan.usage.costUsd, 0.2);
+      assert.equal(result.phasesRecord.code[0].usage.inputTokens, 1000);
+      assert.equal(result.phasesRecord.scope.usage.estimated, false);
+
+      saveExecution(task.id, { result: 'success', phases: result.phasesRecord }, kanbanPath);
+      assert.equal(getTaskUsage(task.id, kanbanPath).costUsd, 1);
+      const executions = listExecutions(kanbanPath);
+      assert.equal(executions.length, 1);
+      assert.equal(executions[0].taskId, '981');
+      assert.equal(executions[0].usage.inputTokens, 5000);
+    });
+
+    await test('presupuesto agotado en ejecuciones anteriores → no lanza ninguna fase', async () => {
+      engines.loadEngines({ mock: { script: costlyScript } });
+      const result = await quiet(() => executeTask(task, { projectPath: tmp, kanbanPath, engine: 'mock', budget: { maxCostUsd: 1 } }));
+      assert.equal(result.success, false);
+      assert.equal(result.failedPhase, 'budget');
+      assert.equal(result.phasesRecord.result, 'over-budget');
+      assert.equal(result.phasesRecord.plan.status, 'pending');
+      assert.match(result.reason, /Presupuesto superado/);
+    });
+
+    await test('superado tras CODE → budgetExceeded sin REVIEW/TEST, no se da por bueno', async () => {
+      engines.loadEngines({ mock: { script: costlyScript } });
+      const result = await quiet(() => executeTask({ ...task, id: '982', budget: 0.6 }, { projectPath: tmp, kanbanPath, engine: 'mock', budget: 10 }));
+      assert.equal(result.success, false);
+      assert.equal(result.budgetExceeded, true);
+      assert.equal(result.failedPhase, 'budget');
+      assert.match(result.reason, /REVIEW y TEST sin ejecutar/);
+      assert.equal(result.phasesRecord.review.length, 0);
+      assert.equal(result.phasesRecord.result, 'over-budget');
+    });
+
+    await test('budget: false en el frontmatter desactiva el límite', async () => {
+      engines.loadEngines({ mock: { script: costlyScript } });
+      const result = await quiet(() => executeTask({ ...task, id: '983', budget: false }, { projectPath: tmp, kanbanPath, engine: 'mock', budget: 0.01 }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.phasesRecord.result, 'success');
+    });
+  } finally {
+    engines.loadEngines({});
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log('\nprocessTask() con el presupuesto agotado tras CODE (git)');
+
+  const { createTask, getTaskById } = require('../src/kanban/board');
+  // loop.js redirige stdout/stderr a su log al cargarse: se restauran
+  const { write: stdoutWrite } = process.stdout;
+  const { write: stderrWrite } = process.stderr;
+  const { processTask, checkRetryableTasks } = require('../src/core/loop');
+  process.stdout.write = stdoutWrite;
+  process.stderr.write = stderrWrite;
+  const loopTmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-usage-loop-'));
+  const projectPath = path.join(loopTmp, 'repo');
+  const loopKanban = path.join(loopTmp, 'kanban');
+  const git = (cmd) => execSync(`git ${cmd}`, { cwd: projectPath, stdio: 'pipe' }).toString().trim();
+  // El git del proyecto activo (kanban/.active-project.json) manda sobre la config
+  const activeGit = (() => {
+    try {
+      const kanbanDir = path.join(__dirname, '..', 'kanban');
+      const { name } = JSON.parse(fs.readFileSync(path.join(kanbanDir, '.active-project.json'), 'utf8'));
+      return JSON.parse(fs.readFileSync(path.join(kanbanDir, 'projects.json'), 'utf8')).find(p => p.name === name)?.git || {};
+    } catch { return {}; }
+  })();
+  const baseBranch = activeGit.defaultBranch || 'main';
+
+  try {
+    fs.mkdirSync(projectPath);
+    git('init');
+    git('config user.email "test@test.com"');
+    git('config user.name "Test"');
+    fs.writeFileSync(path.join(projectPath, 'README.md'), '# Test');
+    git('add .');
+    git('commit -m "Initial"');
+    git(`branch -M ${baseBranch}`);
+    const baseCommit = git(`rev-parse ${baseBranch}`);
+
+    engines.loadEngines({ mock: { script: { ...costlyScript, CODE: [{ ...step('RESULTADO: completado - ok', 0.5), files: { 'src/caro.js': 'module.exports = 1;\n' } }] } } });
+    createTask({ id: '984', title: 'Cara', type: 'feature', branch: 'feature/984-cara', budget: 0.6, content: '# Descripción\nx' }, 'todo', loopKanban);
+    await quiet(() => processTask(getTaskById('984', loopKanban).task, {
+      engine: 'mock', projectPath, kanbanPath: loopKanban,
+      git: { enabled: true, defaultBranch: baseBranch, autoMerge: true, autoPush: false, strategy: 'merge' },
+      loop: {},
+    }));
+
+    await test('no mergea: el branch base sigue en su commit', () => {
+      assert.equal(git(`rev-parse ${baseBranch}`), baseCommit);
+      assert.equal(git('branch --show-current'), baseBranch);
+      assert.equal(fs.existsSync(path.join(projectPath, 'src/caro.js')), false);
+    });
+
+    await test('el código queda commiteado en la rama de la tarea', () => {
+      assert.match(git('ls-tree -r --name-only feature/984-cara'), /src\/caro\.js/);
+    });
+
+    await test('la tarea va a review con fase budget y fuera del reintento automático', () => {
+      const { task: found, column } = getTaskById('984', loopKanban);
+      assert.equal(column, 'review');
+      assert.equal(found.lastErrorPhase, 'budget');
+      assert.match(found.lastError, /REVIEW y TEST sin ejecutar/);
+      const retryable = checkRetryableTasks(loopKanban, { autoRetry: true, retryDelayMinutes: 0 });
+      assert.equal(retryable.some(r => r.task.id === '984'), false);
+    });
+  } finally {
+    engines.loadEngines({});
+    fs.rmSync(loopTmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
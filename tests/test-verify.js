@@ -0,0 +1,173 @@
+/**
+ * test-verify.js - Tests del comando de verificación determinista
+ *
+ * resolveVerifyConfig(), runVerifyCommand() con comandos reales y el gate
+ * dentro de executeTask() con el motor mock (la IA dice "ok" pero el
+ * comando manda).
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveVerifyConfig, runVerifyCommand, outputTail, DEFAULT_TIMEOUT_MS } = require('../src/core/verify');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const quiet = async (fn) => {
+  const origLog = console.log;
+  const origWrite = process.stdout.write;
+  console.log = () => {};
+  process.stdout.write = () => true;
+  try { return await fn(); } finally {
+    console.log = origLog;
+    process.stdout.write = origWrite;
+  }
+};
+
+async function main() {
+  console.log('\nresolveVerifyConfig()');
+
+  await test('sin config está desactivado', () => {
+    assert.deepEqual(resolveVerifyConfig(null, undefined), { enabled: false, command: null, timeoutMs: DEFAULT_TIMEOUT_MS });
+  });
+
+  await test('string = comando; objeto con timeout en duración', () => {
+    assert.equal(resolveVerifyConfig('npm test').command, 'npm test');
+    const cfg = resolveVerifyConfig({ command: 'make check', timeout: '2m' });
+    assert.equal(cfg.enabled, true);
+    assert.equal(cfg.timeoutMs, 2 * 60 * 1000);
+  });
+
+  await test('el proyecto y la tarea sobrescriben; false desactiva', () => {
+    assert.equal(resolveVerifyConfig('npm test', { command: 'make check' }).command, 'make check');
+    assert.equal(resolveVerifyConfig('npm test', { timeout: '1m' }, 'npm run lint').command, 'npm run lint');
+    assert.equal(resolveVerifyConfig('npm test', false).enabled, false);
+    assert.equal(resolveVerifyConfig({ command: 'npm test', enabled: false }).enabled, false);
+  });
+
+  console.log('\nrunVerifyCommand()');
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-verify-'));
+
+  try {
+    await test('exit 0 → ok, captura stdout y stderr', async () => {
+      const r = await runVerifyCommand('echo salida; echo error 1>&2', tmp, { echo: false });
+      assert.equal(r.ok, true);
+      assert.equal(r.exitCode, 0);
+      assert.match(r.output, /salida/);
+      assert.match(r.output, /error/);
+    });
+
+    await test('exit distinto de 0 → fallido con su código', async () => {
+      const r = await runVerifyCommand('echo rompe; exit 3', tmp, { echo: false });
+      assert.equal(r.ok, false);
+      assert.equal(r.exitCode, 3);
+      assert.equal(r.timedOut, false);
+    });
+
+    await test('se ejecuta en el directorio del proyecto', async () => {
+      fs.writeFileSync(path.join(tmp, 'marca.txt'), 'x');
+      const r = await runVerifyCommand('test -f marca.txt', tmp, { echo: false });
+      assert.equal(r.ok, true);
+    });
+
+    await test('timeout mata el comando y sus hijos', async () => {
+      const procs = new Set();
+      const r = await runVerifyCommand('sleep 30 & sleep 30; wait', tmp, { echo: false, timeoutMs: 300, procs });
+      assert.equal(r.ok, false);
+      assert.equal(r.timedOut, true);
+      assert.match(r.output, /timeout/);
+      assert.equal(procs.size, 0);
+    });
+
+    await test('outputTail devuelve solo las últimas líneas', () => {
+      const out = Array.from({ length: 100 }, (_, i) => `línea ${i}`).join('\n');
+      assert.equal(outputTail(out, 2), 'línea 98\nlínea 99');
+    });
+
+    console.log('\nexecuteTask() con verify (motor mock)');
+
+    const engines = require('../src/core/engines');
+    const { executeTask } = require('../src/core/ai-executor');
+    const kanbanPath = path.join(tmp, 'kanban');
+    fs.mkdirSync(kanbanPath);
+    const task = { id: '971', title: 'Gate', type: 'feature', content: '# Descripción\nx' };
+
+    await test('la IA dice TESTS: ok pero el comando falla → vuelve a CODE y acaba fallida', async () => {
+      engines.loadEngines({});
+      const result = await quiet(() => executeTask(task, {
+        projectPath: tmp, kanbanPath, engine: 'mock',
+        verify: { command: 'echo "1 test failed"; exit 1' },
+        pipeline: { maxIterations: 2 },
+      }));
+      assert.equal(result.success, false);
+      assert.equal(result.failedPhase, 'verify');
+      assert.equal(result.phasesRecord.result, 'verify-failed');
+      assert.equal(result.phasesRecord.verify.length, 2);
+      assert.equal(result.phasesRecord.code.length, 2);
+      const artifact = fs.readFileSync(path.join(kanbanPath, '.history', '971', 'verify-iter1.md'), 'utf8');
+      assert.match(artifact, /FALLIDO/);
+      assert.match(fs.readFileSync(path.join(kanbanPath, '.history', '971', 'verify-iter1.log'), 'utf8'), /1 test failed/);
+    });
+
+    await test('el comando pasa en la segunda iteración gracias al código nuevo', async () => {
+      // CODE escribe el archivo que el comando comprueba solo en el 2º intento
+      engines.loadEngines({
+        mock: {
+          script: {
+            CODE: [
+              'RESULTADO: completado - sin archivo',
+              { output: 'RESULTADO: completado - con archivo', files: { 'ok.flag': '1' } },
+            ],
+          },
+        },
+      });
+      const result = await quiet(() => executeTask({ ...task, id: '972' }, {
+        projectPath: tmp, kanbanPath, engine: 'mock',
+        verify: 'test -f ok.flag',
+      }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.iterations, 2);
+      assert.deepEqual(result.phasesRecord.verify.map(v => v.status), ['failed', 'ok']);
+    });
+
+    await test('verify: false en el frontmatter desactiva el gate', async () => {
+      engines.loadEngines({});
+      const result = await quiet(() => executeTask({ ...task, id: '973', verify: false }, {
+        projectPath: tmp, kanbanPath, engine: 'mock',
+        verify: 'exit 1',
+      }));
+      assert.equal(result.success, true, result.reason);
+      assert.equal(result.phasesRecord.verify.length, 0);
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,229 @@
+/**
+ * test-workflow.js - Tests de columnas y transiciones configurables
+ *
+ * resolveBoardSchema() por capas y con config inválida, allowedTargets()
+ * con reglas '*' y movimientos del motor, moveTask()/createTask()/
+ * getTasks() sobre un kanban temporal con columnas propias de un proyecto,
+ * y los límites WIP con y sin force.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { setBoardConfig, resolveBoardSchema, getBoardSchema, allowedTargets, assertTransition, wipLimit } = require('../src/core/workflow');
+const { createTask, moveTask, getTasks, getTaskById } = require('../src/kanban/board');
+const { nextId } = require('../src/core/id-generator');
+const { unstuckCommand } = require('../src/cli/commands/retry');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`  ${GREEN}✅${RESET} ${description}`);
+    passed++;
+  } catch (err) {
+    console.error(`  ${RED}❌${RESET} ${description}`);
+    console.error(`    ${err.message}`);
+    failed++;
+  }
+}
+
+const BOARD = {
+  columns: ['backlog', 'todo', 'in_progress', { id: 'qa', label: 'QA', icon: '🧪' }, 'review', 'done', 'blocked'],
+  transitions: {
+    backlog: ['todo'],
+    todo: ['backlog'],
+    qa: ['done', 'review'],
+    review: '*',
+    '*': ['blocked'],
+    blocked: ['todo'],
+  },
+  motor: { success: 'qa' },
+};
+
+async function main() {
+  console.log('\nresolveBoardSchema()');
+
+  await test('sin config: las cinco columnas de siempre y movimiento libre', () => {
+    const schema = resolveBoardSchema();
+    assert.deepEqual(schema.ids, ['backlog', 'todo', 'in_progress', 'review', 'done']);
+    assert.equal(schema.transitions, null);
+    assert.deepEqual(schema.motor, { pickFrom: 'todo', working: 'in_progress', success: 'done', failure: 'review' });
+    assert.deepEqual(allowedTargets(schema, 'done'), ['backlog', 'todo', 'in_progress', 'review']);
+  });
+
+  await test('columnas propias con etiqueta por defecto; el proyecto sobrescribe', () => {
+    const schema = resolveBoardSchema({ columns: ['todo', 'in_progress', 'staging', 'review', 'done'] }, BOARD);
+    assert.deepEqual(schema.ids, BOARD.columns.map(c => c.id || c));
+    assert.equal(schema.columns.find(c => c.id === 'qa').label, 'QA');
+    assert.equal(schema.columns.find(c => c.id === 'blocked').label, 'Blocked');
+    assert.equal(resolveBoardSchema({ columns: ['todo', 'in_progress', 'staging', 'review', 'done'] }).columns[2].label, 'Staging');
+    assert.equal(schema.motor.success, 'qa');
+    assert.equal(schema.motor.pickFrom, 'todo');
+  });
+
+  await test('config inválida lanza error claro', () => {
+    assert.throws(() => resolveBoardSchema({ columns: [] }), /lista no vacía/);
+    assert.throws(() => resolveBoardSchema({ columns: ['todo', 'In Progress'] }), /columna "In Progress"/);
+    assert.throws(() => resolveBoardSchema({ columns: ['todo', 'todo'] }), /'todo' repetida/);
+    assert.throws(() => resolveBoardSchema({ columns: ['todo', 'templates'] }), /reservada/);
+    assert.throws(() => resolveBoardSchema({ columns: ['todo', 'done'] }), /'in_progress' en motor.working/);
+    assert.throws(() => resolveBoardSchema({ transitions: { todo: ['qa'] } }), /'qa' en transitions.todo/);
+    assert.throws(() => resolveBoardSchema('todo'), /Config board inválida/);
+  });
+
+  console.log('\nallowedTargets() / assertTransition()');
+
+  const schema = resolveBoardSchema(BOARD);
+
+  await test("reglas propias, '*' como origen y destino, y movimientos del motor", () => {
+    // todo → backlog (regla), blocked ('*'), in_progress y qa (motor: coger la
+    // tarea y cerrar un padre dividido cuando terminan sus subtareas)
+    assert.deepEqual(allowedTargets(schema, 'todo'), ['backlog', 'in_progress', 'qa', 'blocked']);
+    // in_progress sin reglas: solo blocked y los del motor (éxito = qa, fallo = review,
+    // todo al dividirse en subtareas)
+    assert.deepEqual(allowedTargets(schema, 'in_progress'), ['todo', 'qa', 'review', 'blocked']);
+    // review: '*' = cualquier otra columna
+    assert.deepEqual(allowedTargets(schema, 'review'), ['backlog', 'todo', 'in_progress', 'qa', 'done', 'blocked']);
+  });
+
+  await test('transición no permitida o columna desconocida lanzan error', () => {
+    assert.throws(() => assertTransition(schema, 'todo', 'done'),
+      /Transición no permitida: todo → done\. Desde todo: backlog, in_progress, qa, blocked/);
+    assert.throws(() => assertTransition(schema, 'todo', 'staging'), /Columna inválida: staging/);
+    assert.doesNotThrow(() => assertTransition(schema, 'qa', 'qa'));
+  });
+
+  console.log('\nmoveTask() con el tablero de un proyecto');
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-workflow-'));
+  const projectPath = path.join(tmp, 'proyecto');
+  const kanbanPath = path.join(projectPath, 'kanban');
+  const otherKanban = path.join(tmp, 'otro', 'kanban');
+
+  try {
+    setBoardConfig({ projects: { demo: { path: projectPath, board: BOARD } } });
+
+    await test('getBoardSchema() usa el board del proyecto cuyo kanban es ese', () => {
+      assert.ok(getBoardSchema(kanbanPath).ids.includes('qa'));
+      assert.equal(getBoardSchema(otherKanban).ids.includes('qa'), false);
+    });
+
+    await test('createTask() sin columna usa la primera; columnas propias funcionan', () => {
+      const task = createTask({ id: nextId(kanbanPath), title: 'Login', type: 'feature', content: 'x' }, null, kanbanPath);
+      assert.equal(task.column, 'backlog');
+      createTask({ id: nextId(kanbanPath), title: 'Pendiente de QA', type: 'fix', content: 'x' }, 'qa', kanbanPath);
+      assert.equal(nextId(kanbanPath), '003');
+      assert.equal(getTasks('qa', kanbanPath).length, 1);
+      assert.deepEqual(Object.keys(getTasks(null, kanbanPath)), schema.ids);
+      assert.throws(() => createTask({ id: '009', title: 'x', content: 'x' }, 'staging', kanbanPath), /Columna inválida/);
+    });
+
+    await test('moveTask() aplica las transiciones y no toca el archivo si falla', () => {
+      assert.throws(() => moveTask('001', 'done', kanbanPath), /Transición no permitida: backlog → done/);
+      assert.equal(getTaskById('001', kanbanPath).column, 'backlog');
+
+      moveTask('001', 'todo', kanbanPath);
+      moveTask('001', 'in_progress', kanbanPath);
+      const result = moveTask('001', 'qa', kanbanPath);
+      assert.equal(result.toColumn, 'qa');
+      assert.equal(getTaskById('001', kanbanPath).task.status, 'qa');
+
+      moveTask('002', 'blocked', kanbanPath);
+      assert.throws(() => moveTask('002', 'qa', kanbanPath), /Desde blocked: todo/);
+    });
+
+    await test('en otro kanban sin board el movimiento es libre', () => {
+      createTask({ id: '001', title: 'Libre', type: 'feature', content: 'x' }, 'backlog', otherKanban);
+      assert.equal(moveTask('001', 'done', otherKanban).toColumn, 'done');
+    });
+
+    console.log('\nLímites WIP');
+
+    await test('wip en la columna o en el mapa wip; el proyecto sobrescribe por columna', () => {
+      const wip = resolveBoardSchema(
+        { columns: ['backlog', { id: 'todo', wip: 10 }, 'in_progress', 'review', 'done'], wip: { in_progress: 3 } },
+        { wip: { todo: 5, review: 0 } }
+      );
+      assert.equal(wipLimit(wip, 'todo'), 5);
+      assert.equal(wipLimit(wip, 'in_progress'), 3);
+      assert.equal(wipLimit(wip, 'review'), null);
+      assert.equal(wipLimit(wip, 'done'), null);
+      assert.throws(() => resolveBoardSchema({ wip: { todo: 2.5 } }), /wip de 'todo' debe ser un entero positivo/);
+      assert.throws(() => resolveBoardSchema({ wip: { qa: 2 } }), /'qa' en wip/);
+      assert.throws(() => resolveBoardSchema({ wip: 3 }), /wip debe ser/);
+    });
+
+    await test('createTask() y moveTask() respetan el límite salvo con force', () => {
+      const wipKanban = path.join(tmp, 'wip', 'kanban');
+      setBoardConfig({ projects: { wip: { path: path.dirname(wipKanban), board: { wip: { todo: 2 } } } } });
+      const add = (id, opts) => createTask({ id, title: `Tarea ${id}`, type: 'feature', content: 'x' }, 'todo', wipKanban, opts);
+
+      add('001');
+      add('002');
+      assert.throws(() => add('003'), /Límite WIP alcanzado en todo \(2\/2\)/);
+      assert.equal(getTasks('todo', wipKanban).length, 2);
+
+      createTask({ id: '003', title: 'Tarea 003', type: 'feature', content: 'x' }, 'backlog', wipKanban);
+      assert.throws(() => moveTask('003', 'todo', wipKanban), /Límite WIP/);
+      assert.equal(getTaskById('003', wipKanban).column, 'backlog');
+      moveTask('003', 'todo', wipKanban, { force: true });
+      add('004', { force: true });
+      assert.equal(getTasks('todo', wipKanban).length, 4);
+
+      // Salir de la columna llena siempre se puede
+      assert.equal(moveTask('001', 'backlog', wipKanban).toColumn, 'backlog');
+    });
+
+    await test('unstuck --all mueve lo que cabe y no para en el límite WIP', () => {
+      const project = path.join(tmp, 'unstuck');
+      const kanban = path.join(project, 'kanban');
+      setBoardConfig({ projects: { unstuck: { path: project, board: { wip: { todo: 1, review: 1 } } } } });
+      for (const id of ['001', '002', '003']) {
+        createTask({ id, title: `Tarea ${id}`, type: 'feature', content: 'x' }, 'review', kanban, { force: true });
+      }
+      const stale = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      createTask({ id: '004', title: 'Tarea 004', type: 'feature', startedAt: stale, content: 'x' }, 'in_progress', kanban);
+
+      const log = console.log;
+      console.log = () => {};
+      try {
+        unstuckCommand({ project, all: true });
+      } finally {
+        console.log = log;
+      }
+      // La atascada sale de in_progress aunque review esté lleno; a todo solo cabe una
+      assert.equal(getTaskById('004', kanban).column, 'review');
+      assert.equal(getTasks('todo', kanban).length, 1);
+      assert.equal(getTasks('review', kanban).length, 3);
+
+      console.log = () => {};
+      try {
+        unstuckCommand({ project, all: true, force: true });
+      } finally {
+        console.log = log;
+      }
+      assert.equal(getTasks('review', kanban).length, 0);
+      assert.equal(getTasks('todo', kanban).length, 4);
+    });
+  } finally {
+    setBoardConfig({});
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});